@@ -0,0 +1,44 @@
+import { closePool } from './config/database.js';
+import { backfillTrades } from './services/tradeSync.js';
+
+// Usage:
+//   node backfill-trades.js --account 123456 --from 2025-01-01 [--to 2025-02-01]
+//   node backfill-trades.js --ib 42 --from 2025-01-01
+//   node backfill-trades.js --all --from 2025-01-01
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i];
+    if (key === '--all') args.all = true;
+    else if (key === '--account') args.accountId = argv[++i];
+    else if (key === '--ib') args.ibRequestId = Number(argv[++i]);
+    else if (key === '--from') args.fromDate = argv[++i];
+    else if (key === '--to') args.toDate = argv[++i];
+  }
+  return args;
+}
+
+async function runBackfill() {
+  const args = parseArgs(process.argv.slice(2));
+  try {
+    console.log('Running trade backfill with', args);
+    const result = await backfillTrades(args);
+
+    for (const account of result.accounts) {
+      if (account.error) {
+        console.log(`  ${account.accountId}: ERROR ${account.error}`);
+      } else {
+        console.log(`  ${account.accountId}: fetched=${account.fetched} saved=${account.saved}`);
+      }
+    }
+    console.log(`Backfill completed (${result.scope}, ${result.fromDate} -> ${result.toDate})`);
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('Backfill failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+runBackfill();
@@ -4,10 +4,10 @@ import dotenv from 'dotenv';
 const { Pool } = pkg;
 dotenv.config();
 
-// Create a pool instance
+// Create a pool instance (DATABASE_SSL=false for a local database without TLS, e.g. in tests)
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
-  ssl: {
+  ssl: process.env.DATABASE_SSL === 'false' ? false : {
     rejectUnauthorized: false
   }
 });
@@ -27,6 +27,25 @@ export const query = (text, params) => {
   return pool.query(text, params);
 };
 
+/**
+ * Run fn(client) in a transaction: committed when fn resolves, rolled back when it throws.
+ * client.query takes the same arguments as query().
+ */
+export const withTransaction = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 // Close pool helper function
 export const closePool = () => {
   return pool.end();
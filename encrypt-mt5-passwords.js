@@ -0,0 +1,58 @@
+import { query, closePool } from './config/database.js';
+import { encryptSecret, isEncryptedSecret } from './services/secretProvider.js';
+
+// Usage:
+//   MT5_CREDENTIALS_KEY=<64 hex chars> node encrypt-mt5-passwords.js [--apply] [--account 123456]
+// Encrypts plaintext MT5Account.password values in place for the 'column' secret provider.
+// Without --apply it only counts them. Only apply once nothing else reads these passwords in plaintext.
+function parseArgs(argv) {
+  const args = { apply: false };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i];
+    if (key === '--apply') args.apply = true;
+    else if (key === '--account') args.accountId = argv[++i];
+  }
+  return args;
+}
+
+async function run() {
+  const args = parseArgs(process.argv.slice(2));
+  try {
+    const params = [];
+    let accountFilter = '';
+    if (args.accountId) {
+      params.push(String(args.accountId));
+      accountFilter = `AND "accountId" = $${params.length}`;
+    }
+    const result = await query(
+      `SELECT "accountId", password FROM "MT5Account" WHERE password IS NOT NULL AND password <> '' ${accountFilter}`,
+      params
+    );
+    const plaintext = result.rows.filter(row => !isEncryptedSecret(row.password));
+    console.log(`${result.rows.length} account(s) with a password, ${plaintext.length} not encrypted`);
+
+    if (!args.apply) {
+      console.log('Dry run. Re-run with --apply to encrypt them.');
+      process.exitCode = 0;
+      return;
+    }
+
+    let encrypted = 0;
+    for (const row of plaintext) {
+      await query(
+        'UPDATE "MT5Account" SET password = $1 WHERE "accountId" = $2 AND password = $3',
+        [encryptSecret(row.password), row.accountId, row.password]
+      );
+      encrypted++;
+    }
+    console.log(`Encrypted ${encrypted} password(s). Set MT5_ALLOW_PLAINTEXT_PASSWORDS=false to reject any left in plaintext.`);
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('Encryption failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+run();
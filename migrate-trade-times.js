@@ -0,0 +1,72 @@
+import { query, closePool } from './config/database.js';
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { backfillTrades, recordSyncRun } from './services/tradeSync.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Usage:
+//   node migrate-trade-times.js [--from 2024-12-01] [--to 2025-12-31] [--account 123456]
+// Adds open_time/close_time/mt5_commission/swap/position_id to ib_trade_history, then
+// re-reads every account that still has rows without close_time from MT5 so the upsert fills them.
+function parseArgs(argv) {
+  const args = { fromDate: '2024-12-01T00:00:00Z' };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i];
+    if (key === '--from') args.fromDate = argv[++i];
+    else if (key === '--to') args.toDate = argv[++i];
+    else if (key === '--account') args.accountId = argv[++i];
+  }
+  return args;
+}
+
+async function runMigration() {
+  const args = parseArgs(process.argv.slice(2));
+  try {
+    console.log('Adding trade time columns to ib_trade_history...');
+    const migrationSQL = await readFile(join(__dirname, 'migrations', 'add_trade_times_to_ib_trade_history.sql'), 'utf8');
+    await query(migrationSQL);
+
+    const params = [];
+    let accountFilter = '';
+    if (args.accountId) {
+      params.push(String(args.accountId));
+      accountFilter = `AND account_id = $${params.length}`;
+    }
+    const pending = await query(
+      `SELECT account_id, COUNT(*)::int AS missing
+       FROM ib_trade_history
+       WHERE close_time IS NULL ${accountFilter}
+       GROUP BY account_id
+       ORDER BY account_id`,
+      params
+    );
+    console.log(`${pending.rows.length} account(s) have trades without close_time`);
+
+    for (const row of pending.rows) {
+      try {
+        const result = await recordSyncRun(
+          { trigger: 'admin', triggeredBy: 'migration:trade-times', scope: 'account', accountId: row.account_id, fromDate: args.fromDate, toDate: args.toDate || null },
+          (runId) => backfillTrades({ accountId: row.account_id, fromDate: args.fromDate, toDate: args.toDate, runId })
+        );
+        const account = result.accounts[0] || {};
+        console.log(`  ${row.account_id}: ${row.missing} missing, fetched=${account.fetched} saved=${account.saved}`);
+      } catch (error) {
+        console.log(`  ${row.account_id}: ERROR ${error.message}`);
+      }
+    }
+
+    const remaining = await query(`SELECT COUNT(*)::int AS count FROM ib_trade_history WHERE close_time IS NULL ${accountFilter}`, params);
+    console.log(`Migration completed. Rows still without close_time: ${remaining.rows[0].count} (reports use synced_at for these)`);
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+runMigration();
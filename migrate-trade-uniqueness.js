@@ -0,0 +1,149 @@
+import { query, closePool } from './config/database.js';
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { TradeOrderConflict } from './models/TradeOrderConflict.js';
+import { backfillTrades, recordSyncRun } from './services/tradeSync.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Usage:
+//   node migrate-trade-uniqueness.js [--server default] [--resync] [--from 2024-12-01] [--to 2025-12-31]
+// Reports order ids that collide across accounts, records them in trade_order_conflicts, then
+// replaces UNIQUE (order_id) with UNIQUE (server, account_id, order_id). With --resync the
+// accounts involved are re-read from MT5 so each gets its own copy of the trade.
+function parseArgs(argv) {
+  const args = { server: 'default', resync: false, fromDate: '2024-12-01T00:00:00Z' };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i];
+    if (key === '--server') args.server = argv[++i];
+    else if (key === '--resync') args.resync = true;
+    else if (key === '--from') args.fromDate = argv[++i];
+    else if (key === '--to') args.toDate = argv[++i];
+  }
+  return args;
+}
+
+async function tableExists(name) {
+  const result = await query(
+    "SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_schema = 'public' AND table_name = $1)",
+    [name]
+  );
+  return result.rows[0].exists;
+}
+
+// Order ids stored under more than one account in mt5_deals; ib_trade_history could only keep one of them
+async function findDealCollisions() {
+  if (!(await tableExists('mt5_deals'))) return [];
+  const result = await query(
+    `SELECT d.order_id,
+            array_agg(DISTINCT d.account_id ORDER BY d.account_id) AS accounts,
+            MAX(t.id) AS row_id,
+            MAX(t.account_id) AS row_account_id
+     FROM mt5_deals d
+     LEFT JOIN ib_trade_history t ON t.order_id = d.order_id
+     WHERE d.order_id IS NOT NULL
+     GROUP BY d.order_id
+     HAVING COUNT(DISTINCT d.account_id) > 1
+     ORDER BY d.order_id`
+  );
+  return result.rows;
+}
+
+// Rows whose id names a different account than account_id: another account's trade was written over them
+async function findMismatchedRows() {
+  const result = await query(
+    `SELECT id, order_id, account_id
+     FROM ib_trade_history
+     WHERE id <> account_id || '-' || order_id
+       AND id NOT LIKE '%:' || account_id || '-' || order_id
+     ORDER BY order_id`
+  );
+  return result.rows;
+}
+
+async function runMigration() {
+  const args = parseArgs(process.argv.slice(2));
+  try {
+    await TradeOrderConflict.createTable();
+
+    console.log('Checking ib_trade_history for order id collisions...');
+    const affected = new Set();
+
+    const dealCollisions = await findDealCollisions();
+    console.log(`${dealCollisions.length} order id(s) were dealt on more than one account`);
+    for (const row of dealCollisions) {
+      const holder = row.row_account_id;
+      console.log(`  order ${row.order_id}: accounts ${row.accounts.join(', ')}${holder ? `; ib_trade_history row ${row.row_id} holds account ${holder}` : ''}`);
+      for (const accountId of row.accounts) {
+        affected.add(accountId);
+        if (holder && accountId === holder) continue;
+        await TradeOrderConflict.record({
+          server: args.server,
+          orderId: row.order_id,
+          accountId,
+          conflictingAccountId: holder || row.accounts.find(a => a !== accountId),
+          existingRowId: row.row_id || null,
+          source: 'migration',
+          details: { accounts: row.accounts }
+        });
+      }
+    }
+
+    const mismatched = await findMismatchedRows();
+    console.log(`${mismatched.length} row(s) have an id that does not match their account`);
+    for (const row of mismatched) {
+      const idAccount = String(row.id).replace(/^.*:/, '').slice(0, -(String(row.order_id).length + 1));
+      console.log(`  row ${row.id}: order ${row.order_id} stored under account ${row.account_id}`);
+      affected.add(row.account_id);
+      if (idAccount) affected.add(idAccount);
+      await TradeOrderConflict.record({
+        server: args.server,
+        orderId: row.order_id,
+        accountId: idAccount || row.account_id,
+        conflictingAccountId: row.account_id,
+        existingRowId: row.id,
+        source: 'migration',
+        details: { reason: 'row id does not match account_id' }
+      });
+    }
+
+    console.log('Scoping ib_trade_history uniqueness to (server, account_id, order_id)...');
+    const migrationSQL = await readFile(join(__dirname, 'migrations', 'scope_trade_uniqueness_by_account.sql'), 'utf8');
+    await query(migrationSQL);
+    if (args.server !== 'default') {
+      const updated = await query("UPDATE ib_trade_history SET server = $1 WHERE server = 'default'", [args.server]);
+      console.log(`Labelled ${updated.rowCount} existing row(s) with server ${args.server}`);
+    }
+
+    if (affected.size && args.resync) {
+      console.log(`Re-reading ${affected.size} affected account(s) from MT5...`);
+      for (const accountId of affected) {
+        try {
+          const result = await recordSyncRun(
+            { trigger: 'admin', triggeredBy: 'migration:trade-uniqueness', scope: 'account', accountId, fromDate: args.fromDate, toDate: args.toDate || null },
+            (runId) => backfillTrades({ accountId, fromDate: args.fromDate, toDate: args.toDate, runId })
+          );
+          const account = result.accounts[0] || {};
+          console.log(`  ${accountId}: fetched=${account.fetched} saved=${account.saved}`);
+        } catch (error) {
+          console.log(`  ${accountId}: ERROR ${error.message}`);
+        }
+      }
+    } else if (affected.size) {
+      console.log(`Affected accounts: ${Array.from(affected).join(', ')}`);
+      console.log('Re-run with --resync (or sync them from the admin panel) to restore their trades.');
+    }
+
+    console.log(`Migration completed. ${dealCollisions.length + mismatched.length} collision(s) recorded in trade_order_conflicts.`);
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+runMigration();
@@ -0,0 +1,44 @@
+-- Migration: Add deal timestamps and MT5 charges to ib_trade_history
+-- Reports and filters use close_time instead of synced_at/created_at.
+-- Existing rows are filled from MT5 by migrate-trade-times.js (this file only adds the columns).
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'ib_trade_history' AND column_name = 'open_time'
+  ) THEN
+    ALTER TABLE ib_trade_history ADD COLUMN open_time TIMESTAMP WITH TIME ZONE;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'ib_trade_history' AND column_name = 'close_time'
+  ) THEN
+    ALTER TABLE ib_trade_history ADD COLUMN close_time TIMESTAMP WITH TIME ZONE;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'ib_trade_history' AND column_name = 'mt5_commission'
+  ) THEN
+    ALTER TABLE ib_trade_history ADD COLUMN mt5_commission NUMERIC DEFAULT 0;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'ib_trade_history' AND column_name = 'swap'
+  ) THEN
+    ALTER TABLE ib_trade_history ADD COLUMN swap NUMERIC DEFAULT 0;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'ib_trade_history' AND column_name = 'position_id'
+  ) THEN
+    ALTER TABLE ib_trade_history ADD COLUMN position_id TEXT;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_ib_trade_ib_close_time ON ib_trade_history (ib_request_id, close_time);
+CREATE INDEX IF NOT EXISTS idx_ib_trade_position ON ib_trade_history (account_id, position_id);
@@ -0,0 +1,32 @@
+-- Migration: Scope ib_trade_history uniqueness to (server, account_id, order_id)
+-- order_id used to be UNIQUE across all accounts, so a deal number reused by another
+-- account or MT5 server overwrote the first account's trade through ON CONFLICT (order_id).
+-- Run through migrate-trade-uniqueness.js, which reports existing collisions first.
+
+DO $$
+DECLARE
+  con RECORD;
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'ib_trade_history' AND column_name = 'server'
+  ) THEN
+    ALTER TABLE ib_trade_history ADD COLUMN server TEXT NOT NULL DEFAULT 'default';
+  END IF;
+
+  -- Drop the single-column UNIQUE (order_id) constraint, whatever it was named
+  FOR con IN
+    SELECT c.conname
+    FROM pg_constraint c
+    JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = ANY(c.conkey)
+    WHERE c.conrelid = 'ib_trade_history'::regclass
+      AND c.contype = 'u'
+      AND array_length(c.conkey, 1) = 1
+      AND a.attname = 'order_id'
+  LOOP
+    EXECUTE format('ALTER TABLE ib_trade_history DROP CONSTRAINT %I', con.conname);
+  END LOOP;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS ux_ib_trade_server_account_order ON ib_trade_history (server, account_id, order_id);
+CREATE INDEX IF NOT EXISTS idx_ib_trade_server_order ON ib_trade_history (server, order_id);
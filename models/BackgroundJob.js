@@ -0,0 +1,218 @@
+import { query } from '../config/database.js';
+
+export const JOB_STATUS_VALUES = Object.freeze(['queued', 'running', 'succeeded', 'failed', 'dead']);
+
+/**
+ * Durable job queue.
+ * Workers claim jobs with FOR UPDATE SKIP LOCKED so each job runs on exactly one instance.
+ * A job's dedupe_key is unique while the job is queued or running, so the same unit of work
+ * (e.g. one IB's trade sync) can never be queued twice.
+ */
+export class BackgroundJob {
+  static async createTable() {
+    await query(`
+      CREATE TABLE IF NOT EXISTS background_jobs (
+        id SERIAL PRIMARY KEY,
+        job_type VARCHAR(100) NOT NULL,
+        schedule_name VARCHAR(100),
+        dedupe_key TEXT,
+        payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued','running','succeeded','failed','dead')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 3,
+        run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        locked_by TEXT,
+        locked_at TIMESTAMP WITH TIME ZONE,
+        started_at TIMESTAMP WITH TIME ZONE,
+        finished_at TIMESTAMP WITH TIME ZONE,
+        last_error TEXT,
+        result JSONB,
+        triggered_by TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await query(`CREATE INDEX IF NOT EXISTS idx_background_jobs_claim ON background_jobs (status, run_at, id);`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_background_jobs_type ON background_jobs (job_type, created_at DESC);`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_background_jobs_schedule ON background_jobs (schedule_name, created_at DESC);`);
+    await query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS ux_background_jobs_active_dedupe
+      ON background_jobs (dedupe_key)
+      WHERE status IN ('queued','running');
+    `);
+  }
+
+  /**
+   * Queue a job. Returns null when an active job with the same dedupe key already exists.
+   */
+  static async enqueue(jobType, payload = {}, { dedupeKey = null, runAt = null, maxAttempts = 3, scheduleName = null, triggeredBy = null } = {}) {
+    const result = await query(
+      `INSERT INTO background_jobs (job_type, payload, dedupe_key, run_at, max_attempts, schedule_name, triggered_by)
+       VALUES ($1, $2::jsonb, $3, COALESCE($4::timestamptz, CURRENT_TIMESTAMP), $5, $6, $7)
+       ON CONFLICT (dedupe_key) WHERE status IN ('queued','running') DO NOTHING
+       RETURNING *`,
+      [jobType, JSON.stringify(payload || {}), dedupeKey, runAt, Number(maxAttempts) || 3, scheduleName, triggeredBy]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Claim the next due job for a worker, skipping rows locked by other instances
+   */
+  static async claimNext(workerId, jobTypes = null) {
+    const params = [workerId];
+    let typeFilter = '';
+    if (Array.isArray(jobTypes) && jobTypes.length) {
+      params.push(jobTypes);
+      typeFilter = `AND job_type = ANY($${params.length}::text[])`;
+    }
+    const result = await query(
+      `UPDATE background_jobs
+       SET status = 'running',
+           attempts = attempts + 1,
+           locked_by = $1,
+           locked_at = CURRENT_TIMESTAMP,
+           started_at = CURRENT_TIMESTAMP,
+           finished_at = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = (
+         SELECT id FROM background_jobs
+         WHERE status = 'queued' AND run_at <= CURRENT_TIMESTAMP ${typeFilter}
+         ORDER BY run_at ASC, id ASC
+         FOR UPDATE SKIP LOCKED
+         LIMIT 1
+       )
+       RETURNING *`,
+      params
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Heartbeat: push locked_at forward so recoverStale leaves a long job alone.
+   * Returns false when the worker no longer holds the job.
+   */
+  static async renewLock(id, workerId) {
+    const res = await query(
+      `UPDATE background_jobs
+       SET locked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'running' AND locked_by = $2
+       RETURNING id`,
+      [id, workerId]
+    );
+    return res.rows.length > 0;
+  }
+
+  /**
+   * Only the worker holding the lock can finish a job; returns null when it has lost it
+   * (the job was recovered as stale and possibly claimed again).
+   */
+  static async markSucceeded(id, workerId, result = null) {
+    const res = await query(
+      `UPDATE background_jobs
+       SET status = 'succeeded', result = $3::jsonb, last_error = NULL,
+           locked_by = NULL, locked_at = NULL,
+           finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'running' AND locked_by = $2
+       RETURNING *`,
+      [id, workerId, result === null || result === undefined ? null : JSON.stringify(result)]
+    );
+    return res.rows[0] || null;
+  }
+
+  /**
+   * Record a failed attempt. Re-queues with exponential backoff until max_attempts,
+   * then moves the job to the dead-letter state.
+   * Like markSucceeded, returns null when the worker no longer holds the lock.
+   */
+  static async markFailed(id, workerId, errorMessage, { backoffBaseMs = 30000 } = {}) {
+    const res = await query(
+      `UPDATE background_jobs
+       SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'queued' END,
+           run_at = CASE WHEN attempts >= max_attempts THEN run_at
+                         ELSE CURRENT_TIMESTAMP + ($4::numeric * POWER(2, GREATEST(attempts - 1, 0))) * INTERVAL '1 millisecond' END,
+           last_error = $3,
+           locked_by = NULL, locked_at = NULL,
+           finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'running' AND locked_by = $2
+       RETURNING *`,
+      [id, workerId, String(errorMessage || 'Unknown error').substring(0, 4000), Number(backoffBaseMs)]
+    );
+    return res.rows[0] || null;
+  }
+
+  /**
+   * Jobs left 'running' by a crashed instance are failed so they retry (or dead-letter).
+   * A live worker renews its lock (renewLock), so only jobs without a heartbeat for lockTimeoutMs expire.
+   */
+  static async recoverStale(lockTimeoutMs) {
+    const res = await query(
+      `UPDATE background_jobs
+       SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'queued' END,
+           last_error = 'Lock expired: worker ' || COALESCE(locked_by, 'unknown') || ' did not finish the job',
+           locked_by = NULL, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'running'
+         AND locked_at < CURRENT_TIMESTAMP - ($1::numeric * INTERVAL '1 millisecond')
+       RETURNING id`,
+      [Number(lockTimeoutMs)]
+    );
+    return res.rows.length;
+  }
+
+  /**
+   * Move a dead or failed job back into the queue
+   */
+  static async retry(id) {
+    const res = await query(
+      `UPDATE background_jobs
+       SET status = 'queued', attempts = 0, run_at = CURRENT_TIMESTAMP,
+           last_error = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status IN ('dead','failed')
+       RETURNING *`,
+      [id]
+    );
+    return res.rows[0] || null;
+  }
+
+  static async findById(id) {
+    const res = await query('SELECT * FROM background_jobs WHERE id = $1', [id]);
+    return res.rows[0] || null;
+  }
+
+  static async list({ jobType = null, scheduleName = null, status = null, limit = 50, offset = 0 } = {}) {
+    const params = [];
+    const where = [];
+    if (jobType) {
+      params.push(jobType);
+      where.push(`job_type = $${params.length}`);
+    }
+    if (scheduleName) {
+      params.push(scheduleName);
+      where.push(`schedule_name = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      where.push(`status = $${params.length}`);
+    }
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    const countRes = await query(`SELECT COUNT(*)::int AS count FROM background_jobs ${whereSql}`, params);
+    const listRes = await query(
+      `SELECT * FROM background_jobs ${whereSql}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, Number(limit), Number(offset)]
+    );
+    return { jobs: listRes.rows, total: Number(countRes.rows[0]?.count || 0) };
+  }
+
+  static async getStatusCounts() {
+    const res = await query('SELECT status, COUNT(*)::int AS count FROM background_jobs GROUP BY status');
+    return res.rows.reduce((acc, row) => {
+      acc[row.status] = row.count;
+      return acc;
+    }, Object.fromEntries(JOB_STATUS_VALUES.map(s => [s, 0])));
+  }
+}
+
+export default BackgroundJob;
@@ -0,0 +1,219 @@
+import { query } from '../config/database.js';
+
+export const FUNDING_TYPE_VALUES = ['deposit', 'withdrawal'];
+
+/**
+ * Deposits and withdrawals on referred clients' MT5 accounts, ingested from balance deals.
+ * client_funding_accounts keeps each account's ingestion watermark. A client's first deposit
+ * (FTD) is their earliest deposit on any account.
+ */
+export class ClientFunding {
+  static async createTable() {
+    await query(`
+      CREATE TABLE IF NOT EXISTS client_funding_operations (
+        account_id TEXT NOT NULL,
+        operation_id TEXT NOT NULL,
+        user_id TEXT,
+        ib_request_id INTEGER,
+        type VARCHAR(20) NOT NULL CHECK (type IN ('deposit','withdrawal')),
+        amount NUMERIC NOT NULL CHECK (amount > 0),
+        comment TEXT,
+        operation_time TIMESTAMP WITH TIME ZONE NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (account_id, operation_id)
+      );
+    `);
+    await query('CREATE INDEX IF NOT EXISTS idx_client_funding_ib_time ON client_funding_operations (ib_request_id, operation_time);');
+    await query('CREATE INDEX IF NOT EXISTS idx_client_funding_user ON client_funding_operations (user_id, type, operation_time);');
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS client_funding_accounts (
+        account_id TEXT PRIMARY KEY,
+        user_id TEXT,
+        ib_request_id INTEGER,
+        last_operation_time TIMESTAMP WITH TIME ZONE,
+        synced_at TIMESTAMP WITH TIME ZONE,
+        error TEXT
+      );
+    `);
+  }
+
+  static async getCursor(accountId) {
+    const result = await query('SELECT * FROM client_funding_accounts WHERE account_id = $1', [String(accountId)]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Store normalized balance operations (normalizeBalanceOperation shape) and move the account's watermark.
+   * Returns the number of operations not seen before.
+   */
+  static async recordOperations({ accountId, userId = null, ibRequestId = null }, operations) {
+    const id = String(accountId);
+    let inserted = 0;
+    let newest = null;
+    for (const op of operations) {
+      if (!op.time) continue;
+      const result = await query(
+        `INSERT INTO client_funding_operations (account_id, operation_id, user_id, ib_request_id, type, amount, comment, operation_time)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (account_id, operation_id) DO NOTHING
+         RETURNING operation_id`,
+        [id, op.operationId, userId ? String(userId) : null, ibRequestId, op.type, op.amount, op.comment, op.time]
+      );
+      inserted += result.rows.length;
+      if (!newest || op.time > newest) newest = op.time;
+    }
+
+    await query(
+      `INSERT INTO client_funding_accounts (account_id, user_id, ib_request_id, last_operation_time, synced_at, error)
+       VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, NULL)
+       ON CONFLICT (account_id) DO UPDATE SET
+         user_id = EXCLUDED.user_id,
+         ib_request_id = EXCLUDED.ib_request_id,
+         last_operation_time = GREATEST(client_funding_accounts.last_operation_time, EXCLUDED.last_operation_time),
+         synced_at = EXCLUDED.synced_at,
+         error = NULL`,
+      [id, userId ? String(userId) : null, ibRequestId, newest]
+    );
+    return inserted;
+  }
+
+  static async recordFailure({ accountId, userId = null, ibRequestId = null }, error) {
+    await query(
+      `INSERT INTO client_funding_accounts (account_id, user_id, ib_request_id, synced_at, error)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP, $4)
+       ON CONFLICT (account_id) DO UPDATE SET synced_at = EXCLUDED.synced_at, error = EXCLUDED.error`,
+      [String(accountId), userId ? String(userId) : null, ibRequestId, String(error).substring(0, 1000)]
+    );
+  }
+
+  /**
+   * Funding per client of an IB: deposits, withdrawals, net deposit and first deposit date
+   */
+  static async getClientSummaries(ibRequestId, { userIds = null } = {}) {
+    const params = [ibRequestId];
+    let userFilter = '';
+    if (userIds) {
+      params.push(userIds.map(String));
+      userFilter = `AND f.user_id = ANY($${params.length}::text[])`;
+    }
+    const result = await query(
+      `SELECT f.user_id,
+              COALESCE(SUM(CASE WHEN f.type = 'deposit' THEN f.amount ELSE 0 END), 0) AS deposits,
+              COALESCE(SUM(CASE WHEN f.type = 'withdrawal' THEN f.amount ELSE 0 END), 0) AS withdrawals,
+              COUNT(*) FILTER (WHERE f.type = 'deposit') AS deposit_count,
+              COUNT(*) FILTER (WHERE f.type = 'withdrawal') AS withdrawal_count,
+              (SELECT MIN(d.operation_time) FROM client_funding_operations d
+               WHERE d.user_id = f.user_id AND d.type = 'deposit') AS first_deposit_at,
+              MAX(f.operation_time) AS last_operation_at
+       FROM client_funding_operations f
+       WHERE f.ib_request_id = $1 ${userFilter}
+       GROUP BY f.user_id`,
+      params
+    );
+    return result.rows.map(row => {
+      const deposits = Number(row.deposits || 0);
+      const withdrawals = Number(row.withdrawals || 0);
+      return {
+        userId: row.user_id,
+        deposits,
+        withdrawals,
+        netDeposit: deposits - withdrawals,
+        depositCount: Number(row.deposit_count || 0),
+        withdrawalCount: Number(row.withdrawal_count || 0),
+        firstDepositAt: row.first_deposit_at,
+        lastOperationAt: row.last_operation_at
+      };
+    });
+  }
+
+  /**
+   * Funding totals for an IB's network. With fromDate/toDate the amounts cover that window and
+   * ftdCount counts clients whose first deposit fell in it; otherwise everything to date.
+   */
+  static async getIBSummary(ibRequestId, { fromDate = null, toDate = null } = {}) {
+    const params = [ibRequestId];
+    const bounds = [];
+    if (fromDate) {
+      params.push(fromDate);
+      bounds.push(`>= $${params.length}`);
+    }
+    if (toDate) {
+      params.push(toDate);
+      bounds.push(`<= $${params.length}`);
+    }
+    const within = (column) => bounds.map(b => ` AND ${column} ${b}`).join('');
+
+    const totals = await query(
+      `SELECT COALESCE(SUM(CASE WHEN type = 'deposit' THEN amount ELSE 0 END), 0) AS deposits,
+              COALESCE(SUM(CASE WHEN type = 'withdrawal' THEN amount ELSE 0 END), 0) AS withdrawals,
+              COUNT(DISTINCT user_id) FILTER (WHERE type = 'deposit') AS depositing_clients
+       FROM client_funding_operations
+       WHERE ib_request_id = $1 ${within('operation_time')}`,
+      params
+    );
+    const ftd = await query(
+      `WITH firsts AS (
+         SELECT DISTINCT ON (user_id) user_id, operation_time AS first_deposit_at, amount
+         FROM client_funding_operations
+         WHERE type = 'deposit' AND user_id IN (SELECT DISTINCT user_id FROM client_funding_operations WHERE ib_request_id = $1)
+         ORDER BY user_id, operation_time, operation_id
+       )
+       SELECT COUNT(*) AS ftd_count, COALESCE(SUM(amount), 0) AS ftd_amount
+       FROM firsts
+       WHERE true ${within('first_deposit_at')}`,
+      params
+    );
+    const funded = await query(
+      `SELECT COUNT(DISTINCT user_id) AS funded_clients
+       FROM client_funding_operations
+       WHERE ib_request_id = $1 AND type = 'deposit'`,
+      [ibRequestId]
+    );
+
+    const deposits = Number(totals.rows[0]?.deposits || 0);
+    const withdrawals = Number(totals.rows[0]?.withdrawals || 0);
+    return {
+      fromDate,
+      toDate,
+      deposits,
+      withdrawals,
+      netDeposit: deposits - withdrawals,
+      depositingClients: Number(totals.rows[0]?.depositing_clients || 0),
+      ftdCount: Number(ftd.rows[0]?.ftd_count || 0),
+      ftdAmount: Number(ftd.rows[0]?.ftd_amount || 0),
+      fundedClients: Number(funded.rows[0]?.funded_clients || 0)
+    };
+  }
+
+  /**
+   * Funding block for the IB dashboard and admin profile: all-time totals, the current month
+   * and per-client rows (with the client's email)
+   */
+  static async getOverview(ibRequestId) {
+    const now = new Date();
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+    const [allTime, currentMonth, clients] = await Promise.all([
+      ClientFunding.getIBSummary(ibRequestId),
+      ClientFunding.getIBSummary(ibRequestId, { fromDate: monthStart }),
+      ClientFunding.getClientSummaries(ibRequestId)
+    ]);
+
+    const emails = new Map();
+    const userIds = clients.map(c => c.userId).filter(Boolean);
+    if (userIds.length) {
+      const usersRes = await query('SELECT id::text AS id, email FROM "User" WHERE id::text = ANY($1::text[])', [userIds]);
+      for (const row of usersRes.rows) emails.set(row.id, row.email);
+    }
+
+    return {
+      ...allTime,
+      currentMonth,
+      clients: clients
+        .map(c => ({ ...c, email: emails.get(c.userId) || null }))
+        .sort((a, b) => b.netDeposit - a.netDeposit)
+    };
+  }
+}
+
+export default ClientFunding;
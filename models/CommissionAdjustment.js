@@ -0,0 +1,190 @@
+import { query, withTransaction } from '../config/database.js';
+import { CommissionLedger } from './CommissionLedger.js';
+
+export const ADJUSTMENT_REASON_CODE_VALUES = Object.freeze([
+  'missed_trade', 'rate_correction', 'duplicate_payment', 'goodwill', 'chargeback', 'fraud', 'other'
+]);
+export const ADJUSTMENT_STATUS_VALUES = Object.freeze(['pending_approval', 'approved', 'rejected']);
+
+// Adjustments at or above this amount (either sign) need a second admin's approval
+const APPROVAL_THRESHOLD = Number(process.env.COMMISSION_ADJUSTMENT_APPROVAL_THRESHOLD || 500);
+
+/**
+ * One-off commission credits (amount > 0) and debits (amount < 0) posted by admins. Small ones post
+ * to the commission ledger straight away; large ones wait for a different admin to approve them.
+ */
+export class CommissionAdjustment {
+  static get approvalThreshold() {
+    return APPROVAL_THRESHOLD;
+  }
+
+  static async createTable() {
+    await query(`
+      CREATE TABLE IF NOT EXISTS commission_adjustments (
+        id SERIAL PRIMARY KEY,
+        ib_request_id INTEGER NOT NULL,
+        amount NUMERIC(18,6) NOT NULL CHECK (amount <> 0),
+        reason_code VARCHAR(30) NOT NULL,
+        note TEXT,
+        trade_id TEXT,
+        account_id TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending_approval'
+          CHECK (status IN ('pending_approval','approved','rejected')),
+        requested_by TEXT NOT NULL,
+        decided_by TEXT,
+        decided_at TIMESTAMP WITH TIME ZONE,
+        decision_note TEXT,
+        ledger_entry_id BIGINT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await query('CREATE INDEX IF NOT EXISTS idx_commission_adjustments_ib ON commission_adjustments (ib_request_id, created_at DESC);');
+    await query('CREATE INDEX IF NOT EXISTS idx_commission_adjustments_status ON commission_adjustments (status);');
+  }
+
+  /**
+   * Record an adjustment; posts it to the ledger unless it needs approval. Throws on bad input.
+   */
+  static async create({ ibRequestId, amount, reasonCode, note = null, tradeId = null, accountId = null, requestedBy }) {
+    const value = Number(amount);
+    if (!Number.isFinite(value) || value === 0) throw new Error('amount must be a non-zero number (negative for a debit)');
+    if (!ADJUSTMENT_REASON_CODE_VALUES.includes(reasonCode)) {
+      throw new Error(`reasonCode must be one of ${ADJUSTMENT_REASON_CODE_VALUES.join(', ')}`);
+    }
+    if (reasonCode === 'other' && !(note && String(note).trim())) {
+      throw new Error('A note is required when reasonCode is other');
+    }
+    const ibRes = await query('SELECT id FROM ib_requests WHERE id = $1', [ibRequestId]);
+    if (!ibRes.rows.length) throw new Error('IB not found');
+    if (tradeId) {
+      const tradeRes = await query('SELECT id FROM ib_trade_history WHERE id = $1 AND ib_request_id = $2', [String(tradeId), ibRequestId]);
+      if (!tradeRes.rows.length) throw new Error('Linked trade does not belong to this IB');
+    }
+
+    const needsApproval = Math.abs(value) >= APPROVAL_THRESHOLD;
+    // An adjustment approved on creation is only stored together with its ledger entry
+    return withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO commission_adjustments (ib_request_id, amount, reason_code, note, trade_id, account_id, status, requested_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [
+          ibRequestId, value, reasonCode, note ? String(note).trim() : null, tradeId ? String(tradeId) : null,
+          accountId ? String(accountId) : null, needsApproval ? 'pending_approval' : 'approved', requestedBy
+        ]
+      );
+      const adjustment = result.rows[0];
+      if (needsApproval) return adjustment;
+      return CommissionAdjustment.postToLedger(adjustment, requestedBy, { client });
+    });
+  }
+
+  static async postToLedger(adjustment, actor, { client = null } = {}) {
+    const entry = await CommissionLedger.post({
+      ibRequestId: adjustment.ib_request_id,
+      entryType: 'adjustment',
+      amount: Number(adjustment.amount),
+      tradeId: adjustment.trade_id,
+      accountId: adjustment.account_id,
+      adjustmentId: adjustment.id,
+      description: `${adjustment.reason_code}${adjustment.note ? `: ${adjustment.note}` : ''}`,
+      createdBy: actor
+    }, { client });
+    const updated = await (client || { query }).query(
+      'UPDATE commission_adjustments SET ledger_entry_id = $2 WHERE id = $1 RETURNING *',
+      [adjustment.id, entry.id]
+    );
+    return updated.rows[0];
+  }
+
+  /**
+   * Approve a pending adjustment. The requester cannot approve their own. The status change and the
+   * ledger entry commit together, so a failed post leaves it pending. Returns null if the
+   * adjustment is missing or not pending.
+   */
+  static async approve(id, { decidedBy, note = null }) {
+    const existing = await CommissionAdjustment.findById(id);
+    if (!existing || existing.status !== 'pending_approval') return null;
+    if (existing.requested_by === decidedBy) {
+      throw new Error('A second admin must approve this adjustment');
+    }
+    return withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE commission_adjustments
+         SET status = 'approved', decided_by = $2, decided_at = CURRENT_TIMESTAMP, decision_note = $3
+         WHERE id = $1 AND status = 'pending_approval' AND requested_by <> $2
+         RETURNING *`,
+        [id, decidedBy, note]
+      );
+      if (!result.rows[0]) return null;
+      return CommissionAdjustment.postToLedger(result.rows[0], decidedBy, { client });
+    });
+  }
+
+  static async reject(id, { decidedBy, note = null }) {
+    const result = await query(
+      `UPDATE commission_adjustments
+       SET status = 'rejected', decided_by = $2, decided_at = CURRENT_TIMESTAMP, decision_note = $3
+       WHERE id = $1 AND status = 'pending_approval'
+       RETURNING *`,
+      [id, decidedBy, note]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async findById(id) {
+    const result = await query('SELECT * FROM commission_adjustments WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  static async list({ ibRequestId = null, status = null, limit = 50, offset = 0 } = {}) {
+    const params = [];
+    const where = [];
+    if (ibRequestId) {
+      params.push(ibRequestId);
+      where.push(`a.ib_request_id = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      where.push(`a.status = $${params.length}`);
+    }
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    const countRes = await query(`SELECT COUNT(*)::int AS count FROM commission_adjustments a ${whereSql}`, params);
+    const listRes = await query(
+      `SELECT a.*, ir.full_name AS ib_name, ir.email AS ib_email
+       FROM commission_adjustments a
+       LEFT JOIN ib_requests ir ON ir.id = a.ib_request_id
+       ${whereSql}
+       ORDER BY a.created_at DESC, a.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, Number(limit), Number(offset)]
+    );
+    return { adjustments: listRes.rows, total: Number(countRes.rows[0]?.count || 0) };
+  }
+
+  /**
+   * Approved adjustments as the IB sees them
+   */
+  static async listForIB(ibRequestId, limit = 100) {
+    const result = await query(
+      `SELECT id, amount, reason_code, note, trade_id, account_id, decided_at, created_at
+       FROM commission_adjustments
+       WHERE ib_request_id = $1 AND status = 'approved' AND ledger_entry_id IS NOT NULL
+       ORDER BY created_at DESC
+       LIMIT $2`,
+      [ibRequestId, Number(limit)]
+    );
+    return result.rows.map(row => ({
+      id: row.id,
+      amount: Number(row.amount),
+      type: Number(row.amount) > 0 ? 'credit' : 'debit',
+      reasonCode: row.reason_code,
+      note: row.note,
+      tradeId: row.trade_id,
+      accountId: row.account_id,
+      postedAt: row.decided_at || row.created_at
+    }));
+  }
+}
+
+export default CommissionAdjustment;
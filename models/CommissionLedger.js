@@ -0,0 +1,437 @@
+import { query } from '../config/database.js';
+
+export const LEDGER_ENTRY_TYPE_VALUES = Object.freeze(['accrual', 'reversal', 'adjustment', 'payout', 'clawback']);
+
+/**
+ * Append-only record of every dollar owed to or paid to an IB. Amounts are signed from the IB's
+ * point of view: accruals credit commission earned on a trade, reversals cancel an earlier entry,
+ * payouts debit an approved withdrawal, clawbacks debit recovered commission and adjustments go
+ * either way. Entries are never updated or deleted (a trigger rejects it); corrections are new
+ * entries. Balances, statements and dashboard totals are sums over this table.
+ */
+export class CommissionLedger {
+  static async createTable() {
+    await query(`
+      CREATE TABLE IF NOT EXISTS ib_commission_ledger (
+        id BIGSERIAL PRIMARY KEY,
+        ib_request_id INTEGER NOT NULL,
+        entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('accrual','reversal','adjustment','payout','clawback')),
+        amount NUMERIC(18,6) NOT NULL,
+        fixed_amount NUMERIC(18,6) NOT NULL DEFAULT 0,
+        spread_amount NUMERIC(18,6) NOT NULL DEFAULT 0,
+        trade_id TEXT,
+        trade_seq INTEGER,
+        account_id TEXT,
+        user_id TEXT,
+        withdrawal_id INTEGER,
+        reverses_entry_id BIGINT REFERENCES ib_commission_ledger(id),
+        rate_version_id INTEGER,
+        description TEXT,
+        created_by TEXT,
+        effective_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await query('ALTER TABLE ib_commission_ledger ADD COLUMN IF NOT EXISTS adjustment_id INTEGER;');
+    // Trade entries: 'trade' = the IB's own commission, 'override' = a master IB override on a sub-IB's trade
+    await query("ALTER TABLE ib_commission_ledger ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'trade';");
+    await query('ALTER TABLE ib_commission_ledger ADD COLUMN IF NOT EXISTS source_ib_request_id INTEGER;');
+    await query('ALTER TABLE ib_commission_ledger ADD COLUMN IF NOT EXISTS override_level INTEGER;');
+    // CPA payouts: source = 'cpa', one accrual per cpa_payouts row
+    await query('ALTER TABLE ib_commission_ledger ADD COLUMN IF NOT EXISTS cpa_payout_id INTEGER;');
+    // Revenue share: source = 'revenue_share', one accrual per finalized ib_revenue_share_periods row
+    await query('ALTER TABLE ib_commission_ledger ADD COLUMN IF NOT EXISTS revenue_share_period_id INTEGER;');
+    await query('CREATE INDEX IF NOT EXISTS idx_commission_ledger_ib ON ib_commission_ledger (ib_request_id, effective_at);');
+    await query('CREATE INDEX IF NOT EXISTS idx_commission_ledger_account ON ib_commission_ledger (account_id);');
+    // One posting per (trade, sequence): concurrent accrual runs cannot double-post a trade
+    await query(
+      'CREATE UNIQUE INDEX IF NOT EXISTS ux_commission_ledger_trade_seq ON ib_commission_ledger (trade_id, trade_seq) WHERE trade_id IS NOT NULL AND trade_seq IS NOT NULL;'
+    );
+    // An entry is reversed at most once
+    await query(
+      'CREATE UNIQUE INDEX IF NOT EXISTS ux_commission_ledger_reverses ON ib_commission_ledger (reverses_entry_id) WHERE reverses_entry_id IS NOT NULL;'
+    );
+    await query(
+      "CREATE UNIQUE INDEX IF NOT EXISTS ux_commission_ledger_adjustment ON ib_commission_ledger (adjustment_id) WHERE entry_type = 'adjustment';"
+    );
+    await query(
+      "CREATE UNIQUE INDEX IF NOT EXISTS ux_commission_ledger_cpa ON ib_commission_ledger (cpa_payout_id) WHERE entry_type = 'accrual';"
+    );
+    await query(
+      "CREATE UNIQUE INDEX IF NOT EXISTS ux_commission_ledger_revenue_share ON ib_commission_ledger (revenue_share_period_id) WHERE entry_type = 'accrual';"
+    );
+    // A withdrawal approved again after its payout was reversed gets a new payout; postPayout runs
+    // with the withdrawal row locked and posts only when no unreversed payout exists
+    await query('DROP INDEX IF EXISTS ux_commission_ledger_payout;');
+    await query(
+      'CREATE INDEX IF NOT EXISTS idx_commission_ledger_withdrawal ON ib_commission_ledger (withdrawal_id) WHERE withdrawal_id IS NOT NULL;'
+    );
+    await query(`
+      CREATE OR REPLACE FUNCTION ib_commission_ledger_immutable() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'ib_commission_ledger is append-only; post a reversal instead';
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+    await query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'trg_ib_commission_ledger_immutable') THEN
+          CREATE TRIGGER trg_ib_commission_ledger_immutable
+            BEFORE UPDATE OR DELETE ON ib_commission_ledger
+            FOR EACH ROW EXECUTE FUNCTION ib_commission_ledger_immutable();
+        END IF;
+      END $$;
+    `);
+
+    // Withdrawals approved before the ledger existed
+    const backfilled = await query(`
+      INSERT INTO ib_commission_ledger (ib_request_id, entry_type, amount, withdrawal_id, description, effective_at)
+      SELECT w.ib_request_id, 'payout', -w.amount, w.id, 'Withdrawal #' || w.id || ' (recorded before the ledger)', w.created_at
+      FROM ib_withdrawal_requests w
+      WHERE LOWER(w.status) IN ('paid','completed','approved')
+        AND NOT EXISTS (SELECT 1 FROM ib_commission_ledger l WHERE l.entry_type = 'payout' AND l.withdrawal_id = w.id)
+    `).catch(() => ({ rowCount: 0 }));
+    if (backfilled.rowCount > 0) {
+      console.log(`[CommissionLedger] Backfilled ${backfilled.rowCount} payout(s) for approved withdrawals`);
+    }
+  }
+
+  /**
+   * Post one entry. Accruals must be positive; payouts and clawbacks negative. Pass `client` to
+   * post inside a transaction (see withTransaction).
+   */
+  static async post({
+    ibRequestId, entryType, amount, fixedAmount = 0, spreadAmount = 0, tradeId = null, tradeSeq = null,
+    accountId = null, userId = null, withdrawalId = null, reversesEntryId = null, rateVersionId = null,
+    adjustmentId = null, source = 'trade', cpaPayoutId = null, revenueSharePeriodId = null, description = null, createdBy = null, effectiveAt = null
+  }, { client = null } = {}) {
+    if (!LEDGER_ENTRY_TYPE_VALUES.includes(entryType)) {
+      throw new Error(`entryType must be one of ${LEDGER_ENTRY_TYPE_VALUES.join(', ')}`);
+    }
+    const value = Number(amount);
+    if (!Number.isFinite(value) || value === 0) throw new Error('amount must be a non-zero number');
+    if (entryType === 'accrual' && value < 0) throw new Error('Accruals must be positive');
+    if ((entryType === 'payout' || entryType === 'clawback') && value > 0) {
+      throw new Error(`${entryType} amounts must be negative`);
+    }
+    const result = await (client || { query }).query(
+      `INSERT INTO ib_commission_ledger (
+         ib_request_id, entry_type, amount, fixed_amount, spread_amount, trade_id, trade_seq, account_id, user_id,
+         withdrawal_id, reverses_entry_id, rate_version_id, description, created_by, effective_at, adjustment_id,
+         source, cpa_payout_id, revenue_share_period_id
+       )
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,COALESCE($15, CURRENT_TIMESTAMP),$16,$17,$18,$19)
+       RETURNING *`,
+      [
+        ibRequestId, entryType, value, Number(fixedAmount || 0), Number(spreadAmount || 0), tradeId, tradeSeq,
+        accountId, userId, withdrawalId, reversesEntryId, rateVersionId, description, createdBy, effectiveAt, adjustmentId,
+        source, cpaPayoutId, revenueSharePeriodId
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Post trade accruals and reversals in one statement. A (trade, sequence) already posted by a
+   * concurrent run is skipped. Returns the number of entries written.
+   */
+  static async postTradeEntries(entries) {
+    if (!entries.length) return 0;
+    const col = (key) => entries.map(e => e[key] ?? null);
+    const result = await query(
+      `INSERT INTO ib_commission_ledger (
+         ib_request_id, entry_type, amount, fixed_amount, spread_amount, trade_id, trade_seq, account_id, user_id,
+         rate_version_id, description, effective_at, source, source_ib_request_id, override_level
+       )
+       SELECT * FROM unnest(
+         $1::int[], $2::text[], $3::numeric[], $4::numeric[], $5::numeric[], $6::text[], $7::int[], $8::text[],
+         $9::text[], $10::int[], $11::text[], $12::timestamptz[], $13::text[], $14::int[], $15::int[]
+       )
+       ON CONFLICT (trade_id, trade_seq) WHERE trade_id IS NOT NULL AND trade_seq IS NOT NULL DO NOTHING`,
+      [
+        col('ibRequestId'), col('entryType'), col('amount'), col('fixedAmount'), col('spreadAmount'), col('tradeId'),
+        col('tradeSeq'), col('accountId'), col('userId'), col('rateVersionId'), col('description'), col('effectiveAt'),
+        entries.map(e => e.source || 'trade'), col('sourceIbRequestId'), col('overrideLevel')
+      ]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Net accrued per trade, IB and source:
+   * Map(trade id -> { lastSeq, byKey: Map(`${ib}:${source}` -> { ibRequestId, source, amount, fixed, spread, ... }) })
+   */
+  static async getTradeNets(tradeIds) {
+    const nets = new Map();
+    if (!tradeIds.length) return nets;
+    const result = await query(
+      `SELECT trade_id, ib_request_id, source, SUM(amount) AS amount, SUM(fixed_amount) AS fixed,
+              SUM(spread_amount) AS spread, MAX(trade_seq) AS last_seq,
+              MAX(source_ib_request_id) AS source_ib_request_id, MAX(override_level) AS override_level
+       FROM ib_commission_ledger
+       WHERE trade_id = ANY($1::text[]) AND entry_type IN ('accrual','reversal')
+       GROUP BY trade_id, ib_request_id, source`,
+      [tradeIds.map(String)]
+    );
+    for (const row of result.rows) {
+      if (!nets.has(row.trade_id)) nets.set(row.trade_id, { lastSeq: 0, byKey: new Map() });
+      const net = nets.get(row.trade_id);
+      net.lastSeq = Math.max(net.lastSeq, Number(row.last_seq || 0));
+      net.byKey.set(`${Number(row.ib_request_id)}:${row.source}`, {
+        ibRequestId: Number(row.ib_request_id),
+        source: row.source,
+        amount: Number(row.amount || 0),
+        fixed: Number(row.fixed || 0),
+        spread: Number(row.spread || 0),
+        sourceIbRequestId: row.source_ib_request_id !== null ? Number(row.source_ib_request_id) : null,
+        overrideLevel: row.override_level !== null ? Number(row.override_level) : null
+      });
+    }
+    return nets;
+  }
+
+  /**
+   * Totals by entry type and the resulting balance, optionally within an effective-time window
+   * (fromDate and toDate inclusive, before exclusive).
+   * A reversal counts under the entry type it cancels (trade reversals under accruals).
+   */
+  static async getBalance(ibRequestId, { fromDate = null, toDate = null, before = null } = {}) {
+    const params = [ibRequestId];
+    let where = 'l.ib_request_id = $1';
+    if (fromDate) {
+      params.push(fromDate);
+      where += ` AND l.effective_at >= $${params.length}`;
+    }
+    if (toDate) {
+      params.push(toDate);
+      where += ` AND l.effective_at <= $${params.length}`;
+    }
+    if (before) {
+      params.push(before);
+      where += ` AND l.effective_at < $${params.length}`;
+    }
+    const result = await query(
+      `WITH entries AS (
+         SELECT l.amount, l.fixed_amount, l.spread_amount, l.source,
+                CASE
+                  WHEN l.entry_type = 'reversal' AND l.reverses_entry_id IS NOT NULL THEN r.entry_type
+                  WHEN l.entry_type = 'reversal' THEN 'accrual'
+                  ELSE l.entry_type
+                END AS kind
+         FROM ib_commission_ledger l
+         LEFT JOIN ib_commission_ledger r ON r.id = l.reverses_entry_id
+         WHERE ${where}
+       )
+       SELECT
+         COALESCE(SUM(amount) FILTER (WHERE kind = 'accrual' AND source = 'trade'), 0) AS accrued,
+         COALESCE(SUM(fixed_amount) FILTER (WHERE kind = 'accrual' AND source = 'trade'), 0) AS fixed,
+         COALESCE(SUM(spread_amount) FILTER (WHERE kind = 'accrual' AND source = 'trade'), 0) AS spread,
+         COALESCE(SUM(amount) FILTER (WHERE kind = 'accrual' AND source = 'override'), 0) AS overrides,
+         COALESCE(SUM(amount) FILTER (WHERE kind = 'accrual' AND source = 'cpa'), 0) AS cpa,
+         COALESCE(SUM(amount) FILTER (WHERE kind = 'accrual' AND source = 'revenue_share'), 0) AS revenue_share,
+         COALESCE(SUM(amount) FILTER (WHERE kind = 'adjustment'), 0) AS adjustments,
+         COALESCE(SUM(amount) FILTER (WHERE kind = 'clawback'), 0) AS clawbacks,
+         COALESCE(SUM(amount) FILTER (WHERE kind = 'payout'), 0) AS payouts,
+         COALESCE(SUM(amount), 0) AS balance,
+         COUNT(*)::int AS entries
+       FROM entries`,
+      params
+    );
+    const row = result.rows[0] || {};
+    const num = (v) => Math.round(Number(v || 0) * 1e6) / 1e6;
+    return {
+      accrued: num(row.accrued),
+      fixed: num(row.fixed),
+      spread: num(row.spread),
+      overrides: num(row.overrides),
+      cpa: num(row.cpa),
+      revenueShare: num(row.revenue_share),
+      adjustments: num(row.adjustments),
+      clawbacks: num(row.clawbacks),
+      payouts: num(row.payouts),
+      balance: num(row.balance),
+      entries: Number(row.entries || 0)
+    };
+  }
+
+  /**
+   * Trade commission and master IB overrides (accruals net of reversals) per UTC day of trade close
+   */
+  static async getDaily(ibRequestId, { fromDate = null, toDate = null } = {}) {
+    const params = [ibRequestId];
+    let where = "ib_request_id = $1 AND trade_id IS NOT NULL AND entry_type IN ('accrual','reversal')";
+    if (fromDate) {
+      params.push(fromDate);
+      where += ` AND effective_at >= $${params.length}`;
+    }
+    if (toDate) {
+      params.push(toDate);
+      where += ` AND effective_at <= $${params.length}`;
+    }
+    const result = await query(
+      `SELECT to_char(effective_at AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS day,
+              SUM(fixed_amount) AS fixed, SUM(spread_amount) AS spread,
+              SUM(amount) FILTER (WHERE source = 'override') AS overrides, SUM(amount) AS total
+       FROM ib_commission_ledger
+       WHERE ${where}
+       GROUP BY 1
+       ORDER BY 1`,
+      params
+    );
+    return result.rows.map(row => ({
+      day: row.day,
+      fixed: Number(row.fixed || 0),
+      spread: Number(row.spread || 0),
+      overrides: Number(row.overrides || 0),
+      total: Number(row.total || 0)
+    }));
+  }
+
+  /**
+   * Master IB override earnings grouped by the sub-IB whose clients traded and the level
+   */
+  static async getOverrideBreakdown(ibRequestId, { fromDate = null, toDate = null } = {}) {
+    const params = [ibRequestId];
+    let where = "l.ib_request_id = $1 AND l.source = 'override' AND l.entry_type IN ('accrual','reversal')";
+    if (fromDate) {
+      params.push(fromDate);
+      where += ` AND l.effective_at >= $${params.length}`;
+    }
+    if (toDate) {
+      params.push(toDate);
+      where += ` AND l.effective_at <= $${params.length}`;
+    }
+    const result = await query(
+      `SELECT l.source_ib_request_id, l.override_level, ir.full_name, ir.email,
+              SUM(l.amount) AS amount, COUNT(DISTINCT l.trade_id) FILTER (WHERE l.entry_type = 'accrual') AS trades
+       FROM ib_commission_ledger l
+       LEFT JOIN ib_requests ir ON ir.id = l.source_ib_request_id
+       WHERE ${where}
+       GROUP BY l.source_ib_request_id, l.override_level, ir.full_name, ir.email
+       HAVING ROUND(SUM(l.amount), 6) <> 0
+       ORDER BY l.override_level, amount DESC`,
+      params
+    );
+    return result.rows.map(row => ({
+      subIbRequestId: row.source_ib_request_id !== null ? Number(row.source_ib_request_id) : null,
+      subIbName: row.full_name || null,
+      subIbEmail: row.email || null,
+      level: row.override_level !== null ? Number(row.override_level) : null,
+      amount: Number(row.amount || 0),
+      trades: Number(row.trades || 0)
+    }));
+  }
+
+  static async list(ibRequestId, { entryType = null, fromDate = null, toDate = null, limit = 50, offset = 0 } = {}) {
+    const params = [ibRequestId];
+    let where = 'ib_request_id = $1';
+    if (entryType) {
+      params.push(entryType);
+      where += ` AND entry_type = $${params.length}`;
+    }
+    if (fromDate) {
+      params.push(fromDate);
+      where += ` AND effective_at >= $${params.length}`;
+    }
+    if (toDate) {
+      params.push(toDate);
+      where += ` AND effective_at <= $${params.length}`;
+    }
+    const countRes = await query(`SELECT COUNT(*)::int AS count FROM ib_commission_ledger WHERE ${where}`, params);
+    const listRes = await query(
+      `SELECT * FROM ib_commission_ledger
+       WHERE ${where}
+       ORDER BY effective_at DESC, id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, Number(limit), Number(offset)]
+    );
+    return { entries: listRes.rows, total: Number(countRes.rows[0]?.count || 0) };
+  }
+
+  static async findById(id) {
+    const result = await query('SELECT * FROM ib_commission_ledger WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * The accrual posted for a revenue share period, or null
+   */
+  static async findRevenueShareAccrual(revenueSharePeriodId) {
+    const result = await query(
+      "SELECT * FROM ib_commission_ledger WHERE revenue_share_period_id = $1 AND entry_type = 'accrual'",
+      [revenueSharePeriodId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Cancel an adjustment, clawback or CPA payout with an opposite entry. Trade accruals are
+   * reversed by the engine and payouts by the withdrawal, so those are rejected here.
+   */
+  static async reverse(entry, { description = null, createdBy = null } = {}) {
+    const cpa = entry.entry_type === 'accrual' && entry.source === 'cpa';
+    if (!cpa && !['adjustment', 'clawback'].includes(entry.entry_type)) {
+      throw new Error(`${entry.entry_type} entries cannot be reversed manually`);
+    }
+    return CommissionLedger.post({
+      ibRequestId: entry.ib_request_id,
+      entryType: 'reversal',
+      amount: -Number(entry.amount),
+      accountId: entry.account_id,
+      userId: entry.user_id,
+      reversesEntryId: entry.id,
+      adjustmentId: entry.adjustment_id ?? null,
+      source: entry.source || 'trade',
+      cpaPayoutId: entry.cpa_payout_id ?? null,
+      description: description || `Reverses ${cpa ? 'CPA payout' : entry.entry_type} #${entry.id}`,
+      createdBy
+    });
+  }
+
+  /**
+   * Debit an approved withdrawal. Returns the payout entry, or null if an unreversed payout already
+   * exists (a reversed one does not count, so a re-approval is debited again). Call it in the
+   * transaction that locked the withdrawal row.
+   */
+  static async postPayout(withdrawal, { createdBy = null, client = null } = {}) {
+    const result = await (client || { query }).query(
+      `INSERT INTO ib_commission_ledger (ib_request_id, entry_type, amount, withdrawal_id, description, created_by)
+       SELECT $1, 'payout', $2, $3, $4, $5
+       WHERE NOT EXISTS (
+         SELECT 1 FROM ib_commission_ledger p
+         WHERE p.entry_type = 'payout' AND p.withdrawal_id = $3
+           AND NOT EXISTS (SELECT 1 FROM ib_commission_ledger r WHERE r.reverses_entry_id = p.id)
+       )
+       RETURNING *`,
+      [withdrawal.ib_request_id, -Number(withdrawal.amount), withdrawal.id, `Withdrawal #${withdrawal.id} via ${withdrawal.method}`, createdBy]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Credit back a withdrawal's payout (e.g. rejected after approval). Returns null if there is no
+   * unreversed payout.
+   */
+  static async reversePayout(withdrawal, { createdBy = null, client = null } = {}) {
+    const payoutRes = await (client || { query }).query(
+      `SELECT p.* FROM ib_commission_ledger p
+       WHERE p.entry_type = 'payout' AND p.withdrawal_id = $1
+         AND NOT EXISTS (SELECT 1 FROM ib_commission_ledger r WHERE r.reverses_entry_id = p.id)`,
+      [withdrawal.id]
+    );
+    const payout = payoutRes.rows[0];
+    if (!payout) return null;
+    return CommissionLedger.post({
+      ibRequestId: payout.ib_request_id,
+      entryType: 'reversal',
+      amount: -Number(payout.amount),
+      withdrawalId: withdrawal.id,
+      reversesEntryId: payout.id,
+      description: `Withdrawal #${withdrawal.id} ${withdrawal.status}`,
+      createdBy
+    }, { client });
+  }
+}
+
+export default CommissionLedger;
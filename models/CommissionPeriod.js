@@ -0,0 +1,166 @@
+import { query } from '../config/database.js';
+import { TRADE_CLOSE_TIME_SQL } from './IBTradeHistory.js';
+
+export const COMMISSION_PERIOD_STATUS_VALUES = Object.freeze(['open', 'closed']);
+
+/**
+ * Commission periods (e.g. one per month). Closing a period locks the ib_commission of every
+ * trade that closed inside it, so later rate changes, upgrades or resyncs cannot reprice it.
+ * services/commissionStatements.js closes periods and writes each IB's statement for them.
+ */
+export class CommissionPeriod {
+  static async createTable() {
+    await query(`
+      CREATE TABLE IF NOT EXISTS commission_periods (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        period_start TIMESTAMP WITH TIME ZONE NOT NULL,
+        period_end TIMESTAMP WITH TIME ZONE NOT NULL,
+        status VARCHAR(10) NOT NULL DEFAULT 'open' CHECK (status IN ('open','closed')),
+        trades_locked INTEGER NOT NULL DEFAULT 0,
+        closed_at TIMESTAMP WITH TIME ZONE,
+        closed_by TEXT,
+        created_by TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        CHECK (period_end > period_start),
+        UNIQUE (period_start, period_end)
+      );
+    `);
+    await query('CREATE INDEX IF NOT EXISTS idx_commission_periods_range ON commission_periods (period_start, period_end);');
+  }
+
+  /**
+   * Create a period; [periodStart, periodEnd) must not overlap an existing one
+   */
+  static async create({ name = null, periodStart, periodEnd, createdBy = null }) {
+    const start = new Date(periodStart);
+    const end = new Date(periodEnd);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end <= start) {
+      throw new Error('periodEnd must be after periodStart');
+    }
+    const overlap = await query(
+      'SELECT id, name FROM commission_periods WHERE period_start < $2 AND period_end > $1 LIMIT 1',
+      [start.toISOString(), end.toISOString()]
+    );
+    if (overlap.rows.length > 0) {
+      throw new Error(`Period overlaps existing period ${overlap.rows[0].name}`);
+    }
+    const result = await query(
+      `INSERT INTO commission_periods (name, period_start, period_end, created_by)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [name || start.toISOString().slice(0, 7), start.toISOString(), end.toISOString(), createdBy]
+    );
+    return result.rows[0];
+  }
+
+  static async findById(id) {
+    const result = await query('SELECT * FROM commission_periods WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * The closed period containing `time`, if any
+   */
+  static async findClosedAt(time) {
+    const result = await query(
+      `SELECT * FROM commission_periods
+       WHERE status = 'closed' AND period_start <= $1 AND period_end > $1
+       LIMIT 1`,
+      [new Date(time).toISOString()]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async list({ status = null, limit = 50, offset = 0 } = {}) {
+    const params = [];
+    let where = '';
+    if (status) {
+      params.push(status);
+      where = `WHERE status = $${params.length}`;
+    }
+    const countRes = await query(`SELECT COUNT(*)::int AS count FROM commission_periods ${where}`, params);
+    const listRes = await query(
+      `SELECT * FROM commission_periods ${where}
+       ORDER BY period_start DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, Number(limit), Number(offset)]
+    );
+    return { periods: listRes.rows, total: Number(countRes.rows[0]?.count || 0) };
+  }
+
+  /**
+   * Close a period and lock its trades. beforeLock(period), if given, runs once the period is marked
+   * closed and before its trades are locked (the last chance to reprice them).
+   * Returns null if the period is missing or already closed.
+   */
+  static async close(id, { closedBy = null, beforeLock = null } = {}) {
+    const periodRes = await query(
+      `UPDATE commission_periods
+       SET status = 'closed', closed_at = CURRENT_TIMESTAMP, closed_by = $2
+       WHERE id = $1 AND status = 'open'
+       RETURNING *`,
+      [id, closedBy]
+    );
+    const period = periodRes.rows[0];
+    if (!period) return null;
+
+    if (beforeLock) await beforeLock(period);
+    const locked = await CommissionPeriod.lockTrades(period);
+    const updated = await query(
+      'UPDATE commission_periods SET trades_locked = trades_locked + $2 WHERE id = $1 RETURNING *',
+      [id, locked]
+    );
+    console.log(`[CommissionPeriod] Closed ${period.name}: ${locked} trade(s) locked`);
+    return updated.rows[0];
+  }
+
+  /**
+   * Lock unlocked trades that closed inside a closed period (also used for late-synced trades)
+   */
+  static async lockTrades(period, { accountId = null } = {}) {
+    const params = [period.id, period.period_start, period.period_end];
+    let accountFilter = '';
+    if (accountId) {
+      params.push(String(accountId));
+      accountFilter = `AND account_id = $${params.length}`;
+    }
+    const result = await query(
+      `UPDATE ib_trade_history
+       SET commission_locked_at = CURRENT_TIMESTAMP, commission_period_id = $1
+       WHERE commission_locked_at IS NULL
+         AND ${TRADE_CLOSE_TIME_SQL} >= $2 AND ${TRADE_CLOSE_TIME_SQL} < $3
+         ${accountFilter}`,
+      params
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Lock an account's late-synced trades into the closed periods they belong to
+   */
+  static async lockLateTrades(accountId) {
+    const closed = await query(
+      `SELECT p.* FROM commission_periods p
+       WHERE p.status = 'closed'
+         AND EXISTS (
+           SELECT 1 FROM ib_trade_history t
+           WHERE t.account_id = $1 AND t.commission_locked_at IS NULL
+             AND COALESCE(t.close_time, t.synced_at) >= p.period_start
+             AND COALESCE(t.close_time, t.synced_at) < p.period_end
+         )`,
+      [String(accountId)]
+    );
+    let locked = 0;
+    for (const period of closed.rows) {
+      const count = await CommissionPeriod.lockTrades(period, { accountId });
+      if (count > 0) {
+        await query('UPDATE commission_periods SET trades_locked = trades_locked + $2 WHERE id = $1', [period.id, count]);
+        locked += count;
+      }
+    }
+    return locked;
+  }
+}
+
+export default CommissionPeriod;
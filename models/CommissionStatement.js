@@ -0,0 +1,204 @@
+import { query } from '../config/database.js';
+import { CommissionLedger } from './CommissionLedger.js';
+
+/**
+ * One statement per IB per closed commission period: the IB's ledger for [period_start, period_end)
+ * frozen at close time. Trade commission is broken down per account, MT5 group and symbol (from the
+ * trade entries joined to ib_trade_history); overrides, CPA, revenue share, adjustments, clawbacks
+ * and payouts are period totals. Rows are written once and never change (a trigger rejects it).
+ */
+export class CommissionStatement {
+  static async createTable() {
+    await query(`
+      CREATE TABLE IF NOT EXISTS commission_statements (
+        id SERIAL PRIMARY KEY,
+        period_id INTEGER NOT NULL REFERENCES commission_periods(id),
+        ib_request_id INTEGER NOT NULL,
+        ib_name TEXT,
+        ib_email TEXT,
+        period_name VARCHAR(100),
+        period_start TIMESTAMP WITH TIME ZONE NOT NULL,
+        period_end TIMESTAMP WITH TIME ZONE NOT NULL,
+        opening_balance NUMERIC(18,6) NOT NULL DEFAULT 0,
+        trades INTEGER NOT NULL DEFAULT 0,
+        lots NUMERIC(18,4) NOT NULL DEFAULT 0,
+        fixed_commission NUMERIC(18,6) NOT NULL DEFAULT 0,
+        spread_commission NUMERIC(18,6) NOT NULL DEFAULT 0,
+        trade_commission NUMERIC(18,6) NOT NULL DEFAULT 0,
+        overrides NUMERIC(18,6) NOT NULL DEFAULT 0,
+        cpa NUMERIC(18,6) NOT NULL DEFAULT 0,
+        revenue_share NUMERIC(18,6) NOT NULL DEFAULT 0,
+        adjustments NUMERIC(18,6) NOT NULL DEFAULT 0,
+        clawbacks NUMERIC(18,6) NOT NULL DEFAULT 0,
+        payouts NUMERIC(18,6) NOT NULL DEFAULT 0,
+        closing_balance NUMERIC(18,6) NOT NULL DEFAULT 0,
+        by_account JSONB NOT NULL DEFAULT '[]'::jsonb,
+        by_group JSONB NOT NULL DEFAULT '[]'::jsonb,
+        by_symbol JSONB NOT NULL DEFAULT '[]'::jsonb,
+        generated_by TEXT,
+        generated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (period_id, ib_request_id)
+      );
+    `);
+    await query('CREATE INDEX IF NOT EXISTS idx_commission_statements_ib ON commission_statements (ib_request_id, period_start DESC);');
+    await query(`
+      CREATE OR REPLACE FUNCTION commission_statements_immutable() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'commission_statements are locked once generated';
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+    await query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'trg_commission_statements_immutable') THEN
+          CREATE TRIGGER trg_commission_statements_immutable
+            BEFORE UPDATE OR DELETE ON commission_statements
+            FOR EACH ROW EXECUTE FUNCTION commission_statements_immutable();
+        END IF;
+      END $$;
+    `);
+  }
+
+  /**
+   * IBs with ledger activity inside the period that do not have a statement for it yet
+   */
+  static async listMissingIBs(period) {
+    const result = await query(
+      `SELECT DISTINCT l.ib_request_id
+       FROM ib_commission_ledger l
+       WHERE l.effective_at >= $2 AND l.effective_at < $3
+         AND NOT EXISTS (
+           SELECT 1 FROM commission_statements s WHERE s.period_id = $1 AND s.ib_request_id = l.ib_request_id
+         )
+       ORDER BY l.ib_request_id`,
+      [period.id, period.period_start, period.period_end]
+    );
+    return result.rows.map(row => Number(row.ib_request_id));
+  }
+
+  /**
+   * Build and store the IB's statement for a closed period. Returns the statement, or null when
+   * one already exists.
+   */
+  static async snapshot(period, ibRequestId, { generatedBy = null } = {}) {
+    const [opening, inPeriod, tradesRes, ibRes] = await Promise.all([
+      CommissionLedger.getBalance(ibRequestId, { before: period.period_start }),
+      CommissionLedger.getBalance(ibRequestId, { fromDate: period.period_start, before: period.period_end }),
+      query(
+        `WITH nets AS (
+           SELECT l.trade_id, SUM(l.amount) AS total, SUM(l.fixed_amount) AS fixed, SUM(l.spread_amount) AS spread
+           FROM ib_commission_ledger l
+           WHERE l.ib_request_id = $1 AND l.source = 'trade' AND l.trade_id IS NOT NULL
+             AND l.effective_at >= $2 AND l.effective_at < $3
+           GROUP BY l.trade_id
+         )
+         SELECT n.trade_id, n.total, n.fixed, n.spread, t.account_id, t.group_id, t.symbol, t.volume_lots, t.profit
+         FROM nets n
+         LEFT JOIN ib_trade_history t ON t.id = n.trade_id
+         WHERE n.total <> 0 OR n.fixed <> 0`,
+        [ibRequestId, period.period_start, period.period_end]
+      ),
+      query('SELECT full_name, email FROM ib_requests WHERE id = $1', [ibRequestId])
+    ]);
+
+    const dimensions = { account: new Map(), group: new Map(), symbol: new Map() };
+    let lots = 0;
+    for (const row of tradesRes.rows) {
+      const tradeLots = Number(row.volume_lots || 0);
+      lots += tradeLots;
+      const keys = { account: row.account_id, group: row.group_id, symbol: row.symbol };
+      for (const [dimension, rawKey] of Object.entries(keys)) {
+        const key = rawKey ? String(rawKey) : '-';
+        const bucket = dimensions[dimension].get(key) || { key, trades: 0, lots: 0, fixed: 0, spread: 0, total: 0, profit: 0 };
+        bucket.trades += 1;
+        bucket.lots += tradeLots;
+        bucket.fixed += Number(row.fixed || 0);
+        bucket.spread += Number(row.spread || 0);
+        bucket.total += Number(row.total || 0);
+        bucket.profit += Number(row.profit || 0);
+        dimensions[dimension].set(key, bucket);
+      }
+    }
+    const rows = (map) => Array.from(map.values())
+      .map(b => ({
+        ...b,
+        lots: Math.round(b.lots * 10000) / 10000,
+        fixed: Math.round(b.fixed * 1e6) / 1e6,
+        spread: Math.round(b.spread * 1e6) / 1e6,
+        total: Math.round(b.total * 1e6) / 1e6,
+        profit: Math.round(b.profit * 100) / 100
+      }))
+      .sort((a, b) => b.total - a.total || a.key.localeCompare(b.key));
+
+    const ib = ibRes.rows[0] || {};
+    const result = await query(
+      `INSERT INTO commission_statements (
+         period_id, ib_request_id, ib_name, ib_email, period_name, period_start, period_end, opening_balance,
+         trades, lots, fixed_commission, spread_commission, trade_commission, overrides, cpa, revenue_share,
+         adjustments, clawbacks, payouts, closing_balance, by_account, by_group, by_symbol, generated_by
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20,
+               $21::jsonb, $22::jsonb, $23::jsonb, $24)
+       ON CONFLICT (period_id, ib_request_id) DO NOTHING
+       RETURNING *`,
+      [
+        period.id, ibRequestId, ib.full_name || null, ib.email || null, period.name, period.period_start, period.period_end,
+        opening.balance, tradesRes.rows.length, Math.round(lots * 10000) / 10000, inPeriod.fixed, inPeriod.spread,
+        inPeriod.accrued, inPeriod.overrides, inPeriod.cpa, inPeriod.revenueShare, inPeriod.adjustments,
+        inPeriod.clawbacks, inPeriod.payouts, opening.balance + inPeriod.balance,
+        JSON.stringify(rows(dimensions.account)), JSON.stringify(rows(dimensions.group)),
+        JSON.stringify(rows(dimensions.symbol)), generatedBy
+      ]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async findForIB(periodId, ibRequestId) {
+    const result = await query(
+      'SELECT * FROM commission_statements WHERE period_id = $1 AND ib_request_id = $2',
+      [periodId, ibRequestId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * An IB's statements, newest period first (without the breakdowns)
+   */
+  static async listForIB(ibRequestId, { limit = 24, offset = 0 } = {}) {
+    const [countRes, listRes] = await Promise.all([
+      query('SELECT COUNT(*)::int AS count FROM commission_statements WHERE ib_request_id = $1', [ibRequestId]),
+      query(
+        `SELECT id, period_id, period_name, period_start, period_end, opening_balance, trades, lots, trade_commission,
+                overrides, cpa, revenue_share, adjustments, clawbacks, payouts, closing_balance, generated_at
+         FROM commission_statements
+         WHERE ib_request_id = $1
+         ORDER BY period_start DESC
+         LIMIT $2 OFFSET $3`,
+        [ibRequestId, Number(limit), Number(offset)]
+      )
+    ]);
+    return { statements: listRes.rows, total: Number(countRes.rows[0]?.count || 0) };
+  }
+
+  /**
+   * A period's statements, one per IB (without the breakdowns)
+   */
+  static async listForPeriod(periodId, { limit = 50, offset = 0 } = {}) {
+    const [countRes, listRes] = await Promise.all([
+      query('SELECT COUNT(*)::int AS count FROM commission_statements WHERE period_id = $1', [periodId]),
+      query(
+        `SELECT id, ib_request_id, ib_name, ib_email, opening_balance, trades, lots, trade_commission, overrides, cpa,
+                revenue_share, adjustments, clawbacks, payouts, closing_balance, generated_at
+         FROM commission_statements
+         WHERE period_id = $1
+         ORDER BY ib_request_id
+         LIMIT $2 OFFSET $3`,
+        [periodId, Number(limit), Number(offset)]
+      )
+    ]);
+    return { statements: listRes.rows, total: Number(countRes.rows[0]?.count || 0) };
+  }
+}
+
+export default CommissionStatement;
@@ -0,0 +1,232 @@
+import { query } from '../config/database.js';
+
+/**
+ * CPA (cost per acquisition) plans: a fixed payout to the IB when a referred client qualifies.
+ * A plan's rules are all optional but at least one must be set; a client qualifies when every set
+ * rule passes:
+ *   minFirstDeposit     - the client's first deposit is at least this amount
+ *   minLots             - the client traded at least this many lots (closed deals) ...
+ *   lotsWithinDays      - ... within this many days of being referred (all time when unset)
+ *   requireRealAccount  - the client has a non-demo MT5 account
+ * IBs are put on a plan through ib_cpa_plans. cpa_payouts holds one row per client ever paid
+ * (UNIQUE user_id), with the evidence the qualification was based on.
+ */
+export class CpaPlan {
+  static async createTable() {
+    await query(`
+      CREATE TABLE IF NOT EXISTS cpa_plans (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL UNIQUE,
+        payout_amount NUMERIC(12,2) NOT NULL CHECK (payout_amount > 0),
+        min_first_deposit NUMERIC(12,2),
+        min_lots NUMERIC(12,2),
+        lots_within_days INTEGER,
+        require_real_account BOOLEAN NOT NULL DEFAULT false,
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        created_by TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await query(`
+      CREATE TABLE IF NOT EXISTS ib_cpa_plans (
+        ib_request_id INTEGER PRIMARY KEY REFERENCES ib_requests(id) ON DELETE CASCADE,
+        cpa_plan_id INTEGER NOT NULL REFERENCES cpa_plans(id),
+        assigned_by TEXT,
+        assigned_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await query(`
+      CREATE TABLE IF NOT EXISTS cpa_payouts (
+        id SERIAL PRIMARY KEY,
+        ib_request_id INTEGER NOT NULL,
+        user_id TEXT NOT NULL UNIQUE,
+        cpa_plan_id INTEGER NOT NULL REFERENCES cpa_plans(id),
+        amount NUMERIC(12,2) NOT NULL,
+        evidence JSONB NOT NULL DEFAULT '{}'::jsonb,
+        ledger_entry_id BIGINT,
+        qualified_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await query('CREATE INDEX IF NOT EXISTS idx_cpa_payouts_ib ON cpa_payouts (ib_request_id, qualified_at DESC);');
+  }
+
+  /**
+   * Validate plan fields (camelCase). `partial` skips required-field checks for updates. Throws on bad input.
+   */
+  static normalize(data, { partial = false } = {}) {
+    const out = {};
+    const number = (field, { integer = false, positive = false } = {}) => {
+      const raw = data[field];
+      if (raw === undefined) return undefined;
+      if (raw === null || raw === '') return null;
+      const value = Number(raw);
+      if (!Number.isFinite(value) || value < 0 || (positive && value === 0) || (integer && !Number.isInteger(value))) {
+        throw new Error(`${field} must be a ${positive ? 'positive' : 'non-negative'} ${integer ? 'whole number' : 'number'}`);
+      }
+      return value;
+    };
+    if (data.name !== undefined) {
+      if (!String(data.name || '').trim()) throw new Error('name is required');
+      out.name = String(data.name).trim();
+    } else if (!partial) {
+      throw new Error('name is required');
+    }
+    const payout = number('payoutAmount', { positive: true });
+    if (payout === null || (payout === undefined && !partial)) throw new Error('payoutAmount must be a positive number');
+    if (payout !== undefined) out.payoutAmount = payout;
+    for (const field of ['minFirstDeposit', 'minLots']) {
+      const value = number(field);
+      if (value !== undefined) out[field] = value;
+    }
+    const days = number('lotsWithinDays', { integer: true, positive: true });
+    if (days !== undefined) out.lotsWithinDays = days;
+    if (data.requireRealAccount !== undefined) out.requireRealAccount = data.requireRealAccount === true || data.requireRealAccount === 'true';
+    if (data.isActive !== undefined) out.isActive = data.isActive === true || data.isActive === 'true';
+    return out;
+  }
+
+  static async create(data, { createdBy = null } = {}) {
+    const plan = CpaPlan.normalize(data);
+    if (plan.minFirstDeposit == null && plan.minLots == null && !plan.requireRealAccount) {
+      throw new Error('Set at least one qualification rule: minFirstDeposit, minLots or requireRealAccount');
+    }
+    const result = await query(
+      `INSERT INTO cpa_plans (name, payout_amount, min_first_deposit, min_lots, lots_within_days, require_real_account, is_active, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        plan.name, plan.payoutAmount, plan.minFirstDeposit ?? null, plan.minLots ?? null, plan.lotsWithinDays ?? null,
+        plan.requireRealAccount ?? false, plan.isActive ?? true, createdBy
+      ]
+    );
+    return result.rows[0];
+  }
+
+  static async update(id, data) {
+    const existing = await CpaPlan.findById(id);
+    if (!existing) return null;
+    const changes = CpaPlan.normalize(data, { partial: true });
+    const merged = {
+      name: changes.name ?? existing.name,
+      payoutAmount: changes.payoutAmount ?? Number(existing.payout_amount),
+      minFirstDeposit: changes.minFirstDeposit !== undefined ? changes.minFirstDeposit : existing.min_first_deposit,
+      minLots: changes.minLots !== undefined ? changes.minLots : existing.min_lots,
+      lotsWithinDays: changes.lotsWithinDays !== undefined ? changes.lotsWithinDays : existing.lots_within_days,
+      requireRealAccount: changes.requireRealAccount ?? existing.require_real_account,
+      isActive: changes.isActive ?? existing.is_active
+    };
+    if (merged.minFirstDeposit == null && merged.minLots == null && !merged.requireRealAccount) {
+      throw new Error('Set at least one qualification rule: minFirstDeposit, minLots or requireRealAccount');
+    }
+    const result = await query(
+      `UPDATE cpa_plans
+       SET name = $2, payout_amount = $3, min_first_deposit = $4, min_lots = $5, lots_within_days = $6,
+           require_real_account = $7, is_active = $8, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [
+        id, merged.name, merged.payoutAmount, merged.minFirstDeposit, merged.minLots, merged.lotsWithinDays,
+        merged.requireRealAccount, merged.isActive
+      ]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async findById(id) {
+    const result = await query('SELECT * FROM cpa_plans WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  static async list() {
+    const result = await query(
+      `SELECT p.*,
+              (SELECT COUNT(*)::int FROM ib_cpa_plans a WHERE a.cpa_plan_id = p.id) AS ib_count,
+              (SELECT COUNT(*)::int FROM cpa_payouts c WHERE c.cpa_plan_id = p.id) AS payout_count
+       FROM cpa_plans p
+       ORDER BY p.name`
+    );
+    return result.rows;
+  }
+
+  /**
+   * Put an IB on a plan, or take it off (planId null). Returns the assignment or null.
+   */
+  static async assign(ibRequestId, planId, { assignedBy = null } = {}) {
+    if (planId === null) {
+      await query('DELETE FROM ib_cpa_plans WHERE ib_request_id = $1', [ibRequestId]);
+      return null;
+    }
+    const plan = await CpaPlan.findById(planId);
+    if (!plan) throw new Error('CPA plan not found');
+    const result = await query(
+      `INSERT INTO ib_cpa_plans (ib_request_id, cpa_plan_id, assigned_by)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (ib_request_id) DO UPDATE SET
+         cpa_plan_id = EXCLUDED.cpa_plan_id, assigned_by = EXCLUDED.assigned_by, assigned_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [ibRequestId, planId, assignedBy]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * The active plan an IB is on, or null
+   */
+  static async getForIB(ibRequestId) {
+    const result = await query(
+      `SELECT p.* FROM ib_cpa_plans a
+       JOIN cpa_plans p ON p.id = a.cpa_plan_id
+       WHERE a.ib_request_id = $1 AND p.is_active = true`,
+      [ibRequestId]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async getPaidUserIds(userIds) {
+    if (!userIds.length) return new Set();
+    const result = await query('SELECT user_id FROM cpa_payouts WHERE user_id = ANY($1::text[])', [userIds.map(String)]);
+    return new Set(result.rows.map(row => String(row.user_id)));
+  }
+
+  /**
+   * Record a client's payout. Returns null when the client was already paid (by any IB).
+   */
+  static async recordPayout({ ibRequestId, userId, plan, evidence }, { client = null } = {}) {
+    const result = await (client || { query }).query(
+      `INSERT INTO cpa_payouts (ib_request_id, user_id, cpa_plan_id, amount, evidence)
+       VALUES ($1, $2, $3, $4, $5::jsonb)
+       ON CONFLICT (user_id) DO NOTHING
+       RETURNING *`,
+      [ibRequestId, String(userId), plan.id, Number(plan.payout_amount), JSON.stringify(evidence)]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async setLedgerEntry(payoutId, entryId, { client = null } = {}) {
+    await (client || { query }).query('UPDATE cpa_payouts SET ledger_entry_id = $2 WHERE id = $1', [payoutId, entryId]);
+  }
+
+  static async listPayouts({ ibRequestId = null, limit = 50, offset = 0 } = {}) {
+    const params = [];
+    let where = '';
+    if (ibRequestId) {
+      params.push(ibRequestId);
+      where = `WHERE c.ib_request_id = $${params.length}`;
+    }
+    const countRes = await query(`SELECT COUNT(*)::int AS count FROM cpa_payouts c ${where}`, params);
+    const listRes = await query(
+      `SELECT c.*, p.name AS plan_name, u.email AS client_email
+       FROM cpa_payouts c
+       JOIN cpa_plans p ON p.id = c.cpa_plan_id
+       LEFT JOIN "User" u ON u.id::text = c.user_id
+       ${where}
+       ORDER BY c.qualified_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, Number(limit), Number(offset)]
+    );
+    return { payouts: listRes.rows, total: Number(countRes.rows[0]?.count || 0) };
+  }
+}
+
+export default CpaPlan;
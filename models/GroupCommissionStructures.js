@@ -1,4 +1,32 @@
-import { query } from '../config/database.js';
+import { query, withTransaction } from '../config/database.js';
+
+export const OVERRIDE_MATCH_TYPES = ['symbol', 'category'];
+// Deepest upline level a structure can pay overrides to
+export const MAX_UPLINE_LEVELS = 10;
+
+const nullableNumber = (v) => (v === null || v === undefined ? null : Number(v));
+// A structure row's eligibility rules, or null when it has none
+const eligibilityOf = (row) => {
+  const rules = {
+    minHoldSeconds: nullableNumber(row.min_hold_seconds),
+    minPriceMovePoints: nullableNumber(row.min_price_move_points),
+    shortTradeSeconds: nullableNumber(row.short_trade_seconds),
+    maxShortTradePercentage: nullableNumber(row.max_short_trade_percentage)
+  };
+  return Object.values(rules).some(v => v !== null) ? rules : null;
+};
+// The pricing rules a structure row (or rule history row) carries, as the engine reads them
+const pricingRulesOf = (row) => ({
+  overrides: Array.isArray(row.overrides) ? row.overrides : [],
+  uplineRules: Array.isArray(row.upline_rules) ? row.upline_rules : [],
+  maxPayoutPerLot: row.max_payout_per_lot !== null ? Number(row.max_payout_per_lot) : null,
+  revenueSharePct: Number(row.revenue_share_percentage || 0),
+  eligibility: eligibilityOf(row)
+});
+const RULE_COLUMNS = [
+  'overrides', 'upline_rules', 'max_payout_per_lot', 'revenue_share_percentage', 'min_hold_seconds',
+  'min_price_move_points', 'short_trade_seconds', 'max_short_trade_percentage'
+].join(', ');
 
 export class GroupCommissionStructures {
   static async createTable() {
@@ -45,6 +73,54 @@ export class GroupCommissionStructures {
         ) THEN
           ALTER TABLE group_commission_structures ADD COLUMN min_active_clients INTEGER;
         END IF;
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'group_commission_structures' AND column_name = 'overrides'
+        ) THEN
+          ALTER TABLE group_commission_structures ADD COLUMN overrides JSONB NOT NULL DEFAULT '[]'::jsonb;
+        END IF;
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'group_commission_structures' AND column_name = 'upline_rules'
+        ) THEN
+          ALTER TABLE group_commission_structures ADD COLUMN upline_rules JSONB NOT NULL DEFAULT '[]'::jsonb;
+        END IF;
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'group_commission_structures' AND column_name = 'max_payout_per_lot'
+        ) THEN
+          ALTER TABLE group_commission_structures ADD COLUMN max_payout_per_lot DECIMAL(10,2);
+        END IF;
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'group_commission_structures' AND column_name = 'revenue_share_percentage'
+        ) THEN
+          ALTER TABLE group_commission_structures ADD COLUMN revenue_share_percentage DECIMAL(5,2) NOT NULL DEFAULT 0.00;
+        END IF;
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'group_commission_structures' AND column_name = 'min_hold_seconds'
+        ) THEN
+          ALTER TABLE group_commission_structures ADD COLUMN min_hold_seconds INTEGER;
+        END IF;
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'group_commission_structures' AND column_name = 'min_price_move_points'
+        ) THEN
+          ALTER TABLE group_commission_structures ADD COLUMN min_price_move_points DECIMAL(12,2);
+        END IF;
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'group_commission_structures' AND column_name = 'short_trade_seconds'
+        ) THEN
+          ALTER TABLE group_commission_structures ADD COLUMN short_trade_seconds INTEGER;
+        END IF;
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'group_commission_structures' AND column_name = 'max_short_trade_percentage'
+        ) THEN
+          ALTER TABLE group_commission_structures ADD COLUMN max_short_trade_percentage DECIMAL(5,2);
+        END IF;
       END $$;
     `);
 
@@ -57,6 +133,211 @@ export class GroupCommissionStructures {
     await query(`CREATE INDEX IF NOT EXISTS idx_commission_structures_group ON group_commission_structures(group_id);`).catch(()=>{});
     // Enforce unique level per group
     await query(`CREATE UNIQUE INDEX IF NOT EXISTS ux_commission_group_level ON group_commission_structures(group_id, level_order);`).catch(()=>{});
+
+    // Every set of pricing rules (overrides, upline rules, payout cap, revenue share, eligibility) a
+    // structure ever had, with valid_from/valid_to like ib_group_assignment_history, so a deal is
+    // priced with the rules in force at its close time. Kept when the structure is deleted.
+    await query(`
+      CREATE TABLE IF NOT EXISTS group_commission_structure_rule_history (
+        id SERIAL PRIMARY KEY,
+        structure_id INTEGER NOT NULL,
+        overrides JSONB NOT NULL DEFAULT '[]'::jsonb,
+        upline_rules JSONB NOT NULL DEFAULT '[]'::jsonb,
+        max_payout_per_lot DECIMAL(10,2),
+        revenue_share_percentage DECIMAL(5,2) NOT NULL DEFAULT 0.00,
+        min_hold_seconds INTEGER,
+        min_price_move_points DECIMAL(12,2),
+        short_trade_seconds INTEGER,
+        max_short_trade_percentage DECIMAL(5,2),
+        valid_from TIMESTAMP WITH TIME ZONE,
+        valid_to TIMESTAMP WITH TIME ZONE,
+        changed_by TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await query('CREATE INDEX IF NOT EXISTS idx_structure_rule_history_structure ON group_commission_structure_rule_history (structure_id, valid_from);');
+    // Rules set before versioning are in force since the start
+    await query(`
+      INSERT INTO group_commission_structure_rule_history (structure_id, ${RULE_COLUMNS}, valid_from, changed_by)
+      SELECT id, ${RULE_COLUMNS}, NULL, 'system'
+      FROM group_commission_structures s
+      WHERE NOT EXISTS (SELECT 1 FROM group_commission_structure_rule_history h WHERE h.structure_id = s.id)
+    `);
+  }
+
+  /**
+   * Make the structure's current pricing rules the version in force from `effectiveFrom` (default
+   * now): an unchanged set is left alone, otherwise the open version is closed and a new one
+   * started. Call after every change to the rule columns. Returns the open version.
+   */
+  static async recordRuleVersion(structureId, { effectiveFrom = null, changedBy = null } = {}) {
+    const from = effectiveFrom ? new Date(effectiveFrom) : new Date();
+    return withTransaction(async (client) => {
+      const structureRes = await client.query(
+        `SELECT id, ${RULE_COLUMNS} FROM group_commission_structures WHERE id = $1 FOR UPDATE`,
+        [structureId]
+      );
+      const structure = structureRes.rows[0];
+      if (!structure) return null;
+      const openRes = await client.query(
+        'SELECT * FROM group_commission_structure_rule_history WHERE structure_id = $1 AND valid_to IS NULL ORDER BY id DESC LIMIT 1',
+        [structureId]
+      );
+      const open = openRes.rows[0];
+      if (open && JSON.stringify(pricingRulesOf(open)) === JSON.stringify(pricingRulesOf(structure))) return open;
+
+      let hasHistory = Boolean(open);
+      if (open) {
+        await client.query('UPDATE group_commission_structure_rule_history SET valid_to = $2 WHERE id = $1', [open.id, from.toISOString()]);
+      } else {
+        const prior = await client.query('SELECT 1 FROM group_commission_structure_rule_history WHERE structure_id = $1 LIMIT 1', [structureId]);
+        hasHistory = prior.rows.length > 0;
+      }
+      const result = await client.query(
+        `INSERT INTO group_commission_structure_rule_history (structure_id, ${RULE_COLUMNS}, valid_from, changed_by)
+         SELECT id, ${RULE_COLUMNS}, $2, $3 FROM group_commission_structures WHERE id = $1
+         RETURNING *`,
+        [structureId, hasHistory ? from.toISOString() : null, changedBy]
+      );
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * A structure's pricing rule versions, newest first
+   */
+  static async getRuleHistory(structureId) {
+    const result = await query(
+      `SELECT * FROM group_commission_structure_rule_history
+       WHERE structure_id = $1
+       ORDER BY valid_from DESC NULLS LAST, id DESC`,
+      [structureId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Validate per-symbol / per-category overrides. Each entry is
+   * { matchType: 'symbol'|'category', match, usdPerLot?, spreadSharePercentage?, excluded? };
+   * excluded means the structure pays no commission on matching trades. Throws on bad input.
+   */
+  static normalizeOverrides(overrides) {
+    if (overrides === undefined || overrides === null) return [];
+    if (!Array.isArray(overrides)) throw new Error('overrides must be an array');
+    const seen = new Set();
+    return overrides.map((entry, index) => {
+      const matchType = String(entry?.matchType || '').toLowerCase();
+      if (!OVERRIDE_MATCH_TYPES.includes(matchType)) {
+        throw new Error(`overrides[${index}].matchType must be one of ${OVERRIDE_MATCH_TYPES.join(', ')}`);
+      }
+      const match = String(entry?.match ?? '').trim();
+      if (!match) throw new Error(`overrides[${index}].match is required`);
+      const key = `${matchType}:${match.toLowerCase()}`;
+      if (seen.has(key)) throw new Error(`Duplicate override for ${matchType} ${match}`);
+      seen.add(key);
+
+      const rate = (field, max) => {
+        const raw = entry[field];
+        if (raw === undefined || raw === null || raw === '') return null;
+        const value = Number(raw);
+        if (!Number.isFinite(value) || value < 0 || (max !== undefined && value > max)) {
+          throw new Error(`overrides[${index}].${field} must be a non-negative number${max !== undefined ? ` up to ${max}` : ''}`);
+        }
+        return value;
+      };
+      const excluded = entry.excluded === true || entry.excluded === 'true';
+      const usdPerLot = rate('usdPerLot');
+      const spreadSharePercentage = rate('spreadSharePercentage', 100);
+      if (!excluded && usdPerLot === null && spreadSharePercentage === null) {
+        throw new Error(`overrides[${index}] must set usdPerLot, spreadSharePercentage or excluded`);
+      }
+      return {
+        matchType,
+        match: matchType === 'symbol' ? match.toUpperCase() : match,
+        usdPerLot: excluded ? null : usdPerLot,
+        spreadSharePercentage: excluded ? null : spreadSharePercentage,
+        excluded
+      };
+    });
+  }
+
+  /**
+   * Validate master IB override rules. Each entry is { level, usdPerLot?, percentage? }: level 1 is
+   * the trading client's IB's upline, level 2 that IB's upline, and so on. usdPerLot pays per lot
+   * traded; percentage pays that share of the sub-IB's own commission on the trade. Throws on bad input.
+   */
+  static normalizeUplineRules(rules) {
+    if (rules === undefined || rules === null) return [];
+    if (!Array.isArray(rules)) throw new Error('uplineRules must be an array');
+    const levels = new Set();
+    return rules.map((entry, index) => {
+      const level = Number(entry?.level);
+      if (!Number.isInteger(level) || level < 1 || level > MAX_UPLINE_LEVELS) {
+        throw new Error(`uplineRules[${index}].level must be an integer from 1 to ${MAX_UPLINE_LEVELS}`);
+      }
+      if (levels.has(level)) throw new Error(`Duplicate upline rule for level ${level}`);
+      levels.add(level);
+      const amount = (field, max) => {
+        const raw = entry[field];
+        if (raw === undefined || raw === null || raw === '') return null;
+        const value = Number(raw);
+        if (!Number.isFinite(value) || value < 0 || (max !== undefined && value > max)) {
+          throw new Error(`uplineRules[${index}].${field} must be a non-negative number${max !== undefined ? ` up to ${max}` : ''}`);
+        }
+        return value;
+      };
+      const usdPerLot = amount('usdPerLot');
+      const percentage = amount('percentage', 100);
+      if (usdPerLot === null && percentage === null) {
+        throw new Error(`uplineRules[${index}] must set usdPerLot or percentage`);
+      }
+      return { level, usdPerLot, percentage };
+    }).sort((a, b) => a.level - b.level);
+  }
+
+  /**
+   * Revenue share: the IB's % of the broker's monthly net revenue from its clients on trades priced
+   * by this structure. null/undefined when not given; throws on bad input.
+   */
+  static normalizeRevenueSharePercentage(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const pct = Number(value);
+    if (!Number.isFinite(pct) || pct < 0 || pct > 100) {
+      throw new Error('revenueSharePercentage must be between 0 and 100');
+    }
+    return pct;
+  }
+
+  /**
+   * Validate commission eligibility rules (each optional, null = off):
+   *   minHoldSeconds          - deals held shorter earn nothing
+   *   minPriceMovePoints      - deals whose close is fewer points from the open earn nothing
+   *   shortTradeSeconds +
+   *   maxShortTradePercentage - when more than this % of an account's deals in a month were held
+   *                             under shortTradeSeconds, none of its deals that month earn anything
+   *                             (judged once the UTC month has ended)
+   * Throws on bad input.
+   */
+  static normalizeEligibilityRules(rules) {
+    const value = (field, { integer = false, max } = {}) => {
+      const raw = rules?.[field];
+      if (raw === undefined || raw === null || raw === '') return null;
+      const n = Number(raw);
+      if (!Number.isFinite(n) || n < 0 || (integer && !Number.isInteger(n)) || (max !== undefined && n > max)) {
+        throw new Error(`${field} must be a non-negative ${integer ? 'whole number' : 'number'}${max !== undefined ? ` up to ${max}` : ''}`);
+      }
+      return n;
+    };
+    const normalized = {
+      minHoldSeconds: value('minHoldSeconds', { integer: true }),
+      minPriceMovePoints: value('minPriceMovePoints'),
+      shortTradeSeconds: value('shortTradeSeconds', { integer: true }),
+      maxShortTradePercentage: value('maxShortTradePercentage', { max: 100 })
+    };
+    if ((normalized.shortTradeSeconds === null) !== (normalized.maxShortTradePercentage === null)) {
+      throw new Error('shortTradeSeconds and maxShortTradePercentage must be set together');
+    }
+    return normalized;
   }
 
   static async getByGroupId(groupId, page = 1, limit = 10) {
@@ -88,8 +369,10 @@ export class GroupCommissionStructures {
     };
   }
 
-  static async create(groupId, structureData) {
+  static async create(groupId, structureData, { changedBy = null } = {}) {
     const { structureName, usdPerLot, spreadSharePercentage, levelOrder = 1, minTradingVolume = 0, maxTradingVolume = null, minActiveClients = 0 } = structureData;
+    const overrides = GroupCommissionStructures.normalizeOverrides(structureData.overrides);
+    const revenueSharePercentage = GroupCommissionStructures.normalizeRevenueSharePercentage(structureData.revenueSharePercentage) ?? 0;
 
     // Ensure the group exists in mt5_groups table
     const existingGroup = await query('SELECT id FROM mt5_groups WHERE group_id = $1', [groupId]);
@@ -105,19 +388,23 @@ export class GroupCommissionStructures {
       `
         INSERT INTO group_commission_structures (
           group_id, structure_name, usd_per_lot, spread_share_percentage,
-          level_order, min_trading_volume, max_trading_volume, min_active_clients
+          level_order, min_trading_volume, max_trading_volume, min_active_clients, overrides, revenue_share_percentage
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9::jsonb, $10)
         RETURNING *;
       `,
-      [groupId, structureName, usdPerLot, spreadSharePercentage, levelOrder, minTradingVolume, maxTradingVolume, minActiveClients]
+      [groupId, structureName, usdPerLot, spreadSharePercentage, levelOrder, minTradingVolume, maxTradingVolume, minActiveClients, JSON.stringify(overrides), revenueSharePercentage]
     );
+    await GroupCommissionStructures.recordRuleVersion(result.rows[0].id, { changedBy });
 
     return result.rows[0];
   }
 
-  static async update(id, updates) {
+  static async update(id, updates, { changedBy = null } = {}) {
     const { structureName, usdPerLot, spreadSharePercentage, isActive, levelOrder = null, minTradingVolume = null, maxTradingVolume = null, minActiveClients = null } = updates;
+    // Overrides are replaced as a whole when given, kept when omitted
+    const overrides = updates.overrides === undefined ? null : JSON.stringify(GroupCommissionStructures.normalizeOverrides(updates.overrides));
+    const revenueSharePercentage = GroupCommissionStructures.normalizeRevenueSharePercentage(updates.revenueSharePercentage);
 
     const result = await query(
       `
@@ -130,12 +417,15 @@ export class GroupCommissionStructures {
             min_trading_volume = COALESCE($7, min_trading_volume),
             max_trading_volume = COALESCE($8, max_trading_volume),
             min_active_clients = COALESCE($9, min_active_clients),
+            overrides = COALESCE($10::jsonb, overrides),
+            revenue_share_percentage = COALESCE($11, revenue_share_percentage),
             updated_at = CURRENT_TIMESTAMP
         WHERE id = $1
         RETURNING *;
       `,
-      [id, structureName, usdPerLot, spreadSharePercentage, isActive, levelOrder, minTradingVolume, maxTradingVolume, minActiveClients]
+      [id, structureName, usdPerLot, spreadSharePercentage, isActive, levelOrder, minTradingVolume, maxTradingVolume, minActiveClients, overrides, revenueSharePercentage]
     );
+    if (result.rows[0]) await GroupCommissionStructures.recordRuleVersion(id, { changedBy });
 
     return result.rows[0];
   }
@@ -148,6 +438,76 @@ export class GroupCommissionStructures {
     return result.rows[0];
   }
 
+  static async setOverrides(id, overrides, { changedBy = null } = {}) {
+    const normalized = GroupCommissionStructures.normalizeOverrides(overrides);
+    const result = await query(
+      'UPDATE group_commission_structures SET overrides = $2::jsonb, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+      [id, JSON.stringify(normalized)]
+    );
+    if (result.rows[0]) await GroupCommissionStructures.recordRuleVersion(id, { changedBy });
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Replace a structure's master IB override rules and per-lot payout cap (null = no cap)
+   */
+  static async setUplineRules(id, rules, maxPayoutPerLot = null, { changedBy = null } = {}) {
+    const normalized = GroupCommissionStructures.normalizeUplineRules(rules);
+    if (maxPayoutPerLot !== null && (!Number.isFinite(Number(maxPayoutPerLot)) || Number(maxPayoutPerLot) < 0)) {
+      throw new Error('maxPayoutPerLot must be a non-negative number or null');
+    }
+    const result = await query(
+      `UPDATE group_commission_structures
+       SET upline_rules = $2::jsonb, max_payout_per_lot = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id, JSON.stringify(normalized), maxPayoutPerLot === null ? null : Number(maxPayoutPerLot)]
+    );
+    if (result.rows[0]) await GroupCommissionStructures.recordRuleVersion(id, { changedBy });
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Replace a structure's eligibility rules (see normalizeEligibilityRules)
+   */
+  static async setEligibilityRules(id, rules, { changedBy = null } = {}) {
+    const normalized = GroupCommissionStructures.normalizeEligibilityRules(rules);
+    const result = await query(
+      `UPDATE group_commission_structures
+       SET min_hold_seconds = $2, min_price_move_points = $3, short_trade_seconds = $4,
+           max_short_trade_percentage = $5, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id, normalized.minHoldSeconds, normalized.minPriceMovePoints, normalized.shortTradeSeconds, normalized.maxShortTradePercentage]
+    );
+    if (result.rows[0]) await GroupCommissionStructures.recordRuleVersion(id, { changedBy });
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Pricing rule versions for a set of structures, oldest first:
+   * Map(structure id -> [{ versionId, valid_from, valid_to, overrides, uplineRules, maxPayoutPerLot,
+   * revenueSharePct, eligibility }])
+   */
+  static async getPricingRulesByIds(ids) {
+    const structureIds = Array.from(new Set((ids || []).map(Number).filter(Boolean)));
+    if (structureIds.length === 0) return new Map();
+    const result = await query(
+      `SELECT id, structure_id, valid_from, valid_to, ${RULE_COLUMNS}
+       FROM group_commission_structure_rule_history
+       WHERE structure_id = ANY($1::int[])
+       ORDER BY structure_id, valid_from NULLS FIRST, id`,
+      [structureIds]
+    );
+    const rules = new Map();
+    for (const row of result.rows) {
+      const structureId = Number(row.structure_id);
+      if (!rules.has(structureId)) rules.set(structureId, []);
+      rules.get(structureId).push({ versionId: row.id, valid_from: row.valid_from, valid_to: row.valid_to, ...pricingRulesOf(row) });
+    }
+    return rules;
+  }
+
   static async findById(id) {
     const result = await query('SELECT * FROM group_commission_structures WHERE id = $1', [id]);
     return result.rows[0];
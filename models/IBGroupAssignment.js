@@ -1,5 +1,22 @@
 import { query } from '../config/database.js';
 
+const sameRate = (version, assignment) =>
+  Number(version.usd_per_lot || 0) === Number(assignment.usdPerLot || 0) &&
+  Number(version.spread_share_percentage || 0) === Number(assignment.spreadSharePercentage || 0) &&
+  (version.structure_id ?? null) === (assignment.structureId ? Number(assignment.structureId) : null);
+
+// A new version cannot start before the open version it closes
+const assertNotBefore = (version, from) => {
+  if (version.valid_from && from < new Date(version.valid_from)) {
+    throw new Error(`effectiveFrom must not be earlier than ${new Date(version.valid_from).toISOString()}, when the current rate for group ${version.group_id} took effect`);
+  }
+};
+
+/**
+ * ib_group_assignments holds each IB's current group rates.
+ * ib_group_assignment_history keeps every rate that was ever in force, with valid_from/valid_to
+ * (NULL valid_from means "since the start"), so trades are priced at the rate of their close time.
+ */
 export class IBGroupAssignment {
   static async createTable() {
     await query(`
@@ -16,9 +33,161 @@ export class IBGroupAssignment {
         updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
       );
     `);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS ib_group_assignment_history (
+        id SERIAL PRIMARY KEY,
+        ib_request_id INTEGER REFERENCES ib_requests(id) ON DELETE CASCADE,
+        group_id VARCHAR(255) NOT NULL,
+        group_name VARCHAR(255),
+        structure_id INTEGER,
+        structure_name VARCHAR(255),
+        usd_per_lot DECIMAL(10,2) NOT NULL DEFAULT 0,
+        spread_share_percentage DECIMAL(5,2) NOT NULL DEFAULT 0,
+        valid_from TIMESTAMP WITH TIME ZONE,
+        valid_to TIMESTAMP WITH TIME ZONE,
+        changed_by TEXT,
+        change_reason VARCHAR(50),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await query('CREATE INDEX IF NOT EXISTS idx_ib_assignment_history_ib ON ib_group_assignment_history (ib_request_id, group_id, valid_from);');
+
+    // Assignments made before versioning become the rate in force since the start
+    await query(`
+      INSERT INTO ib_group_assignment_history (
+        ib_request_id, group_id, group_name, structure_id, structure_name,
+        usd_per_lot, spread_share_percentage, valid_from, changed_by, change_reason
+      )
+      SELECT a.ib_request_id, a.group_id, a.group_name, a.structure_id, a.structure_name,
+             a.usd_per_lot, a.spread_share_percentage, NULL, 'system', 'initial'
+      FROM ib_group_assignments a
+      WHERE NOT EXISTS (
+        SELECT 1 FROM ib_group_assignment_history h
+        WHERE h.ib_request_id = a.ib_request_id AND h.group_id = a.group_id
+      )
+    `);
+  }
+
+  static async getOpenVersions(ibRequestId) {
+    const result = await query(
+      'SELECT * FROM ib_group_assignment_history WHERE ib_request_id = $1 AND valid_to IS NULL ORDER BY id',
+      [ibRequestId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Throw if versioning `assignments` from `effectiveFrom` would close an open version before it
+   * started: a group whose rate changes, or one that is no longer assigned
+   */
+  static async checkEffectiveFrom(ibRequestId, assignments = [], effectiveFrom = null, { openVersions = null } = {}) {
+    const versions = openVersions || await IBGroupAssignment.getOpenVersions(ibRequestId);
+    const from = effectiveFrom ? new Date(effectiveFrom) : new Date();
+    const byGroup = new Map(assignments.map(a => [a.groupId, a]));
+    for (const version of versions) {
+      const assignment = byGroup.get(version.group_id);
+      if (!assignment || !sameRate(version, assignment)) assertNotBefore(version, from);
+    }
   }
 
-  static async replaceAssignments(ibRequestId, assignments = []) {
+  /**
+   * Make `assignment` the rate in force for its group from `effectiveFrom` on.
+   * A changed rate or structure closes the open version and starts a new one; a name-only
+   * change is applied to the open version. The first version of a group has no valid_from.
+   * Throws if `effectiveFrom` is earlier than the open version's valid_from.
+   */
+  static async versionGroup(ibRequestId, assignment, { effectiveFrom = null, changedBy = null, reason = null, openVersions = null } = {}) {
+    const versions = openVersions || await IBGroupAssignment.getOpenVersions(ibRequestId);
+    const current = versions.find(v => v.group_id === assignment.groupId);
+    const from = effectiveFrom ? new Date(effectiveFrom) : new Date();
+
+    if (current && sameRate(current, assignment)) {
+      await query(
+        `UPDATE ib_group_assignment_history
+         SET group_name = COALESCE($2, group_name), structure_name = COALESCE($3, structure_name)
+         WHERE id = $1`,
+        [current.id, assignment.groupName || null, assignment.structureName || null]
+      );
+      return current;
+    }
+
+    if (current) assertNotBefore(current, from);
+
+    let hasHistory = Boolean(current);
+    if (current) {
+      await query('UPDATE ib_group_assignment_history SET valid_to = $2 WHERE id = $1', [current.id, from.toISOString()]);
+    } else {
+      const prior = await query(
+        'SELECT 1 FROM ib_group_assignment_history WHERE ib_request_id = $1 AND group_id = $2 LIMIT 1',
+        [ibRequestId, assignment.groupId]
+      );
+      hasHistory = prior.rows.length > 0;
+    }
+
+    const result = await query(
+      `INSERT INTO ib_group_assignment_history (
+         ib_request_id, group_id, group_name, structure_id, structure_name,
+         usd_per_lot, spread_share_percentage, valid_from, changed_by, change_reason
+       ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+       RETURNING *`,
+      [
+        ibRequestId,
+        assignment.groupId,
+        assignment.groupName || null,
+        assignment.structureId || null,
+        assignment.structureName || null,
+        Number(assignment.usdPerLot || 0),
+        Number(assignment.spreadSharePercentage || 0),
+        hasHistory ? from.toISOString() : null,
+        changedBy,
+        reason
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Version a full set of assignments: groups no longer assigned are closed at `effectiveFrom`
+   */
+  static async recordVersions(ibRequestId, assignments = [], { effectiveFrom = null, changedBy = null, reason = null } = {}) {
+    const openVersions = await IBGroupAssignment.getOpenVersions(ibRequestId);
+    const from = effectiveFrom ? new Date(effectiveFrom) : new Date();
+    await IBGroupAssignment.checkEffectiveFrom(ibRequestId, assignments, from, { openVersions });
+    const groupIds = new Set(assignments.map(a => a.groupId));
+
+    for (const version of openVersions) {
+      if (!groupIds.has(version.group_id)) {
+        await query('UPDATE ib_group_assignment_history SET valid_to = $2 WHERE id = $1', [version.id, from.toISOString()]);
+      }
+    }
+    for (const assignment of assignments) {
+      await IBGroupAssignment.versionGroup(ibRequestId, assignment, { effectiveFrom: from, changedBy, reason, openVersions });
+    }
+  }
+
+  /**
+   * Every rate version for an IB, newest first per group
+   */
+  static async getHistory(ibRequestId, { groupId = null } = {}) {
+    const params = [ibRequestId];
+    let where = 'ib_request_id = $1';
+    if (groupId) {
+      params.push(groupId);
+      where += ` AND group_id = $${params.length}`;
+    }
+    const result = await query(
+      `SELECT * FROM ib_group_assignment_history
+       WHERE ${where}
+       ORDER BY group_id, valid_from DESC NULLS LAST, id DESC`,
+      params
+    );
+    return result.rows;
+  }
+
+  static async replaceAssignments(ibRequestId, assignments = [], { effectiveFrom = null, changedBy = null, reason = null } = {}) {
+    // Version first: a rejected effectiveFrom leaves the current assignments untouched
+    await IBGroupAssignment.recordVersions(ibRequestId, assignments, { effectiveFrom, changedBy, reason });
     await query('DELETE FROM ib_group_assignments WHERE ib_request_id = $1', [ibRequestId]);
 
     if (!assignments.length) {
@@ -60,8 +229,9 @@ export class IBGroupAssignment {
     await Promise.all(insertPromises);
   }
 
-  static async clearAssignments(ibRequestId) {
+  static async clearAssignments(ibRequestId, { changedBy = null, reason = null } = {}) {
     await query('DELETE FROM ib_group_assignments WHERE ib_request_id = $1', [ibRequestId]);
+    await IBGroupAssignment.recordVersions(ibRequestId, [], { changedBy, reason });
   }
 
   static async getByIbRequestId(ibRequestId) {
@@ -79,7 +249,7 @@ export class IBGroupAssignment {
   /**
    * Update structure for a specific assignment
    */
-  static async updateStructure(assignmentId, structureId, structureName, usdPerLot, spreadSharePercentage) {
+  static async updateStructure(assignmentId, structureId, structureName, usdPerLot, spreadSharePercentage, { changedBy = null, reason = null } = {}) {
     const result = await query(
       `
         UPDATE ib_group_assignments
@@ -93,7 +263,18 @@ export class IBGroupAssignment {
       `,
       [assignmentId, structureId, structureName, usdPerLot, spreadSharePercentage]
     );
-    return result.rows[0];
+    const row = result.rows[0];
+    if (row) {
+      await IBGroupAssignment.versionGroup(row.ib_request_id, {
+        groupId: row.group_id,
+        groupName: row.group_name,
+        structureId,
+        structureName,
+        usdPerLot,
+        spreadSharePercentage
+      }, { changedBy, reason });
+    }
+    return row;
   }
 }
 
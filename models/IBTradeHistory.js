@@ -1,4 +1,16 @@
 import { query } from '../config/database.js';
+import { getDealCloseTime, getDealOpenTime, getGatewayConfig, normalizeDeal } from '../services/mt5Gateway.js';
+import { MT5Position } from './MT5Position.js';
+import { TradeOrderConflict } from './TradeOrderConflict.js';
+
+// Date expression for reports and filters. Rows synced before close_time existed fall back to synced_at.
+export const TRADE_CLOSE_TIME_SQL = 'COALESCE(close_time, synced_at)';
+
+const toIso = (date) => (date ? date.toISOString() : null);
+
+// Row id; trades from the default server keep the original `${accountId}-${orderId}` form
+export const tradeRowId = (server, accountId, orderId) =>
+  (!server || server === 'default' ? `${accountId}-${orderId}` : `${server}:${accountId}-${orderId}`);
 
 export class IBTradeHistory {
   static async createTable() {
@@ -20,7 +32,7 @@ export class IBTradeHistory {
       const createTableQuery = `
         CREATE TABLE IF NOT EXISTS ib_trade_history (
           id TEXT PRIMARY KEY,
-          order_id TEXT NOT NULL UNIQUE,
+          order_id TEXT NOT NULL,
           account_id TEXT NOT NULL,
           user_id TEXT,
           ib_request_id INTEGER,
@@ -53,11 +65,130 @@ export class IBTradeHistory {
         END $$;
       `);
       
+      // Deal timestamps and MT5 charges (migrations/add_trade_times_to_ib_trade_history.sql)
+      await query(`
+        DO $$
+        BEGIN
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns
+            WHERE table_name = 'ib_trade_history' AND column_name = 'open_time'
+          ) THEN
+            ALTER TABLE ib_trade_history ADD COLUMN open_time TIMESTAMP WITH TIME ZONE;
+          END IF;
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns
+            WHERE table_name = 'ib_trade_history' AND column_name = 'close_time'
+          ) THEN
+            ALTER TABLE ib_trade_history ADD COLUMN close_time TIMESTAMP WITH TIME ZONE;
+          END IF;
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns
+            WHERE table_name = 'ib_trade_history' AND column_name = 'mt5_commission'
+          ) THEN
+            ALTER TABLE ib_trade_history ADD COLUMN mt5_commission NUMERIC DEFAULT 0;
+          END IF;
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns
+            WHERE table_name = 'ib_trade_history' AND column_name = 'swap'
+          ) THEN
+            ALTER TABLE ib_trade_history ADD COLUMN swap NUMERIC DEFAULT 0;
+          END IF;
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns
+            WHERE table_name = 'ib_trade_history' AND column_name = 'position_id'
+          ) THEN
+            ALTER TABLE ib_trade_history ADD COLUMN position_id TEXT;
+          END IF;
+        END $$;
+      `);
+      
+      // MT5 deal ticket and entry (in/out/inout/out_by) for position tracking
+      await query(`
+        DO $$
+        BEGIN
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns
+            WHERE table_name = 'ib_trade_history' AND column_name = 'deal_id'
+          ) THEN
+            ALTER TABLE ib_trade_history ADD COLUMN deal_id TEXT;
+          END IF;
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns
+            WHERE table_name = 'ib_trade_history' AND column_name = 'entry'
+          ) THEN
+            ALTER TABLE ib_trade_history ADD COLUMN entry VARCHAR(10);
+          END IF;
+        END $$;
+      `);
+      
+      // Rate version that priced the trade, and the lock set when its commission period is closed
+      await query(`
+        DO $$
+        BEGIN
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns
+            WHERE table_name = 'ib_trade_history' AND column_name = 'rate_version_id'
+          ) THEN
+            ALTER TABLE ib_trade_history ADD COLUMN rate_version_id INTEGER;
+          END IF;
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns
+            WHERE table_name = 'ib_trade_history' AND column_name = 'commission_locked_at'
+          ) THEN
+            ALTER TABLE ib_trade_history ADD COLUMN commission_locked_at TIMESTAMP WITH TIME ZONE;
+          END IF;
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns
+            WHERE table_name = 'ib_trade_history' AND column_name = 'commission_period_id'
+          ) THEN
+            ALTER TABLE ib_trade_history ADD COLUMN commission_period_id INTEGER;
+          END IF;
+        END $$;
+      `);
+      
+      // Broker spread revenue on the deal and the IB's share of it, stored by the commission engine
+      await query('ALTER TABLE ib_trade_history ADD COLUMN IF NOT EXISTS spread_revenue NUMERIC;');
+      await query('ALTER TABLE ib_trade_history ADD COLUMN IF NOT EXISTS ib_spread_commission NUMERIC;');
+      // Why a closed deal earns no commission under its structure's eligibility rules (null = eligible)
+      await query('ALTER TABLE ib_trade_history ADD COLUMN IF NOT EXISTS commission_ineligible_reason VARCHAR(30);');
+      
+      // Deal numbers are unique per MT5 server and account, not globally
+      // (migrations/scope_trade_uniqueness_by_account.sql; collisions are reported by migrate-trade-uniqueness.js)
+      await query(`
+        DO $$
+        DECLARE
+          con RECORD;
+        BEGIN
+          IF NOT EXISTS (
+            SELECT 1 FROM information_schema.columns
+            WHERE table_name = 'ib_trade_history' AND column_name = 'server'
+          ) THEN
+            ALTER TABLE ib_trade_history ADD COLUMN server TEXT NOT NULL DEFAULT 'default';
+          END IF;
+          FOR con IN
+            SELECT c.conname
+            FROM pg_constraint c
+            JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = ANY(c.conkey)
+            WHERE c.conrelid = 'ib_trade_history'::regclass
+              AND c.contype = 'u'
+              AND array_length(c.conkey, 1) = 1
+              AND a.attname = 'order_id'
+          LOOP
+            EXECUTE format('ALTER TABLE ib_trade_history DROP CONSTRAINT %I', con.conname);
+          END LOOP;
+        END $$;
+      `);
+      await query('CREATE UNIQUE INDEX IF NOT EXISTS ux_ib_trade_server_account_order ON ib_trade_history (server, account_id, order_id);');
+      await query('CREATE INDEX IF NOT EXISTS idx_ib_trade_server_order ON ib_trade_history (server, order_id);');
+      
       await query('CREATE INDEX IF NOT EXISTS idx_ib_trade_account ON ib_trade_history (account_id);');
       await query('CREATE INDEX IF NOT EXISTS idx_ib_trade_user ON ib_trade_history (user_id);');
       await query('CREATE INDEX IF NOT EXISTS idx_ib_trade_ib ON ib_trade_history (ib_request_id);');
       await query('CREATE INDEX IF NOT EXISTS idx_ib_trade_symbol ON ib_trade_history (symbol);');
       await query('CREATE INDEX IF NOT EXISTS idx_ib_trade_group ON ib_trade_history (group_id);');
+      await query('CREATE INDEX IF NOT EXISTS idx_ib_trade_ib_close_time ON ib_trade_history (ib_request_id, close_time);');
+      await query('CREATE INDEX IF NOT EXISTS idx_ib_trade_position ON ib_trade_history (account_id, position_id);');
+      await query('CREATE INDEX IF NOT EXISTS idx_ib_trade_deal ON ib_trade_history (account_id, deal_id);');
       
       console.log('✅ ib_trade_history table created successfully');
     } catch (error) {
@@ -65,9 +196,18 @@ export class IBTradeHistory {
     }
   }
 
-  static async upsertTrades(trades, { accountId, userId, ibRequestId, commissionMap = {}, groupId = null }) {
+  /**
+   * Insert or update closed deals. Returns the saved rows; the array also carries
+   * `skipped` (counts per reason) and `errors` ({ orderId, message }) for sync run history.
+   * Rows are unique per (server, account_id, order_id); an order id another account already
+   * holds on the same server is saved for this account and logged as a conflict.
+   * commissionMap only gives new rows a first ib_commission; an existing row keeps its amount,
+   * since pricing at close-time rates belongs to the commission engine (repriceAccount).
+   */
+  static async upsertTrades(trades, { accountId, userId, ibRequestId, commissionMap = {}, groupId = null, server = getGatewayConfig().serverName }) {
     const saved = [];
     let skipped = { noOrderId: 0, noSymbol: 0, notBuySell: 0, notClosed: 0, noVolume: 0, errors: 0 };
+    const errors = [];
     
     const resolveUsdPerLot = (gid) => {
       if (!gid) return Number(commissionMap['*']?.usdPerLot || 0);
@@ -96,96 +236,85 @@ export class IBTradeHistory {
     console.log(`[UPSERT] Processing ${trades.length} trades for account ${accountId}, usdPerLot=${usdPerLot}, groupId=${groupId}`);
     console.log(`[UPSERT] Sample trade structure:`, trades.length > 0 ? JSON.stringify(trades[0], null, 2) : 'No trades');
 
+    // Validate and normalize; opening deals are kept for position tracking only
+    const positionDeals = [];
+    const closingDeals = [];
     for (const trade of trades) {
+      const deal = normalizeDeal(trade);
+      const reason = IBTradeHistory.skipReason(deal);
+      if (reason && reason !== 'opening' && reason !== 'notClosed') { skipped[reason]++; continue; }
+
+      if (deal.positionId) positionDeals.push(deal);
+      if (!reason) {
+        closingDeals.push({ trade, deal });
+      } else if (reason === 'notClosed') {
+        skipped.notClosed++;
+        console.log(`[UPSERT] Skipping trade ${deal.orderId}: not closed (no CloseTime, no closePrice, profit=0)`);
+      }
+    }
+
+    const clashes = await IBTradeHistory.findCrossAccountClashes(server, accountId, closingDeals.map(({ deal }) => deal.orderId))
+      .catch((error) => {
+        console.error(`[UPSERT] Could not check order id clashes for account ${accountId}:`, error.message);
+        return new Map();
+      });
+
+    // Group into positions so partial closes and reversals count each closed lot once
+    const positionIds = Array.from(new Set(positionDeals.map(d => d.positionId)));
+    let closedByDeal = new Map();
+    if (positionIds.length) {
       try {
-        // Handle both DealId and OrderId from trades-closed API
-        const orderId = String(trade?.OrderId || trade?.DealId || '');
-        if (!orderId || orderId === 'undefined' || orderId === 'null') { 
-          skipped.noOrderId++; 
-          continue; 
-        }
-        
-        const symbol = String(trade?.Symbol || '').trim();
-        if (!symbol) { skipped.noSymbol++; continue; }
-        
-        // For trades-closed API, OrderType might not be present, but we can infer from Profit
-        // If OrderType is missing, we'll still save the trade (trades-closed are already closed)
-        let orderType = String(trade?.OrderType || '').toLowerCase().trim();
-        if (!orderType || (orderType !== 'buy' && orderType !== 'sell')) {
-          // Infer order type from profit: positive profit usually means buy, negative means sell
-          // But this is not always accurate, so default to 'buy' if we can't determine
-          const profit = Number(trade?.Profit || 0);
-          orderType = profit >= 0 ? 'buy' : 'sell';
-        }
-        
-        // For trades-closed API, all trades are already closed trades
-        // So we accept all trades that have VolumeLots and Profit
-        const hasCloseTime = Boolean(
-          trade?.CloseTime || trade?.ClosedTime || trade?.CloseDate || trade?.Closed ||
-          trade?.TimeClose || trade?.DoneTime || trade?.DealTime || trade?.CloseTimeMsc || 
-          trade?.CloseTimeMS || trade?.CloseTimeMs || trade?.ClosedAt || trade?.Time
-        );
-        const closePrice = Number(trade?.ClosePrice || trade?.Price || 0);
-        const openPrice = Number(trade?.OpenPrice || 0);
-        const profit = Number(trade?.Profit || 0);
-        
-        // For trades-closed API, we accept all trades (they're all closed by definition)
-        // But skip if profit is zero and no close time (might be invalid)
-        const isClosed = hasCloseTime || closePrice > 0 || profit !== 0;
-        
-        if (!isClosed) { 
-          skipped.notClosed++; 
-          console.log(`[UPSERT] Skipping trade ${orderId}: not closed (no CloseTime, no closePrice, profit=0)`);
-          continue; 
-        }
-        
-        // Handle VolumeLots from trades-closed API (divide by 100) or Volume from old API
-        let volumeLots = 0;
-        if (trade?.VolumeLots !== undefined && trade?.VolumeLots !== null) {
-          // trades-closed API provides VolumeLots - divide by 100
-          volumeLots = Number(trade.VolumeLots || 0) / 100;
-        } else {
-          // Fallback to Volume field for backward compatibility
-          const volume = Number(trade?.Volume || 0);
-          volumeLots = volume < 0.1 ? volume * 1000 : volume;
-        }
-        
-        if (!volumeLots || volumeLots === 0) { skipped.noVolume++; continue; }
-        
-        const id = `${accountId}-${orderId}`;
+        await MT5Position.recordDeals(accountId, positionDeals);
+        closedByDeal = await MT5Position.rebuild(accountId, positionIds);
+      } catch (error) {
+        console.error(`[UPSERT] Position tracking failed for account ${accountId}, using deal volumes:`, error.message);
+      }
+    }
+
+    for (const { trade, deal } of closingDeals) {
+      try {
+        const { orderId, symbol, openPrice, closePrice, profit } = deal;
+        const volumeLots = closedByDeal.has(deal.dealId) ? closedByDeal.get(deal.dealId) : deal.volumeLots;
+        const id = tradeRowId(server, accountId, orderId);
         const ibCommission = volumeLots * usdPerLot;
-        const finalClosePrice = closePrice > 0 ? closePrice : openPrice;
-        
-        // Parse close time if available
-        let closeTimeValue = null;
-        if (trade?.CloseTime) {
-          try {
-            if (typeof trade.CloseTime === 'string') {
-              closeTimeValue = new Date(trade.CloseTime).toISOString();
-            } else if (typeof trade.CloseTime === 'number') {
-              const ms = trade.CloseTime > 1e12 ? trade.CloseTime : trade.CloseTime * 1000;
-              closeTimeValue = new Date(ms).toISOString();
-            }
-          } catch (e) {
-            console.warn(`[UPSERT] Failed to parse CloseTime for trade ${orderId}:`, e.message);
-          }
+
+        for (const other of clashes.get(orderId) || []) {
+          console.warn(`[UPSERT] ⚠ Order ${orderId} on server ${server} already belongs to account ${other.account_id} (row ${other.id}); saving it separately for account ${accountId}`);
+          await TradeOrderConflict.record({
+            server,
+            orderId,
+            accountId,
+            conflictingAccountId: other.account_id,
+            existingRowId: other.id,
+            details: { symbol, dealId: deal.dealId, volumeLots, existingSymbol: other.symbol, existingVolumeLots: Number(other.volume_lots || 0) }
+          }).catch((error) => console.error(`[UPSERT] Could not record conflict for order ${orderId}:`, error.message));
         }
 
+        const finalClosePrice = closePrice > 0 ? closePrice : openPrice;
+
         const queryText = `
           INSERT INTO ib_trade_history (
             id, order_id, account_id, user_id, ib_request_id, symbol, order_type,
             volume_lots, open_price, close_price, profit, take_profit, stop_loss,
-            ib_commission, group_id, synced_at
+            ib_commission, group_id, open_time, close_time, mt5_commission, swap, position_id,
+            deal_id, entry, server, synced_at
           ) VALUES (
-            $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,CURRENT_TIMESTAMP
+            $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,CURRENT_TIMESTAMP
           )
-          ON CONFLICT (order_id)
+          ON CONFLICT (server, account_id, order_id)
           DO UPDATE SET
+            order_type = EXCLUDED.order_type,
             volume_lots = EXCLUDED.volume_lots,
             close_price = EXCLUDED.close_price,
             profit = EXCLUDED.profit,
-            ib_commission = EXCLUDED.ib_commission,
             group_id = COALESCE(EXCLUDED.group_id, ib_trade_history.group_id),
+            open_time = COALESCE(EXCLUDED.open_time, ib_trade_history.open_time),
+            close_time = COALESCE(EXCLUDED.close_time, ib_trade_history.close_time),
+            mt5_commission = EXCLUDED.mt5_commission,
+            swap = EXCLUDED.swap,
+            position_id = COALESCE(EXCLUDED.position_id, ib_trade_history.position_id),
+            deal_id = COALESCE(EXCLUDED.deal_id, ib_trade_history.deal_id),
+            entry = COALESCE(EXCLUDED.entry, ib_trade_history.entry),
             updated_at = CURRENT_TIMESTAMP,
             synced_at = CURRENT_TIMESTAMP
           RETURNING *;
@@ -198,15 +327,24 @@ export class IBTradeHistory {
           userId,
           ibRequestId,
           symbol,
-          orderType,
+          // Real MT5 side of the deal; never guessed from profit
+          deal.direction || 'unknown',
           volumeLots,
           openPrice,
           finalClosePrice,
           profit,
-          Number(trade.TakeProfit || 0),
-          Number(trade.StopLoss || 0),
+          deal.takeProfit,
+          deal.stopLoss,
           Number(ibCommission || 0),
-          groupId
+          groupId,
+          toIso(deal.openTime),
+          toIso(deal.closeTime),
+          deal.commission,
+          deal.swap,
+          deal.positionId,
+          deal.dealId,
+          deal.entry,
+          server
         ]);
 
         saved.push(result.rows[0]);
@@ -216,14 +354,83 @@ export class IBTradeHistory {
         console.error(`[UPSERT] ✗ Error on trade ${tradeId}:`, error.message);
         console.error(`[UPSERT] Trade data:`, JSON.stringify(trade, null, 2));
         skipped.errors++;
+        errors.push({ orderId: String(tradeId), message: error.message });
       }
     }
 
+    // Earlier closing deals of the same positions may have a different closed volume now
+    if (positionIds.length && closedByDeal.size) {
+      await IBTradeHistory.applyClosedVolumes(accountId, positionIds, usdPerLot)
+        .catch(error => console.error(`[UPSERT] Could not update closed volumes for account ${accountId}:`, error.message));
+    }
+
     console.log(`[UPSERT] Summary: Saved ${saved.length}/${trades.length} trades`);
     console.log(`[UPSERT] Skipped breakdown: noOrderId=${skipped.noOrderId}, noSymbol=${skipped.noSymbol}, notBuySell=${skipped.notBuySell}, notClosed=${skipped.notClosed}, noVolume=${skipped.noVolume}, errors=${skipped.errors}`);
+    saved.skipped = skipped;
+    saved.errors = errors;
     return saved;
   }
 
+  /**
+   * Why a normalized deal is not stored as a closed trade (a skipped-breakdown key), or null.
+   * Opening deals give 'opening': they only feed position tracking.
+   */
+  static skipReason(deal) {
+    if (!deal.orderId) return 'noOrderId';
+    if (!deal.symbol) return 'noSymbol';
+    if (deal.direction === 'other') return 'notBuySell';
+    if (!deal.volumeLots) return 'noVolume';
+    if (deal.entry === 'in') return 'opening';
+    // Without an entry type (trades-closed API) fall back to close time/price/profit
+    const isClosed = Boolean(deal.entry) || Boolean(deal.closeTime) || deal.closePrice > 0 || deal.profit !== 0;
+    return isClosed ? null : 'notClosed';
+  }
+
+  /**
+   * Existing rows on the server that use one of these order ids under a different account.
+   * Returns a Map of order id -> rows.
+   */
+  static async findCrossAccountClashes(server, accountId, orderIds) {
+    const clashes = new Map();
+    const ids = Array.from(new Set((orderIds || []).filter(Boolean).map(String)));
+    if (!ids.length) return clashes;
+    const result = await query(
+      `SELECT id, order_id, account_id, symbol, volume_lots
+       FROM ib_trade_history
+       WHERE server = $1 AND order_id = ANY($2::text[]) AND account_id <> $3`,
+      [String(server || 'default'), ids, String(accountId)]
+    );
+    for (const row of result.rows) {
+      if (!clashes.has(row.order_id)) clashes.set(row.order_id, []);
+      clashes.get(row.order_id).push(row);
+    }
+    return clashes;
+  }
+
+  /**
+   * Copy closed volumes from rebuilt positions onto stored closing deals, scaling their IB commission
+   * (locked commissions are kept)
+   */
+  static async applyClosedVolumes(accountId, positionIds, usdPerLot = 0) {
+    const result = await query(
+      `UPDATE ib_trade_history t
+       SET ib_commission = CASE WHEN t.commission_locked_at IS NOT NULL THEN t.ib_commission
+                                WHEN t.volume_lots > 0
+                                THEN t.ib_commission * d.closed_volume_lots / t.volume_lots
+                                ELSE d.closed_volume_lots * $3 END,
+           volume_lots = d.closed_volume_lots,
+           updated_at = CURRENT_TIMESTAMP
+       FROM mt5_deals d
+       WHERE t.account_id = $1
+         AND d.account_id = t.account_id
+         AND d.deal_id = t.deal_id
+         AND d.position_id = ANY($2::text[])
+         AND t.volume_lots IS DISTINCT FROM d.closed_volume_lots`,
+      [String(accountId), positionIds.map(String), Number(usdPerLot || 0)]
+    );
+    return result.rowCount;
+  }
+
   static async getTrades({ userId, accountId = null, groupId = null, limit = 50, offset = 0 }) {
     const params = [userId];
     let where = 'user_id = $1 AND close_price IS NOT NULL AND close_price > 0';
@@ -241,7 +448,7 @@ export class IBTradeHistory {
       SELECT *
       FROM ib_trade_history
       WHERE ${where}
-      ORDER BY synced_at DESC
+      ORDER BY ${TRADE_CLOSE_TIME_SQL} DESC, order_id DESC
       LIMIT $${params.length + 1} OFFSET $${params.length + 2}
     `;
 
@@ -255,10 +462,17 @@ export class IBTradeHistory {
       symbol: row.symbol,
       volume_lots: Number(row.volume_lots || 0),
       profit: Number(row.profit || 0),
-      commission: 0,
+      commission: Number(row.mt5_commission || 0),
+      swap: Number(row.swap || 0),
+      position_id: row.position_id || null,
+      order_type: row.order_type,
+      entry: row.entry || null,
       ib_commission: Number(row.ib_commission || 0),
+      ib_spread_commission: Number(row.ib_spread_commission || 0),
+      spread_revenue: row.spread_revenue !== null ? Number(row.spread_revenue) : null,
       group_id: row.group_id || null,
-      close_time: row.updated_at || row.synced_at || null
+      open_time: row.open_time || null,
+      close_time: row.close_time || row.synced_at || null
     }));
 
     return {
@@ -287,8 +501,10 @@ export class IBTradeHistory {
     return result.rows;
   }
 
-  static async saveTrades(trades, accountId, userId, ibRequestId) {
+  static async saveTrades(trades, accountId, userId, ibRequestId, { server = getGatewayConfig().serverName } = {}) {
     const savedTrades = [];
+    const clashes = await IBTradeHistory.findCrossAccountClashes(server, accountId, trades.map(t => t?.OrderId))
+      .catch(() => new Map());
     
     for (const trade of trades) {
       try {
@@ -320,20 +536,31 @@ export class IBTradeHistory {
         if (!volume || volume === 0) continue;
         
         const profit = Number(trade?.Profit || 0);
-        const id = `${accountId}-${orderId}`;
+        const id = tradeRowId(server, accountId, orderId);
+        for (const other of clashes.get(orderId) || []) {
+          console.warn(`Order ${orderId} on server ${server} already belongs to account ${other.account_id}; saving it separately for account ${accountId}`);
+          await TradeOrderConflict.record({ server, orderId, accountId, conflictingAccountId: other.account_id, existingRowId: other.id, details: { symbol } })
+            .catch(() => {});
+        }
         const volumeLots = volume < 0.1 ? volume * 1000 : volume;
         const finalClosePrice = closePrice > 0 ? closePrice : openPrice;
         
         const insertQuery = `
           INSERT INTO ib_trade_history (
             id, order_id, account_id, user_id, ib_request_id, symbol, order_type,
-            volume_lots, open_price, close_price, profit, take_profit, stop_loss, synced_at
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, CURRENT_TIMESTAMP)
-          ON CONFLICT (order_id) 
+            volume_lots, open_price, close_price, profit, take_profit, stop_loss,
+            open_time, close_time, mt5_commission, swap, position_id, server, synced_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, CURRENT_TIMESTAMP)
+          ON CONFLICT (server, account_id, order_id)
           DO UPDATE SET
             volume_lots = EXCLUDED.volume_lots,
             close_price = EXCLUDED.close_price,
             profit = EXCLUDED.profit,
+            open_time = COALESCE(EXCLUDED.open_time, ib_trade_history.open_time),
+            close_time = COALESCE(EXCLUDED.close_time, ib_trade_history.close_time),
+            mt5_commission = EXCLUDED.mt5_commission,
+            swap = EXCLUDED.swap,
+            position_id = COALESCE(EXCLUDED.position_id, ib_trade_history.position_id),
             synced_at = CURRENT_TIMESTAMP,
             updated_at = CURRENT_TIMESTAMP
           RETURNING *;
@@ -352,7 +579,13 @@ export class IBTradeHistory {
           finalClosePrice,
           profit,
           Number(trade.TakeProfit || 0),
-          Number(trade.StopLoss || 0)
+          Number(trade.StopLoss || 0),
+          toIso(getDealOpenTime(trade)),
+          toIso(getDealCloseTime(trade)),
+          Number(trade?.Commission || 0),
+          Number(trade?.Swap ?? trade?.Storage ?? 0),
+          normalizeDeal(trade).positionId,
+          server
         ]);
         
         savedTrades.push(result.rows[0]);
@@ -364,56 +597,6 @@ export class IBTradeHistory {
     return savedTrades;
   }
 
-  static async calculateIBCommissions(accountId, ibRequestId) {
-    try {
-      const updateQuery = `
-        UPDATE ib_trade_history AS t
-        SET ib_commission = (t.volume_lots * COALESCE(a.usd_per_lot, s.usd_per_lot, 0)),
-            updated_at = CURRENT_TIMESTAMP
-        FROM ib_group_assignments AS a
-        LEFT JOIN group_commission_structures AS s ON (
-              s.id = a.structure_id
-           OR lower(COALESCE(s.structure_name, '')) = lower(COALESCE(a.structure_name, ''))
-        )
-        WHERE t.account_id = $1
-          AND t.ib_request_id = $2
-          AND t.close_price IS NOT NULL AND t.close_price > 0
-          AND a.ib_request_id = $2
-          AND (
-            lower(COALESCE(t.group_id, '')) = lower(COALESCE(a.group_id, '')) OR
-            lower(COALESCE(t.group_id, '')) = lower(COALESCE(a.group_name, '')) OR
-            regexp_replace(lower(COALESCE(t.group_id,'')), '.*[\\\/]', '') = regexp_replace(lower(COALESCE(a.group_id,'')), '.*[\\\/]', '')
-          )
-        RETURNING t.*;
-      `;
-      const result = await query(updateQuery, [String(accountId), ibRequestId]);
-
-      const fallbackRateRes = await query(
-        `SELECT COALESCE(MAX(COALESCE(a.usd_per_lot, s.usd_per_lot)), 0) AS usd_per_lot
-         FROM ib_group_assignments a
-         LEFT JOIN group_commission_structures s ON (s.id = a.structure_id OR lower(COALESCE(s.structure_name,'')) = lower(COALESCE(a.structure_name,'')))
-         WHERE a.ib_request_id = $1`,
-        [ibRequestId]
-      );
-      const fallbackUsdPerLot = Number(fallbackRateRes.rows?.[0]?.usd_per_lot || 0);
-      if (fallbackUsdPerLot > 0) {
-        await query(
-          `UPDATE ib_trade_history
-           SET ib_commission = (volume_lots * $1::numeric), updated_at = CURRENT_TIMESTAMP
-           WHERE ib_request_id = $2 AND account_id = $3
-             AND close_price IS NOT NULL AND close_price > 0
-             AND COALESCE(ib_commission,0) = 0`,
-          [fallbackUsdPerLot, ibRequestId, String(accountId)]
-        );
-      }
-
-      return result.rows.length;
-    } catch (error) {
-      console.error('Error calculating IB commissions:', error);
-      return 0;
-    }
-  }
-
   static async getTradesByIB(ibRequestId, accountId = null) {
     let queryText = `
       SELECT * FROM ib_trade_history
@@ -426,7 +609,7 @@ export class IBTradeHistory {
       params.push(String(accountId));
     }
     
-    queryText += ` ORDER BY synced_at DESC LIMIT 100`;
+    queryText += ` ORDER BY ${TRADE_CLOSE_TIME_SQL} DESC LIMIT 100`;
     
     const result = await query(queryText, params);
     return result.rows;
@@ -0,0 +1,105 @@
+import { query } from '../config/database.js';
+
+/**
+ * Named recurring schedules. The scheduler claims due schedules with SKIP LOCKED and
+ * enqueues a BackgroundJob for each, so only one instance fires a schedule per interval.
+ */
+export class JobSchedule {
+  static async createTable() {
+    await query(`
+      CREATE TABLE IF NOT EXISTS job_schedules (
+        name VARCHAR(100) PRIMARY KEY,
+        job_type VARCHAR(100) NOT NULL,
+        description TEXT,
+        interval_seconds INTEGER NOT NULL CHECK (interval_seconds > 0),
+        payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+        max_attempts INTEGER NOT NULL DEFAULT 3,
+        enabled BOOLEAN NOT NULL DEFAULT true,
+        next_run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_enqueued_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+  }
+
+  /**
+   * Create a schedule if it does not exist yet. Existing schedules keep their admin-edited settings.
+   */
+  static async ensure({ name, jobType, description = null, intervalSeconds, payload = {}, maxAttempts = 3, firstRunDelaySeconds = 0 }) {
+    await query(
+      `INSERT INTO job_schedules (name, job_type, description, interval_seconds, payload, max_attempts, next_run_at)
+       VALUES ($1, $2, $3, $4, $5::jsonb, $6, CURRENT_TIMESTAMP + ($7::int * INTERVAL '1 second'))
+       ON CONFLICT (name) DO UPDATE SET
+         job_type = EXCLUDED.job_type,
+         description = EXCLUDED.description`,
+      [name, jobType, description, Number(intervalSeconds), JSON.stringify(payload || {}), Number(maxAttempts) || 3, Number(firstRunDelaySeconds) || 0]
+    );
+  }
+
+  /**
+   * Claim one due schedule and move its next_run_at forward in the same statement
+   */
+  static async claimDue() {
+    const result = await query(
+      `UPDATE job_schedules
+       SET next_run_at = CURRENT_TIMESTAMP + (interval_seconds * INTERVAL '1 second'),
+           last_enqueued_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE name = (
+         SELECT name FROM job_schedules
+         WHERE enabled = true AND next_run_at <= CURRENT_TIMESTAMP
+         ORDER BY next_run_at ASC
+         FOR UPDATE SKIP LOCKED
+         LIMIT 1
+       )
+       RETURNING *`
+    );
+    return result.rows[0] || null;
+  }
+
+  static async findByName(name) {
+    const result = await query('SELECT * FROM job_schedules WHERE name = $1', [name]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Schedules with their most recent job run
+   */
+  static async listWithLastRun() {
+    const result = await query(`
+      SELECT s.*,
+             j.id AS last_job_id,
+             j.status AS last_status,
+             j.started_at AS last_started_at,
+             j.finished_at AS last_finished_at,
+             j.last_error AS last_error
+      FROM job_schedules s
+      LEFT JOIN LATERAL (
+        SELECT id, status, started_at, finished_at, last_error
+        FROM background_jobs
+        WHERE schedule_name = s.name
+        ORDER BY created_at DESC, id DESC
+        LIMIT 1
+      ) j ON true
+      ORDER BY s.name
+    `);
+    return result.rows;
+  }
+
+  static async update(name, { enabled = null, intervalSeconds = null, maxAttempts = null } = {}) {
+    const result = await query(
+      `UPDATE job_schedules
+       SET enabled = COALESCE($2, enabled),
+           interval_seconds = COALESCE($3, interval_seconds),
+           max_attempts = COALESCE($4, max_attempts),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE name = $1
+       RETURNING *`,
+      [name, enabled, intervalSeconds, maxAttempts]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+export default JobSchedule;
@@ -1,5 +1,5 @@
 import { query } from '../config/database.js';
-import axios from 'axios';
+import { fetchGroups, getGatewayConfig } from '../services/mt5Gateway.js';
 
 export class MT5Groups {
   static generateGroupName(groupId, index = null) {
@@ -77,6 +77,8 @@ export class MT5Groups {
       );
     `;
     await query(queryText);
+    // Spread markup (points) the broker adds on this group; overrides the symbol spread when pricing IB spread share
+    await query('ALTER TABLE mt5_groups ADD COLUMN IF NOT EXISTS spread_markup_points NUMERIC;');
   }
 
   static async runMigration() {
@@ -96,65 +98,20 @@ export class MT5Groups {
     }
   }
 
-  static async syncFromAPI(apiUrl = 'http://18.175.242.21:3000/api/Groups') {
+  static async syncFromAPI(apiPath = '/api/Groups') {
     try {
-      // Handle relative URLs - if it starts with /, prepend the base URL
-      let fullApiUrl = apiUrl;
-      if (apiUrl.startsWith('/')) {
-        fullApiUrl = `http://18.175.242.21:3000${apiUrl}`;
-      }
-
-      console.log('[SYNC] Fetching groups from:', fullApiUrl);
+      console.log('[SYNC] Fetching groups from:', apiPath.startsWith('/') ? `${getGatewayConfig().baseUrls.groups || '(MT5_GROUPS_API_URL not set)'}${apiPath}` : apiPath);
 
-      let response;
+      let data;
       try {
-        response = await axios.get(fullApiUrl, {
-          headers: {
-            'accept': 'application/json',
-            'Content-Type': 'application/json'
-          },
-          timeout: 30000,
-          validateStatus: function (status) {
-            return status < 500; // Don't throw for 4xx errors, but do for 5xx
-          }
+        data = await fetchGroups(apiPath);
+      } catch (gatewayError) {
+        console.error('[SYNC] Gateway error details:', {
+          message: gatewayError.message,
+          code: gatewayError.code,
+          status: gatewayError.status
         });
-      } catch (axiosError) {
-        console.error('[SYNC] Axios error details:', {
-          message: axiosError.message,
-          code: axiosError.code,
-          response: axiosError.response?.data,
-          status: axiosError.response?.status
-        });
-        
-        if (axiosError.code === 'ECONNREFUSED') {
-          throw new Error(`Cannot connect to API at ${fullApiUrl}. Server may be down.`);
-        }
-        if (axiosError.code === 'ETIMEDOUT') {
-          throw new Error(`API request timed out after 30 seconds`);
-        }
-        if (axiosError.response) {
-          throw new Error(`API returned status ${axiosError.response.status}: ${axiosError.response.statusText}`);
-        }
-        throw new Error(`Failed to fetch from API: ${axiosError.message}`);
-      }
-
-      if (response.status >= 400) {
-        throw new Error(`API returned status ${response.status}: ${response.statusText}`);
-      }
-
-      const data = response.data;
-
-      if (!data) {
-        throw new Error('No data received from API');
-      }
-
-      if (!Array.isArray(data)) {
-        console.error('[SYNC] Unexpected data format:', typeof data, data);
-        // Log first item structure to understand the format
-        if (typeof data === 'object' && data !== null) {
-          console.error('[SYNC] Data structure:', JSON.stringify(data, null, 2).substring(0, 500));
-        }
-        throw new Error(`Expected array but got ${typeof data}`);
+        throw gatewayError;
       }
 
       console.log(`[SYNC] Received ${data.length} groups from API`);
@@ -522,6 +479,20 @@ export class MT5Groups {
     }
   }
 
+  /**
+   * Set or clear (null) a group's spread markup in points
+   */
+  static async setSpreadMarkup(dbId, points) {
+    if (points !== null && (!Number.isFinite(Number(points)) || Number(points) < 0)) {
+      throw new Error('Spread markup must be a non-negative number of points or null');
+    }
+    const result = await query(
+      'UPDATE mt5_groups SET spread_markup_points = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+      [dbId, points === null ? null : Number(points)]
+    );
+    return result.rows[0] || null;
+  }
+
   static async updateGroupName(groupId, customName) {
     try {
       console.log('MT5Groups.updateGroupName called:', { groupId, customName });
@@ -0,0 +1,214 @@
+import { query } from '../config/database.js';
+
+/**
+ * Latest snapshot of open positions on referred MT5 accounts.
+ * Each snapshot replaces the account's rows in mt5_open_positions; mt5_open_position_accounts keeps
+ * when the account was last snapshotted (and the error, when MT5 could not be reached) so stale
+ * data can be told apart from an account with nothing open.
+ */
+export class MT5OpenPosition {
+  static async createTable() {
+    await query(`
+      CREATE TABLE IF NOT EXISTS mt5_open_positions (
+        account_id TEXT NOT NULL,
+        position_id TEXT NOT NULL,
+        user_id TEXT,
+        ib_request_id INTEGER,
+        symbol TEXT NOT NULL,
+        direction VARCHAR(10),
+        volume_lots NUMERIC NOT NULL DEFAULT 0,
+        open_price NUMERIC,
+        current_price NUMERIC,
+        floating_profit NUMERIC DEFAULT 0,
+        swap NUMERIC DEFAULT 0,
+        open_time TIMESTAMP WITH TIME ZONE,
+        snapshot_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (account_id, position_id)
+      );
+    `);
+    await query('CREATE INDEX IF NOT EXISTS idx_mt5_open_positions_ib ON mt5_open_positions (ib_request_id, symbol);');
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS mt5_open_position_accounts (
+        account_id TEXT PRIMARY KEY,
+        user_id TEXT,
+        ib_request_id INTEGER,
+        position_count INTEGER NOT NULL DEFAULT 0,
+        floating_profit NUMERIC DEFAULT 0,
+        snapshot_at TIMESTAMP WITH TIME ZONE,
+        error TEXT,
+        error_at TIMESTAMP WITH TIME ZONE
+      );
+    `);
+  }
+
+  /**
+   * Replace an account's open positions with a fresh snapshot (normalizeOpenPosition shape)
+   */
+  static async replaceForAccount({ accountId, userId = null, ibRequestId = null }, positions) {
+    const id = String(accountId);
+    const snapshotAt = new Date();
+    const ids = positions.map(p => String(p.positionId));
+
+    for (const position of positions) {
+      await query(
+        `INSERT INTO mt5_open_positions (
+           account_id, position_id, user_id, ib_request_id, symbol, direction, volume_lots,
+           open_price, current_price, floating_profit, swap, open_time, snapshot_at
+         ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
+         ON CONFLICT (account_id, position_id) DO UPDATE SET
+           user_id = EXCLUDED.user_id,
+           ib_request_id = EXCLUDED.ib_request_id,
+           symbol = EXCLUDED.symbol,
+           direction = EXCLUDED.direction,
+           volume_lots = EXCLUDED.volume_lots,
+           open_price = EXCLUDED.open_price,
+           current_price = EXCLUDED.current_price,
+           floating_profit = EXCLUDED.floating_profit,
+           swap = EXCLUDED.swap,
+           open_time = COALESCE(EXCLUDED.open_time, mt5_open_positions.open_time),
+           snapshot_at = EXCLUDED.snapshot_at`,
+        [
+          id,
+          String(position.positionId),
+          userId ? String(userId) : null,
+          ibRequestId,
+          position.symbol,
+          position.direction,
+          position.volumeLots,
+          position.openPrice || null,
+          position.currentPrice || null,
+          position.floatingProfit,
+          position.swap,
+          position.openTime,
+          snapshotAt
+        ]
+      );
+    }
+    // Positions missing from the snapshot have been closed
+    await query(
+      'DELETE FROM mt5_open_positions WHERE account_id = $1 AND NOT (position_id = ANY($2::text[]))',
+      [id, ids]
+    );
+
+    const floatingProfit = positions.reduce((sum, p) => sum + Number(p.floatingProfit || 0), 0);
+    await query(
+      `INSERT INTO mt5_open_position_accounts (account_id, user_id, ib_request_id, position_count, floating_profit, snapshot_at, error, error_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NULL, NULL)
+       ON CONFLICT (account_id) DO UPDATE SET
+         user_id = EXCLUDED.user_id,
+         ib_request_id = EXCLUDED.ib_request_id,
+         position_count = EXCLUDED.position_count,
+         floating_profit = EXCLUDED.floating_profit,
+         snapshot_at = EXCLUDED.snapshot_at,
+         error = NULL,
+         error_at = NULL`,
+      [id, userId ? String(userId) : null, ibRequestId, positions.length, floatingProfit, snapshotAt]
+    );
+    return { accountId: id, positions: positions.length, floatingProfit, snapshotAt };
+  }
+
+  /**
+   * Keep the previous snapshot but note that the latest attempt failed
+   */
+  static async recordFailure({ accountId, userId = null, ibRequestId = null }, error) {
+    await query(
+      `INSERT INTO mt5_open_position_accounts (account_id, user_id, ib_request_id, error, error_at)
+       VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+       ON CONFLICT (account_id) DO UPDATE SET error = EXCLUDED.error, error_at = EXCLUDED.error_at`,
+      [String(accountId), userId ? String(userId) : null, ibRequestId, String(error).substring(0, 1000)]
+    );
+  }
+
+  /**
+   * Open positions of an IB's network, optionally for some users or one symbol
+   */
+  static async listForIB(ibRequestId, { userIds = null, symbol = null } = {}) {
+    const params = [ibRequestId];
+    let sql = `SELECT * FROM mt5_open_positions WHERE ib_request_id = $1`;
+    if (userIds) {
+      params.push(userIds.map(String));
+      sql += ` AND user_id = ANY($${params.length}::text[])`;
+    }
+    if (symbol) {
+      params.push(String(symbol).toUpperCase());
+      sql += ` AND UPPER(symbol) = $${params.length}`;
+    }
+    sql += ' ORDER BY user_id, account_id, open_time';
+    const result = await query(sql, params);
+    return result.rows.map(row => ({
+      accountId: row.account_id,
+      positionId: row.position_id,
+      userId: row.user_id,
+      symbol: row.symbol,
+      direction: row.direction,
+      volumeLots: Number(row.volume_lots || 0),
+      openPrice: row.open_price !== null ? Number(row.open_price) : null,
+      currentPrice: row.current_price !== null ? Number(row.current_price) : null,
+      floatingProfit: Number(row.floating_profit || 0),
+      swap: Number(row.swap || 0),
+      openTime: row.open_time,
+      snapshotAt: row.snapshot_at
+    }));
+  }
+
+  /**
+   * Per-symbol exposure across an IB's network: buy/sell/net lots, floating P/L, accounts in the market
+   */
+  static async getExposureForIB(ibRequestId) {
+    const bySymbol = await query(
+      `SELECT symbol,
+              COUNT(*) AS positions,
+              COUNT(DISTINCT account_id) AS accounts,
+              COALESCE(SUM(CASE WHEN direction = 'buy' THEN volume_lots ELSE 0 END), 0) AS buy_lots,
+              COALESCE(SUM(CASE WHEN direction = 'sell' THEN volume_lots ELSE 0 END), 0) AS sell_lots,
+              COALESCE(SUM(floating_profit), 0) AS floating_profit
+       FROM mt5_open_positions
+       WHERE ib_request_id = $1
+       GROUP BY symbol
+       ORDER BY SUM(volume_lots) DESC, symbol`,
+      [ibRequestId]
+    );
+    const accounts = await query(
+      `SELECT COUNT(*) AS accounts,
+              COUNT(*) FILTER (WHERE position_count > 0) AS accounts_in_market,
+              COUNT(*) FILTER (WHERE error IS NOT NULL) AS accounts_with_errors,
+              MIN(snapshot_at) AS oldest_snapshot_at,
+              MAX(snapshot_at) AS latest_snapshot_at
+       FROM mt5_open_position_accounts
+       WHERE ib_request_id = $1`,
+      [ibRequestId]
+    );
+
+    const symbols = bySymbol.rows.map(row => {
+      const buyLots = Number(row.buy_lots || 0);
+      const sellLots = Number(row.sell_lots || 0);
+      return {
+        symbol: row.symbol,
+        positions: Number(row.positions || 0),
+        accounts: Number(row.accounts || 0),
+        buyLots,
+        sellLots,
+        netLots: Math.round((buyLots - sellLots) * 1e8) / 1e8,
+        floatingProfit: Number(row.floating_profit || 0)
+      };
+    });
+    const summary = accounts.rows[0] || {};
+    return {
+      symbols,
+      totals: {
+        positions: symbols.reduce((sum, s) => sum + s.positions, 0),
+        buyLots: symbols.reduce((sum, s) => sum + s.buyLots, 0),
+        sellLots: symbols.reduce((sum, s) => sum + s.sellLots, 0),
+        floatingProfit: symbols.reduce((sum, s) => sum + s.floatingProfit, 0),
+        accounts: Number(summary.accounts || 0),
+        accountsInMarket: Number(summary.accounts_in_market || 0),
+        accountsWithErrors: Number(summary.accounts_with_errors || 0)
+      },
+      oldestSnapshotAt: summary.oldest_snapshot_at || null,
+      latestSnapshotAt: summary.latest_snapshot_at || null
+    };
+  }
+}
+
+export default MT5OpenPosition;
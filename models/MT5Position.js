@@ -0,0 +1,326 @@
+import { query } from '../config/database.js';
+
+const opposite = (direction) => (direction === 'buy' ? 'sell' : direction === 'sell' ? 'buy' : null);
+const round = (n) => Math.round(Number(n || 0) * 1e8) / 1e8;
+
+/**
+ * MT5 deals grouped into positions.
+ * mt5_deals keeps every trading deal (opening ones too) as reported by MT5; mt5_positions is
+ * rebuilt from those deals, which also fixes each deal's closed volume so partial closes and
+ * reversals count every closed lot exactly once.
+ */
+export class MT5Position {
+  static async createTable() {
+    await query(`
+      CREATE TABLE IF NOT EXISTS mt5_deals (
+        account_id TEXT NOT NULL,
+        deal_id TEXT NOT NULL,
+        order_id TEXT,
+        position_id TEXT,
+        symbol TEXT NOT NULL,
+        direction VARCHAR(10),
+        entry VARCHAR(10),
+        volume_lots NUMERIC NOT NULL DEFAULT 0,
+        closed_volume_lots NUMERIC NOT NULL DEFAULT 0,
+        price NUMERIC,
+        open_price NUMERIC,
+        open_time TIMESTAMP WITH TIME ZONE,
+        profit NUMERIC DEFAULT 0,
+        commission NUMERIC DEFAULT 0,
+        swap NUMERIC DEFAULT 0,
+        deal_time TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (account_id, deal_id)
+      );
+    `);
+    await query(`CREATE INDEX IF NOT EXISTS idx_mt5_deals_position ON mt5_deals (account_id, position_id, deal_time);`);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS mt5_positions (
+        account_id TEXT NOT NULL,
+        position_id TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        direction VARCHAR(10),
+        status VARCHAR(10) NOT NULL CHECK (status IN ('open','closed')),
+        open_volume_lots NUMERIC NOT NULL DEFAULT 0,
+        opened_volume_lots NUMERIC NOT NULL DEFAULT 0,
+        closed_volume_lots NUMERIC NOT NULL DEFAULT 0,
+        avg_open_price NUMERIC,
+        avg_close_price NUMERIC,
+        profit NUMERIC DEFAULT 0,
+        commission NUMERIC DEFAULT 0,
+        swap NUMERIC DEFAULT 0,
+        deal_count INTEGER NOT NULL DEFAULT 0,
+        reversals INTEGER NOT NULL DEFAULT 0,
+        incomplete BOOLEAN NOT NULL DEFAULT false,
+        open_time TIMESTAMP WITH TIME ZONE,
+        close_time TIMESTAMP WITH TIME ZONE,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (account_id, position_id)
+      );
+    `);
+    await query(`CREATE INDEX IF NOT EXISTS idx_mt5_positions_status ON mt5_positions (account_id, status);`);
+  }
+
+  /**
+   * Store normalized deals (see normalizeDeal in services/mt5Gateway.js)
+   */
+  static async recordDeals(accountId, deals) {
+    for (const deal of deals) {
+      await query(
+        `INSERT INTO mt5_deals (
+           account_id, deal_id, order_id, position_id, symbol, direction, entry,
+           volume_lots, price, open_price, open_time, profit, commission, swap, deal_time
+         ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15)
+         ON CONFLICT (account_id, deal_id) DO UPDATE SET
+           order_id = COALESCE(EXCLUDED.order_id, mt5_deals.order_id),
+           position_id = COALESCE(EXCLUDED.position_id, mt5_deals.position_id),
+           direction = COALESCE(EXCLUDED.direction, mt5_deals.direction),
+           entry = COALESCE(EXCLUDED.entry, mt5_deals.entry),
+           volume_lots = EXCLUDED.volume_lots,
+           price = EXCLUDED.price,
+           open_price = EXCLUDED.open_price,
+           open_time = COALESCE(EXCLUDED.open_time, mt5_deals.open_time),
+           profit = EXCLUDED.profit,
+           commission = EXCLUDED.commission,
+           swap = EXCLUDED.swap,
+           deal_time = COALESCE(EXCLUDED.deal_time, mt5_deals.deal_time),
+           updated_at = CURRENT_TIMESTAMP`,
+        [
+          String(accountId),
+          deal.dealId,
+          deal.orderId,
+          deal.positionId,
+          deal.symbol,
+          deal.direction,
+          deal.entry,
+          deal.volumeLots,
+          deal.entry === 'in' ? (deal.price || deal.openPrice) : (deal.closePrice || deal.price),
+          deal.openPrice || null,
+          deal.openTime ? deal.openTime.toISOString() : null,
+          deal.profit,
+          deal.commission,
+          deal.swap,
+          deal.time ? deal.time.toISOString() : null
+        ]
+      );
+    }
+  }
+
+  /**
+   * Replay a position's deals in time order.
+   * 'in' adds open volume; 'out'/'out_by' close up to the open volume; 'inout' closes the
+   * open volume and opens the remainder the other way. A closing deal with no known opening
+   * deal closes its own volume; it is self-contained when it carries the open price/time
+   * (trades-closed records), otherwise the position is marked incomplete until a backfill
+   * brings in the opening deal.
+   */
+  static replay(deals) {
+    let direction = null;
+    let openVolume = 0;
+    let opened = 0;
+    let closed = 0;
+    let openNotional = 0;
+    let closeNotional = 0;
+    let reversals = 0;
+    let incomplete = false;
+    let openTime = null;
+    let closeTime = null;
+    const closedByDeal = new Map();
+
+    for (const deal of deals) {
+      const volume = Number(deal.volume_lots || 0);
+      const price = Number(deal.price || 0);
+      const time = deal.deal_time ? new Date(deal.deal_time) : null;
+      let closedNow = 0;
+
+      if (deal.entry === 'in') {
+        if (openVolume === 0) {
+          direction = deal.direction || direction;
+          openTime = openTime || time;
+        }
+        openVolume += volume;
+        opened += volume;
+        openNotional += volume * price;
+      } else if (deal.entry === 'inout') {
+        if (openVolume > 0) {
+          closedNow = openVolume;
+        } else {
+          incomplete = true;
+        }
+        const reopened = Math.max(volume - closedNow, 0);
+        direction = deal.direction || opposite(direction);
+        openVolume = reopened;
+        opened += reopened;
+        openNotional += reopened * price;
+        reversals += 1;
+      } else {
+        // 'out', 'out_by' and closed-trade records without an entry
+        if (openVolume > 0) {
+          closedNow = Math.min(volume, openVolume);
+          openVolume = round(openVolume - closedNow);
+        } else {
+          closedNow = volume;
+          if (Number(deal.open_price || 0) > 0 || deal.open_time) {
+            // Closed-trade records describe the whole position, their side is the position's side
+            direction = direction || deal.direction;
+            opened += volume;
+            openNotional += volume * Number(deal.open_price || 0);
+            openTime = openTime || (deal.open_time ? new Date(deal.open_time) : null);
+          } else {
+            // A bare closing deal trades against the position
+            direction = direction || opposite(deal.direction);
+            incomplete = true;
+          }
+        }
+      }
+
+      if (closedNow > 0) {
+        closed += closedNow;
+        closeNotional += closedNow * price;
+        closeTime = time || closeTime;
+      }
+      closedByDeal.set(String(deal.deal_id), round(closedNow));
+    }
+
+    return {
+      direction,
+      status: openVolume > 0 ? 'open' : 'closed',
+      openVolume: round(openVolume),
+      opened: round(opened),
+      closed: round(closed),
+      avgOpenPrice: opened > 0 ? openNotional / opened : null,
+      avgClosePrice: closed > 0 ? closeNotional / closed : null,
+      reversals,
+      incomplete,
+      openTime,
+      closeTime: openVolume > 0 ? null : closeTime,
+      closedByDeal
+    };
+  }
+
+  /**
+   * Rebuild positions from stored deals and write each deal's closed volume.
+   * Returns a Map of deal id -> closed volume for the rebuilt positions.
+   */
+  static async rebuild(accountId, positionIds) {
+    const closedByDeal = new Map();
+    const ids = Array.from(new Set((positionIds || []).filter(Boolean).map(String)));
+    if (!ids.length) return closedByDeal;
+
+    const dealsRes = await query(
+      `SELECT * FROM mt5_deals
+       WHERE account_id = $1 AND position_id = ANY($2::text[])
+       ORDER BY position_id, deal_time ASC NULLS FIRST,
+                CASE WHEN deal_id ~ '^[0-9]+$' THEN deal_id::numeric END ASC NULLS LAST, deal_id ASC`,
+      [String(accountId), ids]
+    );
+
+    const byPosition = new Map();
+    for (const row of dealsRes.rows) {
+      if (!byPosition.has(row.position_id)) byPosition.set(row.position_id, []);
+      byPosition.get(row.position_id).push(row);
+    }
+
+    for (const [positionId, deals] of byPosition) {
+      const state = MT5Position.replay(deals);
+      for (const [dealId, closedVolume] of state.closedByDeal) {
+        closedByDeal.set(dealId, closedVolume);
+        await query(
+          'UPDATE mt5_deals SET closed_volume_lots = $3 WHERE account_id = $1 AND deal_id = $2 AND closed_volume_lots IS DISTINCT FROM $3',
+          [String(accountId), dealId, closedVolume]
+        );
+      }
+
+      await query(
+        `INSERT INTO mt5_positions (
+           account_id, position_id, symbol, direction, status, open_volume_lots, opened_volume_lots,
+           closed_volume_lots, avg_open_price, avg_close_price, profit, commission, swap,
+           deal_count, reversals, incomplete, open_time, close_time, updated_at
+         ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,CURRENT_TIMESTAMP)
+         ON CONFLICT (account_id, position_id) DO UPDATE SET
+           symbol = EXCLUDED.symbol,
+           direction = EXCLUDED.direction,
+           status = EXCLUDED.status,
+           open_volume_lots = EXCLUDED.open_volume_lots,
+           opened_volume_lots = EXCLUDED.opened_volume_lots,
+           closed_volume_lots = EXCLUDED.closed_volume_lots,
+           avg_open_price = EXCLUDED.avg_open_price,
+           avg_close_price = EXCLUDED.avg_close_price,
+           profit = EXCLUDED.profit,
+           commission = EXCLUDED.commission,
+           swap = EXCLUDED.swap,
+           deal_count = EXCLUDED.deal_count,
+           reversals = EXCLUDED.reversals,
+           incomplete = EXCLUDED.incomplete,
+           open_time = EXCLUDED.open_time,
+           close_time = EXCLUDED.close_time,
+           updated_at = CURRENT_TIMESTAMP`,
+        [
+          String(accountId),
+          positionId,
+          deals[0].symbol,
+          state.direction,
+          state.status,
+          state.openVolume,
+          state.opened,
+          state.closed,
+          state.avgOpenPrice,
+          state.avgClosePrice,
+          deals.reduce((sum, d) => sum + Number(d.profit || 0), 0),
+          deals.reduce((sum, d) => sum + Number(d.commission || 0), 0),
+          deals.reduce((sum, d) => sum + Number(d.swap || 0), 0),
+          deals.length,
+          state.reversals,
+          state.incomplete,
+          state.openTime ? state.openTime.toISOString() : null,
+          state.closeTime ? state.closeTime.toISOString() : null
+        ]
+      );
+    }
+
+    return closedByDeal;
+  }
+
+  static async findWithDeals(accountId, positionId) {
+    const positionRes = await query(
+      'SELECT * FROM mt5_positions WHERE account_id = $1 AND position_id = $2',
+      [String(accountId), String(positionId)]
+    );
+    if (positionRes.rows.length === 0) return null;
+    const dealsRes = await query(
+      `SELECT d.*, t.ib_commission, t.ib_request_id
+       FROM mt5_deals d
+       LEFT JOIN ib_trade_history t ON t.account_id = d.account_id AND t.deal_id = d.deal_id
+       WHERE d.account_id = $1 AND d.position_id = $2
+       ORDER BY d.deal_time ASC NULLS FIRST, d.deal_id ASC`,
+      [String(accountId), String(positionId)]
+    );
+    return { ...positionRes.rows[0], deals: dealsRes.rows };
+  }
+
+  static async list({ accountId, status = null, symbol = null, limit = 50, offset = 0 }) {
+    const params = [String(accountId)];
+    let where = 'account_id = $1';
+    if (status) {
+      params.push(status);
+      where += ` AND status = $${params.length}`;
+    }
+    if (symbol) {
+      params.push(String(symbol));
+      where += ` AND symbol = $${params.length}`;
+    }
+    const countRes = await query(`SELECT COUNT(*)::int AS count FROM mt5_positions WHERE ${where}`, params);
+    const listRes = await query(
+      `SELECT * FROM mt5_positions
+       WHERE ${where}
+       ORDER BY COALESCE(close_time, open_time) DESC NULLS LAST, position_id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, Number(limit), Number(offset)]
+    );
+    return { positions: listRes.rows, total: Number(countRes.rows[0]?.count || 0) };
+  }
+}
+
+export default MT5Position;
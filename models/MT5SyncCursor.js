@@ -0,0 +1,95 @@
+import { query } from '../config/database.js';
+
+/**
+ * Per-account trade sync watermark.
+ * Stores the newest deal (time + id) already ingested so each run only pulls newer deals.
+ */
+export class MT5SyncCursor {
+  static async createTable() {
+    await query(`
+      CREATE TABLE IF NOT EXISTS mt5_sync_cursors (
+        account_id TEXT PRIMARY KEY,
+        ib_request_id INTEGER,
+        last_deal_time TIMESTAMP WITH TIME ZONE,
+        last_deal_id TEXT,
+        last_synced_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await query('CREATE INDEX IF NOT EXISTS idx_mt5_sync_cursors_ib ON mt5_sync_cursors (ib_request_id);');
+  }
+
+  static async get(accountId) {
+    const result = await query('SELECT * FROM mt5_sync_cursors WHERE account_id = $1', [String(accountId)]);
+    return result.rows[0] || null;
+  }
+
+  static async list({ ibRequestId = null, accountId = null } = {}) {
+    const params = [];
+    const where = [];
+    if (ibRequestId) {
+      params.push(Number(ibRequestId));
+      where.push(`ib_request_id = $${params.length}`);
+    }
+    if (accountId) {
+      params.push(String(accountId));
+      where.push(`account_id = $${params.length}`);
+    }
+    const result = await query(
+      `SELECT * FROM mt5_sync_cursors ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY account_id`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * Record a completed sync. The watermark only moves forward: a backfill of an
+   * older range never rewinds it.
+   */
+  static async advance(accountId, { ibRequestId = null, lastDealTime = null, lastDealId = null } = {}) {
+    const current = await this.get(accountId);
+    let dealTime = current?.last_deal_time || null;
+    let dealId = current?.last_deal_id || null;
+
+    if (lastDealTime && MT5SyncCursor.isNewer(lastDealTime, lastDealId, dealTime, dealId)) {
+      dealTime = new Date(lastDealTime).toISOString();
+      dealId = lastDealId ? String(lastDealId) : null;
+    }
+
+    const result = await query(
+      `INSERT INTO mt5_sync_cursors (account_id, ib_request_id, last_deal_time, last_deal_id, last_synced_at)
+       VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+       ON CONFLICT (account_id) DO UPDATE SET
+         ib_request_id = COALESCE(EXCLUDED.ib_request_id, mt5_sync_cursors.ib_request_id),
+         last_deal_time = EXCLUDED.last_deal_time,
+         last_deal_id = EXCLUDED.last_deal_id,
+         last_synced_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [String(accountId), ibRequestId ? Number(ibRequestId) : null, dealTime, dealId]
+    );
+    return result.rows[0];
+  }
+
+  static async reset(accountId) {
+    await query('DELETE FROM mt5_sync_cursors WHERE account_id = $1', [String(accountId)]);
+  }
+
+  /**
+   * Compare two (time, dealId) positions. Deal ids are numeric on MT5, so they break ties on equal times.
+   */
+  static isNewer(time, id, refTime, refId) {
+    if (!refTime) return true;
+    const a = new Date(time).getTime();
+    const b = new Date(refTime).getTime();
+    if (a !== b) return a > b;
+    if (refId === null || refId === undefined) return Boolean(id);
+    const numA = Number(id);
+    const numB = Number(refId);
+    if (Number.isFinite(numA) && Number.isFinite(numB)) return numA > numB;
+    return String(id) > String(refId);
+  }
+}
+
+export default MT5SyncCursor;
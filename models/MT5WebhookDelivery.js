@@ -0,0 +1,78 @@
+import { query } from '../config/database.js';
+
+// A delivery still 'processing' after this long is taken to have died mid-flight and can be reclaimed
+const STALE_PROCESSING_SECONDS = Number(process.env.MT5_WEBHOOK_STALE_SECONDS || 300);
+
+/**
+ * Deliveries received on the MT5 deal push webhook, keyed by the bridge's delivery id
+ * (or the body hash). A replayed delivery is answered from here instead of being ingested again.
+ */
+export class MT5WebhookDelivery {
+  static async createTable() {
+    await query(`
+      CREATE TABLE IF NOT EXISTS mt5_webhook_deliveries (
+        delivery_id TEXT PRIMARY KEY,
+        body_sha256 TEXT NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'processing' CHECK (status IN ('processing','processed','failed')),
+        deals_received INTEGER NOT NULL DEFAULT 0,
+        result JSONB,
+        error TEXT,
+        attempts INTEGER NOT NULL DEFAULT 1,
+        received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        processed_at TIMESTAMP WITH TIME ZONE
+      );
+    `);
+    await query('CREATE INDEX IF NOT EXISTS idx_mt5_webhook_deliveries_received ON mt5_webhook_deliveries (received_at DESC);');
+  }
+
+  /**
+   * Claim a delivery for processing. Returns { claimed: true } for a new delivery or a retry of a
+   * failed or stale 'processing' one, otherwise { claimed: false, delivery } with the stored row
+   * (plus bodyMismatch: true when the stored delivery had a different body; it is never reclaimed).
+   */
+  static async claim(deliveryId, { bodySha256, dealsReceived = 0 }) {
+    const result = await query(
+      `INSERT INTO mt5_webhook_deliveries (delivery_id, body_sha256, deals_received)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (delivery_id) DO UPDATE SET
+         status = 'processing',
+         attempts = mt5_webhook_deliveries.attempts + 1,
+         error = NULL,
+         received_at = CURRENT_TIMESTAMP
+       WHERE mt5_webhook_deliveries.body_sha256 = EXCLUDED.body_sha256
+         AND (
+           mt5_webhook_deliveries.status = 'failed'
+           OR (mt5_webhook_deliveries.status = 'processing'
+               AND mt5_webhook_deliveries.received_at < CURRENT_TIMESTAMP - make_interval(secs => $4))
+         )
+       RETURNING *`,
+      [deliveryId, bodySha256, dealsReceived, STALE_PROCESSING_SECONDS]
+    );
+    if (result.rows.length > 0) {
+      return { claimed: true, delivery: result.rows[0] };
+    }
+    const existing = await query('SELECT * FROM mt5_webhook_deliveries WHERE delivery_id = $1', [deliveryId]);
+    const delivery = existing.rows[0] || null;
+    return { claimed: false, delivery, bodyMismatch: Boolean(delivery) && delivery.body_sha256 !== bodySha256 };
+  }
+
+  static async markProcessed(deliveryId, result) {
+    await query(
+      `UPDATE mt5_webhook_deliveries
+       SET status = 'processed', result = $2::jsonb, processed_at = CURRENT_TIMESTAMP
+       WHERE delivery_id = $1`,
+      [deliveryId, JSON.stringify(result ?? null)]
+    );
+  }
+
+  static async markFailed(deliveryId, error) {
+    await query(
+      `UPDATE mt5_webhook_deliveries
+       SET status = 'failed', error = $2, processed_at = CURRENT_TIMESTAMP
+       WHERE delivery_id = $1`,
+      [deliveryId, String(error).substring(0, 4000)]
+    );
+  }
+}
+
+export default MT5WebhookDelivery;
@@ -0,0 +1,132 @@
+import { query } from '../config/database.js';
+
+export const REVENUE_SHARE_STATUS_VALUES = Object.freeze(['open', 'final']);
+// period_month as 'YYYY-MM' (DATE columns come back from pg as local-time Dates)
+const MONTH_SQL = "to_char(period_month, 'YYYY-MM') AS month";
+
+/**
+ * One row per IB per calendar month (UTC) of revenue share: the month's client result, costs and
+ * net revenue, the share earned, the negative balance carried in from earlier months and what is
+ * payable / carried out. 'open' rows are a running preview and are recalculated; 'final' rows are
+ * settled, never change, and their payable amount is accrued to the ledger (ledger_entry_id).
+ */
+export class RevenueSharePeriod {
+  static async createTable() {
+    await query(`
+      CREATE TABLE IF NOT EXISTS ib_revenue_share_periods (
+        id SERIAL PRIMARY KEY,
+        ib_request_id INTEGER NOT NULL REFERENCES ib_requests(id) ON DELETE CASCADE,
+        period_month DATE NOT NULL,
+        status VARCHAR(10) NOT NULL DEFAULT 'open' CHECK (status IN ('open','final')),
+        trades INTEGER NOT NULL DEFAULT 0,
+        lots NUMERIC(18,4) NOT NULL DEFAULT 0,
+        client_result NUMERIC(18,6) NOT NULL DEFAULT 0,
+        costs NUMERIC(18,6) NOT NULL DEFAULT 0,
+        net_revenue NUMERIC(18,6) NOT NULL DEFAULT 0,
+        share_amount NUMERIC(18,6) NOT NULL DEFAULT 0,
+        carry_in NUMERIC(18,6) NOT NULL DEFAULT 0,
+        payable NUMERIC(18,6) NOT NULL DEFAULT 0,
+        carry_out NUMERIC(18,6) NOT NULL DEFAULT 0,
+        breakdown JSONB NOT NULL DEFAULT '[]'::jsonb,
+        ledger_entry_id BIGINT,
+        calculated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        finalized_at TIMESTAMP WITH TIME ZONE,
+        UNIQUE (ib_request_id, period_month)
+      );
+    `);
+  }
+
+  /**
+   * The IB's latest settled month, or null
+   */
+  static async getLastFinal(ibRequestId) {
+    const result = await query(
+      `SELECT *, ${MONTH_SQL} FROM ib_revenue_share_periods
+       WHERE ib_request_id = $1 AND status = 'final'
+       ORDER BY period_month DESC
+       LIMIT 1`,
+      [ibRequestId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Store a month's calculation. Open months are overwritten; a final month is never touched, so
+   * saving it again returns null. `status: 'final'` settles the month.
+   */
+  static async save(ibRequestId, periodMonth, calc, { status = 'open' } = {}) {
+    const result = await query(
+      `INSERT INTO ib_revenue_share_periods (
+         ib_request_id, period_month, status, trades, lots, client_result, costs, net_revenue, share_amount,
+         carry_in, payable, carry_out, breakdown, finalized_at
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13::jsonb, $14)
+       ON CONFLICT (ib_request_id, period_month) DO UPDATE SET
+         status = EXCLUDED.status,
+         trades = EXCLUDED.trades,
+         lots = EXCLUDED.lots,
+         client_result = EXCLUDED.client_result,
+         costs = EXCLUDED.costs,
+         net_revenue = EXCLUDED.net_revenue,
+         share_amount = EXCLUDED.share_amount,
+         carry_in = EXCLUDED.carry_in,
+         payable = EXCLUDED.payable,
+         carry_out = EXCLUDED.carry_out,
+         breakdown = EXCLUDED.breakdown,
+         calculated_at = CURRENT_TIMESTAMP,
+         finalized_at = EXCLUDED.finalized_at
+       WHERE ib_revenue_share_periods.status = 'open'
+       RETURNING *, ${MONTH_SQL}`,
+      [
+        ibRequestId, periodMonth, status, calc.trades, calc.lots, calc.clientResult, calc.costs, calc.netRevenue,
+        calc.share, calc.carryIn, calc.payable, calc.carryOut, JSON.stringify(calc.breakdown || []),
+        status === 'final' ? new Date().toISOString() : null
+      ]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Final months with a payable amount that never reached the ledger (e.g. the run died after settling)
+   */
+  static async listUnposted(ibRequestId) {
+    const result = await query(
+      `SELECT *, ${MONTH_SQL} FROM ib_revenue_share_periods
+       WHERE ib_request_id = $1 AND status = 'final' AND payable > 0 AND ledger_entry_id IS NULL
+       ORDER BY period_month`,
+      [ibRequestId]
+    );
+    return result.rows;
+  }
+
+  static async setLedgerEntry(id, entryId) {
+    await query('UPDATE ib_revenue_share_periods SET ledger_entry_id = $2 WHERE id = $1', [id, entryId]);
+  }
+
+  /**
+   * Drop the IB's open (preview) months, e.g. when none of its structures pays revenue share any more
+   */
+  static async deleteOpen(ibRequestId) {
+    const result = await query(
+      "DELETE FROM ib_revenue_share_periods WHERE ib_request_id = $1 AND status = 'open'",
+      [ibRequestId]
+    );
+    return result.rowCount;
+  }
+
+  static async listForIB(ibRequestId, { limit = 24, offset = 0 } = {}) {
+    const [countRes, listRes] = await Promise.all([
+      query('SELECT COUNT(*)::int AS count FROM ib_revenue_share_periods WHERE ib_request_id = $1', [ibRequestId]),
+      query(
+        `SELECT *, ${MONTH_SQL} FROM ib_revenue_share_periods
+         WHERE ib_request_id = $1
+         ORDER BY period_month DESC
+         LIMIT $2 OFFSET $3`,
+        [ibRequestId, Number(limit), Number(offset)]
+      )
+    ]);
+    return { periods: listRes.rows, total: Number(countRes.rows[0]?.count || 0) };
+  }
+}
+
+export default RevenueSharePeriod;
@@ -1,4 +1,5 @@
 import { query } from '../config/database.js';
+import { fetchSymbols } from '../services/mt5Gateway.js';
 
 export class Symbols {
   static async createTable() {
@@ -32,29 +33,7 @@ export class Symbols {
 
   static async syncFromAPI() {
     try {
-      const response = await fetch('http://18.175.242.21:5003/api/Symbols', {
-        method: 'GET',
-        headers: {
-          'accept': 'text/plain',
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`API request failed with status ${response.status}`);
-      }
-
-      const data = await response.text();
-      let symbolsData;
-
-      try {
-        symbolsData = JSON.parse(data);
-      } catch (parseError) {
-        throw new Error('Invalid JSON response from API');
-      }
-
-      // Handle both array and object responses
-      const symbolsArray = Array.isArray(symbolsData) ? symbolsData : symbolsData.data || [];
+      const symbolsArray = await fetchSymbols();
 
       if (symbolsArray.length === 0) {
         return { message: 'No symbols data received from API', synced: 0 };
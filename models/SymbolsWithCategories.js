@@ -1,4 +1,5 @@
 import { query } from '../config/database.js';
+import { fetchSymbolCategories } from '../services/mt5Gateway.js';
 
 export class SymbolsWithCategories {
   static async createTable() {
@@ -87,28 +88,10 @@ export class SymbolsWithCategories {
   static async syncFromAPI(categoryFilter = null) {
     try {
       // Fetch categories
-      const categoriesResponse = await fetch('http://18.175.242.21:5003/api/Symbols/categories', {
-        method: 'GET',
-        headers: {
-          'accept': 'text/plain',
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!categoriesResponse.ok) {
-        throw new Error(`Categories API request failed with status ${categoriesResponse.status}`);
-      }
-
-      const categoriesData = await categoriesResponse.text();
-      let categoriesObject;
-      try {
-        categoriesObject = JSON.parse(categoriesData);
-      } catch (e) {
-        throw new Error('Invalid JSON response from categories API');
-      }
+      const categoriesObject = await fetchSymbolCategories();
 
       // Extract category keys from the object (these are the 5 categories)
-      const apiCategories = Object.keys(categoriesObject || {});
+      let apiCategories = Object.keys(categoriesObject || {});
       
       if (!Array.isArray(apiCategories) || apiCategories.length === 0) {
         console.warn('No categories received from API, using defaults');
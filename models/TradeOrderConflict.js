@@ -0,0 +1,106 @@
+import { query } from '../config/database.js';
+
+/**
+ * MT5 order ids seen under more than one account on the same server.
+ * Ingestion records a clash here instead of overwriting the other account's trade;
+ * migrate-trade-uniqueness.js records collisions already in ib_trade_history.
+ */
+export class TradeOrderConflict {
+  static async createTable() {
+    await query(`
+      CREATE TABLE IF NOT EXISTS trade_order_conflicts (
+        id SERIAL PRIMARY KEY,
+        server TEXT NOT NULL DEFAULT 'default',
+        order_id TEXT NOT NULL,
+        account_id TEXT NOT NULL,
+        conflicting_account_id TEXT NOT NULL,
+        existing_row_id TEXT,
+        source VARCHAR(20) NOT NULL DEFAULT 'sync' CHECK (source IN ('sync','migration')),
+        details JSONB NOT NULL DEFAULT '{}'::jsonb,
+        occurrences INTEGER NOT NULL DEFAULT 1,
+        first_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        resolved_at TIMESTAMP WITH TIME ZONE,
+        resolved_by TEXT,
+        resolution_note TEXT,
+        UNIQUE (server, order_id, account_id, conflicting_account_id)
+      );
+    `);
+    await query(`CREATE INDEX IF NOT EXISTS idx_trade_order_conflicts_open ON trade_order_conflicts (resolved_at, last_seen_at DESC);`);
+  }
+
+  /**
+   * Record (or count again) a clash: accountId is the account being ingested,
+   * conflictingAccountId the account that already has a trade with this order id.
+   * A resolved clash stays resolved when seen again with the same details (every resync repeats
+   * it); it is reopened only if the details changed.
+   */
+  static async record({ server = 'default', orderId, accountId, conflictingAccountId, existingRowId = null, source = 'sync', details = {} }) {
+    const result = await query(
+      `INSERT INTO trade_order_conflicts (
+         server, order_id, account_id, conflicting_account_id, existing_row_id, source, details
+       ) VALUES ($1,$2,$3,$4,$5,$6,$7::jsonb)
+       ON CONFLICT (server, order_id, account_id, conflicting_account_id) DO UPDATE SET
+         existing_row_id = COALESCE(EXCLUDED.existing_row_id, trade_order_conflicts.existing_row_id),
+         details = EXCLUDED.details,
+         occurrences = trade_order_conflicts.occurrences + 1,
+         last_seen_at = CURRENT_TIMESTAMP,
+         resolved_at = CASE WHEN trade_order_conflicts.details IS DISTINCT FROM EXCLUDED.details
+                            THEN NULL ELSE trade_order_conflicts.resolved_at END,
+         resolved_by = CASE WHEN trade_order_conflicts.details IS DISTINCT FROM EXCLUDED.details
+                            THEN NULL ELSE trade_order_conflicts.resolved_by END,
+         resolution_note = CASE WHEN trade_order_conflicts.details IS DISTINCT FROM EXCLUDED.details
+                                THEN NULL ELSE trade_order_conflicts.resolution_note END
+       RETURNING *`,
+      [
+        String(server || 'default'),
+        String(orderId),
+        String(accountId),
+        String(conflictingAccountId),
+        existingRowId,
+        source,
+        JSON.stringify(details || {})
+      ]
+    );
+    return result.rows[0];
+  }
+
+  static async list({ resolved = null, accountId = null, server = null, limit = 50, offset = 0 } = {}) {
+    const params = [];
+    const where = [];
+    if (resolved === true) where.push('resolved_at IS NOT NULL');
+    if (resolved === false) where.push('resolved_at IS NULL');
+    if (accountId) {
+      params.push(String(accountId));
+      where.push(`(account_id = $${params.length} OR conflicting_account_id = $${params.length})`);
+    }
+    if (server) {
+      params.push(String(server));
+      where.push(`server = $${params.length}`);
+    }
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    const countRes = await query(`SELECT COUNT(*)::int AS count FROM trade_order_conflicts ${whereSql}`, params);
+    const listRes = await query(
+      `SELECT * FROM trade_order_conflicts
+       ${whereSql}
+       ORDER BY last_seen_at DESC, id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, Number(limit), Number(offset)]
+    );
+    return { conflicts: listRes.rows, total: Number(countRes.rows[0]?.count || 0) };
+  }
+
+  static async resolve(id, { resolvedBy = null, note = null } = {}) {
+    const result = await query(
+      `UPDATE trade_order_conflicts
+       SET resolved_at = CURRENT_TIMESTAMP, resolved_by = $2, resolution_note = $3
+       WHERE id = $1 AND resolved_at IS NULL
+       RETURNING *`,
+      [id, resolvedBy, note]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+export default TradeOrderConflict;
@@ -0,0 +1,210 @@
+import { query } from '../config/database.js';
+
+export const RECONCILIATION_STATUS_VALUES = Object.freeze(['running', 'matched', 'discrepancies', 'failed']);
+
+/**
+ * MT5-vs-portal reconciliation reports.
+ * One trade_reconciliations row per run (account, IB or all IBs over a date range) and one
+ * trade_reconciliation_accounts row per account with MT5 and portal totals and the deal-level differences.
+ */
+export class TradeReconciliation {
+  static async createTable() {
+    await query(`
+      CREATE TABLE IF NOT EXISTS trade_reconciliations (
+        id SERIAL PRIMARY KEY,
+        scope VARCHAR(20) NOT NULL,
+        ib_request_id INTEGER,
+        account_id TEXT,
+        from_date TIMESTAMP WITH TIME ZONE NOT NULL,
+        to_date TIMESTAMP WITH TIME ZONE NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running','matched','discrepancies','failed')),
+        accounts_total INTEGER NOT NULL DEFAULT 0,
+        accounts_with_discrepancies INTEGER NOT NULL DEFAULT 0,
+        missing INTEGER NOT NULL DEFAULT 0,
+        extra INTEGER NOT NULL DEFAULT 0,
+        mismatched INTEGER NOT NULL DEFAULT 0,
+        triggered_by TEXT,
+        job_id INTEGER,
+        error TEXT,
+        started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP WITH TIME ZONE
+      );
+    `);
+    await query(`
+      CREATE TABLE IF NOT EXISTS trade_reconciliation_accounts (
+        id SERIAL PRIMARY KEY,
+        reconciliation_id INTEGER NOT NULL REFERENCES trade_reconciliations(id) ON DELETE CASCADE,
+        account_id TEXT NOT NULL,
+        user_id TEXT,
+        ib_request_id INTEGER,
+        status VARCHAR(20) NOT NULL CHECK (status IN ('matched','discrepancies','failed')),
+        mt5_deals INTEGER NOT NULL DEFAULT 0,
+        mt5_lots NUMERIC NOT NULL DEFAULT 0,
+        mt5_profit NUMERIC NOT NULL DEFAULT 0,
+        portal_deals INTEGER NOT NULL DEFAULT 0,
+        portal_lots NUMERIC NOT NULL DEFAULT 0,
+        portal_profit NUMERIC NOT NULL DEFAULT 0,
+        missing JSONB NOT NULL DEFAULT '[]'::jsonb,
+        extra JSONB NOT NULL DEFAULT '[]'::jsonb,
+        mismatched JSONB NOT NULL DEFAULT '[]'::jsonb,
+        error TEXT,
+        resync_run_id INTEGER,
+        resynced_at TIMESTAMP WITH TIME ZONE,
+        checked_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (reconciliation_id, account_id)
+      );
+    `);
+    await query(`CREATE INDEX IF NOT EXISTS idx_trade_reconciliations_started ON trade_reconciliations (started_at DESC);`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_trade_reconciliation_accounts_account ON trade_reconciliation_accounts (account_id, checked_at DESC);`);
+  }
+
+  static async start({ scope, ibRequestId = null, accountId = null, fromDate, toDate, triggeredBy = null, jobId = null }) {
+    const result = await query(
+      `INSERT INTO trade_reconciliations (scope, ib_request_id, account_id, from_date, to_date, triggered_by, job_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [scope, ibRequestId, accountId ? String(accountId) : null, fromDate, toDate, triggeredBy, jobId]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Store (or replace, after a resync) one account's comparison: a reconcileAccount result or { accountId, error }
+   */
+  static async recordAccount(reconciliationId, { accountId, userId = null, ibRequestId = null, mt5 = {}, portal = {}, missing = [], extra = [], mismatched = [], error = null }, { resyncRunId = null } = {}) {
+    const status = error ? 'failed' : (missing.length || extra.length || mismatched.length) ? 'discrepancies' : 'matched';
+    const result = await query(
+      `INSERT INTO trade_reconciliation_accounts (
+         reconciliation_id, account_id, user_id, ib_request_id, status,
+         mt5_deals, mt5_lots, mt5_profit, portal_deals, portal_lots, portal_profit,
+         missing, extra, mismatched, error, resync_run_id, resynced_at
+       ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12::jsonb,$13::jsonb,$14::jsonb,$15,$16,
+                 CASE WHEN $16::int IS NOT NULL THEN CURRENT_TIMESTAMP END)
+       ON CONFLICT (reconciliation_id, account_id) DO UPDATE SET
+         status = EXCLUDED.status,
+         mt5_deals = EXCLUDED.mt5_deals,
+         mt5_lots = EXCLUDED.mt5_lots,
+         mt5_profit = EXCLUDED.mt5_profit,
+         portal_deals = EXCLUDED.portal_deals,
+         portal_lots = EXCLUDED.portal_lots,
+         portal_profit = EXCLUDED.portal_profit,
+         missing = EXCLUDED.missing,
+         extra = EXCLUDED.extra,
+         mismatched = EXCLUDED.mismatched,
+         error = EXCLUDED.error,
+         resync_run_id = COALESCE(EXCLUDED.resync_run_id, trade_reconciliation_accounts.resync_run_id),
+         resynced_at = COALESCE(EXCLUDED.resynced_at, trade_reconciliation_accounts.resynced_at),
+         checked_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [
+        reconciliationId,
+        String(accountId),
+        userId ? String(userId) : null,
+        ibRequestId,
+        status,
+        Number(mt5.deals || 0),
+        Number(mt5.lots || 0),
+        Number(mt5.profit || 0),
+        Number(portal.deals || 0),
+        Number(portal.lots || 0),
+        Number(portal.profit || 0),
+        JSON.stringify(missing.slice(0, 500)),
+        JSON.stringify(extra.slice(0, 500)),
+        JSON.stringify(mismatched.slice(0, 500)),
+        error ? String(error).substring(0, 4000) : null,
+        resyncRunId
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Recompute a report's totals and status from its account rows
+   */
+  static async finish(reconciliationId, { error = null } = {}) {
+    const result = await query(
+      `WITH totals AS (
+         SELECT COUNT(*)::int AS accounts_total,
+                COUNT(*) FILTER (WHERE status <> 'matched')::int AS accounts_with_discrepancies,
+                COALESCE(SUM(jsonb_array_length(missing)), 0)::int AS missing,
+                COALESCE(SUM(jsonb_array_length(extra)), 0)::int AS extra,
+                COALESCE(SUM(jsonb_array_length(mismatched)), 0)::int AS mismatched
+         FROM trade_reconciliation_accounts
+         WHERE reconciliation_id = $1
+       )
+       UPDATE trade_reconciliations r
+       SET accounts_total = t.accounts_total,
+           accounts_with_discrepancies = t.accounts_with_discrepancies,
+           missing = t.missing,
+           extra = t.extra,
+           mismatched = t.mismatched,
+           error = $2,
+           status = CASE
+             WHEN $2::text IS NOT NULL THEN 'failed'
+             WHEN t.accounts_with_discrepancies > 0 THEN 'discrepancies'
+             ELSE 'matched'
+           END,
+           finished_at = CURRENT_TIMESTAMP
+       FROM totals t
+       WHERE r.id = $1
+       RETURNING r.*`,
+      [reconciliationId, error ? String(error).substring(0, 4000) : null]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async list({ status = null, ibRequestId = null, accountId = null, limit = 50, offset = 0 } = {}) {
+    const params = [];
+    const where = [];
+    if (status) {
+      params.push(status);
+      where.push(`r.status = $${params.length}`);
+    }
+    if (ibRequestId) {
+      params.push(Number(ibRequestId));
+      where.push(`(r.ib_request_id = $${params.length} OR EXISTS (
+        SELECT 1 FROM trade_reconciliation_accounts a WHERE a.reconciliation_id = r.id AND a.ib_request_id = $${params.length}
+      ))`);
+    }
+    if (accountId) {
+      params.push(String(accountId));
+      where.push(`EXISTS (
+        SELECT 1 FROM trade_reconciliation_accounts a WHERE a.reconciliation_id = r.id AND a.account_id = $${params.length}
+      )`);
+    }
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    const countRes = await query(`SELECT COUNT(*)::int AS count FROM trade_reconciliations r ${whereSql}`, params);
+    const listRes = await query(
+      `SELECT r.* FROM trade_reconciliations r
+       ${whereSql}
+       ORDER BY r.started_at DESC, r.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, Number(limit), Number(offset)]
+    );
+    return { reconciliations: listRes.rows, total: Number(countRes.rows[0]?.count || 0) };
+  }
+
+  static async findById(id) {
+    const res = await query('SELECT * FROM trade_reconciliations WHERE id = $1', [id]);
+    if (res.rows.length === 0) return null;
+    const accountsRes = await query(
+      "SELECT * FROM trade_reconciliation_accounts WHERE reconciliation_id = $1 ORDER BY (status = 'matched') ASC, account_id",
+      [id]
+    );
+    return { ...res.rows[0], accounts: accountsRes.rows };
+  }
+
+  static async findAccount(reconciliationId, accountId) {
+    const result = await query(
+      `SELECT a.*, r.from_date, r.to_date
+       FROM trade_reconciliation_accounts a
+       JOIN trade_reconciliations r ON r.id = a.reconciliation_id
+       WHERE a.reconciliation_id = $1 AND a.account_id = $2`,
+      [reconciliationId, String(accountId)]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+export default TradeReconciliation;
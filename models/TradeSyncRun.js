@@ -0,0 +1,216 @@
+import { query } from '../config/database.js';
+
+export const SYNC_RUN_TRIGGERS = Object.freeze(['auto', 'admin', 'ib']);
+export const SYNC_RUN_STATUS_VALUES = Object.freeze(['running', 'succeeded', 'partial', 'failed']);
+
+/**
+ * History of MT5 trade sync runs.
+ * One trade_sync_runs row per run (scheduled sync, admin sync/backfill, IB-requested sync)
+ * and one trade_sync_run_accounts row per account it touched, with counts and the error if any.
+ */
+export class TradeSyncRun {
+  static async createTable() {
+    await query(`
+      CREATE TABLE IF NOT EXISTS trade_sync_runs (
+        id SERIAL PRIMARY KEY,
+        trigger VARCHAR(20) NOT NULL CHECK (trigger IN ('auto','admin','ib')),
+        triggered_by TEXT,
+        scope VARCHAR(20) NOT NULL,
+        ib_request_id INTEGER,
+        account_id TEXT,
+        job_id INTEGER,
+        status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running','succeeded','partial','failed')),
+        from_date TIMESTAMP WITH TIME ZONE,
+        to_date TIMESTAMP WITH TIME ZONE,
+        accounts_total INTEGER NOT NULL DEFAULT 0,
+        accounts_failed INTEGER NOT NULL DEFAULT 0,
+        fetched INTEGER NOT NULL DEFAULT 0,
+        saved INTEGER NOT NULL DEFAULT 0,
+        skipped INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP WITH TIME ZONE
+      );
+    `);
+    await query(`
+      CREATE TABLE IF NOT EXISTS trade_sync_run_accounts (
+        id SERIAL PRIMARY KEY,
+        run_id INTEGER NOT NULL REFERENCES trade_sync_runs(id) ON DELETE CASCADE,
+        account_id TEXT NOT NULL,
+        user_id TEXT,
+        ib_request_id INTEGER,
+        status VARCHAR(20) NOT NULL CHECK (status IN ('succeeded','failed')),
+        from_date TIMESTAMP WITH TIME ZONE,
+        to_date TIMESTAMP WITH TIME ZONE,
+        fetched INTEGER NOT NULL DEFAULT 0,
+        processed INTEGER NOT NULL DEFAULT 0,
+        saved INTEGER NOT NULL DEFAULT 0,
+        skipped INTEGER NOT NULL DEFAULT 0,
+        skipped_breakdown JSONB NOT NULL DEFAULT '{}'::jsonb,
+        errors JSONB NOT NULL DEFAULT '[]'::jsonb,
+        error TEXT,
+        started_at TIMESTAMP WITH TIME ZONE,
+        finished_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await query(`CREATE INDEX IF NOT EXISTS idx_trade_sync_runs_started ON trade_sync_runs (started_at DESC);`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_trade_sync_runs_ib ON trade_sync_runs (ib_request_id, started_at DESC);`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_trade_sync_run_accounts_run ON trade_sync_run_accounts (run_id);`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_trade_sync_run_accounts_account ON trade_sync_run_accounts (account_id, finished_at DESC);`);
+  }
+
+  static async start({ trigger, triggeredBy = null, scope, ibRequestId = null, accountId = null, jobId = null, fromDate = null, toDate = null }) {
+    if (!SYNC_RUN_TRIGGERS.includes(trigger)) {
+      throw new Error(`Invalid sync trigger: ${trigger}`);
+    }
+    const result = await query(
+      `INSERT INTO trade_sync_runs (trigger, triggered_by, scope, ib_request_id, account_id, job_id, from_date, to_date)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [trigger, triggeredBy, scope, ibRequestId, accountId ? String(accountId) : null, jobId, fromDate, toDate]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Record one account's outcome: a syncAccount result, or { accountId, error } when the account failed.
+   */
+  static async recordAccount(runId, { accountId, userId = null, ibRequestId = null, from = null, to = null, fetched = 0, processed = 0, saved = 0, skipped = {}, errors = [], error = null, startedAt = null }) {
+    const skippedTotal = Object.values(skipped || {}).reduce((sum, n) => sum + Number(n || 0), 0);
+    const result = await query(
+      `INSERT INTO trade_sync_run_accounts (
+         run_id, account_id, user_id, ib_request_id, status, from_date, to_date,
+         fetched, processed, saved, skipped, skipped_breakdown, errors, error, started_at
+       ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12::jsonb,$13::jsonb,$14,$15)
+       RETURNING *`,
+      [
+        runId,
+        String(accountId),
+        userId ? String(userId) : null,
+        ibRequestId,
+        error ? 'failed' : 'succeeded',
+        from,
+        to,
+        Number(fetched || 0),
+        Number(processed || 0),
+        Number(saved || 0),
+        skippedTotal,
+        JSON.stringify(skipped || {}),
+        JSON.stringify((errors || []).slice(0, 50)),
+        error ? String(error).substring(0, 4000) : null,
+        startedAt
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Close a run: totals come from its account rows. A run fails when it threw or every account failed.
+   */
+  static async finish(runId, { error = null } = {}) {
+    const result = await query(
+      `WITH totals AS (
+         SELECT COUNT(*)::int AS accounts_total,
+                COUNT(*) FILTER (WHERE status = 'failed')::int AS accounts_failed,
+                COALESCE(SUM(fetched), 0)::int AS fetched,
+                COALESCE(SUM(saved), 0)::int AS saved,
+                COALESCE(SUM(skipped), 0)::int AS skipped
+         FROM trade_sync_run_accounts
+         WHERE run_id = $1
+       )
+       UPDATE trade_sync_runs r
+       SET accounts_total = t.accounts_total,
+           accounts_failed = t.accounts_failed,
+           fetched = t.fetched,
+           saved = t.saved,
+           skipped = t.skipped,
+           error = $2,
+           status = CASE
+             WHEN $2::text IS NOT NULL THEN 'failed'
+             WHEN t.accounts_total > 0 AND t.accounts_failed = t.accounts_total THEN 'failed'
+             WHEN t.accounts_failed > 0 THEN 'partial'
+             ELSE 'succeeded'
+           END,
+           finished_at = CURRENT_TIMESTAMP
+       FROM totals t
+       WHERE r.id = $1
+       RETURNING r.*`,
+      [runId, error ? String(error).substring(0, 4000) : null]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Runs newest first. With accountId, only runs that touched the account are returned,
+   * each with that account's row as account_result.
+   */
+  static async list({ trigger = null, status = null, scope = null, ibRequestId = null, accountId = null, from = null, to = null, limit = 50, offset = 0 } = {}) {
+    const params = [];
+    const where = [];
+    if (trigger) {
+      params.push(trigger);
+      where.push(`r.trigger = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      where.push(`r.status = $${params.length}`);
+    }
+    if (scope) {
+      params.push(scope);
+      where.push(`r.scope = $${params.length}`);
+    }
+    if (ibRequestId) {
+      params.push(Number(ibRequestId));
+      where.push(`(r.ib_request_id = $${params.length} OR EXISTS (
+        SELECT 1 FROM trade_sync_run_accounts a WHERE a.run_id = r.id AND a.ib_request_id = $${params.length}
+      ))`);
+    }
+    if (from) {
+      params.push(from);
+      where.push(`r.started_at >= $${params.length}::timestamptz`);
+    }
+    if (to) {
+      params.push(to);
+      where.push(`r.started_at <= $${params.length}::timestamptz`);
+    }
+
+    let accountJoin = '';
+    let accountSelect = '';
+    if (accountId) {
+      params.push(String(accountId));
+      accountJoin = `JOIN LATERAL (
+        SELECT to_jsonb(a.*) AS account_result
+        FROM trade_sync_run_accounts a
+        WHERE a.run_id = r.id AND a.account_id = $${params.length}
+        ORDER BY a.id DESC
+        LIMIT 1
+      ) acc ON true`;
+      accountSelect = ', acc.account_result';
+    }
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    const countRes = await query(`SELECT COUNT(*)::int AS count FROM trade_sync_runs r ${accountJoin} ${whereSql}`, params);
+    const listRes = await query(
+      `SELECT r.*${accountSelect}
+       FROM trade_sync_runs r
+       ${accountJoin}
+       ${whereSql}
+       ORDER BY r.started_at DESC, r.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, Number(limit), Number(offset)]
+    );
+    return { runs: listRes.rows, total: Number(countRes.rows[0]?.count || 0) };
+  }
+
+  static async findById(id) {
+    const runRes = await query('SELECT * FROM trade_sync_runs WHERE id = $1', [id]);
+    if (runRes.rows.length === 0) return null;
+    const accountsRes = await query(
+      "SELECT * FROM trade_sync_run_accounts WHERE run_id = $1 ORDER BY (status = 'failed') DESC, account_id",
+      [id]
+    );
+    return { ...runRes.rows[0], accounts: accountsRes.rows };
+  }
+}
+
+export default TradeSyncRun;
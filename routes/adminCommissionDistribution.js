@@ -119,6 +119,8 @@ router.get('/', authenticateAdminToken, async (req, res) => {
           SELECT 
             ic.ib_request_id,
             COALESCE(SUM(ic.total_commission), 0) as total_commission,
+            COALESCE(SUM(ic.fixed_commission), 0) as fixed_commission,
+            COALESCE(SUM(ic.spread_commission), 0) as spread_commission,
             COALESCE(SUM(ic.total_trades), 0) as total_trades,
             COALESCE(SUM(ic.total_lots), 0) as total_lots
           FROM ib_commission ic
@@ -128,38 +130,35 @@ router.get('/', authenticateAdminToken, async (req, res) => {
         `;
         const commissionResult = await query(commissionQuery, [ibIds, userIds]);
         commissionResult.rows.forEach(row => {
-          const totalCommission = parseFloat(row.total_commission || 0);
-          // For fixed and spread, we'll calculate from commission structure if needed
-          // For now, approximate split (can be improved later)
           commissionMap[row.ib_request_id] = {
-            total_commission: totalCommission,
-            fixed_commission: totalCommission * 0.9, // Approximate 90% fixed
-            spread_share_commission: totalCommission * 0.1, // Approximate 10% spread
+            total_commission: parseFloat(row.total_commission || 0),
+            fixed_commission: parseFloat(row.fixed_commission || 0),
+            spread_share_commission: parseFloat(row.spread_commission || 0),
             total_trades: parseInt(row.total_trades || 0),
             total_lots: parseFloat(row.total_lots || 0)
           };
         });
       }
 
-      // Fallback: if no commission in ib_commission table, calculate from trade history
+      // Fallback: if no commission in ib_commission table, sum the per-trade amounts stored by the commission engine
       for (const ibId of ibIds) {
         if (!commissionMap[ibId]) {
           const fallbackQuery = `
             SELECT 
-              COALESCE(SUM(ith.ib_commission), 0) as total_commission,
-              COALESCE(SUM(ith.ib_commission * (ir_comm.spread_percentage_per_lot / 100.0)), 0) as spread_share_commission
+              COALESCE(SUM(ith.ib_commission), 0) as fixed_commission,
+              COALESCE(SUM(ith.ib_spread_commission), 0) as spread_share_commission
             FROM ib_trade_history ith
-            LEFT JOIN ib_requests ir_comm ON ir_comm.id = ith.ib_request_id
-            WHERE ith.ib_request_id = $1
+            WHERE ith.ib_request_id = $1 AND ith.close_price IS NOT NULL AND ith.close_price > 0
           `;
           const fallbackResult = await query(fallbackQuery, [ibId]);
           if (fallbackResult.rows.length > 0) {
             const row = fallbackResult.rows[0];
-            const totalCommission = parseFloat(row.total_commission || 0);
+            const fixedCommission = parseFloat(row.fixed_commission || 0);
+            const spreadCommission = parseFloat(row.spread_share_commission || 0);
             commissionMap[ibId] = {
-              total_commission: totalCommission,
-              fixed_commission: totalCommission - parseFloat(row.spread_share_commission || 0),
-              spread_share_commission: parseFloat(row.spread_share_commission || 0),
+              total_commission: fixedCommission + spreadCommission,
+              fixed_commission: fixedCommission,
+              spread_share_commission: spreadCommission,
               total_trades: 0,
               total_lots: 0
             };
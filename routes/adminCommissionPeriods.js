@@ -0,0 +1,187 @@
+import express from 'express';
+import { authenticateAdminToken } from './adminAuth.js';
+import { CommissionPeriod, COMMISSION_PERIOD_STATUS_VALUES } from '../models/CommissionPeriod.js';
+import { CommissionStatement } from '../models/CommissionStatement.js';
+import { closePeriod, generateStatements, renderStatement, STATEMENT_FORMATS } from '../services/commissionStatements.js';
+
+const router = express.Router();
+
+const adminActor = (req) => `admin:${req.admin?.email || req.admin?.id || 'unknown'}`;
+
+// List commission periods
+router.get('/', authenticateAdminToken, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 50 } = req.query;
+    if (status && !COMMISSION_PERIOD_STATUS_VALUES.includes(status)) {
+      return res.status(400).json({ success: false, message: `Invalid status. Allowed: ${COMMISSION_PERIOD_STATUS_VALUES.join(', ')}` });
+    }
+    const pageSize = Math.min(Math.max(Number(limit) || 50, 1), 200);
+    const offset = (Math.max(Number(page) || 1, 1) - 1) * pageSize;
+
+    const { periods, total } = await CommissionPeriod.list({ status, limit: pageSize, offset });
+
+    res.json({
+      success: true,
+      data: {
+        periods,
+        pagination: {
+          page: Number(page) || 1,
+          limit: pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List commission periods error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to fetch commission periods',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// Create a period, e.g. { periodStart: '2025-01-01', periodEnd: '2025-02-01' }
+router.post('/', authenticateAdminToken, async (req, res) => {
+  try {
+    const { name, periodStart, periodEnd } = req.body || {};
+    if (!periodStart || !periodEnd) {
+      return res.status(400).json({ success: false, message: 'periodStart and periodEnd are required' });
+    }
+    let period;
+    try {
+      period = await CommissionPeriod.create({ name, periodStart, periodEnd, createdBy: adminActor(req) });
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(201).json({ success: true, message: 'Commission period created', data: period });
+  } catch (error) {
+    console.error('Create commission period error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to create commission period',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// Close a period: commissions of trades that closed inside it are locked and each IB with ledger
+// activity in it gets a statement
+router.post('/:id/close', authenticateAdminToken, async (req, res) => {
+  try {
+    const id = Number.parseInt(String(req.params.id), 10);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid period id' });
+    }
+    const existing = await CommissionPeriod.findById(id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Commission period not found' });
+    }
+    const closed = await closePeriod(id, { closedBy: adminActor(req) });
+    if (!closed) {
+      return res.status(409).json({ success: false, message: 'Commission period is already closed' });
+    }
+    const { period, statements } = closed;
+    res.json({
+      success: true,
+      message: `Commission period closed, ${period.trades_locked} trade(s) locked, ${statements.generated} statement(s) generated`,
+      data: { ...period, statements }
+    });
+  } catch (error) {
+    console.error('Close commission period error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to close commission period',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// Statements of a period, one per IB
+router.get('/:id/statements', authenticateAdminToken, async (req, res) => {
+  try {
+    const id = Number.parseInt(String(req.params.id), 10);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid period id' });
+    }
+    const page = Math.max(Number.parseInt(req.query.page ?? '1', 10) || 1, 1);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit ?? '50', 10) || 50, 1), 200);
+    const { statements, total } = await CommissionStatement.listForPeriod(id, { limit, offset: (page - 1) * limit });
+    res.json({
+      success: true,
+      data: {
+        statements,
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+      }
+    });
+  } catch (error) {
+    console.error('List commission statements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to fetch commission statements',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// Generate statements missing from a closed period (e.g. after a failed close); existing ones are kept
+router.post('/:id/statements', authenticateAdminToken, async (req, res) => {
+  try {
+    const id = Number.parseInt(String(req.params.id), 10);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid period id' });
+    }
+    const period = await CommissionPeriod.findById(id);
+    if (!period) {
+      return res.status(404).json({ success: false, message: 'Commission period not found' });
+    }
+    if (period.status !== 'closed') {
+      return res.status(409).json({ success: false, message: 'Statements are generated for closed periods only' });
+    }
+    const result = await generateStatements(period, { generatedBy: adminActor(req) });
+    res.json({ success: true, message: `${result.generated} statement(s) generated`, data: result });
+  } catch (error) {
+    console.error('Generate commission statements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to generate commission statements',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// One IB's statement: ?format=json (default), csv or html
+router.get('/:id/statements/:ibRequestId', authenticateAdminToken, async (req, res) => {
+  try {
+    const id = Number.parseInt(String(req.params.id), 10);
+    const ibRequestId = Number.parseInt(String(req.params.ibRequestId), 10);
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!Number.isFinite(id) || !Number.isFinite(ibRequestId)) {
+      return res.status(400).json({ success: false, message: 'Invalid period or IB id' });
+    }
+    if (!STATEMENT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, message: `format must be one of ${STATEMENT_FORMATS.join(', ')}` });
+    }
+    const statement = await CommissionStatement.findForIB(id, ibRequestId);
+    if (!statement) {
+      return res.status(404).json({ success: false, message: 'Statement not found' });
+    }
+    if (format === 'json') {
+      return res.json({ success: true, data: { statement } });
+    }
+    const file = renderStatement(statement, format);
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `${format === 'csv' ? 'attachment' : 'inline'}; filename="${file.filename}"`);
+    res.send(file.body);
+  } catch (error) {
+    console.error('Fetch commission statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to fetch commission statement',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+export default router;
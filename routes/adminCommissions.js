@@ -0,0 +1,321 @@
+import express from 'express';
+import { authenticateAdminToken } from './adminAuth.js';
+import { CommissionLedger, LEDGER_ENTRY_TYPE_VALUES } from '../models/CommissionLedger.js';
+import { CommissionAdjustment, ADJUSTMENT_STATUS_VALUES } from '../models/CommissionAdjustment.js';
+import { explainTrade, accrueCommission } from '../services/commissionEngine.js';
+import { RevenueSharePeriod } from '../models/RevenueSharePeriod.js';
+import { runRevenueShare, REVENUE_SHARE_FORMULA } from '../services/revenueShare.js';
+import { normalizeSimulation, simulateRates } from '../services/commissionSimulator.js';
+
+const router = express.Router();
+const adminActor = (req) => `admin:${req.admin?.email || req.admin?.id || 'unknown'}`;
+
+// Which assignment, structure and rate produced a trade's commission
+router.get('/explain/:tradeId', authenticateAdminToken, async (req, res) => {
+  try {
+    const explanation = await explainTrade(req.params.tradeId);
+    if (!explanation) {
+      return res.status(404).json({ success: false, message: 'Trade not found' });
+    }
+    res.json({ success: true, data: explanation });
+  } catch (error) {
+    console.error('Explain trade commission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to explain trade commission',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// An IB's ledger entries and balance
+router.get('/ledger/:ibRequestId', authenticateAdminToken, async (req, res) => {
+  try {
+    const ibRequestId = Number.parseInt(req.params.ibRequestId, 10);
+    const entryType = req.query.entryType ? String(req.query.entryType).toLowerCase() : null;
+    if (entryType && !LEDGER_ENTRY_TYPE_VALUES.includes(entryType)) {
+      return res.status(400).json({ success: false, message: `entryType must be one of ${LEDGER_ENTRY_TYPE_VALUES.join(', ')}` });
+    }
+    const page = Math.max(Number.parseInt(req.query.page ?? '1', 10) || 1, 1);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit ?? '50', 10) || 50, 1), 500);
+    const filters = { fromDate: req.query.fromDate || null, toDate: req.query.toDate || null };
+    const [balance, { entries, total }] = await Promise.all([
+      CommissionLedger.getBalance(ibRequestId, filters),
+      CommissionLedger.list(ibRequestId, { ...filters, entryType, limit, offset: (page - 1) * limit })
+    ]);
+    res.json({
+      success: true,
+      data: {
+        balance,
+        entries,
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+      }
+    });
+  } catch (error) {
+    console.error('Fetch commission ledger error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to fetch commission ledger',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// Post accruals/reversals for every closed trade of the IB that the ledger does not match yet
+router.post('/ledger/:ibRequestId/accrue', authenticateAdminToken, async (req, res) => {
+  try {
+    const ibRequestId = Number.parseInt(req.params.ibRequestId, 10);
+    const result = await accrueCommission(ibRequestId, { accountId: req.body?.accountId || null });
+    const balance = await CommissionLedger.getBalance(ibRequestId);
+    res.json({ success: true, message: 'Commission ledger updated', data: { ...result, balance } });
+  } catch (error) {
+    console.error('Accrue commission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to update commission ledger',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// Recover commission from an IB (amount is positive; it is debited)
+router.post('/ledger/:ibRequestId/clawbacks', authenticateAdminToken, async (req, res) => {
+  try {
+    const ibRequestId = Number.parseInt(req.params.ibRequestId, 10);
+    const { amount, description, tradeId = null, accountId = null } = req.body || {};
+    if (!(Number(amount) > 0)) {
+      return res.status(400).json({ success: false, message: 'amount must be a positive number' });
+    }
+    if (!description || !String(description).trim()) {
+      return res.status(400).json({ success: false, message: 'description is required' });
+    }
+    const entry = await CommissionLedger.post({
+      ibRequestId,
+      entryType: 'clawback',
+      amount: -Number(amount),
+      tradeId: tradeId ? String(tradeId) : null,
+      accountId: accountId ? String(accountId) : null,
+      description: String(description).trim(),
+      createdBy: adminActor(req)
+    });
+    res.status(201).json({ success: true, message: 'Clawback posted', data: { entry } });
+  } catch (error) {
+    console.error('Post clawback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to post clawback',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// Cancel a manual entry with an opposite one
+router.post('/ledger/entries/:id/reverse', authenticateAdminToken, async (req, res) => {
+  try {
+    const entry = await CommissionLedger.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, message: 'Ledger entry not found' });
+    }
+    let reversal;
+    try {
+      reversal = await CommissionLedger.reverse(entry, { description: req.body?.description || null, createdBy: adminActor(req) });
+    } catch (error) {
+      if (error?.code === '23505') {
+        return res.status(409).json({ success: false, message: 'Entry has already been reversed' });
+      }
+      if (!error?.code) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      throw error;
+    }
+    res.status(201).json({ success: true, message: 'Entry reversed', data: { entry: reversal } });
+  } catch (error) {
+    console.error('Reverse ledger entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to reverse ledger entry',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// List manual adjustments (filter by ibRequestId and status)
+router.get('/adjustments', authenticateAdminToken, async (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status).toLowerCase() : null;
+    if (status && !ADJUSTMENT_STATUS_VALUES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of ${ADJUSTMENT_STATUS_VALUES.join(', ')}` });
+    }
+    const page = Math.max(Number.parseInt(req.query.page ?? '1', 10) || 1, 1);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit ?? '50', 10) || 50, 1), 500);
+    const { adjustments, total } = await CommissionAdjustment.list({
+      ibRequestId: req.query.ibRequestId ? Number.parseInt(req.query.ibRequestId, 10) : null,
+      status,
+      limit,
+      offset: (page - 1) * limit
+    });
+    res.json({
+      success: true,
+      data: {
+        adjustments,
+        approvalThreshold: CommissionAdjustment.approvalThreshold,
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+      }
+    });
+  } catch (error) {
+    console.error('Fetch commission adjustments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to fetch commission adjustments',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// Post a credit (amount > 0) or debit (amount < 0) to an IB; large amounts wait for approval
+router.post('/adjustments', authenticateAdminToken, async (req, res) => {
+  try {
+    const { ibRequestId, amount, reasonCode, note = null, tradeId = null, accountId = null } = req.body || {};
+    let adjustment;
+    try {
+      adjustment = await CommissionAdjustment.create({
+        ibRequestId: Number.parseInt(ibRequestId, 10),
+        amount,
+        reasonCode,
+        note,
+        tradeId,
+        accountId,
+        requestedBy: adminActor(req)
+      });
+    } catch (error) {
+      if (!error?.code) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      throw error;
+    }
+    const pending = adjustment.status === 'pending_approval';
+    res.status(201).json({
+      success: true,
+      message: pending ? 'Adjustment recorded; it needs a second admin\'s approval' : 'Adjustment posted',
+      data: { adjustment }
+    });
+  } catch (error) {
+    console.error('Create commission adjustment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to create commission adjustment',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// Approve a pending adjustment (must be a different admin from the requester)
+router.put('/adjustments/:id/approve', authenticateAdminToken, async (req, res) => {
+  try {
+    let adjustment;
+    try {
+      adjustment = await CommissionAdjustment.approve(req.params.id, { decidedBy: adminActor(req), note: req.body?.note || null });
+    } catch (error) {
+      if (!error?.code) {
+        return res.status(403).json({ success: false, message: error.message });
+      }
+      throw error;
+    }
+    if (!adjustment) {
+      return res.status(404).json({ success: false, message: 'Pending adjustment not found' });
+    }
+    res.json({ success: true, message: 'Adjustment approved and posted', data: { adjustment } });
+  } catch (error) {
+    console.error('Approve commission adjustment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to approve commission adjustment',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// Reject a pending adjustment
+router.put('/adjustments/:id/reject', authenticateAdminToken, async (req, res) => {
+  try {
+    const adjustment = await CommissionAdjustment.reject(req.params.id, { decidedBy: adminActor(req), note: req.body?.note || null });
+    if (!adjustment) {
+      return res.status(404).json({ success: false, message: 'Pending adjustment not found' });
+    }
+    res.json({ success: true, message: 'Adjustment rejected', data: { adjustment } });
+  } catch (error) {
+    console.error('Reject commission adjustment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to reject commission adjustment',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// An IB's monthly revenue share calculations, newest first
+router.get('/revenue-share/:ibRequestId', authenticateAdminToken, async (req, res) => {
+  try {
+    const ibRequestId = Number.parseInt(req.params.ibRequestId, 10);
+    const page = Math.max(Number.parseInt(req.query.page ?? '1', 10) || 1, 1);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit ?? '24', 10) || 24, 1), 120);
+    const { periods, total } = await RevenueSharePeriod.listForIB(ibRequestId, { limit, offset: (page - 1) * limit });
+    res.json({
+      success: true,
+      data: {
+        formula: REVENUE_SHARE_FORMULA,
+        periods,
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+      }
+    });
+  } catch (error) {
+    console.error('Fetch revenue share error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to fetch revenue share',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// Recalculate an IB's revenue share now (settles months that are due)
+router.post('/revenue-share/:ibRequestId/run', authenticateAdminToken, async (req, res) => {
+  try {
+    const ibRequestId = Number.parseInt(req.params.ibRequestId, 10);
+    if (!Number.isFinite(ibRequestId)) {
+      return res.status(400).json({ success: false, message: 'Invalid IB id' });
+    }
+    const result = await runRevenueShare(ibRequestId);
+    res.json({ success: true, message: 'Revenue share recalculated', data: result });
+  } catch (error) {
+    console.error('Run revenue share error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to recalculate revenue share',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// What-if: replay a window's trades with proposed rates (per group, structure or IB) and compare
+// per IB with what was accrued. Nothing is written.
+router.post('/simulate', authenticateAdminToken, async (req, res) => {
+  try {
+    try {
+      normalizeSimulation(req.body || {});
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    const simulation = await simulateRates(req.body || {});
+    res.json({ success: true, data: simulation });
+  } catch (error) {
+    console.error('Simulate commission rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to simulate commission rates',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+export default router;
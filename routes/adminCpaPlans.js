@@ -0,0 +1,171 @@
+import express from 'express';
+import { authenticateAdminToken } from './adminAuth.js';
+import { CpaPlan } from '../models/CpaPlan.js';
+import { CommissionLedger } from '../models/CommissionLedger.js';
+import { previewCpa, evaluateIBCpa } from '../services/cpaCommission.js';
+
+const router = express.Router();
+const adminActor = (req) => `admin:${req.admin?.email || req.admin?.id || 'unknown'}`;
+
+// All CPA plans with how many IBs are on each and how many clients were paid
+router.get('/', authenticateAdminToken, async (req, res) => {
+  try {
+    const plans = await CpaPlan.list();
+    res.json({ success: true, data: { plans } });
+  } catch (error) {
+    console.error('Fetch CPA plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to fetch CPA plans',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+router.post('/', authenticateAdminToken, async (req, res) => {
+  try {
+    let plan;
+    try {
+      plan = await CpaPlan.create(req.body || {}, { createdBy: adminActor(req) });
+    } catch (error) {
+      if (error?.code === '23505') {
+        return res.status(409).json({ success: false, message: 'A CPA plan with this name already exists' });
+      }
+      if (!error?.code) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      throw error;
+    }
+    res.status(201).json({ success: true, message: 'CPA plan created', data: { plan } });
+  } catch (error) {
+    console.error('Create CPA plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to create CPA plan',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// Change a plan's amount or rules; clients already paid keep what they were paid
+router.put('/:id', authenticateAdminToken, async (req, res) => {
+  try {
+    let plan;
+    try {
+      plan = await CpaPlan.update(req.params.id, req.body || {});
+    } catch (error) {
+      if (error?.code === '23505') {
+        return res.status(409).json({ success: false, message: 'A CPA plan with this name already exists' });
+      }
+      if (!error?.code) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      throw error;
+    }
+    if (!plan) {
+      return res.status(404).json({ success: false, message: 'CPA plan not found' });
+    }
+    res.json({ success: true, message: 'CPA plan updated', data: { plan } });
+  } catch (error) {
+    console.error('Update CPA plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to update CPA plan',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// Put an IB on a plan ({ planId }), or take it off ({ planId: null })
+router.put('/assignments/:ibRequestId', authenticateAdminToken, async (req, res) => {
+  try {
+    const ibRequestId = Number.parseInt(req.params.ibRequestId, 10);
+    const rawPlanId = req.body?.planId;
+    const planId = rawPlanId === null || rawPlanId === undefined || rawPlanId === '' ? null : Number.parseInt(rawPlanId, 10);
+    if (!Number.isFinite(ibRequestId) || Number.isNaN(planId)) {
+      return res.status(400).json({ success: false, message: 'ibRequestId and planId must be numbers' });
+    }
+    let assignment;
+    try {
+      assignment = await CpaPlan.assign(ibRequestId, planId, { assignedBy: adminActor(req) });
+    } catch (error) {
+      if (!error?.code) {
+        return res.status(404).json({ success: false, message: error.message });
+      }
+      if (error.code === '23503') {
+        return res.status(404).json({ success: false, message: 'IB request not found' });
+      }
+      throw error;
+    }
+    res.json({
+      success: true,
+      message: assignment ? 'CPA plan assigned' : 'CPA plan removed',
+      data: { assignment }
+    });
+  } catch (error) {
+    console.error('Assign CPA plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to assign CPA plan',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// Paid clients with the evidence each payout was based on (optionally for one IB)
+router.get('/payouts', authenticateAdminToken, async (req, res) => {
+  try {
+    const page = Math.max(Number.parseInt(req.query.page ?? '1', 10) || 1, 1);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit ?? '50', 10) || 50, 1), 500);
+    const ibRequestId = req.query.ibRequestId ? Number.parseInt(req.query.ibRequestId, 10) : null;
+    const { payouts, total } = await CpaPlan.listPayouts({ ibRequestId, limit, offset: (page - 1) * limit });
+    res.json({
+      success: true,
+      data: {
+        payouts,
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+      }
+    });
+  } catch (error) {
+    console.error('Fetch CPA payouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to fetch CPA payouts',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// Where each of an IB's referred clients stands against its plan (nothing is paid)
+router.get('/qualification/:ibRequestId', authenticateAdminToken, async (req, res) => {
+  try {
+    const preview = await previewCpa(Number.parseInt(req.params.ibRequestId, 10));
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    console.error('Preview CPA qualification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to check CPA qualification',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// Pay an IB's newly qualified clients now instead of waiting for the scheduled run
+router.post('/evaluate/:ibRequestId', authenticateAdminToken, async (req, res) => {
+  try {
+    const ibRequestId = Number.parseInt(req.params.ibRequestId, 10);
+    const result = await evaluateIBCpa(ibRequestId);
+    const balance = await CommissionLedger.getBalance(ibRequestId);
+    res.json({ success: true, message: 'CPA evaluated', data: { ...result, balance } });
+  } catch (error) {
+    console.error('Evaluate CPA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to evaluate CPA',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+export default router;
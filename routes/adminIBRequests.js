@@ -3,100 +3,23 @@
  import { MT5Groups } from '../models/MT5Groups.js';
 import { GroupCommissionStructures } from '../models/GroupCommissionStructures.js';
 import { IBGroupAssignment } from '../models/IBGroupAssignment.js';
-import { IBTradeHistory } from '../models/IBTradeHistory.js';
+import { IBTradeHistory, TRADE_CLOSE_TIME_SQL } from '../models/IBTradeHistory.js';
 // import { IBLevelUpHistory } from '../models/IBLevelUpHistory.js'; // File removed
  import { authenticateAdminToken } from './adminAuth.js';
  import { query } from '../config/database.js';
 import { IBCommission } from '../models/IBCommission.js';
+import { CommissionLedger } from '../models/CommissionLedger.js';
+import { CommissionPeriod } from '../models/CommissionPeriod.js';
+import { MT5OpenPosition } from '../models/MT5OpenPosition.js';
+import { ClientFunding } from '../models/ClientFunding.js';
+import { syncAccount, recordSyncRun } from '../services/tradeSync.js';
+import { loadRateBook, resolveRate, priceTrade, summarizeCommission, accrueCommission, getIBUserId } from '../services/commissionEngine.js';
+import { fetchClientProfile, fetchClientBalance } from '../services/mt5Gateway.js';
 
 const router = express.Router();
+const adminActor = (req) => `admin:${req.admin?.email || req.admin?.id || 'unknown'}`;
 const ALLOWED_IB_TYPES = IB_REQUEST_TYPE_VALUES;
 
-/**
- * Normalize group ID by extracting the last segment from path
- * Example: 'real\Bbook\Standard\dynamic-2000x-20Pips' -> 'dynamic-2000x-20pips'
- */
-function normalizeGroupId(groupId) {
-  if (!groupId) return '';
-  const s = String(groupId).toLowerCase().trim();
-  const parts = s.split(/[\\/]/);
-  return parts[parts.length - 1] || s;
-}
-
-/**
- * Find matching commission rule for a normalized group ID
- * Uses flexible matching: exact -> partial -> first available
- */
-function findMatchingRule(normalizedGroupId, commissionGroupsMap) {
-  if (!normalizedGroupId || !commissionGroupsMap || commissionGroupsMap.size === 0) {
-    return null;
-  }
-
-  // Try exact match first
-  let rule = commissionGroupsMap.get(normalizedGroupId);
-  if (rule) return rule;
-
-  // Try partial match (check if normalized key contains any approved key or vice versa)
-  for (const [approvedKey, approvedRule] of commissionGroupsMap.entries()) {
-    if (normalizedGroupId.includes(approvedKey) || approvedKey.includes(normalizedGroupId)) {
-      return approvedRule;
-    }
-  }
-
-  // Fallback to first available group assignment
-  if (commissionGroupsMap.size > 0) {
-    return Array.from(commissionGroupsMap.values())[0];
-  }
-
-  return null;
-}
-
-/**
- * Calculate commission from trades using commission structure
- * @param {Array} trades - Array of trade objects with { group_id, volume_lots }
- * @param {Map} commissionGroupsMap - Map of normalized group_id -> { usdPerLot, spreadPct }
- * @returns {Object} { fixed, spread, total, totalLots, totalTrades }
- */
-function calculateCommissionFromTrades(trades, commissionGroupsMap) {
-  let fixed = 0;
-  let spread = 0;
-  let totalLots = 0;
-  let totalTrades = 0;
-
-  if (!Array.isArray(trades) || trades.length === 0) {
-    return { fixed: 0, spread: 0, total: 0, totalLots: 0, totalTrades: 0 };
-  }
-
-  for (const trade of trades) {
-    const lots = Number(trade.volume_lots || 0);
-    if (lots <= 0) continue;
-
-    totalLots += lots;
-    totalTrades += 1;
-
-    // Match group to commission structure (flexible matching)
-    const normalized = normalizeGroupId(trade.group_id);
-    const rule = findMatchingRule(normalized, commissionGroupsMap);
-
-    if (rule) {
-      const usdPerLot = Number(rule.usdPerLot || 0);
-      const spreadPct = Number(rule.spreadPct || 0);
-      
-      fixed += lots * usdPerLot;
-      spread += lots * (spreadPct / 100);
-    }
-  }
-
-  return {
-    fixed,
-    spread,
-    total: fixed + spread,
-    totalLots,
-    totalTrades
-  };
-}
-
-
 // Get all IB requests with pagination
 router.get('/', authenticateAdminToken, async (req, res) => {
   try {
@@ -612,7 +535,7 @@ router.get('/:id', authenticateAdminToken, async (req, res) => {
           };
         });
         
-        await IBGroupAssignment.replaceAssignments(id, assignments);
+        await IBGroupAssignment.replaceAssignments(id, assignments, { changedBy: adminActor(req), reason: 'approval' });
         
         // If any assignments are missing structure names, fetch and update them
         const assignmentsToUpdate = await Promise.all(
@@ -640,7 +563,7 @@ router.get('/:id', authenticateAdminToken, async (req, res) => {
         // If any were updated, save again
         const needsUpdate = assignmentsToUpdate.some((a, idx) => a.structureName !== assignments[idx].structureName);
         if (needsUpdate) {
-          await IBGroupAssignment.replaceAssignments(id, assignmentsToUpdate);
+          await IBGroupAssignment.replaceAssignments(id, assignmentsToUpdate, { changedBy: adminActor(req), reason: 'approval' });
           
           // Also update ib_type in ib_requests if structure names were fetched
           const updatedStructureNames = assignmentsToUpdate
@@ -723,7 +646,7 @@ router.get('/:id', authenticateAdminToken, async (req, res) => {
           structureName: null,
           usdPerLot: parsedUsdPerLot,
           spreadSharePercentage: parsedSpreadPercentage
-        }]);
+        }], { changedBy: adminActor(req), reason: 'approval' });
 
         res.json({
           success: true,
@@ -753,7 +676,7 @@ router.get('/:id', authenticateAdminToken, async (req, res) => {
           });
         }
 
-        await IBGroupAssignment.clearAssignments(id);
+        await IBGroupAssignment.clearAssignments(id, { changedBy: adminActor(req), reason: `status:${status}` });
 
         res.json({
           success: true,
@@ -782,7 +705,7 @@ router.get('/:id', authenticateAdminToken, async (req, res) => {
 router.put('/:id/commission-structures', authenticateAdminToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { groups } = req.body;
+    const { groups, effectiveFrom } = req.body;
 
     // Check if IB is approved
     const ibCheck = await query('SELECT id, status FROM ib_requests WHERE id = $1', [id]);
@@ -828,6 +751,38 @@ router.put('/:id/commission-structures', authenticateAdminToken, async (req, res
       }
     }
 
+    // New rates apply to trades closed from effectiveFrom on (default now); closed periods stay locked
+    let effectiveDate = null;
+    if (effectiveFrom) {
+      effectiveDate = new Date(effectiveFrom);
+      if (Number.isNaN(effectiveDate.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'effectiveFrom must be a valid date'
+        });
+      }
+      const closedPeriod = await CommissionPeriod.findClosedAt(effectiveDate);
+      if (closedPeriod) {
+        return res.status(400).json({
+          success: false,
+          message: `effectiveFrom falls in closed commission period ${closedPeriod.name}`
+        });
+      }
+    }
+    try {
+      await IBGroupAssignment.checkEffectiveFrom(id, groups.map(g => ({
+        groupId: g.groupId,
+        structureId: g.structureId,
+        usdPerLot: g.usdPerLot,
+        spreadSharePercentage: g.spreadSharePercentage
+      })), effectiveDate);
+    } catch (error) {
+      if (!error?.code) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      throw error;
+    }
+
     // Extract commission structure names
     let structureNames = groups
       .map(g => g.structureName)
@@ -878,7 +833,8 @@ router.put('/:id/commission-structures', authenticateAdminToken, async (req, res
       };
     });
 
-    await IBGroupAssignment.replaceAssignments(id, assignments);
+    const versionOptions = { effectiveFrom: effectiveDate, changedBy: adminActor(req), reason: 'admin-update' };
+    await IBGroupAssignment.replaceAssignments(id, assignments, versionOptions);
 
     // If any assignments are missing structure names, fetch and update them
     const assignmentsToUpdate = await Promise.all(
@@ -906,7 +862,7 @@ router.put('/:id/commission-structures', authenticateAdminToken, async (req, res
     // If any were updated, save again
     const needsUpdate = assignmentsToUpdate.some((a, idx) => a.structureName !== assignments[idx].structureName);
     if (needsUpdate) {
-      await IBGroupAssignment.replaceAssignments(id, assignmentsToUpdate);
+      await IBGroupAssignment.replaceAssignments(id, assignmentsToUpdate, versionOptions);
 
       // Also update ib_type if structure names were fetched
       const updatedStructureNames = assignmentsToUpdate
@@ -941,6 +897,49 @@ router.put('/:id/commission-structures', authenticateAdminToken, async (req, res
   }
 });
 
+// Rate assignment history for an IB: every version with the period it was in force
+router.get('/:id/assignment-history', authenticateAdminToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const ibCheck = await query('SELECT id FROM ib_requests WHERE id = $1', [id]);
+    if (ibCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'IB request not found'
+      });
+    }
+
+    const versions = await IBGroupAssignment.getHistory(id, { groupId: req.query.groupId || null });
+    res.json({
+      success: true,
+      data: {
+        history: versions.map((v) => ({
+          id: v.id,
+          groupId: v.group_id,
+          groupName: v.group_name,
+          structureId: v.structure_id,
+          structureName: v.structure_name,
+          usdPerLot: Number(v.usd_per_lot || 0),
+          spreadSharePercentage: Number(v.spread_share_percentage || 0),
+          validFrom: v.valid_from,
+          validTo: v.valid_to,
+          current: v.valid_to === null,
+          changedBy: v.changed_by,
+          reason: v.change_reason,
+          createdAt: v.created_at
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get assignment history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to fetch assignment history',
+      error: process.env.NODE_ENV !== 'production' ? (error?.message || String(error)) : undefined
+    });
+  }
+});
+
 // Get commission structures for a group
 router.get('/groups/*/commissions', authenticateAdminToken, async (req, res) => {
   try {
@@ -1129,6 +1128,11 @@ router.get('/profiles/:id', authenticateAdminToken, async (req, res) => {
       console.warn('getCommissionData error:', e.message);
     }
 
+    let openExposure = null;
+    try { openExposure = await MT5OpenPosition.getExposureForIB(record.id); } catch (e) { console.warn('getExposureForIB error:', e.message); }
+    let funding = null;
+    try { funding = await ClientFunding.getOverview(record.id); } catch (e) { console.warn('getFundingOverview error:', e.message); }
+
     const profile = {
       id: record.id,
       status: record.status,
@@ -1148,6 +1152,8 @@ router.get('/profiles/:id', authenticateAdminToken, async (req, res) => {
       tradeHistory,
       treeStructure,
       commissionData, // Add commission data from ib_commission table
+      openExposure, // Per-symbol exposure of referred accounts from the latest position snapshot
+      funding, // Net deposit, FTD counts and per-client funding of referred accounts
       levelUpHistory: levelUpHistory.map(h => ({
         id: h.id,
         fromStructure: h.from_structure_name,
@@ -1173,6 +1179,29 @@ router.get('/profiles/:id', authenticateAdminToken, async (req, res) => {
   }
 });
 
+// Open positions of an IB's referred accounts (latest snapshot)
+router.get('/profiles/:id/open-positions', authenticateAdminToken, async (req, res) => {
+  try {
+    const id = Number.parseInt(String(req.params.id), 10);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid IB profile id' });
+    }
+    const { symbol } = req.query;
+    const [positions, exposure] = await Promise.all([
+      MT5OpenPosition.listForIB(id, { symbol }),
+      MT5OpenPosition.getExposureForIB(id)
+    ]);
+    res.json({ success: true, data: { positions, exposure } });
+  } catch (error) {
+    console.error('Fetch IB open positions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to fetch open positions',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
 // Get referred users for an IB
 router.get('/profiles/:id/referred-users', authenticateAdminToken, async (req, res) => {
   try {
@@ -1202,25 +1231,9 @@ router.get('/profiles/:id/referred-users', authenticateAdminToken, async (req, r
       [id]
     );
 
-    // Get commission groups for this IB
-    const groupsResult = await query(
-      `SELECT group_id, usd_per_lot, spread_share_percentage
-       FROM ib_group_assignments
-       WHERE ib_request_id = $1`,
-      [id]
-    );
-
-    // Build commission groups map
-    const commissionGroupsMap = new Map();
-    for (const r of groupsResult.rows) {
-      const k = normalizeGroupId(r.group_id);
-      if (k) {
-        commissionGroupsMap.set(k, {
-          spreadPct: Number(r.spread_share_percentage || 0),
-          usdPerLot: Number(r.usd_per_lot || 0)
-        });
-      }
-    }
+    // Commission per referred user, priced by the commission engine
+    const commissionSummary = await summarizeCommission(id);
+    const commissionByUser = new Map(commissionSummary.byUser.map(u => [u.userId, u]));
 
     // Combine and deduplicate by user_id
     const userMap = new Map();
@@ -1270,34 +1283,10 @@ router.get('/profiles/:id/referred-users', authenticateAdminToken, async (req, r
           accountCount = Number(accRes.rows[0]?.cnt || 0);
         } catch {}
 
-        // Get trading stats from ib_trade_history (only closed trades - deals out)
-        // Only count trades with profit != 0 (closed trades) to match trade history display
-        let totalVolume = 0;
-        let totalCommission = 0;
-        let tradeCount = 0;
-        try {
-          // Get trades for this user
-          const tradesRes = await query(
-            `SELECT group_id, volume_lots
-             FROM ib_trade_history
-             WHERE ib_request_id = $1 
-               AND user_id = $2
-               AND close_price IS NOT NULL 
-               AND close_price != 0 
-               AND profit != 0`,
-            [id, user.userId]
-          );
-
-          if (tradesRes.rows.length > 0) {
-            // Calculate commission using commission structure
-            const commissionResult = calculateCommissionFromTrades(tradesRes.rows, commissionGroupsMap);
-            totalVolume = commissionResult.totalLots;
-            totalCommission = commissionResult.total;
-            tradeCount = commissionResult.totalTrades;
-          }
-        } catch (error) {
-          console.error(`Error calculating commission for user ${user.userId}:`, error);
-        }
+        const userCommission = commissionByUser.get(user.userId);
+        const totalVolume = userCommission?.totalLots || 0;
+        const totalCommission = userCommission?.total || 0;
+        const tradeCount = userCommission?.totalTrades || 0;
 
         // Determine if active (has trades or accounts)
         const isActive = accountCount > 0 || tradeCount > 0;
@@ -1357,6 +1346,11 @@ router.get('/profiles/:ibId/user/:userId/accounts', authenticateAdminToken, asyn
       'SELECT "accountId" FROM "MT5Account" WHERE "userId" = $1',
       [userId]
     );
+    const [rateBook, commissionSummary] = await Promise.all([
+      loadRateBook(ibId),
+      summarizeCommission(ibId, { userIds: [userId] })
+    ]);
+    const commissionByAccount = new Map(commissionSummary.byAccount.map(a => [a.accountId, a]));
 
     // Fetch account details from MT5 API
     const fetchAccount = async (accountId) => {
@@ -1369,57 +1363,24 @@ router.get('/profiles/:ibId/user/:userId/accounts', authenticateAdminToken, asyn
         let marginFree = 0;
 
         try {
-          const balanceController = new AbortController();
-          const balanceTimeout = setTimeout(() => balanceController.abort(), 5000);
-          const balanceResponse = await fetch(
-            `http://18.175.242.21:5003/api/Users/${accountId}/getClientBalance`,
-            { headers: { accept: '*/*' }, signal: balanceController.signal }
-          );
-          clearTimeout(balanceTimeout);
-
-          if (balanceResponse.ok) {
-            const balanceData = await balanceResponse.json();
-            console.log(`[User Accounts] Balance API response for ${accountId}:`, JSON.stringify(balanceData).substring(0, 400));
-            // Response structure: { Success: true, Data: { Balance, Equity, Profit, Margin, MarginFree, ... } }
-            const dataObj = balanceData?.Data || balanceData?.data || balanceData;
-            if (dataObj) {
-              // Try multiple possible field name variations
-              balance = Number(dataObj.Balance ?? dataObj.balance ?? 0);
-              equity = Number(dataObj.Equity ?? dataObj.equity ?? 0);
-              profit = Number(dataObj.Profit ?? dataObj.profit ?? dataObj.Floating ?? dataObj.floating ?? 0);
-              margin = Number(dataObj.Margin ?? dataObj.margin ?? 0);
-              marginFree = Number(dataObj.MarginFree ?? dataObj.marginFree ?? dataObj.MarginFree ?? 0);
-              console.log(`[User Accounts] Parsed values for ${accountId}: balance=${balance}, equity=${equity}, profit=${profit}, margin=${margin}`);
-              console.log(`[User Accounts] Raw data keys:`, Object.keys(dataObj));
-            } else {
-              console.warn(`[User Accounts] No Data object found in response for ${accountId}:`, balanceData);
-            }
+          const accountBalance = await fetchClientBalance(accountId, { timeoutMs: 5000 });
+          if (accountBalance) {
+            ({ balance, equity, profit, margin, marginFree } = accountBalance);
+            console.log(`[User Accounts] Parsed values for ${accountId}: balance=${balance}, equity=${equity}, profit=${profit}, margin=${margin}`);
           } else {
-            console.warn(`[User Accounts] Balance API returned status ${balanceResponse.status} for ${accountId}`);
+            console.warn(`[User Accounts] No balance found for ${accountId}`);
           }
         } catch (error) {
           console.error(`[User Accounts] Error fetching balance for account ${accountId}:`, error.message);
         }
 
         // Fetch profile for group name and demo check
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 12000);
-        const response = await fetch(
-          `http://18.175.242.21:5003/api/Users/${accountId}/getClientProfile`,
-          { headers: { accept: '*/*' }, signal: controller.signal }
-        );
-        clearTimeout(timeout);
-
-        if (!response.ok) return null;
-        const data = await response.json();
-        const payload = data?.Data || data?.data;
-        if (!payload) return null;
+        const profile = await fetchClientProfile(accountId, { service: 'manager', timeoutMs: 12000 });
+        if (!profile) return null;
+        const payload = profile.raw;
 
-        const accountType = payload?.AccountType ?? payload?.accountType ?? payload?.AccountTypeText ?? payload?.accountTypeText ?? null;
-        const groupIdFull = payload?.Group || payload?.group || '';
-        const isDemo = 
-          (accountType && String(accountType).toLowerCase().includes('demo')) ||
-          (groupIdFull && String(groupIdFull).toLowerCase().includes('demo'));
+        const { accountType, isDemo } = profile;
+        const groupIdFull = profile.group || '';
 
         let groupName = payload?.Group ?? payload?.group ?? payload?.GroupName ?? payload?.group_name ?? 'Unknown';
         if (typeof groupName === 'string') {
@@ -1435,50 +1396,13 @@ router.get('/profiles/:ibId/user/:userId/accounts', authenticateAdminToken, asyn
           }
         }
 
-        // Get commission groups for this IB
-        const commissionGroupsRes = await query(
-          `SELECT group_id, structure_name, usd_per_lot, spread_share_percentage
-           FROM ib_group_assignments
-           WHERE ib_request_id = $1`,
-          [ibId]
-        );
-
-        // Build commission groups map
-        const commissionGroupsMap = new Map();
-        for (const r of commissionGroupsRes.rows) {
-          const k = normalizeGroupId(r.group_id);
-          if (k) {
-            commissionGroupsMap.set(k, {
-              spreadPct: Number(r.spread_share_percentage || 0),
-              usdPerLot: Number(r.usd_per_lot || 0),
-              structureName: r.structure_name
-            });
-          }
-        }
-
-        // Find matching commission structure for this account's group
-        const normalizedGroup = normalizeGroupId(groupIdFull);
-        const matchingRule = findMatchingRule(normalizedGroup, commissionGroupsMap);
+        // Rate this account's group earns now, and what its closed trades earned
+        const matchingRule = resolveRate(rateBook, groupIdFull);
         const commissionInfo = matchingRule || {};
+        const commissionResult = commissionByAccount.get(String(accountId))
+          || { total: 0, totalLots: 0, totalTrades: 0, totalProfit: 0 };
+        const totalProfit = commissionResult.totalProfit;
 
-        // Get trades for this account - only closed trades (deals out) with profit != 0
-        const tradesRes = await query(
-          `SELECT group_id, volume_lots, profit
-           FROM ib_trade_history
-           WHERE ib_request_id = $1 
-             AND account_id = $2
-             AND close_price IS NOT NULL 
-             AND close_price != 0 
-             AND profit != 0`,
-          [ibId, String(accountId)]
-        );
-
-        // Calculate commission using commission structure
-        const commissionResult = calculateCommissionFromTrades(tradesRes.rows, commissionGroupsMap);
-        
-        // Calculate total profit from trades
-        const totalProfit = tradesRes.rows.reduce((sum, row) => sum + Number(row.profit || 0), 0);
-        
         // If profit from API is 0, use profit from trade history
         const finalProfit = profit !== 0 ? profit : totalProfit;
         
@@ -1658,17 +1582,6 @@ router.get('/profiles/:id/all-accounts', authenticateAdminToken, async (req, res
     const accountIds = accountsRes.rows.map(r => String(r.accountId));
     
     // Get IB's own user_id to exclude
-    const getIBUserId = async (ibId) => {
-      try {
-        const ibRes = await query('SELECT email FROM ib_requests WHERE id = $1', [ibId]);
-        if (ibRes.rows.length === 0) return null;
-        const userRes = await query('SELECT id FROM "User" WHERE email = $1', [ibRes.rows[0].email]);
-        return userRes.rows.length > 0 ? String(userRes.rows[0].id) : null;
-      } catch {
-        return null;
-      }
-    };
-
     const ibUserId = await getIBUserId(id);
     
     if (accountIds.length > 0) {
@@ -1687,7 +1600,7 @@ router.get('/profiles/:id/all-accounts', authenticateAdminToken, async (req, res
            account_id,
            COALESCE(SUM(profit), 0) AS total_profit,
            COALESCE(SUM(volume_lots), 0) AS total_volume_lots,
-           MAX(synced_at) AS last_trading_date
+           MAX(${TRADE_CLOSE_TIME_SQL}) AS last_trading_date
          FROM ib_trade_history
          WHERE ib_request_id = $1 
            AND account_id = ANY($2::text[])
@@ -1753,72 +1666,37 @@ router.get('/profiles/:id/all-accounts', authenticateAdminToken, async (req, res
         let isDemo = false;
 
         try {
-          // Fetch balance data from getClientBalance API
-          const balanceController = new AbortController();
-          const balanceTimeout = setTimeout(() => balanceController.abort(), 5000);
-          const balanceResponse = await fetch(
-            `http://18.175.242.21:5003/api/Users/${accountId}/getClientBalance`,
-            { headers: { accept: '*/*' }, signal: balanceController.signal }
-          );
-          clearTimeout(balanceTimeout);
-
-          if (balanceResponse.ok) {
-            const balanceData = await balanceResponse.json();
-            console.log(`[All Accounts] Balance API response for ${accountId}:`, JSON.stringify(balanceData).substring(0, 400));
-            // Response structure: { Success: true, Data: { Balance, Equity, Profit, Margin, ... } }
-            const dataObj = balanceData?.Data || balanceData?.data || balanceData;
-            if (dataObj) {
-              // Try multiple possible field name variations
-              balance = Number(dataObj.Balance ?? dataObj.balance ?? 0);
-              equity = Number(dataObj.Equity ?? dataObj.equity ?? 0);
-              profit = Number(dataObj.Profit ?? dataObj.profit ?? dataObj.Floating ?? dataObj.floating ?? 0);
-              console.log(`[All Accounts] Parsed for ${accountId}: balance=${balance}, equity=${equity}, profit=${profit}`);
-              console.log(`[All Accounts] Raw data keys:`, Object.keys(dataObj));
-            } else {
-              console.warn(`[All Accounts] No Data object found in response for ${accountId}:`, balanceData);
-            }
+          const accountBalance = await fetchClientBalance(accountId, { timeoutMs: 5000 });
+          if (accountBalance) {
+            ({ balance, equity, profit } = accountBalance);
+            console.log(`[All Accounts] Parsed for ${accountId}: balance=${balance}, equity=${equity}, profit=${profit}`);
           } else {
-            console.warn(`[All Accounts] Balance API returned status ${balanceResponse.status} for ${accountId}`);
+            console.warn(`[All Accounts] No balance found for ${accountId}`);
           }
         } catch (error) {
-          console.error(`[All Accounts] Error fetching balance for ${accountId}:`, error.message, error.stack);
+          console.error(`[All Accounts] Error fetching balance for ${accountId}:`, error.message);
         }
 
         // Try to fetch account profile from MT5 API (optional, for group name and demo check)
         try {
-          const controller = new AbortController();
-          const timeout = setTimeout(() => controller.abort(), 5000);
-          const response = await fetch(
-            `http://18.175.242.21:5003/api/Users/${accountId}/getClientProfile`,
-            { headers: { accept: '*/*' }, signal: controller.signal }
-          );
-          clearTimeout(timeout);
-
-          if (response.ok) {
-            const data = await response.json();
-            const payload = data?.Data || data?.data;
-            if (payload) {
-              // Check if demo account
-              const accountType = payload?.AccountType ?? payload?.accountType ?? payload?.AccountTypeText ?? payload?.accountTypeText ?? null;
-              const groupIdFull = payload?.Group || payload?.group || '';
-              isDemo = 
-                (accountType && String(accountType).toLowerCase().includes('demo')) ||
-                (groupIdFull && String(groupIdFull).toLowerCase().includes('demo'));
-
-              // Extract group name
-              if (groupIdFull) {
-                groupName = groupIdFull;
-                if (typeof groupName === 'string') {
-                  const match = groupName.match(/Bbook\\([^\\/]+)/i) || groupName.match(/Bbook\\\\([^\\/]+)/i);
-                  if (match && match[1]) {
-                    groupName = match[1];
-                  } else if (groupName.includes('\\')) {
-                    const parts = groupName.split('\\');
-                    groupName = parts.length >= 3 ? parts[2] : parts[parts.length - 1];
-                  } else if (groupName.includes('/')) {
-                    const parts = groupName.split('/');
-                    groupName = parts[parts.length - 1];
-                  }
+          const profile = await fetchClientProfile(accountId, { service: 'manager', timeoutMs: 5000 });
+          if (profile) {
+            isDemo = profile.isDemo;
+
+            // Extract group name
+            const groupIdFull = profile.group || '';
+            if (groupIdFull) {
+              groupName = groupIdFull;
+              if (typeof groupName === 'string') {
+                const match = groupName.match(/Bbook\\([^\\/]+)/i) || groupName.match(/Bbook\\\\([^\\/]+)/i);
+                if (match && match[1]) {
+                  groupName = match[1];
+                } else if (groupName.includes('\\')) {
+                  const parts = groupName.split('\\');
+                  groupName = parts.length >= 3 ? parts[2] : parts[parts.length - 1];
+                } else if (groupName.includes('/')) {
+                  const parts = groupName.split('/');
+                  groupName = parts[parts.length - 1];
                 }
               }
             }
@@ -1898,145 +1776,19 @@ router.post('/profiles/:id/sync-commission', authenticateAdminToken, async (req,
 
     const ibEmail = ibResult.rows[0].email;
 
-    // Helper: Get IB's own user_id to exclude
-    const getIBUserId = async (ibId) => {
-      try {
-        const ibRes = await query('SELECT email FROM ib_requests WHERE id = $1', [ibId]);
-        if (ibRes.rows.length === 0) return null;
-        const userRes = await query('SELECT id FROM "User" WHERE email = $1', [ibRes.rows[0].email]);
-        return userRes.rows.length > 0 ? String(userRes.rows[0].id) : null;
-      } catch {
-        return null;
-      }
-    };
-
-    // Helper: Get list of referred user_ids (from ib_referrals and ib_requests)
-    const getReferredUserIds = async (ibId) => {
-      const userIds = new Set();
-      try {
-        // Get user_ids from ib_referrals
-        const refRes = await query(
-          'SELECT user_id FROM ib_referrals WHERE ib_request_id = $1 AND user_id IS NOT NULL',
-          [ibId]
-        );
-        refRes.rows.forEach(row => {
-          if (row.user_id) userIds.add(String(row.user_id));
-        });
-
-        // Get user_ids from ib_requests where referred_by = ibId
-        const ibRefRes = await query(
-          `SELECT u.id as user_id 
-           FROM ib_requests ir
-           JOIN "User" u ON u.email = ir.email
-           WHERE ir.referred_by = $1 AND u.id IS NOT NULL`,
-          [ibId]
-        );
-        ibRefRes.rows.forEach(row => {
-          if (row.user_id) userIds.add(String(row.user_id));
-        });
-      } catch (error) {
-        console.error('Error getting referred user IDs:', error);
-      }
-      return Array.from(userIds);
-    };
-
-    // Get commission structures (groups)
-    const groupsResult = await query(
-      `SELECT group_id, group_name, structure_name, usd_per_lot, spread_share_percentage
-       FROM ib_group_assignments
-       WHERE ib_request_id = $1`,
-      [id]
-    );
-
     // Get IB's user_id for ib_commission table
-    const ibUserResult = await query('SELECT id FROM "User" WHERE LOWER(email) = LOWER($1)', [ibEmail]);
-    const ibUserId = ibUserResult.rows[0]?.id ? String(ibUserResult.rows[0].id) : null;
-
-    // Get IB's own user_id to exclude
-    const ibUserIdForExclusion = await getIBUserId(id);
-    // Get referred user_ids to include
-    const referredUserIds = await getReferredUserIds(id);
-
-    console.log(`[Sync Commission] IB ID: ${id}, IB Email: ${ibEmail}`);
-    console.log(`[Sync Commission] IB User ID (to exclude): ${ibUserIdForExclusion}`);
-    console.log(`[Sync Commission] Referred User IDs (${referredUserIds.length}):`, referredUserIds);
-    console.log(`[Sync Commission] Commission Groups (${groupsResult.rows.length}):`, groupsResult.rows.map(r => ({ group_id: r.group_id, spread: r.spread_share_percentage })));
-    
-    // Diagnostic: Check if there are ANY trades for this IB (without filters)
-    const diagnosticQuery = await query(
-      `SELECT COUNT(*)::int AS total, COALESCE(SUM(volume_lots), 0) AS total_lots, COALESCE(SUM(ib_commission), 0) AS total_commission
-       FROM ib_trade_history
-       WHERE ib_request_id = $1 AND close_price IS NOT NULL AND close_price != 0 AND profit != 0`,
-      [id]
-    );
-    console.log(`[Sync Commission] DIAGNOSTIC - All trades for IB ${id}:`, diagnosticQuery.rows[0]);
-
-    // Build commission groups map
-    const commissionGroupsMap = new Map();
-    for (const r of groupsResult.rows) {
-      const k = normalizeGroupId(r.group_id);
-      if (k) {
-        commissionGroupsMap.set(k, {
-          spreadPct: Number(r.spread_share_percentage || 0),
-          usdPerLot: Number(r.usd_per_lot || 0)
-        });
-      }
-    }
-
-    console.log(`[Sync Commission] Commission groups map:`, Array.from(commissionGroupsMap.entries()).map(([k, v]) => ({ key: k, spreadPct: v.spreadPct, usdPerLot: v.usdPerLot })));
-
-    // Calculate commission, trades, and lots from referred users' trades only (excluding IB's own trades)
-    let balance = 0;
-    let fixedCommission = 0;
-    let spreadCommission = 0;
-    let totalTrades = 0;
-    let totalLots = 0;
-    let commissionResult = null;
-
-    if (referredUserIds.length > 0 && commissionGroupsMap.size > 0) {
-      // Build WHERE clause to exclude IB's own trades and only include referred users' trades
-      let userFilter = '';
-      const params = [id];
-      if (ibUserIdForExclusion) {
-        params.push(ibUserIdForExclusion);
-        userFilter = `AND user_id != $${params.length}`;
-      }
-      params.push(referredUserIds);
-      const userInClause = `AND user_id = ANY($${params.length}::text[])`;
-
-      // Get all trades from referred users (only closed trades with profit != 0)
-      const tradesRes = await query(
-        `SELECT group_id, volume_lots
-         FROM ib_trade_history
-         WHERE ib_request_id = $1
-           AND close_price IS NOT NULL AND close_price != 0 AND profit != 0
-           ${userFilter}
-           ${userInClause}`,
-        params
-      );
-
-      console.log(`[Sync Commission] Found ${tradesRes.rows.length} trades from referred users`);
+    const ibUserId = await getIBUserId(id);
 
-      // Calculate commission using helper function
-      commissionResult = calculateCommissionFromTrades(tradesRes.rows, commissionGroupsMap);
-      
-      balance = commissionResult.total;
-      fixedCommission = commissionResult.fixed;
-      spreadCommission = commissionResult.spread;
-      totalTrades = commissionResult.totalTrades;
-      totalLots = commissionResult.totalLots;
+    // Post any repricing to the commission ledger; totals are read back from it
+    await accrueCommission(id);
+    const [ledger, commissionResult] = await Promise.all([CommissionLedger.getBalance(id), summarizeCommission(id)]);
+    const balance = ledger.accrued;
+    const fixedCommission = ledger.fixed;
+    const spreadCommission = ledger.spread;
+    const totalTrades = commissionResult.totalTrades;
+    const totalLots = commissionResult.totalLots;
 
-      console.log(`[Sync Commission] Calculation result: fixed=${fixedCommission}, spread=${spreadCommission}, total=${balance}, trades=${totalTrades}, lots=${totalLots}`);
-    } else {
-      if (referredUserIds.length === 0) {
-        console.log(`[Sync Commission] WARNING: No referred users found for IB ${id}`);
-      }
-      if (commissionGroupsMap.size === 0) {
-        console.log(`[Sync Commission] WARNING: No commission groups found for IB ${id}`);
-      }
-    }
-    
-    console.log(`[Sync Commission] Final calculation: total_commission=${balance}, fixed_commission=${fixedCommission}, spread_commission=${spreadCommission}, total_trades=${totalTrades}, total_lots=${totalLots}`);
+    console.log(`[Sync Commission] IB ${id}: total_commission=${balance}, fixed_commission=${fixedCommission}, spread_commission=${spreadCommission}, total_trades=${totalTrades}, total_lots=${totalLots}`);
 
     // Save/update commission in ib_commission table
     if (ibUserId) {
@@ -2073,6 +1825,7 @@ router.post('/profiles/:id/sync-commission', authenticateAdminToken, async (req,
       message: 'Commission synced and saved successfully',
       data: {
         totalCommission: balance,
+        ledgerBalance: ledger.balance,
         totalTrades: totalTrades,
         totalLots: totalLots
       }
@@ -2159,24 +1912,10 @@ router.get('/profiles/:id/account-stats', authenticateAdminToken, async (req, re
       totalEquity: 0
     };
 
-    // Fetch profiles in parallel for speed, each with timeout + one retry
+    // Fetch profiles in parallel for speed (the gateway applies timeout and retries)
     const fetchOne = async (accountId) => {
-      let payload = null;
-      const profileUrl = `http://18.175.242.21:5003/api/Users/${accountId}/getClientProfile`;
-      const attempt = async () => {
-        const controller = new AbortController();
-        const timer = setTimeout(() => controller.abort(), 12000);
-        try {
-          const res = await fetch(profileUrl, { headers: { accept: '*/*' }, signal: controller.signal });
-          if (res.ok) {
-            const data = await res.json();
-            if (data?.Success && (data?.Data || data?.data)) payload = data.Data || data.data;
-          }
-        } catch {}
-        clearTimeout(timer);
-      };
-      await attempt();
-      if (!payload) await attempt();
+      const profile = await fetchClientProfile(accountId, { service: 'manager', timeoutMs: 12000 }).catch(() => null);
+      const payload = profile?.raw || null;
 
       const balance = Number(payload?.Balance ?? payload?.balance ?? 0);
       const equity = Number(payload?.Equity ?? payload?.equity ?? 0);
@@ -2263,183 +2002,37 @@ router.get('/profiles/:id/account-stats', authenticateAdminToken, async (req, re
     // Update total accounts count to only include real accounts
     totals.totalAccounts = realAccounts.length;
 
-    // Get IB commission structures for this IB
-    const commissionStructuresResult = await query(
-      `SELECT group_id, group_name, structure_name, usd_per_lot, spread_share_percentage 
-       FROM ib_group_assignments 
-       WHERE ib_request_id = $1`,
-      [id]
-    );
-    const eligibleGroups = new Map();
-    const normalizeKey = (gid) => {
-      if (!gid) return '';
-      const s = String(gid).toLowerCase();
-      const parts = s.split(/[\\/]/);
-      return parts[parts.length - 1] || s;
-    };
-    commissionStructuresResult.rows.forEach(row => {
-      if (row.group_id) {
-        const groupIdLower = String(row.group_id).toLowerCase();
-        const groupNameLower = row.group_name ? String(row.group_name).toLowerCase() : null;
-        
-        // Store with both group_id and group_name as keys for flexible matching
-        eligibleGroups.set(groupIdLower, {
-          structureName: row.structure_name,
-          usdPerLot: Number(row.usd_per_lot || 0),
-          spreadSharePercentage: Number(row.spread_share_percentage || 0)
-        });
-        
-        if (groupNameLower && groupNameLower !== groupIdLower) {
-          eligibleGroups.set(groupNameLower, {
-            structureName: row.structure_name,
-            usdPerLot: Number(row.usd_per_lot || 0),
-            spreadSharePercentage: Number(row.spread_share_percentage || 0)
-          });
-        }
-
-        // Also store a normalized key using only the trailing segment (e.g., dynamic-2000x-10P)
-        const shortKey = normalizeKey(groupIdLower);
-        if (shortKey && !eligibleGroups.has(shortKey)) {
-          eligibleGroups.set(shortKey, {
-            structureName: row.structure_name,
-            usdPerLot: Number(row.usd_per_lot || 0),
-            spreadSharePercentage: Number(row.spread_share_percentage || 0)
-          });
-        }
-      }
-    });
-
-    // Fetch trades for this IB (closed positions with non-zero P&L).
-    // EXCLUDE IB's own trades - only include trades from referred users
-    // Admin view should reflect all historical trades; do not restrict by approval date.
-    let tradesQuery = `
-      SELECT account_id, group_id, volume_lots, profit, ib_commission, synced_at, updated_at, created_at, user_id
-      FROM ib_trade_history
-      WHERE ib_request_id = $1 
-        AND close_price IS NOT NULL AND close_price != 0 AND profit != 0
-        AND user_id = ANY($2::text[])`;
-    const tradesParams = [id, referredUserIds];
-    
-    // Exclude IB's own trades if IB has a user_id
-    if (ibUserId) {
-      tradesQuery = `
-        SELECT account_id, group_id, volume_lots, profit, ib_commission, synced_at, updated_at, created_at, user_id
-        FROM ib_trade_history
-        WHERE ib_request_id = $1 
-          AND close_price IS NOT NULL AND close_price != 0 AND profit != 0
-          AND user_id != $3
-          AND user_id = ANY($2::text[])`;
-      tradesParams.push(ibUserId);
-    }
-    
-    const tradesRes = await query(tradesQuery, tradesParams);
-
-    const normalize = (gid) => {
-      if (!gid) return '';
-      const s = String(gid).toLowerCase().trim();
-      const parts = s.split(/[\\/]/);
-      return parts[parts.length - 1] || s;
-    };
-
-    const approvedMap = {};
-    for (const [k, v] of eligibleGroups.entries()) {
-      approvedMap[k] = v; // keys already lowercased elsewhere
-    }
-
-    // Build commission groups map from eligibleGroups
-    const commissionGroupsMap = new Map();
-    for (const [k, v] of eligibleGroups.entries()) {
-      commissionGroupsMap.set(k, {
-        spreadPct: Number(v.spreadSharePercentage || 0),
-        usdPerLot: Number(v.usdPerLot || 0)
-      });
-    }
-
-    // Group trades by account_id for commission calculation
-    const tradesByAccount = new Map();
-    for (const row of tradesRes.rows) {
-      const rowAccId = String(row.account_id);
-      if (!allowedAccounts.has(rowAccId)) continue;
-      
-      if (!tradesByAccount.has(rowAccId)) {
-        tradesByAccount.set(rowAccId, []);
-      }
-      tradesByAccount.get(rowAccId).push({
-        group_id: row.group_id,
-        volume_lots: row.volume_lots
-      });
-    }
-
-    // Calculate commission for each account using commission structure
-    const accountCommissionMap = new Map();
+    // Referred users' closed trades (never the IB's own), priced by the commission engine.
+    // Admin view reflects all historical trades; it is not restricted by approval date.
+    const [rateBook, commissionSummary] = await Promise.all([
+      loadRateBook(id),
+      summarizeCommission(id, { userIds: referredUserIds })
+    ]);
     const perAccountStats = new Map();
-
-    for (const [accountId, trades] of tradesByAccount.entries()) {
-      // Calculate commission using helper function
-      const commissionResult = calculateCommissionFromTrades(trades, commissionGroupsMap);
-      
-      accountCommissionMap.set(accountId, {
-        totalCommission: commissionResult.total,
-        tradeCount: commissionResult.totalTrades
+    for (const row of commissionSummary.byAccount) {
+      if (!allowedAccounts.has(row.accountId)) continue;
+      perAccountStats.set(row.accountId, {
+        account_id: row.accountId,
+        trade_count: row.totalTrades,
+        total_volume: row.totalLots,
+        total_profit: row.totalProfit,
+        total_ib_commission: row.total
       });
-
-      // Calculate other stats
-      const accountTrades = tradesRes.rows.filter(r => String(r.account_id) === accountId);
-      const st = {
-        account_id: accountId,
-        trade_count: commissionResult.totalTrades,
-        total_volume: commissionResult.totalLots,
-        total_profit: accountTrades.reduce((sum, t) => sum + Number(t.profit || 0), 0),
-        total_ib_commission: commissionResult.total
-      };
-      perAccountStats.set(accountId, st);
-    }
-
-    // Add commission data and eligibility to each account
-    // Helper: produce multiple keys for matching eligibility (handles \\ vs / and short segments)
-    const makeKeys = (gidOrName) => {
-      if (!gidOrName) return [];
-      const raw = String(gidOrName).trim().toLowerCase();
-      const variants = new Set([raw, raw.replace(/\\\\/g, '/'), raw.replace(/\//g, '\\')]);
-      const parts = raw.split(/[\\\\/]/);
-      if (parts.length) variants.add(parts[parts.length - 1]);
-      const bbookIdx = parts.findIndex(p => p === 'bbook');
-      if (bbookIdx >= 0 && bbookIdx + 1 < parts.length) variants.add(parts[bbookIdx + 1]);
-      return Array.from(variants);
-    };
+    }
 
     const accountsWithCommission = accounts.map(acc => {
-      const accountIdStr = String(acc.accountId);
-      const commissionData = accountCommissionMap.get(accountIdStr) || { totalCommission: 0, tradeCount: 0 };
-      
-      // Check if this account's group is eligible for commission
-      // Try matching both groupId (full path) and group name (extracted)
-      const groupIdLower = acc.groupId ? String(acc.groupId).toLowerCase() : null;
-      const groupNameLower = acc.group ? String(acc.group).toLowerCase() : null;
-
-      // Try a broad set of keys against eligibleGroups map
-      let isEligible = false;
-      let commissionInfo = null;
-      const candidates = [
-        ...makeKeys(groupIdLower),
-        ...makeKeys(groupNameLower)
-      ];
-      for (const key of candidates) {
-        if (eligibleGroups.has(key)) {
-          isEligible = true;
-          commissionInfo = eligibleGroups.get(key);
-          break;
-        }
-      }
+      const stats = perAccountStats.get(String(acc.accountId));
+      // Eligibility: the rate this account's group earns now
+      const rule = resolveRate(rateBook, acc.groupId);
 
       return {
         ...acc,
-        ibCommission: commissionData.totalCommission,
-        tradeCount: commissionData.tradeCount,
-        isEligibleForCommission: isEligible,
-        commissionStructure: commissionInfo?.structureName || null,
-        usdPerLot: commissionInfo?.usdPerLot || 0,
-        spreadSharePercentage: commissionInfo?.spreadSharePercentage || 0
+        ibCommission: stats?.total_ib_commission || 0,
+        tradeCount: stats?.trade_count || 0,
+        isEligibleForCommission: rule !== null,
+        commissionStructure: rule?.structureName || null,
+        usdPerLot: rule?.usdPerLot || 0,
+        spreadSharePercentage: rule?.spreadPct || 0
       };
     });
 
@@ -2486,7 +2079,7 @@ router.get('/profiles/:id/trades', authenticateAdminToken, async (req, res) => {
     const userId = userResult.rows[0].id;
 
     if (sync === '1' && accountId) {
-      await syncTradesForAccount({ ibId: id, userId, accountId });
+      await syncTradesForAccount({ ibId: id, userId, accountId, triggeredBy: `admin:${req.admin?.email || req.admin?.id || 'unknown'}` });
     }
 
     const limit = Math.min(Math.max(Number(pageSize) || 50, 1), 500);
@@ -2495,39 +2088,12 @@ router.get('/profiles/:id/trades', authenticateAdminToken, async (req, res) => {
     const { groupId } = req.query;
     let result = await IBTradeHistory.getTrades({ userId, accountId, groupId, limit, offset });
 
-    // If some rows still have zero fixed commission, compute on the fly using
-    // the approved group's USD/lot so the UI always shows correct amounts.
-    try {
-      const assignments = await query(
-        `SELECT a.group_id, a.group_name,
-                COALESCE(a.usd_per_lot, s.usd_per_lot) AS usd_per_lot,
-                COALESCE(a.spread_share_percentage, s.spread_share_percentage) AS spread_share_percentage
-         FROM ib_group_assignments a
-         LEFT JOIN group_commission_structures s
-           ON (s.id = a.structure_id OR lower(COALESCE(s.structure_name,'')) = lower(COALESCE(a.structure_name,'')))
-         WHERE a.ib_request_id = $1`,
-        [id]
-      );
-      const norm = (gid) => {
-        if (!gid) return '';
-        const s = String(gid).toLowerCase();
-        const parts = s.split(/[\\/]/);
-        return parts[parts.length - 1] || s;
-      };
-      const rateMap = new Map();
-      for (const r of assignments.rows) {
-        const keys = [String(r.group_id||'').toLowerCase(), String(r.group_name||'').toLowerCase(), norm(r.group_id)];
-        for (const k of keys) { if (k) rateMap.set(k, Number(r.usd_per_lot || 0)); }
-      }
-      const fallbackRate = Math.max(0, ...assignments.rows.map(r => Number(r.usd_per_lot || 0)));
-      result.trades = result.trades.map(t => {
-        if (Number(t.ib_commission || 0) > 0) return t;
-        const k = norm(t.group_id) || String(t.group_id||'').toLowerCase();
-        const usdPerLot = rateMap.get(k) ?? fallbackRate;
-        const lots = Number(t.volume_lots || 0);
-        return { ...t, ib_commission: lots * usdPerLot };
-      });
-    } catch {}
+    // Rows not yet priced by a sync show what the commission engine would store
+    const rateBook = await loadRateBook(id);
+    result.trades = result.trades.map(t => {
+      if (Number(t.ib_commission || 0) > 0) return t;
+      return { ...t, ib_commission: priceTrade(rateBook, t).fixed };
+    });
 
     res.json({ success: true, data: result });
   } catch (error) {
@@ -2723,25 +2289,10 @@ async function computeGroupAggregates(ibId, ibEmail) {
     const profilePromises = accountsRes.rows.map(async (row) => {
       const accountId = row.accountId;
       try {
-        const res = await fetch(`http://18.175.242.21:5003/api/Users/${accountId}/getClientProfile`, { headers: { accept: '*/*' } });
-        if (res.ok) {
-          const data = await res.json();
-          const payload = data?.Data || data?.data || null;
-          if (!payload) return;
-          
-          // Check if account is demo
-          const accountType = payload?.AccountType ?? payload?.accountType ?? payload?.AccountTypeText ?? payload?.accountTypeText ?? null;
-          const groupId = payload?.Group || payload?.group || null;
-          const groupIdLower = groupId ? String(groupId).toLowerCase() : '';
-          
-          const isDemo = 
-            (accountType && String(accountType).toLowerCase().includes('demo')) ||
-            (groupIdLower && groupIdLower.includes('demo'));
-          
-          // Only add real/live accounts
-          if (!isDemo && groupId) {
-            accountToGroup[String(accountId)] = groupId;
-          }
+        const profile = await fetchClientProfile(accountId, { service: 'manager' });
+        // Only add real/live accounts
+        if (profile && !profile.isDemo && profile.group) {
+          accountToGroup[String(accountId)] = profile.group;
         }
       } catch {}
     });
@@ -2766,23 +2317,10 @@ async function computeGroupAggregates(ibId, ibEmail) {
     const accountProfits = {};
     const profitPromises = Object.keys(accountToGroup).map(async (accountId) => {
       try {
-        const res = await fetch(`http://18.175.242.21:5003/api/Users/${accountId}/getClientProfile`, { headers: { accept: '*/*' } });
-        if (res.ok) {
-          const data = await res.json();
-          const payload = data?.Data || data?.data || null;
-          if (!payload) return;
-          
-          // Double-check it's not a demo account (should already be filtered, but just in case)
-          const accountType = payload?.AccountType ?? payload?.accountType ?? payload?.AccountTypeText ?? payload?.accountTypeText ?? null;
-          const groupId = payload?.Group || payload?.group || '';
-          const isDemo = 
-            (accountType && String(accountType).toLowerCase().includes('demo')) ||
-            (groupId && String(groupId).toLowerCase().includes('demo'));
-          
-          if (!isDemo) {
-            const profit = Number(payload?.Profit || payload?.profit || 0);
-            accountProfits[accountId] = profit;
-          }
+        const profile = await fetchClientProfile(accountId, { service: 'manager' });
+        // Double-check it's not a demo account (should already be filtered, but just in case)
+        if (profile && !profile.isDemo) {
+          accountProfits[accountId] = profile.profit;
         }
       } catch {}
     });
@@ -2830,84 +2368,13 @@ async function computeGroupAggregates(ibId, ibEmail) {
   }
 }
 
-async function buildCommissionMap(ibId) {
-  const assignments = await query(
-    'SELECT group_id, usd_per_lot, spread_share_percentage FROM ib_group_assignments WHERE ib_request_id = $1',
-    [ibId]
-  );
-
-  const makeKeys = (gid) => {
-    if (!gid) return [];
-    const s = String(gid).trim().toLowerCase();
-    const fwd = s.replace(/\\\\/g, '/');
-    const bwd = s.replace(/\//g, '\\');
-    const parts = s.split(/[\\\\/]/);
-    const last = parts[parts.length - 1] || s;
-    let afterBbook = null;
-    for (let i = 0; i < parts.length; i++) {
-      if (parts[i] === 'bbook' && i + 1 < parts.length) { afterBbook = parts[i + 1]; break; }
-    }
-    const keys = new Set([s, fwd, bwd, last]);
-    if (afterBbook) keys.add(afterBbook);
-    return Array.from(keys);
-  };
-
-  const map = assignments.rows.reduce((acc, row) => {
-    if (!row.group_id) return acc;
-    const payload = {
-      usdPerLot: Number(row.usd_per_lot || 0),
-      spreadPercentage: Number(row.spread_share_percentage || 0)
-    };
-    for (const k of makeKeys(row.group_id)) acc[k] = payload;
-    return acc;
-  }, {});
-
-  if (!Object.keys(map).length) {
-    const fallback = await query('SELECT usd_per_lot, spread_percentage_per_lot FROM ib_requests WHERE id = $1', [ibId]);
-    const row = fallback.rows[0];
-    map['*'] = {
-      usdPerLot: Number(row?.usd_per_lot || 0),
-      spreadPercentage: Number(row?.spread_percentage_per_lot || 0)
-    };
-  }
-
-  return map;
-}
-
-async function syncTradesForAccount({ ibId, userId, accountId }) {
+async function syncTradesForAccount({ ibId, userId, accountId, triggeredBy = 'admin' }) {
   try {
-    const commissionMap = await buildCommissionMap(ibId);
-    const to = new Date().toISOString();
-    // Fetch a wider window to ensure we capture existing trades
-    const from = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString();
-    const apiUrl = `http://18.130.5.209:5003/api/client/tradehistory/trades?accountId=${accountId}&page=1&pageSize=1000&fromDate=${from}&toDate=${to}`;
-
-    const response = await fetch(apiUrl, { headers: { accept: '*/*' } });
-    if (!response.ok) {
-      return false;
-    }
-
-    const data = await response.json();
-    const trades = data.Items || [];
-
-    // Resolve group id for this account
-    let groupId = null;
-    try {
-      const profRes = await fetch(`http://18.130.5.209:5003/api/Users/${accountId}/getClientProfile`, { headers: { accept: '*/*' } });
-      if (profRes.ok) {
-        const prof = await profRes.json();
-        groupId = (prof?.Data || prof?.data)?.Group || null;
-      }
-    } catch {}
-
-  await IBTradeHistory.upsertTrades(trades, {
-      accountId,
-      ibRequestId: ibId,
-      userId,
-      commissionMap,
-      groupId
-    });
-    try { await IBTradeHistory.calculateIBCommissions(accountId, ibId); } catch {}
+    // Incremental from the account's sync cursor (first run covers the initial lookback window)
+    await recordSyncRun(
+      { trigger: 'admin', triggeredBy, scope: 'account', ibRequestId: ibId, accountId },
+      (runId) => syncAccount({ accountId, userId, ibRequestId: ibId, runId })
+    );
     return true;
   } catch (error) {
     console.error(`Trade sync failed for account ${accountId}:`, error.message);
@@ -2969,28 +2436,9 @@ async function getAccountStats(ibId) {
       const accountId = row.accountId;
       
       try {
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 15000); // 15 second timeout
-        
-        const response = await fetch(
-          `http://18.175.242.21:5003/api/Users/${accountId}/getClientProfile`,
-          {
-            headers: { 'accept': '*/*' },
-            signal: controller.signal
-          }
-        );
-        
-        clearTimeout(timeout);
-
-        if (response.ok) {
-          const apiData = await response.json();
-          if (apiData.Success && apiData.Data) {
-            return {
-              success: true,
-              balance: Number(apiData.Data.Balance || 0),
-              equity: Number(apiData.Data.Equity || 0)
-            };
-          }
+        const profile = await fetchClientProfile(accountId, { service: 'manager', timeoutMs: 15000 });
+        if (profile) {
+          return { success: true, balance: profile.balance, equity: profile.equity };
         }
         return { success: false };
       } catch (error) {
@@ -3079,45 +2527,35 @@ async function getTradingAccounts(ibId) {
         const fetchPromises = result.rows.map(async (row, index) => {
           const accountId = row.accountId;
           try {
-            const response = await fetch(`http://18.175.242.21:5003/api/Users/${accountId}/getClientProfile`, { headers: { 'accept': '*/*' } });
-            if (response.ok) {
-              const apiData = await response.json();
-              if (apiData.Success && apiData.Data) {
-                const data = apiData.Data;
-                
-                // Check if account is demo
-                const accountType = data.AccountType ?? data.accountType ?? data.AccountTypeText ?? data.accountTypeText ?? null;
-                const groupIdFull = data.Group || data.group || '';
-                const isDemo = 
-                  (accountType && String(accountType).toLowerCase().includes('demo')) ||
-                  (groupIdFull && String(groupIdFull).toLowerCase().includes('demo'));
-                
-                // Skip demo accounts
-                if (isDemo) {
-                  tradingAccounts[index] = null; // Mark for removal
-                  return;
-                }
-                
-                let groupName = data.Group || 'Unknown';
-                const match = groupName.match(/Bbook\\([^\\/]+)/i) || groupName.match(/Bbook\\\\([^\\/]+)/i);
-                if (match && match[1]) {
-                  groupName = match[1];
-                } else if (groupName.includes('\\')) {
-                  const parts = groupName.split('\\');
-                  groupName = parts.length >= 3 ? parts[2] : parts[parts.length - 1];
-                }
-                tradingAccounts[index] = {
-                  mtsId: data.Login || accountId,
-                  accountId: data.Login || accountId,
-                  balance: Number(data.Balance || 0),
-                  equity: Number(data.Equity || 0),
-                  group: groupName,
-                  leverage: data.Leverage || row.leverage || 1000,
-                  currency: 'USD',
-                  status: data.IsEnabled ? 1 : 0,
-                  isDemo: false
-                };
+            const profile = await fetchClientProfile(accountId, { service: 'manager' });
+            if (profile) {
+              const data = profile.raw;
+
+              // Skip demo accounts
+              if (profile.isDemo) {
+                tradingAccounts[index] = null; // Mark for removal
+                return;
               }
+              
+              let groupName = data.Group || 'Unknown';
+              const match = groupName.match(/Bbook\\([^\\/]+)/i) || groupName.match(/Bbook\\\\([^\\/]+)/i);
+              if (match && match[1]) {
+                groupName = match[1];
+              } else if (groupName.includes('\\')) {
+                const parts = groupName.split('\\');
+                groupName = parts.length >= 3 ? parts[2] : parts[parts.length - 1];
+              }
+              tradingAccounts[index] = {
+                mtsId: data.Login || accountId,
+                accountId: data.Login || accountId,
+                balance: Number(data.Balance || 0),
+                equity: Number(data.Equity || 0),
+                group: groupName,
+                leverage: data.Leverage || row.leverage || 1000,
+                currency: 'USD',
+                status: data.IsEnabled ? 1 : 0,
+                isDemo: false
+              };
             }
           } catch {}
         });
@@ -3149,7 +2587,7 @@ async function getTradeHistory(ibId) {
     const tradesResult = await query(`
       SELECT * FROM ib_trade_history
       WHERE ib_request_id = $1 AND close_price IS NOT NULL AND close_price != 0 AND profit != 0
-      ORDER BY synced_at DESC
+      ORDER BY ${TRADE_CLOSE_TIME_SQL} DESC
       LIMIT 100
     `, [ibId]);
 
@@ -3165,7 +2603,12 @@ async function getTradeHistory(ibId) {
       profit: Number(trade.profit || 0),
       ibCommission: Number(trade.ib_commission || 0),
       takeProfit: Number(trade.take_profit || 0),
-      stopLoss: Number(trade.stop_loss || 0)
+      stopLoss: Number(trade.stop_loss || 0),
+      mt5Commission: Number(trade.mt5_commission || 0),
+      swap: Number(trade.swap || 0),
+      positionId: trade.position_id || null,
+      openTime: trade.open_time || null,
+      closeTime: trade.close_time || trade.synced_at || null
     }));
   } catch (error) {
     console.error('Error in getTradeHistory:', error);
@@ -3208,111 +2651,10 @@ async function getTreeStructure(rootIbId) {
       } catch {}
       return [];
     };
-    // Helper: get IB's own user_id to exclude from commission calculations
-    const getIBUserId = async (ibId) => {
-      try {
-        const ibRes = await query('SELECT email FROM ib_requests WHERE id = $1', [ibId]);
-        if (ibRes.rows.length === 0) return null;
-        const userRes = await query('SELECT id FROM "User" WHERE email = $1', [ibRes.rows[0].email]);
-        return userRes.rows.length > 0 ? String(userRes.rows[0].id) : null;
-      } catch {
-        return null;
-      }
-    };
-
-    // Helper: get list of referred user_ids (from ib_referrals and ib_requests)
-    const getReferredUserIds = async (ibId) => {
-      const userIds = new Set();
-      try {
-        // Get user_ids from ib_referrals
-        const refRes = await query(
-          'SELECT user_id FROM ib_referrals WHERE ib_request_id = $1 AND user_id IS NOT NULL',
-          [ibId]
-        );
-        refRes.rows.forEach(row => {
-          if (row.user_id) userIds.add(String(row.user_id));
-        });
-
-        // Get user_ids from ib_requests where referred_by = ibId
-        const ibRefRes = await query(
-          `SELECT u.id as user_id 
-           FROM ib_requests ir
-           JOIN "User" u ON u.email = ir.email
-           WHERE ir.referred_by = $1 AND u.id IS NOT NULL`,
-          [ibId]
-        );
-        ibRefRes.rows.forEach(row => {
-          if (row.user_id) userIds.add(String(row.user_id));
-        });
-      } catch (error) {
-        console.error('Error getting referred user IDs:', error);
-      }
-      return Array.from(userIds);
-    };
-
-    // Helper: compute own lots and commission breakdown for a given IB (EXCLUDING IB's own trades)
+    // Helper: lots and commission breakdown earned from an IB's referred users (never its own trades)
     const getOwnStats = async (ibId) => {
-      // Get IB's own user_id to exclude
-      const ibUserId = await getIBUserId(ibId);
-      // Get referred user_ids to include
-      const referredUserIds = await getReferredUserIds(ibId);
-      
-      if (referredUserIds.length === 0) {
-        return { ownLots: 0, tradeCount: 0, fixed: 0, spread: 0 };
-      }
-
-      // Fetch approved group mappings for this IB
-      const assignRes = await query(
-        `SELECT group_id, usd_per_lot, spread_share_percentage
-         FROM ib_group_assignments WHERE ib_request_id = $1`,
-        [ibId]
-      );
-      const normalize = (gid) => {
-        if (!gid) return '';
-        const s = String(gid).toLowerCase().trim();
-        const parts = s.split(/[\\/]/);
-        return parts[parts.length - 1] || s;
-      };
-      const approved = new Map();
-      for (const r of assignRes.rows) {
-        const k = normalize(r.group_id);
-        if (k) approved.set(k, { usdPerLot: Number(r.usd_per_lot || 0), spreadPct: Number(r.spread_share_percentage || 0) });
-      }
-      if (!approved.size) return { ownLots: 0, tradeCount: 0, fixed: 0, spread: 0 };
-
-      // Build WHERE clause to exclude IB's own trades and only include referred users' trades
-      let userFilter = '';
-      const params = [ibId];
-      if (ibUserId) {
-        params.push(ibUserId);
-        userFilter = `AND user_id != $${params.length}`;
-      }
-      params.push(referredUserIds);
-      const userInClause = `AND user_id = ANY($${params.length}::text[])`;
-
-      const res = await query(
-        `SELECT group_id, COALESCE(SUM(volume_lots),0) AS lots, COUNT(*)::int AS trade_count, COALESCE(SUM(ib_commission),0) AS fixed
-         FROM ib_trade_history
-         WHERE ib_request_id = $1
-           AND close_price IS NOT NULL AND close_price != 0 AND profit != 0
-           ${userFilter}
-           ${userInClause}
-         GROUP BY group_id`,
-        params
-      );
-      let ownLots = 0, tradeCount = 0, fixed = 0, spread = 0;
-      for (const row of res.rows) {
-        const k = normalize(row.group_id);
-        const rule = approved.get(k);
-        if (!rule) continue; // only approved groups
-        const l = Number(row.lots || 0);
-        ownLots += l;
-        tradeCount += Number(row.trade_count || 0);
-        const f = Number(row.fixed || 0);
-        fixed += f;
-        spread += l * (Number(rule.spreadPct || 0) / 100);
-      }
-      return { ownLots, tradeCount, fixed, spread };
+      const summary = await summarizeCommission(ibId);
+      return { ownLots: summary.totalLots, tradeCount: summary.totalTrades, fixed: summary.fixed, spread: summary.spread };
     };
 
     // Helper: fetch IB request basic info
@@ -3544,12 +2886,19 @@ async function getIBGroupsData(ibId) {
   }
 }
 
-// Create new commission structure for a group
+// Create new commission structure for a group (optional overrides: per symbol / category rates or exclusions;
+// optional revenueSharePercentage: share of the broker's monthly net revenue from the IB's clients)
 router.post('/groups/*/commissions', authenticateAdminToken, async (req, res) => {
   try {
     const groupId = req.params[0]; // For wildcard
     const structureData = req.body;
-    const newStructure = await GroupCommissionStructures.create(groupId, structureData);
+    try {
+      GroupCommissionStructures.normalizeOverrides(structureData?.overrides);
+      GroupCommissionStructures.normalizeRevenueSharePercentage(structureData?.revenueSharePercentage);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    const newStructure = await GroupCommissionStructures.create(groupId, structureData, { changedBy: adminActor(req) });
 
     res.status(201).json({
       success: true,
@@ -3567,13 +2916,108 @@ router.post('/groups/*/commissions', authenticateAdminToken, async (req, res) =>
   }
 });
 
+// Replace a structure's per-symbol / per-category overrides (from now on; earlier deals keep the
+// rules in force when they closed)
+router.put('/groups/*/commissions/:id/overrides', authenticateAdminToken, async (req, res) => {
+  try {
+    const groupId = req.params[0];
+    const structure = await GroupCommissionStructures.findById(req.params.id);
+    if (!structure || structure.group_id !== groupId) {
+      return res.status(404).json({ success: false, message: 'Commission structure not found' });
+    }
+    let overrides;
+    try {
+      overrides = GroupCommissionStructures.normalizeOverrides(req.body?.overrides ?? []);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    const updated = await GroupCommissionStructures.setOverrides(structure.id, overrides, { changedBy: adminActor(req) });
+    res.json({ success: true, message: 'Commission overrides updated', data: { structure: updated } });
+  } catch (error) {
+    console.error('Update commission overrides error:', error);
+    res.status(500).json({ success: false, message: 'Unable to update commission overrides', error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined });
+  }
+});
+
+// Replace a structure's master IB override rules (per level) and its per-lot payout cap
+router.put('/groups/*/commissions/:id/upline-rules', authenticateAdminToken, async (req, res) => {
+  try {
+    const groupId = req.params[0];
+    const structure = await GroupCommissionStructures.findById(req.params.id);
+    if (!structure || structure.group_id !== groupId) {
+      return res.status(404).json({ success: false, message: 'Commission structure not found' });
+    }
+    const rawCap = req.body?.maxPayoutPerLot;
+    const maxPayoutPerLot = rawCap === undefined || rawCap === null || rawCap === '' ? null : Number(rawCap);
+    try {
+      GroupCommissionStructures.normalizeUplineRules(req.body?.uplineRules ?? []);
+      if (maxPayoutPerLot !== null && !(maxPayoutPerLot >= 0)) {
+        throw new Error('maxPayoutPerLot must be a non-negative number or null');
+      }
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    const updated = await GroupCommissionStructures.setUplineRules(structure.id, req.body?.uplineRules ?? [], maxPayoutPerLot, { changedBy: adminActor(req) });
+    res.json({ success: true, message: 'Master IB override rules updated', data: { structure: updated } });
+  } catch (error) {
+    console.error('Update upline rules error:', error);
+    res.status(500).json({ success: false, message: 'Unable to update master IB override rules', error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined });
+  }
+});
+
+// Replace a structure's commission eligibility rules (minimum hold time, minimum price move,
+// maximum share of short trades); omitted rules are switched off.
+// The short-trade share is only applied to a month once it has ended (UTC): deals in the current
+// month accrue as usual and are reversed at month end if the account went over the limit.
+router.put('/groups/*/commissions/:id/eligibility', authenticateAdminToken, async (req, res) => {
+  try {
+    const groupId = req.params[0];
+    const structure = await GroupCommissionStructures.findById(req.params.id);
+    if (!structure || structure.group_id !== groupId) {
+      return res.status(404).json({ success: false, message: 'Commission structure not found' });
+    }
+    try {
+      GroupCommissionStructures.normalizeEligibilityRules(req.body || {});
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    const updated = await GroupCommissionStructures.setEligibilityRules(structure.id, req.body || {}, { changedBy: adminActor(req) });
+    res.json({ success: true, message: 'Commission eligibility rules updated', data: { structure: updated } });
+  } catch (error) {
+    console.error('Update eligibility rules error:', error);
+    res.status(500).json({ success: false, message: 'Unable to update commission eligibility rules', error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined });
+  }
+});
+
+// Every version of a structure's pricing rules with the dates it was in force
+router.get('/groups/*/commissions/:id/rule-history', authenticateAdminToken, async (req, res) => {
+  try {
+    const groupId = req.params[0];
+    const structure = await GroupCommissionStructures.findById(req.params.id);
+    if (!structure || structure.group_id !== groupId) {
+      return res.status(404).json({ success: false, message: 'Commission structure not found' });
+    }
+    const versions = await GroupCommissionStructures.getRuleHistory(structure.id);
+    res.json({ success: true, data: { versions } });
+  } catch (error) {
+    console.error('Fetch structure rule history error:', error);
+    res.status(500).json({ success: false, message: 'Unable to fetch commission rule history', error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined });
+  }
+});
+
 // Update commission structure
 router.patch('/commissions/:id', authenticateAdminToken, async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
+    try {
+      if (updates?.overrides !== undefined) GroupCommissionStructures.normalizeOverrides(updates.overrides);
+      GroupCommissionStructures.normalizeRevenueSharePercentage(updates?.revenueSharePercentage);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
 
-    const updatedStructure = await GroupCommissionStructures.update(id, updates);
+    const updatedStructure = await GroupCommissionStructures.update(id, updates, { changedBy: adminActor(req) });
 
     if (!updatedStructure) {
       return res.status(404).json({
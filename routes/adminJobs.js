@@ -0,0 +1,240 @@
+import express from 'express';
+import { authenticateAdminToken } from './adminAuth.js';
+import { BackgroundJob, JOB_STATUS_VALUES } from '../models/BackgroundJob.js';
+import { JobSchedule } from '../models/JobSchedule.js';
+import { enqueueJob, triggerSchedule, getRegisteredJobTypes, getWorkerId } from '../services/jobScheduler.js';
+
+const router = express.Router();
+
+const formatJob = (job) => ({
+  id: job.id,
+  jobType: job.job_type,
+  scheduleName: job.schedule_name,
+  status: job.status,
+  payload: job.payload,
+  attempts: job.attempts,
+  maxAttempts: job.max_attempts,
+  runAt: job.run_at,
+  lockedBy: job.locked_by,
+  startedAt: job.started_at,
+  finishedAt: job.finished_at,
+  lastError: job.last_error,
+  result: job.result,
+  triggeredBy: job.triggered_by,
+  createdAt: job.created_at
+});
+
+// List schedules with their last run and queue counts
+router.get('/', authenticateAdminToken, async (req, res) => {
+  try {
+    const schedules = await JobSchedule.listWithLastRun();
+    const counts = await BackgroundJob.getStatusCounts();
+
+    res.json({
+      success: true,
+      data: {
+        worker: getWorkerId(),
+        jobTypes: getRegisteredJobTypes(),
+        counts,
+        schedules: schedules.map((s) => ({
+          name: s.name,
+          jobType: s.job_type,
+          description: s.description,
+          intervalSeconds: s.interval_seconds,
+          enabled: s.enabled,
+          maxAttempts: s.max_attempts,
+          nextRunAt: s.next_run_at,
+          lastEnqueuedAt: s.last_enqueued_at,
+          lastRun: s.last_job_id ? {
+            jobId: s.last_job_id,
+            status: s.last_status,
+            startedAt: s.last_started_at,
+            finishedAt: s.last_finished_at,
+            error: s.last_error
+          } : null
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to fetch jobs',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// List job runs (filter by type, schedule, status)
+router.get('/runs', authenticateAdminToken, async (req, res) => {
+  try {
+    const { type, schedule, status, page = 1, limit = 50 } = req.query;
+    if (status && !JOB_STATUS_VALUES.includes(status)) {
+      return res.status(400).json({ success: false, message: `Invalid status. Allowed: ${JOB_STATUS_VALUES.join(', ')}` });
+    }
+    const pageSize = Math.min(Math.max(Number(limit) || 50, 1), 200);
+    const offset = (Math.max(Number(page) || 1, 1) - 1) * pageSize;
+
+    const { jobs, total } = await BackgroundJob.list({ jobType: type, scheduleName: schedule, status, limit: pageSize, offset });
+
+    res.json({
+      success: true,
+      data: {
+        runs: jobs.map(formatJob),
+        pagination: {
+          page: Number(page) || 1,
+          limit: pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List job runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to fetch job runs',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// Get a single job run
+router.get('/runs/:id', authenticateAdminToken, async (req, res) => {
+  try {
+    const id = Number.parseInt(String(req.params.id), 10);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid job id' });
+    }
+    const job = await BackgroundJob.findById(id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    res.json({ success: true, data: formatJob(job) });
+  } catch (error) {
+    console.error('Get job run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to fetch job run',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// Re-queue a dead-lettered job
+router.post('/runs/:id/retry', authenticateAdminToken, async (req, res) => {
+  try {
+    const id = Number.parseInt(String(req.params.id), 10);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid job id' });
+    }
+    const job = await BackgroundJob.retry(id);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found or not in a failed/dead state' });
+    }
+    res.json({ success: true, message: 'Job re-queued', data: formatJob(job) });
+  } catch (error) {
+    console.error('Retry job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to retry job',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// Enqueue an ad-hoc job of a registered type
+router.post('/enqueue', authenticateAdminToken, async (req, res) => {
+  try {
+    const { jobType, payload = {}, dedupeKey = null, maxAttempts } = req.body || {};
+    if (!getRegisteredJobTypes().includes(jobType)) {
+      return res.status(400).json({ success: false, message: `Unknown job type. Allowed: ${getRegisteredJobTypes().join(', ')}` });
+    }
+    const job = await enqueueJob(jobType, payload, { dedupeKey, maxAttempts, triggeredBy: `admin:${req.admin?.email || req.admin?.id || 'unknown'}` });
+    if (!job) {
+      return res.status(409).json({ success: false, message: 'An identical job is already queued or running' });
+    }
+    res.status(202).json({ success: true, message: 'Job queued', data: formatJob(job) });
+  } catch (error) {
+    console.error('Enqueue job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to enqueue job',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// Get one schedule with its recent runs
+router.get('/:name', authenticateAdminToken, async (req, res) => {
+  try {
+    const schedule = await JobSchedule.findByName(req.params.name);
+    if (!schedule) {
+      return res.status(404).json({ success: false, message: 'Schedule not found' });
+    }
+    const { jobs } = await BackgroundJob.list({ scheduleName: schedule.name, limit: Number(req.query.limit) || 20 });
+    res.json({
+      success: true,
+      data: {
+        schedule,
+        runs: jobs.map(formatJob)
+      }
+    });
+  } catch (error) {
+    console.error('Get schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to fetch schedule',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// Enable/disable a schedule or change its interval
+router.put('/:name', authenticateAdminToken, async (req, res) => {
+  try {
+    const { enabled, intervalSeconds, maxAttempts } = req.body || {};
+    if (intervalSeconds !== undefined && (!Number.isFinite(Number(intervalSeconds)) || Number(intervalSeconds) <= 0)) {
+      return res.status(400).json({ success: false, message: 'intervalSeconds must be a positive number' });
+    }
+    const schedule = await JobSchedule.update(req.params.name, {
+      enabled: typeof enabled === 'boolean' ? enabled : null,
+      intervalSeconds: intervalSeconds !== undefined ? Number(intervalSeconds) : null,
+      maxAttempts: maxAttempts !== undefined ? Number(maxAttempts) : null
+    });
+    if (!schedule) {
+      return res.status(404).json({ success: false, message: 'Schedule not found' });
+    }
+    res.json({ success: true, message: 'Schedule updated', data: schedule });
+  } catch (error) {
+    console.error('Update schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to update schedule',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+// Trigger a schedule now
+router.post('/:name/trigger', authenticateAdminToken, async (req, res) => {
+  try {
+    const triggered = await triggerSchedule(req.params.name, { triggeredBy: `admin:${req.admin?.email || req.admin?.id || 'unknown'}` });
+    if (!triggered) {
+      return res.status(404).json({ success: false, message: 'Schedule not found' });
+    }
+    if (!triggered.job) {
+      return res.status(409).json({ success: false, message: 'This job is already queued or running' });
+    }
+    res.status(202).json({ success: true, message: 'Job queued', data: formatJob(triggered.job) });
+  } catch (error) {
+    console.error('Trigger schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to trigger job',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+export default router;
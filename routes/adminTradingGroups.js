@@ -1,6 +1,7 @@
 import express from 'express';
 import { MT5Groups } from '../models/MT5Groups.js';
 import { authenticateAdminToken } from './adminAuth.js';
+import { getGatewayConfig } from '../services/mt5Gateway.js';
 
 const router = express.Router();
 
@@ -121,7 +122,7 @@ router.post('/sync', authenticateAdminToken, async (req, res) => {
     // Provide detailed error message
     let errorMessage = 'Unable to sync trading groups from API';
     if (error.code === 'ECONNREFUSED') {
-      errorMessage = `Cannot connect to API server. Please check if the API is running at http://18.175.242.21:3000`;
+      errorMessage = `Cannot connect to API server. Please check if the API is running at ${getGatewayConfig().baseUrls.groups || '(MT5_GROUPS_API_URL not set)'}`;
     } else if (error.code === 'ETIMEDOUT') {
       errorMessage = `API request timed out. The server may be slow or unreachable.`;
     } else if (error.response) {
@@ -142,6 +143,49 @@ router.post('/sync', authenticateAdminToken, async (req, res) => {
   }
 });
 
+// Set the spread markup (points) used to price IB spread share on this group; null clears it
+router.put('/:id/spread-markup', authenticateAdminToken, async (req, res) => {
+  try {
+    const id = Number.parseInt(req.params.id, 10);
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid group ID'
+      });
+    }
+    const raw = req.body?.spreadMarkupPoints;
+    if (raw === undefined) {
+      return res.status(400).json({ success: false, message: 'spreadMarkupPoints is required (a number of points, or null to clear)' });
+    }
+
+    let group;
+    try {
+      group = await MT5Groups.setSpreadMarkup(id, raw === null || raw === '' ? null : raw);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trading group not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Spread markup updated',
+      data: group
+    });
+  } catch (error) {
+    console.error('Error updating spread markup:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to update spread markup',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
 // Delete trading group
 router.delete('/:id', authenticateAdminToken, async (req, res) => {
   try {
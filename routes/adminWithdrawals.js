@@ -1,9 +1,11 @@
 import express from 'express';
 import { authenticateAdminToken } from './adminAuth.js';
 import { IBWithdrawal } from '../models/IBWithdrawal.js';
-import { query } from '../config/database.js';
+import { CommissionLedger } from '../models/CommissionLedger.js';
+import { query, withTransaction } from '../config/database.js';
 
 const router = express.Router();
+const adminActor = (req) => `admin:${req.admin?.email || req.admin?.id || 'unknown'}`;
 
 // Get all withdrawal requests with pagination
 router.get('/', authenticateAdminToken, async (req, res) => {
@@ -75,27 +77,42 @@ router.get('/stats', authenticateAdminToken, async (req, res) => {
   }
 });
 
-// Approve withdrawal
+// Current status of a withdrawal the approve/reject guard did not match (null = not found)
+const withdrawalStatus = async (id) => {
+  const result = await query('SELECT status FROM ib_withdrawal_requests WHERE id = $1', [id]);
+  return result.rows[0]?.status ?? null;
+};
+
+// Approve a pending withdrawal and debit the IB's commission ledger in the same transaction
 router.put('/:id/approve', authenticateAdminToken, async (req, res) => {
   try {
     const { id } = req.params;
-    
-    const result = await query(
-      `UPDATE ib_withdrawal_requests 
-       SET status = 'approved' 
-       WHERE id = $1 
-       RETURNING *`,
-      [id]
-    );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ success: false, message: 'Withdrawal request not found' });
+    const withdrawal = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE ib_withdrawal_requests 
+         SET status = 'approved' 
+         WHERE id = $1 AND LOWER(status) = 'pending'
+         RETURNING *`,
+        [id]
+      );
+      if (result.rows.length === 0) return null;
+      await CommissionLedger.postPayout(result.rows[0], { createdBy: adminActor(req), client });
+      return result.rows[0];
+    });
+
+    if (!withdrawal) {
+      const status = await withdrawalStatus(id);
+      if (status === null) {
+        return res.status(404).json({ success: false, message: 'Withdrawal request not found' });
+      }
+      return res.status(409).json({ success: false, message: `Only pending withdrawals can be approved (this one is ${status})` });
     }
 
     res.json({
       success: true,
       message: 'Withdrawal approved successfully',
-      data: { withdrawal: result.rows[0] }
+      data: { withdrawal }
     });
   } catch (error) {
     console.error('Approve withdrawal error:', error);
@@ -103,27 +120,36 @@ router.put('/:id/approve', authenticateAdminToken, async (req, res) => {
   }
 });
 
-// Reject withdrawal
+// Reject a pending or approved withdrawal; an approved one has its payout credited back
 router.put('/:id/reject', authenticateAdminToken, async (req, res) => {
   try {
     const { id } = req.params;
-    
-    const result = await query(
-      `UPDATE ib_withdrawal_requests 
-       SET status = 'rejected' 
-       WHERE id = $1 
-       RETURNING *`,
-      [id]
-    );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ success: false, message: 'Withdrawal request not found' });
+    const withdrawal = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE ib_withdrawal_requests 
+         SET status = 'rejected' 
+         WHERE id = $1 AND LOWER(status) IN ('pending', 'approved')
+         RETURNING *`,
+        [id]
+      );
+      if (result.rows.length === 0) return null;
+      await CommissionLedger.reversePayout(result.rows[0], { createdBy: adminActor(req), client });
+      return result.rows[0];
+    });
+
+    if (!withdrawal) {
+      const status = await withdrawalStatus(id);
+      if (status === null) {
+        return res.status(404).json({ success: false, message: 'Withdrawal request not found' });
+      }
+      return res.status(409).json({ success: false, message: `Only pending or approved withdrawals can be rejected (this one is ${status})` });
     }
 
     res.json({
       success: true,
       message: 'Withdrawal rejected successfully',
-      data: { withdrawal: result.rows[0] }
+      data: { withdrawal }
     });
   } catch (error) {
     console.error('Reject withdrawal error:', error);
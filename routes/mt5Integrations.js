@@ -0,0 +1,134 @@
+import express from 'express';
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+import { MT5WebhookDelivery } from '../models/MT5WebhookDelivery.js';
+import { ingestDeals, resolveAccountOwner } from '../services/tradeSync.js';
+
+const router = express.Router();
+
+/**
+ * Push endpoints for the MT5 bridge. Requests are signed, not authenticated with a user token:
+ *   X-MT5-Timestamp   unix seconds, must be within MT5_WEBHOOK_TOLERANCE_SECONDS (default 300)
+ *   X-MT5-Signature   hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with MT5_WEBHOOK_SECRET
+ *                     (an optional "sha256=" prefix is accepted)
+ *   X-MT5-Delivery-Id optional; identifies retries of the same delivery (defaults to the body hash).
+ *                     A retry must carry the same body; one stuck in processing for
+ *                     MT5_WEBHOOK_STALE_SECONDS (default 300) is processed again.
+ */
+
+function getWebhookConfig() {
+  return {
+    secret: process.env.MT5_WEBHOOK_SECRET || '',
+    toleranceSeconds: Number(process.env.MT5_WEBHOOK_TOLERANCE_SECONDS || 300)
+  };
+}
+
+function verifySignature(req, res, next) {
+  const { secret, toleranceSeconds } = getWebhookConfig();
+  if (!secret) {
+    return res.status(503).json({ success: false, message: 'MT5 webhook is not configured' });
+  }
+
+  const timestamp = Number(req.get('X-MT5-Timestamp'));
+  if (!Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    return res.status(401).json({ success: false, message: 'Missing or expired webhook timestamp' });
+  }
+
+  const rawBody = req.rawBody || Buffer.alloc(0);
+  const provided = String(req.get('X-MT5-Signature') || '').replace(/^sha256=/i, '').trim();
+  const expected = createHmac('sha256', secret)
+    .update(`${req.get('X-MT5-Timestamp')}.`)
+    .update(rawBody)
+    .digest('hex');
+  const valid = /^[0-9a-f]{64}$/i.test(provided)
+    && timingSafeEqual(Buffer.from(provided.toLowerCase(), 'hex'), Buffer.from(expected, 'hex'));
+  if (!valid) {
+    console.warn(`[MT5 Webhook] Rejected delivery with invalid signature from ${req.ip}`);
+    return res.status(401).json({ success: false, message: 'Invalid webhook signature' });
+  }
+  next();
+}
+
+const dealAccountId = (deal) => {
+  const value = deal?.Login ?? deal?.AccountId ?? deal?.accountId ?? deal?.login ?? null;
+  return value === null || value === undefined || String(value).trim() === '' ? null : String(value).trim();
+};
+
+// Receive closed deals pushed by the MT5 bridge. Polling (trade-sync schedule) stays as catch-up.
+router.post('/deals', verifySignature, async (req, res) => {
+  const body = req.body || {};
+  const deals = Array.isArray(body.deals) ? body.deals : Array.isArray(body) ? body : [body];
+  const bodySha256 = createHash('sha256').update(req.rawBody || Buffer.alloc(0)).digest('hex');
+  const deliveryId = String(req.get('X-MT5-Delivery-Id') || body.deliveryId || bodySha256).substring(0, 200);
+
+  let claim;
+  try {
+    claim = await MT5WebhookDelivery.claim(deliveryId, { bodySha256, dealsReceived: deals.length });
+  } catch (error) {
+    console.error('[MT5 Webhook] Could not record delivery:', error.message);
+    return res.status(500).json({ success: false, message: 'Unable to record delivery' });
+  }
+
+  if (!claim.claimed) {
+    const delivery = claim.delivery;
+    // A delivery id is bound to the body it first arrived with
+    if (claim.bodyMismatch) {
+      console.warn(`[MT5 Webhook] Delivery ${deliveryId} replayed with a different body; rejected`);
+      return res.status(422).json({ success: false, message: 'Delivery id was already used for a different body', deliveryId });
+    }
+    // Still being processed by an earlier request: ask the bridge to retry later
+    if (delivery?.status === 'processing') {
+      return res.status(409).json({ success: false, message: 'Delivery is already being processed', deliveryId });
+    }
+    return res.json({ success: true, replayed: true, deliveryId, data: delivery?.result || null });
+  }
+
+  try {
+    const byAccount = new Map();
+    let missingAccount = 0;
+    for (const deal of deals) {
+      const accountId = dealAccountId(deal);
+      if (!accountId) {
+        missingAccount++;
+        continue;
+      }
+      if (!byAccount.has(accountId)) byAccount.set(accountId, []);
+      byAccount.get(accountId).push(deal);
+    }
+
+    const accounts = [];
+    let saved = 0;
+    for (const [accountId, accountDeals] of byAccount) {
+      const owner = await resolveAccountOwner(accountId);
+      if (!owner) {
+        accounts.push({ accountId, received: accountDeals.length, saved: 0, status: 'unknown-account' });
+        continue;
+      }
+      const rows = await ingestDeals({ accountId, userId: owner.userId, ibRequestId: owner.ibRequestId, deals: accountDeals });
+      saved += rows.length;
+      accounts.push({
+        accountId,
+        ibRequestId: owner.ibRequestId,
+        received: accountDeals.length,
+        saved: rows.length,
+        skipped: rows.skipped || {}
+      });
+    }
+
+    const result = { received: deals.length, saved, missingAccount, accounts };
+    await MT5WebhookDelivery.markProcessed(deliveryId, result);
+    console.log(`[MT5 Webhook] Delivery ${deliveryId}: ${saved}/${deals.length} deals saved across ${accounts.length} account(s)`);
+    res.json({ success: true, replayed: false, deliveryId, data: result });
+  } catch (error) {
+    console.error(`[MT5 Webhook] Delivery ${deliveryId} failed:`, error.message);
+    await MT5WebhookDelivery.markFailed(deliveryId, error.message)
+      .catch(e => console.error(`[MT5 Webhook] Could not mark delivery ${deliveryId} failed:`, e.message));
+    res.status(500).json({
+      success: false,
+      message: 'Unable to ingest deals',
+      deliveryId,
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
+export default router;
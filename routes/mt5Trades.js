@@ -1,147 +1,69 @@
 import express from 'express';
 import { IBTradeHistory } from '../models/IBTradeHistory.js';
 import { IBCommission } from '../models/IBCommission.js';
+import { CommissionLedger } from '../models/CommissionLedger.js';
 import { query } from '../config/database.js';
 import { authenticateAdminToken } from './adminAuth.js';
+import { fetchClosedTrades, fetchClientProfile } from '../services/mt5Gateway.js';
+import { getAccessToken, withAccessToken } from '../services/mt5TokenCache.js';
+import { buildCommissionMap, fetchAllDeals, backfillTrades, recordSyncRun, ingestDeals } from '../services/tradeSync.js';
+import { enqueueJob } from '../services/jobScheduler.js';
+import { JOB_TYPES } from '../services/backgroundJobs.js';
+import { MT5SyncCursor } from '../models/MT5SyncCursor.js';
+import { TradeSyncRun, SYNC_RUN_TRIGGERS, SYNC_RUN_STATUS_VALUES } from '../models/TradeSyncRun.js';
+import { MT5Position } from '../models/MT5Position.js';
+import { TradeOrderConflict } from '../models/TradeOrderConflict.js';
+import { TradeReconciliation, RECONCILIATION_STATUS_VALUES } from '../models/TradeReconciliation.js';
+import { runReconciliation, recheckAccount } from '../services/tradeReconciliation.js';
+import { repriceAccount, summarizeCommission, getIBUserId } from '../services/commissionEngine.js';
 
 const router = express.Router();
-const MT5_API_BASE = 'https://metaapi.zuperior.com';
-
-// Helper function to normalize group IDs for commission mapping
-function makeKeys(gid) {
-  if (!gid) return [];
-  const raw = String(gid).trim();
-  const low = raw.toLowerCase();
-  const fwd = low.replace(/\\\\/g, '/');
-  const bwd = low.replace(/\//g, '\\');
-  const parts = low.split(/[\\\\/]/);
-  const last = parts[parts.length - 1] || low;
-  // Prefer the segment after 'bbook' when present (e.g., 'standard')
-  let afterBbook = null;
-  for (let i = 0; i < parts.length; i++) {
-    if (parts[i] === 'bbook' && i + 1 < parts.length) { afterBbook = parts[i + 1]; break; }
-  }
-  const keys = new Set([low, fwd, bwd, last]);
-  if (afterBbook) keys.add(afterBbook);
-  return Array.from(keys);
-}
 
-// Helper function to get access token for an account
-async function getAccessToken(accountId) {
-  try {
-    console.log(`[AUTH] Attempting to get access token for account ${accountId}`);
-    
-    // Get password from MT5Account table - try both quoted and unquoted column names
-    let accountResult;
-    try {
-      accountResult = await query(
-        'SELECT password, "userId" FROM "MT5Account" WHERE "accountId" = $1',
-        [String(accountId)]
-      );
-    } catch (err) {
-      // If quoted fails, try without quotes (for lowercase column names)
-      console.log(`[AUTH] Quoted query failed, trying unquoted: ${err.message}`);
-      accountResult = await query(
-        'SELECT password, user_id FROM mt5_account WHERE account_id = $1',
-        [String(accountId)]
-      );
-    }
-    
-    if (accountResult.rows.length === 0) {
-      console.error(`[AUTH] MT5 account ${accountId} not found in database`);
-      throw new Error(`MT5 account ${accountId} not found in database`);
-    }
-    
-    const password = accountResult.rows[0].password;
-    console.log(`[AUTH] Found account, password exists: ${!!password}`);
-    
-    if (!password) {
-      console.error(`[AUTH] Password is null or empty for account ${accountId}`);
-      throw new Error(`Password not found for MT5 account ${accountId}. Please ensure the account has a password set.`);
-    }
-    
-    // Call ClientAuth/login to get access token
-    const loginUrl = `${MT5_API_BASE}/api/client/ClientAuth/login`;
-    console.log(`[AUTH] Calling login API: ${loginUrl}`);
-    
-    // MT5 API expects AccountId (capital A), Password (capital P), DeviceId, and DeviceType
-    const loginPayload = {
-      AccountId: parseInt(String(accountId), 10), // Convert to integer as API expects
-      Password: password,
-      DeviceId: `server_${accountId}_${Date.now()}`,
-      DeviceType: "server"
-    };
-    
-    console.log(`[AUTH] Login payload (without password):`, { AccountId: loginPayload.AccountId, DeviceId: loginPayload.DeviceId, DeviceType: loginPayload.DeviceType });
-    
-    const loginResponse = await fetch(loginUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'accept': '*/*'
-      },
-      body: JSON.stringify(loginPayload)
-    });
-    
-    const responseText = await loginResponse.text().catch(() => '');
-    console.log(`[AUTH] Login response status: ${loginResponse.status}`);
-    console.log(`[AUTH] Login response body: ${responseText.substring(0, 200)}`);
-    
-    if (!loginResponse.ok) {
-      throw new Error(`MT5 API login failed: ${loginResponse.status} - ${responseText}`);
-    }
-    
-    let loginData;
-    try {
-      loginData = JSON.parse(responseText);
-    } catch (parseError) {
-      throw new Error(`Failed to parse login response: ${responseText.substring(0, 100)}`);
-    }
-    
-    // Try multiple possible token field names (case-insensitive check)
-    const accessToken = 
-      loginData?.accessToken || 
-      loginData?.AccessToken ||
-      loginData?.token || 
-      loginData?.Token ||
-      loginData?.access_token ||
-      loginData?.data?.accessToken || 
-      loginData?.data?.AccessToken ||
-      loginData?.data?.token || 
-      loginData?.data?.Token ||
-      loginData?.data?.access_token ||
-      loginData?.result?.accessToken ||
-      loginData?.result?.AccessToken ||
-      loginData?.result?.token ||
-      loginData?.result?.Token;
-    
-    if (!accessToken) {
-      console.error(`[AUTH] Access token not found in response:`, JSON.stringify(loginData, null, 2));
-      console.error(`[AUTH] Response keys:`, Object.keys(loginData || {}));
-      if (loginData?.data) {
-        console.error(`[AUTH] Data keys:`, Object.keys(loginData.data || {}));
-      }
-      throw new Error('Access token not found in login response. Response structure: ' + JSON.stringify(loginData, null, 2));
+const adminActor = (req) => `admin:${req.admin?.email || req.admin?.id || 'unknown'}`;
+
+// Reconciliation account row, with the request that resyncs it when MT5 and the portal disagree
+const formatReconciliationAccount = (row, report) => ({
+  ...row,
+  resync: row.status === 'matched' ? null : {
+    method: 'POST',
+    path: `/api/admin/mt5-trades/sync/${row.account_id}`,
+    body: {
+      fromDate: report.from_date,
+      toDate: report.to_date,
+      ibRequestId: row.ib_request_id,
+      reconciliationId: report.id
     }
-    
-    console.log(`[AUTH] Successfully obtained access token for account ${accountId}`);
-    return accessToken;
-  } catch (error) {
-    console.error(`[AUTH] Error getting access token for account ${accountId}:`, error.message);
-    console.error(`[AUTH] Full error:`, error);
-    throw error;
   }
-}
+});
+
+const formatReconciliation = (report) => ({
+  ...report,
+  accounts: report.accounts ? report.accounts.map(a => formatReconciliationAccount(a, report)) : undefined
+});
 
 // Sync trades from MT5 API for a specific account
 router.post('/sync/:accountId', authenticateAdminToken, async (req, res) => {
+  let run = null;
+  let runOpen = false;
   try {
     const { accountId } = req.params;
-    const { fromDate, toDate, ibRequestId } = req.body;
+    const { fromDate, toDate, ibRequestId, reconciliationId } = req.body;
+
+    // Resync from a reconciliation report: default to the report's window
+    let reconciliationRow = null;
+    if (reconciliationId) {
+      reconciliationRow = await TradeReconciliation.findAccount(reconciliationId, accountId);
+      if (!reconciliationRow) {
+        return res.status(404).json({
+          success: false,
+          message: `Account ${accountId} is not part of reconciliation ${reconciliationId}`
+        });
+      }
+    }
     
     // Use wide date range to capture all trades
-    const to = toDate || '2085-12-31T23:59:59Z';
-    const from = fromDate || '2024-12-01T00:00:00Z';
+    const to = toDate || (reconciliationRow ? new Date(reconciliationRow.to_date).toISOString() : '2085-12-31T23:59:59Z');
+    const from = fromDate || (reconciliationRow ? new Date(reconciliationRow.from_date).toISOString() : '2024-12-01T00:00:00Z');
     
     console.log(`[SYNC] Starting sync for account ${accountId}, IB Request ${ibRequestId}`);
     console.log(`[SYNC] Date range: ${from} to ${to}`);
@@ -150,14 +72,14 @@ router.post('/sync/:accountId', authenticateAdminToken, async (req, res) => {
     let accountResult;
     try {
       accountResult = await query(
-        'SELECT "userId", password FROM "MT5Account" WHERE "accountId" = $1',
+        'SELECT "userId" FROM "MT5Account" WHERE "accountId" = $1',
         [String(accountId)]
       );
     } catch (err) {
       // If quoted fails, try without quotes
       console.log(`[SYNC] Quoted query failed, trying unquoted: ${err.message}`);
       accountResult = await query(
-        'SELECT user_id, password FROM mt5_account WHERE account_id = $1',
+        'SELECT user_id FROM mt5_account WHERE account_id = $1',
         [String(accountId)]
       );
     }
@@ -170,13 +92,28 @@ router.post('/sync/:accountId', authenticateAdminToken, async (req, res) => {
     }
     
     const userId = accountResult.rows[0].userId || accountResult.rows[0].user_id;
+
+    run = await TradeSyncRun.start({
+      trigger: 'admin',
+      triggeredBy: adminActor(req),
+      scope: 'account',
+      ibRequestId: ibRequestId || null,
+      accountId,
+      fromDate: from,
+      toDate: to
+    });
+    runOpen = true;
+    const startedAt = new Date().toISOString();
     
-    // Get access token
+    // Get access token (cached per account until it expires)
     let accessToken;
     try {
       accessToken = await getAccessToken(accountId);
     } catch (authError) {
       console.error(`[SYNC] Authentication failed for account ${accountId}:`, authError.message);
+      await TradeSyncRun.recordAccount(run.id, { accountId, userId, ibRequestId, from, to, error: `MT5 authentication failed: ${authError.message}`, startedAt });
+      await TradeSyncRun.finish(run.id);
+      runOpen = false;
       return res.status(401).json({
         success: false,
         message: 'Failed to authenticate with MT5 API',
@@ -184,67 +121,27 @@ router.post('/sync/:accountId', authenticateAdminToken, async (req, res) => {
       });
     }
     
-    // Get commission structure for this IB
-    const assignmentsRes = await query(
-      'SELECT group_id, usd_per_lot, spread_share_percentage FROM ib_group_assignments WHERE ib_request_id = $1',
-      [ibRequestId]
-    );
-
-    const commissionMap = assignmentsRes.rows.reduce((map, row) => {
-      if (!row.group_id) return map;
-      const payload = {
-        usdPerLot: Number(row.usd_per_lot || 0),
-        spreadPercentage: Number(row.spread_share_percentage || 0)
-      };
-      for (const k of makeKeys(row.group_id)) {
-        map[k] = payload;
-      }
-      return map;
-    }, {});
-    
-    // Fallback to default IB rates if no group assignments
-    if (!Object.keys(commissionMap).length) {
-      const ibRes = await query('SELECT usd_per_lot, spread_percentage_per_lot FROM ib_requests WHERE id = $1', [ibRequestId]);
-      if (ibRes.rows.length > 0) {
-        commissionMap['*'] = {
-          usdPerLot: Number(ibRes.rows[0].usd_per_lot || 0),
-          spreadPercentage: Number(ibRes.rows[0].spread_percentage_per_lot || 0)
-        };
-      }
-    }
+    // Get commission structure for this IB (falls back to default IB rates if no group assignments)
+    const commissionMap = await buildCommissionMap(ibRequestId);
     
     // Fetch closed trades from MT5 API using trades-closed endpoint
-    const apiUrl = `${MT5_API_BASE}/api/client/tradehistory/trades-closed?accountId=${accountId}&fromDate=${encodeURIComponent(from)}&toDate=${encodeURIComponent(to)}&page=1&pageSize=1000`;
-    console.log('Fetching closed trades from:', apiUrl);
-    
-    const response = await fetch(apiUrl, {
-      headers: {
-        'accept': '*/*',
-        'Authorization': `Bearer ${accessToken}`
+    console.log(`[SYNC] Fetching closed trades for account ${accountId}`);
+    const trades = await withAccessToken(accountId, async (token) => {
+      accessToken = token;
+      const items = [];
+      for (let page = 1; ; page++) {
+        const result = await fetchClosedTrades({ accountId, fromDate: from, toDate: to, page, pageSize: 1000, accessToken: token });
+        items.push(...result.items);
+        if (!result.hasNextPage || result.items.length === 0 || page >= 500) break;
       }
+      return items;
     });
     
-    if (!response.ok) {
-      const errorText = await response.text().catch(() => '');
-      throw new Error(`MT5 API returned ${response.status}: ${errorText}`);
-    }
-    
-    const data = await response.json();
-    const trades = data.Items || [];
-    
     // Resolve group id for this account
     let groupId = null;
     try {
-      const profRes = await fetch(`${MT5_API_BASE}/api/Users/${accountId}/getClientProfile`, {
-        headers: {
-          'accept': '*/*',
-          'Authorization': `Bearer ${accessToken}`
-        }
-      });
-      if (profRes.ok) {
-        const prof = await profRes.json();
-        groupId = (prof?.Data || prof?.data)?.Group || null;
-      }
+      const profile = await fetchClientProfile(accountId, { accessToken, service: 'client' });
+      groupId = profile?.group || null;
     } catch (err) {
       console.warn(`[SYNC] Could not fetch group ID: ${err.message}`);
     }
@@ -257,10 +154,25 @@ router.post('/sync/:accountId', authenticateAdminToken, async (req, res) => {
     const savedTrades = await IBTradeHistory.upsertTrades(trades, { accountId, userId, ibRequestId, commissionMap, groupId });
     
     console.log(`[SYNC] Saved ${savedTrades.length} trades to database`);
+    await TradeSyncRun.recordAccount(run.id, {
+      accountId,
+      userId,
+      ibRequestId,
+      from,
+      to,
+      fetched: trades.length,
+      processed: trades.length,
+      saved: savedTrades.length,
+      skipped: savedTrades.skipped,
+      errors: savedTrades.errors,
+      startedAt
+    });
+    await TradeSyncRun.finish(run.id);
+    runOpen = false;
     
     // Update IB commission calculations
     try {
-      await IBTradeHistory.calculateIBCommissions(accountId, ibRequestId);
+      await repriceAccount(accountId, ibRequestId);
       console.log(`[SYNC] Updated IB commission calculations`);
     } catch (calcError) {
       console.error(`[SYNC] Error calculating IB commissions:`, calcError);
@@ -268,139 +180,62 @@ router.post('/sync/:accountId', authenticateAdminToken, async (req, res) => {
     
     // Update IB Commission table with latest commission data
     try {
-      // Get IB's email and user_id
-      const ibRes = await query('SELECT email FROM ib_requests WHERE id = $1', [ibRequestId]);
-      if (ibRes.rows.length > 0) {
-        const ibEmail = ibRes.rows[0].email;
-        const ibUserRes = await query('SELECT id FROM "User" WHERE LOWER(email) = LOWER($1)', [ibEmail]);
-        const ibUserId = ibUserRes.rows[0]?.id ? String(ibUserRes.rows[0].id) : null;
-        
-        if (ibUserId) {
-          // Get commission structures
-          const groupsRes = await query(
-            `SELECT group_id, group_name, usd_per_lot, spread_share_percentage
-             FROM ib_group_assignments
-             WHERE ib_request_id = $1`,
-            [ibRequestId]
-          );
-          
-          // Build commission map
-          const normalizeGroupId = (gid) => {
-            if (!gid) return '';
-            const s = String(gid).toLowerCase().trim();
-            const parts = s.split(/[\\/]/);
-            return parts[parts.length - 1] || s;
-          };
-          
-          const commissionGroupsMap = new Map();
-          for (const r of groupsRes.rows) {
-            const k = normalizeGroupId(r.group_id);
-            if (k) {
-              commissionGroupsMap.set(k, {
-                spreadPct: Number(r.spread_share_percentage || 0),
-                usdPerLot: Number(r.usd_per_lot || 0)
-              });
-            }
-          }
-          
-          // Get IB's own user_id to exclude
-          const ibUserIdForExclusion = ibUserId;
-          
-          // Get referred user_ids
-          const referredUserIds = new Set();
-          const refRes = await query(
-            'SELECT user_id FROM ib_referrals WHERE ib_request_id = $1 AND user_id IS NOT NULL',
-            [ibRequestId]
-          );
-          refRes.rows.forEach(row => {
-            if (row.user_id) referredUserIds.add(String(row.user_id));
-          });
-          
-          const ibRefRes = await query(
-            `SELECT u.id as user_id 
-             FROM ib_requests ir
-             JOIN "User" u ON u.email = ir.email
-             WHERE ir.referred_by = $1 AND u.id IS NOT NULL`,
-            [ibRequestId]
-          );
-          ibRefRes.rows.forEach(row => {
-            if (row.user_id) referredUserIds.add(String(row.user_id));
-          });
-          
-          // Calculate commission from referred users' trades only
-          if (referredUserIds.size > 0 && commissionGroupsMap.size > 0) {
-            let userFilter = '';
-            const params = [ibRequestId];
-            if (ibUserIdForExclusion) {
-              params.push(ibUserIdForExclusion);
-              userFilter = `AND user_id != $${params.length}`;
-            }
-            params.push(Array.from(referredUserIds));
-            const userInClause = `AND user_id = ANY($${params.length}::text[])`;
-            
-            const tradesRes = await query(
-              `SELECT group_id, volume_lots
-               FROM ib_trade_history
-               WHERE ib_request_id = $1
-                 AND close_price IS NOT NULL AND close_price != 0 AND profit != 0
-                 ${userFilter}
-                 ${userInClause}`,
-              params
-            );
-            
-            // Calculate commission
-            let fixedCommission = 0;
-            let spreadCommission = 0;
-            let totalTrades = 0;
-            let totalLots = 0;
-            
-            for (const trade of tradesRes.rows) {
-              const lots = Number(trade.volume_lots || 0);
-              if (lots <= 0) continue;
-              
-              totalLots += lots;
-              totalTrades += 1;
-              
-              const normalized = normalizeGroupId(trade.group_id);
-              const rule = commissionGroupsMap.get(normalized) || 
-                           Array.from(commissionGroupsMap.values())[0] || 
-                           { usdPerLot: 0, spreadPct: 0 };
-              
-              fixedCommission += lots * Number(rule.usdPerLot || 0);
-              spreadCommission += lots * (Number(rule.spreadPct || 0) / 100);
-            }
-            
-            const totalCommission = fixedCommission + spreadCommission;
-            
-            // Save to IB Commission table
-            await IBCommission.upsertCommission(ibRequestId, ibUserId, {
-              totalCommission: totalCommission,
-              fixedCommission: fixedCommission,
-              spreadCommission: spreadCommission,
-              totalTrades: totalTrades,
-              totalLots: totalLots
-            });
-            
-            console.log(`[SYNC] Updated IB Commission table: total=${totalCommission}, fixed=${fixedCommission}, spread=${spreadCommission}`);
-          }
-        }
+      const ibUserId = await getIBUserId(ibRequestId);
+      if (ibUserId) {
+        const [ledger, commission] = await Promise.all([CommissionLedger.getBalance(ibRequestId), summarizeCommission(ibRequestId)]);
+        await IBCommission.upsertCommission(ibRequestId, ibUserId, {
+          totalCommission: ledger.accrued,
+          fixedCommission: ledger.fixed,
+          spreadCommission: ledger.spread,
+          totalTrades: commission.totalTrades,
+          totalLots: commission.totalLots
+        });
+        console.log(`[SYNC] Updated IB Commission table: total=${ledger.accrued}, fixed=${ledger.fixed}, spread=${ledger.spread}`);
       }
     } catch (commissionError) {
       console.error(`[SYNC] Error updating IB Commission table:`, commissionError);
       // Don't fail the sync if commission update fails
     }
+
+    // Re-check the reconciled window so the report shows what is still different
+    let reconciliation;
+    if (reconciliationRow) {
+      try {
+        const recheck = await recheckAccount(reconciliationId, accountId, { resyncRunId: run.id });
+        reconciliation = {
+          reconciliationId: Number(reconciliationId),
+          status: recheck.status,
+          missing: recheck.missing.length,
+          extra: recheck.extra.length,
+          mismatched: recheck.mismatched.length
+        };
+      } catch (recheckError) {
+        console.error(`[SYNC] Could not re-check reconciliation ${reconciliationId}:`, recheckError.message);
+      }
+    }
     
     res.json({
       success: true,
       message: `Synced ${savedTrades.length} trades`,
       data: {
+        runId: run.id,
         syncedCount: savedTrades.length,
         totalFromAPI: trades.length,
-        lastSyncTime: new Date().toISOString()
+        skipped: savedTrades.skipped,
+        lastSyncTime: new Date().toISOString(),
+        reconciliation
       }
     });
   } catch (error) {
     console.error('Sync trades error:', error);
+    if (runOpen) {
+      try {
+        await TradeSyncRun.recordAccount(run.id, { accountId: req.params.accountId, ibRequestId: req.body?.ibRequestId || null, error: error.message });
+        await TradeSyncRun.finish(run.id);
+      } catch (recordError) {
+        console.error('[SYNC] Could not record failed sync run:', recordError.message);
+      }
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to sync trades',
@@ -431,34 +266,8 @@ router.post('/sync-user/:ibRequestId', authenticateAdminToken, async (req, res)
     
     const userId = userResult.rows[0].id;
     
-    // Get commission structure for this IB
-    const assignmentsRes = await query(
-      'SELECT group_id, usd_per_lot, spread_share_percentage FROM ib_group_assignments WHERE ib_request_id = $1',
-      [ibRequestId]
-    );
-
-    const commissionMap = assignmentsRes.rows.reduce((map, row) => {
-      if (!row.group_id) return map;
-      const payload = {
-        usdPerLot: Number(row.usd_per_lot || 0),
-        spreadPercentage: Number(row.spread_share_percentage || 0)
-      };
-      for (const k of makeKeys(row.group_id)) {
-        map[k] = payload;
-      }
-      return map;
-    }, {});
-    
-    // Fallback to default IB rates if no group assignments
-    if (!Object.keys(commissionMap).length) {
-      const ibRes = await query('SELECT usd_per_lot, spread_percentage_per_lot FROM ib_requests WHERE id = $1', [ibRequestId]);
-      if (ibRes.rows.length > 0) {
-        commissionMap['*'] = {
-          usdPerLot: Number(ibRes.rows[0].usd_per_lot || 0),
-          spreadPercentage: Number(ibRes.rows[0].spread_percentage_per_lot || 0)
-        };
-      }
-    }
+    // Get commission structure for this IB (falls back to default IB rates if no group assignments)
+    const commissionMap = await buildCommissionMap(ibRequestId);
     
     // Get all MT5 accounts for this user
     const accountsResult = await query(
@@ -469,51 +278,61 @@ router.post('/sync-user/:ibRequestId', authenticateAdminToken, async (req, res)
     const accounts = accountsResult.rows;
     let totalSynced = 0;
     const results = [];
-    
-    // Sync each account
-    for (const account of accounts) {
-      try {
-        const accountId = account.accountId;
-        const to = toDate || new Date().toISOString();
-        const from = fromDate || new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString();
-        
-        const apiUrl = `${MT5_API_BASE}/api/client/tradehistory/trades?accountId=${accountId}&page=1&pageSize=1000&fromDate=${from}&toDate=${to}`;
-        const response = await fetch(apiUrl, { headers: { 'accept': '*/*' } });
-        
-        if (response.ok) {
-          const data = await response.json();
-          const trades = data.Items || [];
-          // get group id per account
-          let groupId = null;
+    const to = toDate || new Date().toISOString();
+    const from = fromDate || new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString();
+    
+    // Sync each account, recording every account's outcome in the sync run history
+    const { runId } = await recordSyncRun(
+      { trigger: 'admin', triggeredBy: adminActor(req), scope: 'ib', ibRequestId, fromDate: from, toDate: to },
+      async (id) => {
+        for (const account of accounts) {
+          const accountId = account.accountId;
+          const startedAt = new Date().toISOString();
           try {
-            const profRes = await fetch(`${MT5_API_BASE}/api/Users/${accountId}/getClientProfile`, { headers: { accept: '*/*' } });
-            if (profRes.ok) {
-              const prof = await profRes.json();
-              groupId = (prof?.Data || prof?.data)?.Group || null;
-            }
-          } catch {}
-          const savedTrades = await IBTradeHistory.upsertTrades(trades, { accountId, userId, ibRequestId, commissionMap, groupId });
-          
-          totalSynced += savedTrades.length;
-          results.push({
-            accountId,
-            synced: savedTrades.length,
-            total: trades.length
-          });
+            const { deals: trades, truncated } = await fetchAllDeals({ accountId, fromDate: from, toDate: to });
+            // get group id per account
+            let groupId = null;
+            try {
+              const profile = await fetchClientProfile(accountId, { service: 'client' });
+              groupId = profile?.group || null;
+            } catch {}
+            // Store and price at close-time rates, as the scheduled sync does
+            const savedTrades = await ingestDeals({ accountId, userId, ibRequestId, deals: trades, commissionMap, groupId });
+            
+            totalSynced += savedTrades.length;
+            results.push({
+              accountId,
+              synced: savedTrades.length,
+              total: trades.length,
+              truncated,
+              skipped: savedTrades.skipped
+            });
+            await TradeSyncRun.recordAccount(id, {
+              accountId, userId, ibRequestId, from, to,
+              fetched: trades.length,
+              processed: trades.length,
+              saved: savedTrades.length,
+              skipped: savedTrades.skipped || {},
+              errors: savedTrades.errors || [],
+              startedAt
+            });
+          } catch (error) {
+            console.error(`Error syncing account ${accountId}:`, error.message);
+            results.push({
+              accountId,
+              error: error.message
+            });
+            await TradeSyncRun.recordAccount(id, { accountId, userId, ibRequestId, from, to, error: error.message, startedAt });
+          }
         }
-      } catch (error) {
-        console.error(`Error syncing account ${account.accountId}:`, error.message);
-        results.push({
-          accountId: account.accountId,
-          error: error.message
-        });
       }
-    }
+    );
     
     res.json({
       success: true,
       message: `Synced ${totalSynced} trades across ${accounts.length} accounts`,
       data: {
+        runId,
         totalSynced,
         accountCount: accounts.length,
         results
@@ -545,12 +364,12 @@ router.get('/history/:accountId', authenticateAdminToken, async (req, res) => {
     let accountResult;
     try {
       accountResult = await query(
-        'SELECT "userId", password FROM "MT5Account" WHERE "accountId" = $1',
+        'SELECT "userId" FROM "MT5Account" WHERE "accountId" = $1',
         [String(accountId)]
       );
     } catch (err) {
       accountResult = await query(
-        'SELECT user_id, password FROM mt5_account WHERE account_id = $1',
+        'SELECT user_id FROM mt5_account WHERE account_id = $1',
         [String(accountId)]
       );
     }
@@ -578,34 +397,23 @@ router.get('/history/:accountId', authenticateAdminToken, async (req, res) => {
     }
     
     // Fetch closed trades from MT5 API
-    const apiUrl = `${MT5_API_BASE}/api/client/tradehistory/trades-closed?accountId=${accountId}&fromDate=${encodeURIComponent(from)}&toDate=${encodeURIComponent(to)}&page=${page}&pageSize=${pageSize}`;
-    
-    const response = await fetch(apiUrl, {
-      headers: {
-        'accept': '*/*',
-        'Authorization': `Bearer ${accessToken}`
-      }
+    const tradePage = await withAccessToken(accountId, (token) => {
+      accessToken = token;
+      return fetchClosedTrades({ accountId, fromDate: from, toDate: to, page, pageSize, accessToken: token });
     });
-    
-    if (!response.ok) {
-      const errorText = await response.text().catch(() => '');
-      throw new Error(`MT5 API returned ${response.status}: ${errorText}`);
-    }
-    
-    const data = await response.json();
-    const trades = data.Items || [];
+    const trades = tradePage.items;
     
     // Return response immediately, save trades in background
     const responseData = {
       success: true,
       data: {
         items: trades,
-        page: data.Page || parseInt(page),
-        pageSize: data.PageSize || parseInt(pageSize),
-        totalCount: data.TotalCount || 0,
-        totalPages: data.TotalPages || 1,
-        hasNextPage: data.HasNextPage || false,
-        hasPreviousPage: data.HasPreviousPage || false
+        page: tradePage.page || parseInt(page),
+        pageSize: tradePage.pageSize || parseInt(pageSize),
+        totalCount: tradePage.totalCount || 0,
+        totalPages: tradePage.totalPages || 1,
+        hasNextPage: tradePage.hasNextPage || false,
+        hasPreviousPage: tradePage.page > 1
       }
     };
     
@@ -651,48 +459,14 @@ router.get('/history/:accountId', authenticateAdminToken, async (req, res) => {
           }
           
           if (finalIbRequestId) {
-            // Get commission structure for this IB
-            const assignmentsRes = await query(
-              'SELECT group_id, usd_per_lot, spread_share_percentage FROM ib_group_assignments WHERE ib_request_id = $1',
-              [finalIbRequestId]
-            );
-
-            const commissionMap = assignmentsRes.rows.reduce((map, row) => {
-              if (!row.group_id) return map;
-              const payload = {
-                usdPerLot: Number(row.usd_per_lot || 0),
-                spreadPercentage: Number(row.spread_share_percentage || 0)
-              };
-              for (const k of makeKeys(row.group_id)) {
-                map[k] = payload;
-              }
-              return map;
-            }, {});
-            
-            // Fallback to default IB rates if no group assignments
-            if (!Object.keys(commissionMap).length) {
-              const ibRes = await query('SELECT usd_per_lot, spread_percentage_per_lot FROM ib_requests WHERE id = $1', [finalIbRequestId]);
-              if (ibRes.rows.length > 0) {
-                commissionMap['*'] = {
-                  usdPerLot: Number(ibRes.rows[0].usd_per_lot || 0),
-                  spreadPercentage: Number(ibRes.rows[0].spread_percentage_per_lot || 0)
-                };
-              }
-            }
+            // Get commission structure for this IB (falls back to default IB rates if no group assignments)
+            const commissionMap = await buildCommissionMap(finalIbRequestId);
             
             // Resolve group id for this account
             let groupId = null;
             try {
-              const profRes = await fetch(`${MT5_API_BASE}/api/Users/${accountId}/getClientProfile`, {
-                headers: {
-                  'accept': '*/*',
-                  'Authorization': `Bearer ${accessToken}`
-                }
-              });
-              if (profRes.ok) {
-                const prof = await profRes.json();
-                groupId = (prof?.Data || prof?.data)?.Group || null;
-              }
+              const profile = await fetchClientProfile(accountId, { accessToken, service: 'client' });
+              groupId = profile?.group || null;
             } catch (err) {
               console.warn(`[TRADE HISTORY] Could not fetch group ID: ${err.message}`);
             }
@@ -704,7 +478,7 @@ router.get('/history/:accountId', authenticateAdminToken, async (req, res) => {
             
             // Update IB commission calculations
             try {
-              await IBTradeHistory.calculateIBCommissions(accountId, finalIbRequestId);
+              await repriceAccount(accountId, finalIbRequestId);
               console.log(`[TRADE HISTORY] Updated IB commission calculations`);
             } catch (calcError) {
               console.error(`[TRADE HISTORY] Error calculating IB commissions:`, calcError);
@@ -738,6 +512,364 @@ router.get('/history/:accountId', authenticateAdminToken, async (req, res) => {
   }
 });
 
+// Replay a date range for one account, one IB or all IBs
+router.post('/backfill', authenticateAdminToken, async (req, res) => {
+  try {
+    const { accountId, ibRequestId, all, fromDate, toDate } = req.body || {};
+
+    if (!fromDate || Number.isNaN(new Date(fromDate).getTime())) {
+      return res.status(400).json({ success: false, message: 'A valid fromDate is required' });
+    }
+    if (!accountId && !ibRequestId && all !== true) {
+      return res.status(400).json({ success: false, message: 'Specify accountId, ibRequestId or all: true' });
+    }
+
+    if (!accountId && !ibRequestId) {
+      // Backfilling every IB can take a long time, hand it to the job queue
+      const job = await enqueueJob(JOB_TYPES.TRADE_BACKFILL, { all: true, fromDate, toDate: toDate || null }, {
+        dedupeKey: 'trade-backfill:all',
+        maxAttempts: 1,
+        triggeredBy: adminActor(req)
+      });
+      if (!job) {
+        return res.status(409).json({ success: false, message: 'A backfill for all IBs is already queued or running' });
+      }
+      return res.status(202).json({
+        success: true,
+        message: 'Backfill for all IBs queued',
+        data: { jobId: job.id }
+      });
+    }
+
+    const result = await recordSyncRun(
+      {
+        trigger: 'admin',
+        triggeredBy: adminActor(req),
+        scope: accountId ? 'account' : 'ib',
+        ibRequestId: ibRequestId || null,
+        accountId: accountId || null,
+        fromDate,
+        toDate: toDate || null
+      },
+      (runId) => backfillTrades({ accountId, ibRequestId, fromDate, toDate, runId })
+    );
+    const saved = result.accounts.reduce((sum, a) => sum + Number(a.saved || 0), 0);
+
+    res.json({
+      success: true,
+      message: `Backfilled ${saved} trades across ${result.accounts.length} accounts`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Backfill trades error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to backfill trades',
+      error: error.message
+    });
+  }
+});
+
+// List trade sync runs (filter by trigger, status, scope, IB, account and start date)
+router.get('/sync-runs', authenticateAdminToken, async (req, res) => {
+  try {
+    const { trigger, status, scope, ibRequestId, accountId, from, to, page = 1, limit = 50 } = req.query;
+    if (trigger && !SYNC_RUN_TRIGGERS.includes(trigger)) {
+      return res.status(400).json({ success: false, message: `Invalid trigger. Allowed: ${SYNC_RUN_TRIGGERS.join(', ')}` });
+    }
+    if (status && !SYNC_RUN_STATUS_VALUES.includes(status)) {
+      return res.status(400).json({ success: false, message: `Invalid status. Allowed: ${SYNC_RUN_STATUS_VALUES.join(', ')}` });
+    }
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && Number.isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ success: false, message: `Invalid ${name} date` });
+      }
+    }
+    const pageSize = Math.min(Math.max(Number(limit) || 50, 1), 200);
+    const offset = (Math.max(Number(page) || 1, 1) - 1) * pageSize;
+
+    const { runs, total } = await TradeSyncRun.list({ trigger, status, scope, ibRequestId, accountId, from, to, limit: pageSize, offset });
+
+    res.json({
+      success: true,
+      data: {
+        runs,
+        pagination: {
+          page: Number(page) || 1,
+          limit: pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List sync runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sync runs',
+      error: error.message
+    });
+  }
+});
+
+// Get one sync run with its per-account results
+router.get('/sync-runs/:id', authenticateAdminToken, async (req, res) => {
+  try {
+    const id = Number.parseInt(String(req.params.id), 10);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid sync run id' });
+    }
+    const run = await TradeSyncRun.findById(id);
+    if (!run) {
+      return res.status(404).json({ success: false, message: 'Sync run not found' });
+    }
+    res.json({ success: true, data: run });
+  } catch (error) {
+    console.error('Get sync run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sync run',
+      error: error.message
+    });
+  }
+});
+
+// List positions for an account (deals grouped by MT5 position id)
+router.get('/positions/:accountId', authenticateAdminToken, async (req, res) => {
+  try {
+    const { accountId } = req.params;
+    const { status, symbol, page = 1, limit = 50 } = req.query;
+    if (status && !['open', 'closed'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Invalid status. Allowed: open, closed' });
+    }
+    const pageSize = Math.min(Math.max(Number(limit) || 50, 1), 200);
+    const offset = (Math.max(Number(page) || 1, 1) - 1) * pageSize;
+
+    const { positions, total } = await MT5Position.list({ accountId, status, symbol, limit: pageSize, offset });
+
+    res.json({
+      success: true,
+      data: {
+        positions,
+        pagination: {
+          page: Number(page) || 1,
+          limit: pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List positions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch positions',
+      error: error.message
+    });
+  }
+});
+
+// Get one position with all of its deals
+router.get('/positions/:accountId/:positionId', authenticateAdminToken, async (req, res) => {
+  try {
+    const { accountId, positionId } = req.params;
+    const position = await MT5Position.findWithDeals(accountId, positionId);
+    if (!position) {
+      return res.status(404).json({ success: false, message: 'Position not found' });
+    }
+    res.json({ success: true, data: position });
+  } catch (error) {
+    console.error('Get position error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch position',
+      error: error.message
+    });
+  }
+});
+
+// Compare MT5 deals with ib_trade_history for an account, an IB or all IBs over a date range.
+// Account checks run inline; IB and all-IB checks are queued as a background job.
+router.post('/reconcile', authenticateAdminToken, async (req, res) => {
+  try {
+    const { accountId, ibRequestId, all, fromDate, toDate } = req.body || {};
+    if (!fromDate || Number.isNaN(new Date(fromDate).getTime())) {
+      return res.status(400).json({ success: false, message: 'A valid fromDate is required' });
+    }
+    if (toDate && Number.isNaN(new Date(toDate).getTime())) {
+      return res.status(400).json({ success: false, message: 'Invalid toDate' });
+    }
+    if (!accountId && !ibRequestId && !all) {
+      return res.status(400).json({ success: false, message: 'Specify accountId, ibRequestId or all' });
+    }
+
+    if (accountId) {
+      const report = await runReconciliation({ accountId, ibRequestId, fromDate, toDate, triggeredBy: adminActor(req) });
+      return res.json({
+        success: true,
+        message: report.status === 'matched' ? 'MT5 and portal trades match' : 'Reconciliation found discrepancies',
+        data: formatReconciliation(report)
+      });
+    }
+
+    const job = await enqueueJob(JOB_TYPES.TRADE_RECONCILE, { ibRequestId: ibRequestId || null, fromDate, toDate: toDate || null }, {
+      dedupeKey: ibRequestId ? `trade-reconcile:ib:${ibRequestId}` : 'trade-reconcile:all',
+      maxAttempts: 1,
+      triggeredBy: adminActor(req)
+    });
+    if (!job) {
+      return res.status(409).json({ success: false, message: 'A reconciliation for this scope is already queued or running' });
+    }
+    res.status(202).json({
+      success: true,
+      message: 'Reconciliation queued; the report appears under /reconciliations when the job finishes',
+      data: { jobId: job.id }
+    });
+  } catch (error) {
+    console.error('Reconcile trades error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile trades',
+      error: error.message,
+      reconciliationId: error.reconciliationId
+    });
+  }
+});
+
+// List reconciliation reports
+router.get('/reconciliations', authenticateAdminToken, async (req, res) => {
+  try {
+    const { status, ibRequestId, accountId, page = 1, limit = 50 } = req.query;
+    if (status && !RECONCILIATION_STATUS_VALUES.includes(status)) {
+      return res.status(400).json({ success: false, message: `Invalid status. Allowed: ${RECONCILIATION_STATUS_VALUES.join(', ')}` });
+    }
+    const pageSize = Math.min(Math.max(Number(limit) || 50, 1), 200);
+    const offset = (Math.max(Number(page) || 1, 1) - 1) * pageSize;
+
+    const { reconciliations, total } = await TradeReconciliation.list({ status, ibRequestId, accountId, limit: pageSize, offset });
+
+    res.json({
+      success: true,
+      data: {
+        reconciliations,
+        pagination: {
+          page: Number(page) || 1,
+          limit: pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List reconciliations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reconciliations',
+      error: error.message
+    });
+  }
+});
+
+// Get one reconciliation report with per-account differences and resync links
+router.get('/reconciliations/:id', authenticateAdminToken, async (req, res) => {
+  try {
+    const id = Number.parseInt(String(req.params.id), 10);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid reconciliation id' });
+    }
+    const report = await TradeReconciliation.findById(id);
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'Reconciliation not found' });
+    }
+    res.json({ success: true, data: formatReconciliation(report) });
+  } catch (error) {
+    console.error('Get reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reconciliation',
+      error: error.message
+    });
+  }
+});
+
+// List order ids that clashed across accounts on the same MT5 server
+router.get('/conflicts', authenticateAdminToken, async (req, res) => {
+  try {
+    const { resolved, accountId, server, page = 1, limit = 50 } = req.query;
+    const pageSize = Math.min(Math.max(Number(limit) || 50, 1), 200);
+    const offset = (Math.max(Number(page) || 1, 1) - 1) * pageSize;
+
+    const { conflicts, total } = await TradeOrderConflict.list({
+      resolved: resolved === undefined ? null : String(resolved) === 'true',
+      accountId,
+      server,
+      limit: pageSize,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: {
+        conflicts,
+        pagination: {
+          page: Number(page) || 1,
+          limit: pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List trade conflicts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch trade conflicts',
+      error: error.message
+    });
+  }
+});
+
+// Mark a clash as handled (e.g. after resyncing both accounts)
+router.patch('/conflicts/:id/resolve', authenticateAdminToken, async (req, res) => {
+  try {
+    const id = Number.parseInt(String(req.params.id), 10);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid conflict id' });
+    }
+    const conflict = await TradeOrderConflict.resolve(id, { resolvedBy: adminActor(req), note: req.body?.note || null });
+    if (!conflict) {
+      return res.status(404).json({ success: false, message: 'Conflict not found or already resolved' });
+    }
+    res.json({ success: true, message: 'Conflict resolved', data: conflict });
+  } catch (error) {
+    console.error('Resolve trade conflict error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve trade conflict',
+      error: error.message
+    });
+  }
+});
+
+// Get per-account sync cursors
+router.get('/sync-cursors', authenticateAdminToken, async (req, res) => {
+  try {
+    const { ibRequestId, accountId } = req.query;
+    const cursors = await MT5SyncCursor.list({ ibRequestId, accountId });
+    res.json({
+      success: true,
+      data: cursors
+    });
+  } catch (error) {
+    console.error('Get sync cursors error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sync cursors',
+      error: error.message
+    });
+  }
+});
+
 // Get trades for an IB user (for admin view)
 router.get('/user/:ibRequestId', authenticateAdminToken, async (req, res) => {
   try {
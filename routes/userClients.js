@@ -1,6 +1,8 @@
 import express from 'express';
 import { authenticateToken } from './auth.js';
 import { query } from '../config/database.js';
+import { TRADE_CLOSE_TIME_SQL } from '../models/IBTradeHistory.js';
+import { MT5OpenPosition } from '../models/MT5OpenPosition.js';
 
 const router = express.Router();
 
@@ -88,7 +90,10 @@ router.get('/', authenticateToken, async (req, res) => {
       referredByCode: currentIB ? currentIB.referral_code : null,
       usdPerLot: Number(row.usd_per_lot || 0),
       spreadPercentage: Number(row.spread_percentage_per_lot || 0),
-      lastTrade: null
+      lastTrade: null,
+      openPositions: 0,
+      openLots: 0,
+      floatingProfit: 0
     }));
 
     // 2) Include CRM-referred traders from ib_referrals (non-IB clients)
@@ -137,7 +142,10 @@ router.get('/', authenticateToken, async (req, res) => {
         referredByCode: currentIB ? currentIB.referral_code : null,
         usdPerLot: 0,
         spreadPercentage: 0,
-        lastTrade: null
+        lastTrade: null,
+        openPositions: 0,
+        openLots: 0,
+        floatingProfit: 0
       });
     }
 
@@ -145,16 +153,34 @@ router.get('/', authenticateToken, async (req, res) => {
     // Get IB's user_id to exclude from last trade query
     const ibUserResult = await query('SELECT id FROM "User" WHERE LOWER(email) = LOWER($1)', [currentIB?.email]);
     const ibUserId = ibUserResult.rows[0]?.id ? String(ibUserResult.rows[0].id) : null;
+
+    // Open positions from the latest snapshot, grouped by client user id
+    const openByUser = new Map();
+    let exposure = null;
+    try {
+      for (const position of await MT5OpenPosition.listForIB(ibRequestId)) {
+        if (!openByUser.has(position.userId)) openByUser.set(position.userId, []);
+        openByUser.get(position.userId).push(position);
+      }
+      exposure = await MT5OpenPosition.getExposureForIB(ibRequestId);
+    } catch (e) {
+      console.warn('Open positions lookup error:', e.message);
+    }
     
     for (const client of clients) {
       // Get user_id for this client
       const clientUserResult = await query('SELECT id FROM "User" WHERE LOWER(email) = LOWER($1)', [client.email]);
       if (clientUserResult.rows.length === 0) continue;
       const clientUserId = String(clientUserResult.rows[0].id);
+
+      const open = openByUser.get(clientUserId) || [];
+      client.openPositions = open.length;
+      client.openLots = open.reduce((sum, p) => sum + p.volumeLots, 0);
+      client.floatingProfit = open.reduce((sum, p) => sum + p.floatingProfit, 0);
       
       // Only get trades from this client (referred user), excluding IB's own trades
       let lastTradeQuery = `
-        SELECT MAX(synced_at) as last_trade
+        SELECT MAX(${TRADE_CLOSE_TIME_SQL}) as last_trade
         FROM ib_trade_history
         WHERE ib_request_id = $1
           AND user_id = $2
@@ -181,14 +207,17 @@ router.get('/', authenticateToken, async (req, res) => {
       totalClients: clients.length,
       totalVolume: clients.reduce((sum, c) => sum + c.totalLots, 0),
       totalCommission: clients.reduce((sum, c) => sum + c.commission, 0),
-      activeTraders: clients.filter(c => c.lastTrade !== null).length
+      activeTraders: clients.filter(c => c.lastTrade !== null).length,
+      clientsInMarket: clients.filter(c => c.openPositions > 0).length,
+      floatingProfit: clients.reduce((sum, c) => sum + c.floatingProfit, 0)
     };
 
     res.json({
       success: true,
       data: {
         clients,
-        stats
+        stats,
+        exposure
       }
     });
   } catch (error) {
@@ -201,6 +230,41 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Open positions of the IB's referred accounts (latest snapshot) with per-symbol exposure
+router.get('/positions', authenticateToken, async (req, res) => {
+  try {
+    const ibRequestId = req.user.id;
+    const { symbol } = req.query;
+    const [positions, exposure] = await Promise.all([
+      MT5OpenPosition.listForIB(ibRequestId, { symbol }),
+      MT5OpenPosition.getExposureForIB(ibRequestId)
+    ]);
+
+    // Attach client emails for display
+    const userIds = Array.from(new Set(positions.map(p => p.userId).filter(Boolean)));
+    const emails = new Map();
+    if (userIds.length) {
+      const usersRes = await query('SELECT id::text AS id, email FROM "User" WHERE id::text = ANY($1::text[])', [userIds]);
+      for (const row of usersRes.rows) emails.set(row.id, row.email);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        positions: positions.map(p => ({ ...p, clientEmail: emails.get(p.userId) || null })),
+        exposure
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching client positions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Unable to fetch open positions',
+      error: process.env.NODE_ENV !== 'production' ? String(error?.message || error) : undefined
+    });
+  }
+});
+
 export default router;
 
 // Dedicated list of CRM-referred traders for the logged-in IB
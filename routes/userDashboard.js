@@ -3,6 +3,11 @@ import { authenticateToken } from './auth.js';
 import { query } from '../config/database.js';
 import { IBWithdrawal } from '../models/IBWithdrawal.js';
 import { IBCommission } from '../models/IBCommission.js';
+import { ClientFunding } from '../models/ClientFunding.js';
+import { enqueueJob } from '../services/jobScheduler.js';
+import { CommissionLedger } from '../models/CommissionLedger.js';
+import { summarizeCommission, accrueCommission, getIBUserId } from '../services/commissionEngine.js';
+import { JOB_TYPES, ibSyncDedupeKey } from '../services/backgroundJobs.js';
 
 const router = express.Router();
 
@@ -46,184 +51,26 @@ router.get('/', authenticateToken, async (req, res) => {
       [ib.id]
     );
     
-    // Helper: Get IB's own user_id to exclude
-    const getIBUserId = async (ibId) => {
-      try {
-        const ibRes = await query('SELECT email FROM ib_requests WHERE id = $1', [ibId]);
-        if (ibRes.rows.length === 0) return null;
-        const userRes = await query('SELECT id FROM "User" WHERE email = $1', [ibRes.rows[0].email]);
-        return userRes.rows.length > 0 ? String(userRes.rows[0].id) : null;
-      } catch {
-        return null;
-      }
-    };
-
-    // Helper: Get list of referred user_ids (from ib_referrals and ib_requests)
-    const getReferredUserIds = async (ibId) => {
-      const userIds = new Set();
-      try {
-        // Get user_ids from ib_referrals
-        const refRes = await query(
-          'SELECT user_id FROM ib_referrals WHERE ib_request_id = $1 AND user_id IS NOT NULL',
-          [ibId]
-        );
-        refRes.rows.forEach(row => {
-          if (row.user_id) userIds.add(String(row.user_id));
-        });
-
-        // Get user_ids from ib_requests where referred_by = ibId
-        const ibRefRes = await query(
-          `SELECT u.id as user_id 
-           FROM ib_requests ir
-           JOIN "User" u ON u.email = ir.email
-           WHERE ir.referred_by = $1 AND u.id IS NOT NULL`,
-          [ibId]
-        );
-        ibRefRes.rows.forEach(row => {
-          if (row.user_id) userIds.add(String(row.user_id));
-        });
-      } catch (error) {
-        console.error('Error getting referred user IDs:', error);
-      }
-      return Array.from(userIds);
-    };
-
-    // Get IB's user_id for ib_commission table
-    const ibUserResult = await query('SELECT id FROM "User" WHERE LOWER(email) = LOWER($1)', [ib.email]);
-    const ibUserId = ibUserResult.rows[0]?.id ? String(ibUserResult.rows[0].id) : null;
-
-    // Always calculate commission from trade history to ensure fresh data
-    // Then update the database with the calculated values
-    let balance = 0;
-    let fixedCommission = 0;
-    let spreadCommission = 0;
-    
-    // Get IB's own user_id to exclude
-    const ibUserIdForExclusion = await getIBUserId(ib.id);
-    // Get referred user_ids to include
-    const referredUserIds = await getReferredUserIds(ib.id);
-
-    // Always calculate from trades (don't use cache) to ensure accuracy
-    if (referredUserIds.length > 0) {
-        // Build WHERE clause to exclude IB's own trades and only include referred users' trades
-        let userFilter = '';
-        const params = [ib.id];
-        if (ibUserIdForExclusion) {
-          params.push(ibUserIdForExclusion);
-          userFilter = `AND user_id != $${params.length}`;
-        }
-        params.push(referredUserIds);
-        const userInClause = `AND user_id = ANY($${params.length}::text[])`;
-
-        // Get approved groups map for spread calculation
-        const normalize = (gid) => {
-          if (!gid) return '';
-          const s = String(gid).toLowerCase().trim();
-          const parts = s.split(/[\\/]/);
-          return parts[parts.length - 1] || s;
-        };
-        const approvedMap = new Map();
-        for (const row of groupsResult.rows) {
-          const keys = [
-            String(row.group_id || '').toLowerCase(),
-            String(row.group_name || '').toLowerCase(),
-            normalize(row.group_id)
-          ].filter(k => k);
-          for (const k of keys) {
-            approvedMap.set(k, {
-              spreadSharePercentage: Number(row.spread_share_percentage || 0),
-              usdPerLot: Number(row.usd_per_lot || 0)
-            });
-          }
-        }
-
-        // Fetch trades from referred users only
-        const tradesRes = await query(
-          `SELECT 
-             group_id,
-             COALESCE(SUM(volume_lots), 0) AS total_volume_lots,
-             COALESCE(SUM(ib_commission), 0) AS total_ib_commission
-           FROM ib_trade_history
-           WHERE ib_request_id = $1 
-             AND close_price IS NOT NULL 
-             AND close_price != 0 
-             AND profit != 0
-             ${userFilter}
-             ${userInClause}
-           GROUP BY group_id`,
-          params
-        );
-
-        // Calculate fixed and spread commission
-        for (const row of tradesRes.rows) {
-          const groupId = row.group_id || '';
-          const normGroup = normalize(groupId);
-          const assignment = approvedMap.get(normGroup) || approvedMap.get(String(groupId).toLowerCase()) || { spreadSharePercentage: 0, usdPerLot: 0 };
-          
-          const lots = Number(row.total_volume_lots || 0);
-          const fixed = Number(row.total_ib_commission || 0);
-          const spread = lots * (assignment.spreadSharePercentage / 100);
-          
-          fixedCommission += fixed;
-          spreadCommission += spread;
-        }
-      }
-
-    balance = fixedCommission + spreadCommission;
+    // Totals come from the commission ledger (accrued by trade sync; POST /sync to refresh)
+    const ledger = await CommissionLedger.getBalance(ib.id);
+    const fixedCommission = ledger.fixed;
+    const spreadCommission = ledger.spread;
+    const totalEarning = ledger.accrued + ledger.overrides + ledger.cpa + ledger.revenueShare;
+    const balance = ledger.balance;
 
-    // Always save/update commission in ib_commission table with fresh calculated values
-    if (ibUserId) {
-      try {
-        // Calculate total trades and lots for complete data
-        let totalTrades = 0;
-        let totalLots = 0;
-        if (referredUserIds.length > 0) {
-          let userFilter = '';
-          const params = [ib.id];
-          if (ibUserIdForExclusion) {
-            params.push(ibUserIdForExclusion);
-            userFilter = `AND user_id != $${params.length}`;
-          }
-          params.push(referredUserIds);
-          const userInClause = `AND user_id = ANY($${params.length}::text[])`;
-          
-          const statsRes = await query(
-            `SELECT COUNT(*)::int AS total_trades, COALESCE(SUM(volume_lots), 0) AS total_lots
-             FROM ib_trade_history
-             WHERE ib_request_id = $1 
-               AND close_price IS NOT NULL 
-               AND close_price != 0 
-               AND profit != 0
-               ${userFilter}
-               ${userInClause}`,
-            params
-          );
-          
-          if (statsRes.rows.length > 0) {
-            totalTrades = Number(statsRes.rows[0].total_trades || 0);
-            totalLots = Number(statsRes.rows[0].total_lots || 0);
-          }
-        }
-        
-        await IBCommission.upsertCommission(ib.id, ibUserId, {
-          totalCommission: balance,
-          fixedCommission: fixedCommission,
-          spreadCommission: spreadCommission,
-          totalTrades: totalTrades,
-          totalLots: totalLots
-        });
-        console.log(`[Dashboard] Updated ib_commission table: total=${balance}, fixed=${fixedCommission}, spread=${spreadCommission}`);
-      } catch (error) {
-        console.error('Error saving commission to ib_commission table:', error);
-        // Don't fail the request if table doesn't exist yet
-      }
-    }
-    
     // Get referral link
     const referralLink = ib.referral_code 
       ? `${process.env.FRONTEND_URL || 'http://localhost:5173'}/login?referralCode=${ib.referral_code}`
       : null;
     
+    // Deposits/withdrawals of referred clients (ingested by the funding-sync job)
+    let funding = null;
+    try {
+      funding = await ClientFunding.getOverview(ib.id);
+    } catch (error) {
+      console.error('Error loading client funding:', error.message);
+    }
+
     // Format commission structures
     const structures = groupsResult.rows.map(g => ({
       groupId: g.group_id,
@@ -237,16 +84,22 @@ router.get('/', authenticateToken, async (req, res) => {
       success: true,
       data: {
         balance,
-        totalProfit: balance,
-        totalEarning: balance, // Add totalEarning field for clarity
-        totalEarnings: balance, // Alternative field name
+        totalProfit: totalEarning,
+        totalEarning, // Add totalEarning field for clarity
+        totalEarnings: totalEarning, // Alternative field name
         fixedCommission,
         spreadCommission,
+        overrideCommission: ledger.overrides,
+        cpaCommission: ledger.cpa,
+        revenueShareCommission: ledger.revenueShare,
+        adjustments: ledger.adjustments,
+        paid: -ledger.payouts,
         ibType: ib.ib_type,
         commissionStructures: structures,
         referralCode: ib.referral_code,
         referralLink,
-        approvedDate: ib.approved_at
+        approvedDate: ib.approved_at,
+        funding
       }
     });
   } catch (error) {
@@ -282,145 +135,39 @@ router.post('/sync', authenticateToken, async (req, res) => {
     }
     
     const ib = ibResult.rows[0];
-    
-    // Helper: Get IB's own user_id to exclude
-    const getIBUserId = async (ibId) => {
-      try {
-        const ibRes = await query('SELECT email FROM ib_requests WHERE id = $1', [ibId]);
-        if (ibRes.rows.length === 0) return null;
-        const userRes = await query('SELECT id FROM "User" WHERE email = $1', [ibRes.rows[0].email]);
-        return userRes.rows.length > 0 ? String(userRes.rows[0].id) : null;
-      } catch {
-        return null;
-      }
-    };
-
-    // Helper: Get list of referred user_ids (from ib_referrals and ib_requests)
-    const getReferredUserIds = async (ibId) => {
-      const userIds = new Set();
-      try {
-        // Get user_ids from ib_referrals
-        const refRes = await query(
-          'SELECT user_id FROM ib_referrals WHERE ib_request_id = $1 AND user_id IS NOT NULL',
-          [ibId]
-        );
-        refRes.rows.forEach(row => {
-          if (row.user_id) userIds.add(String(row.user_id));
-        });
-
-        // Get user_ids from ib_requests where referred_by = ibId
-        const ibRefRes = await query(
-          `SELECT u.id as user_id 
-           FROM ib_requests ir
-           JOIN "User" u ON u.email = ir.email
-           WHERE ir.referred_by = $1 AND u.id IS NOT NULL`,
-          [ibId]
-        );
-        ibRefRes.rows.forEach(row => {
-          if (row.user_id) userIds.add(String(row.user_id));
-        });
-      } catch (error) {
-        console.error('Error getting referred user IDs:', error);
-      }
-      return Array.from(userIds);
-    };
-
-    // Get commission structures (groups)
-    const groupsResult = await query(
-      `SELECT group_id, group_name, structure_name, usd_per_lot, spread_share_percentage
-       FROM ib_group_assignments
-       WHERE ib_request_id = $1`,
-      [ib.id]
-    );
-
-    // Get IB's user_id for ib_commission table
-    const ibUserResult = await query('SELECT id FROM "User" WHERE LOWER(email) = LOWER($1)', [ib.email]);
-    const ibUserId = ibUserResult.rows[0]?.id ? String(ibUserResult.rows[0].id) : null;
-
-    // Get IB's own user_id to exclude
-    const ibUserIdForExclusion = await getIBUserId(ib.id);
-    // Get referred user_ids to include
-    const referredUserIds = await getReferredUserIds(ib.id);
-
-    // Calculate commission from referred users' trades only (excluding IB's own trades)
-    let balance = 0;
-    let fixedCommission = 0;
-    let spreadCommission = 0;
 
-    if (referredUserIds.length > 0) {
-      // Build WHERE clause to exclude IB's own trades and only include referred users' trades
-      let userFilter = '';
-      const params = [ib.id];
-      if (ibUserIdForExclusion) {
-        params.push(ibUserIdForExclusion);
-        userFilter = `AND user_id != $${params.length}`;
-      }
-      params.push(referredUserIds);
-      const userInClause = `AND user_id = ANY($${params.length}::text[])`;
-
-      // Get approved groups map for spread calculation
-      const normalize = (gid) => {
-        if (!gid) return '';
-        const s = String(gid).toLowerCase().trim();
-        const parts = s.split(/[\\/]/);
-        return parts[parts.length - 1] || s;
-      };
-      const approvedMap = new Map();
-      for (const row of groupsResult.rows) {
-        const keys = [
-          String(row.group_id || '').toLowerCase(),
-          String(row.group_name || '').toLowerCase(),
-          normalize(row.group_id)
-        ].filter(k => k);
-        for (const k of keys) {
-          approvedMap.set(k, {
-            spreadSharePercentage: Number(row.spread_share_percentage || 0),
-            usdPerLot: Number(row.usd_per_lot || 0)
-          });
-        }
-      }
-
-      // Fetch trades from referred users only
-      const tradesRes = await query(
-        `SELECT 
-           group_id,
-           COALESCE(SUM(volume_lots), 0) AS total_volume_lots,
-           COALESCE(SUM(ib_commission), 0) AS total_ib_commission
-         FROM ib_trade_history
-         WHERE ib_request_id = $1 
-           AND close_price IS NOT NULL 
-           AND close_price != 0 
-           AND profit != 0
-           ${userFilter}
-           ${userInClause}
-         GROUP BY group_id`,
-        params
-      );
-
-      // Calculate fixed and spread commission
-      for (const row of tradesRes.rows) {
-        const groupId = row.group_id || '';
-        const normGroup = normalize(groupId);
-        const assignment = approvedMap.get(normGroup) || approvedMap.get(String(groupId).toLowerCase()) || { spreadSharePercentage: 0, usdPerLot: 0 };
-        
-        const lots = Number(row.total_volume_lots || 0);
-        const fixed = Number(row.total_ib_commission || 0);
-        const spread = lots * (assignment.spreadSharePercentage / 100);
-        
-        fixedCommission += fixed;
-        spreadCommission += spread;
-      }
+    // Pull the latest MT5 trades in the background; recorded as an IB-triggered sync run
+    let tradeSyncJobId = null;
+    try {
+      const job = await enqueueJob(JOB_TYPES.TRADE_SYNC_IB, { ibRequestId: ib.id, trigger: 'ib' }, {
+        dedupeKey: ibSyncDedupeKey(ib.id),
+        triggeredBy: `ib:${userEmail}`
+      });
+      tradeSyncJobId = job?.id || null;
+    } catch (error) {
+      console.error('Error queueing trade sync:', error.message);
     }
+    
+    // Get IB's user_id for ib_commission table
+    const ibUserId = await getIBUserId(ib.id);
 
-    balance = fixedCommission + spreadCommission;
+    // Post any repricing to the ledger, then read totals back from it
+    await accrueCommission(ib.id);
+    const [ledger, commission] = await Promise.all([CommissionLedger.getBalance(ib.id), summarizeCommission(ib.id)]);
+    const fixedCommission = ledger.fixed;
+    const spreadCommission = ledger.spread;
+    const totalEarning = ledger.accrued + ledger.overrides + ledger.cpa + ledger.revenueShare;
+    const balance = ledger.balance;
 
     // Save/update commission in ib_commission table
     if (ibUserId) {
       try {
         await IBCommission.upsertCommission(ib.id, ibUserId, {
-          totalCommission: balance,
+          totalCommission: ledger.accrued,
           fixedCommission: fixedCommission,
-          spreadCommission: spreadCommission
+          spreadCommission: spreadCommission,
+          totalTrades: commission.totalTrades,
+          totalLots: commission.totalLots
         });
       } catch (error) {
         console.error('Error saving commission to ib_commission table:', error);
@@ -436,11 +183,15 @@ router.post('/sync', authenticateToken, async (req, res) => {
       message: 'Commission synced successfully',
       data: {
         balance,
-        totalProfit: balance,
-        totalEarning: balance,
-        totalEarnings: balance,
+        totalProfit: totalEarning,
+        totalEarning,
+        totalEarnings: totalEarning,
         fixedCommission,
-        spreadCommission
+        spreadCommission,
+        overrideCommission: ledger.overrides,
+        cpaCommission: ledger.cpa,
+        revenueShareCommission: ledger.revenueShare,
+        tradeSyncJobId
       }
     });
   } catch (error) {
@@ -471,49 +222,8 @@ router.get('/quick-reports', authenticateToken, async (req, res) => {
       else from = new Date(now.getTime() - 30 * 24*60*60*1000); // month default
     }
 
-    // Build approved group map for spread share calculation
-    const assignments = await query(
-      `SELECT group_id, group_name, spread_share_percentage
-       FROM ib_group_assignments WHERE ib_request_id = $1`,
-      [ibId]
-    );
-    const norm = (gid) => {
-      if (!gid) return '';
-      const s = String(gid).toLowerCase();
-      const parts = s.split(/[\\/]/);
-      return parts[parts.length-1] || s;
-    };
-    const spreadPct = new Map();
-    for (const r of assignments.rows) {
-      const keys = [String(r.group_id||'').toLowerCase(), String(r.group_name||'').toLowerCase(), norm(r.group_id)];
-      for (const k of keys) { if (k) spreadPct.set(k, Number(r.spread_share_percentage || 0)); }
-    }
-
-    // Commission per day: aggregate lots and fixed by day and group then compute spread by JS to honor normalized match
-    const trades = await query(
-      `SELECT date_trunc('day', synced_at)::date AS day, group_id,
-              COALESCE(SUM(volume_lots),0) AS lots,
-              COALESCE(SUM(ib_commission),0) AS fixed
-       FROM ib_trade_history
-       WHERE ib_request_id = $1
-         AND close_price IS NOT NULL AND close_price != 0 AND profit != 0
-         AND synced_at >= $2 AND synced_at <= $3
-       GROUP BY day, group_id
-       ORDER BY day`,
-      [ibId, from.toISOString(), to.toISOString()]
-    );
-    const byDay = new Map();
-    for (const r of trades.rows) {
-      const k = norm(r.group_id) || String(r.group_id || '').toLowerCase();
-      const pct = spreadPct.get(k) || 0;
-      const spread = Number(r.lots || 0) * (pct / 100);
-      const fixed = Number(r.fixed || 0);
-      const key = String(r.day);
-      const prev = byDay.get(key) || { day: key, fixed: 0, spread: 0, total: 0 };
-      prev.fixed += fixed; prev.spread += spread; prev.total += (fixed + spread);
-      byDay.set(key, prev);
-    }
-    const commissionSeries = Array.from(byDay.values()).sort((a,b)=> new Date(a.day)-new Date(b.day));
+    // Commission per day of trade close, from the commission ledger
+    const commissionSeries = await CommissionLedger.getDaily(ibId, { fromDate: from.toISOString(), toDate: to.toISOString() });
 
     // Registrations per day (referrals)
     const regs = await query(
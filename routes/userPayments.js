@@ -98,8 +98,7 @@ async function getApprovedPaymentMethodsForUser(userEmail) {
 router.get('/withdrawals/summary', authenticateToken, async (req, res) => {
   try {
     const ibId = req.user.id;
-    const period = Math.max(parseInt(req.query.period || '30', 10), 1);
-    const summary = await IBWithdrawal.getSummary(ibId, { periodDays: period });
+    const summary = await IBWithdrawal.getSummary(ibId);
     const recent = await IBWithdrawal.list(ibId, 10);
     const paymentMethods = await getApprovedPaymentMethodsForUser(req.user.email);
     res.json({ success: true, data: { summary, recent, paymentMethods } });
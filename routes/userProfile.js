@@ -1,114 +1,31 @@
 import express from 'express';
 import { authenticateToken } from './auth.js';
 import { query } from '../config/database.js';
-import { IBTradeHistory } from '../models/IBTradeHistory.js';
-import { IBCommission } from '../models/IBCommission.js';
+import { IBTradeHistory, TRADE_CLOSE_TIME_SQL } from '../models/IBTradeHistory.js';
+import { IBWithdrawal } from '../models/IBWithdrawal.js';
+import { CommissionLedger, LEDGER_ENTRY_TYPE_VALUES } from '../models/CommissionLedger.js';
+import { CommissionAdjustment } from '../models/CommissionAdjustment.js';
+import { CpaPlan } from '../models/CpaPlan.js';
+import { RevenueSharePeriod } from '../models/RevenueSharePeriod.js';
+import { REVENUE_SHARE_FORMULA } from '../services/revenueShare.js';
+import { CommissionStatement } from '../models/CommissionStatement.js';
+import { renderStatement, STATEMENT_FORMATS } from '../services/commissionStatements.js';
+import { fetchClientProfile } from '../services/mt5Gateway.js';
+import { loadRateBook, resolveRate, priceTrade, summarizeCommission, getIBUserId, getReferredUserIds } from '../services/commissionEngine.js';
 
 const router = express.Router();
 // Lightweight in-memory cache for hot analytics responses (60s TTL)
 const analyticsCache = new Map(); // key -> { expires:number, payload:any }
 
-/**
- * Normalize group ID by extracting the last segment from path
- * Example: 'real\Bbook\Standard\dynamic-2000x-20Pips' -> 'dynamic-2000x-20pips'
- */
-function normalizeGroupId(groupId) {
-  if (!groupId) return '';
-  const s = String(groupId).toLowerCase().trim();
-  const parts = s.split(/[\\/]/);
-  return parts[parts.length - 1] || s;
-}
-
-/**
- * Find matching commission rule for a normalized group ID
- * Uses flexible matching: exact -> partial -> first available
- */
-function findMatchingRule(normalizedGroupId, commissionGroupsMap) {
-  if (!normalizedGroupId || !commissionGroupsMap || commissionGroupsMap.size === 0) {
-    return null;
-  }
-
-  // Try exact match first
-  let rule = commissionGroupsMap.get(normalizedGroupId);
-  if (rule) return rule;
-
-  // Try partial match (check if normalized key contains any approved key or vice versa)
-  for (const [approvedKey, approvedRule] of commissionGroupsMap.entries()) {
-    if (normalizedGroupId.includes(approvedKey) || approvedKey.includes(normalizedGroupId)) {
-      return approvedRule;
-    }
-  }
-
-  // Fallback to first available group assignment
-  if (commissionGroupsMap.size > 0) {
-    return Array.from(commissionGroupsMap.values())[0];
-  }
-
-  return null;
-}
-
-/**
- * Calculate commission from trades using commission structure
- * @param {Array} trades - Array of trade objects with { group_id, volume_lots }
- * @param {Map} commissionGroupsMap - Map of normalized group_id -> { usdPerLot, spreadPct }
- * @returns {Object} { fixed, spread, total, totalLots, totalTrades }
- */
-function calculateCommissionFromTrades(trades, commissionGroupsMap) {
-  let fixed = 0;
-  let spread = 0;
-  let totalLots = 0;
-  let totalTrades = 0;
-
-  if (!Array.isArray(trades) || trades.length === 0) {
-    return { fixed: 0, spread: 0, total: 0, totalLots: 0, totalTrades: 0 };
-  }
-
-  for (const trade of trades) {
-    const lots = Number(trade.volume_lots || 0);
-    if (lots <= 0) continue;
-
-    totalLots += lots;
-    totalTrades += 1;
-
-    // Match group to commission structure (flexible matching)
-    const normalized = normalizeGroupId(trade.group_id);
-    const rule = findMatchingRule(normalized, commissionGroupsMap);
-
-    if (rule) {
-      const usdPerLot = Number(rule.usdPerLot || 0);
-      const spreadPct = Number(rule.spreadPct || 0);
-      
-      fixed += lots * usdPerLot;
-      spread += lots * (spreadPct / 100);
-    }
-  }
-
-  return {
-    fixed,
-    spread,
-    total: fixed + spread,
-    totalLots,
-    totalTrades
-  };
-}
-
-const MT5_API_BASE = 'http://18.130.5.209:5003';
-
 // Helper: fetch MT5 client profile with small retry and timeout
 async function fetchMt5Profile(accountId) {
-  const url = `${MT5_API_BASE}/api/Users/${accountId}/getClientProfile`;
   const attempt = async (timeoutMs) => {
-    const controller = new AbortController();
-    const t = setTimeout(() => controller.abort(), timeoutMs);
     try {
-      const r = await fetch(url, { headers: { accept: '*/*' }, signal: controller.signal });
-      if (r.ok) {
-        const j = await r.json();
-        return j?.Data || j?.data || null;
-      }
-    } catch {}
-    finally { clearTimeout(t); }
-    return null;
+      const profile = await fetchClientProfile(accountId, { timeoutMs, retries: 0 });
+      return profile?.raw || null;
+    } catch {
+      return null;
+    }
   };
   return (await attempt(8000)) || (await attempt(12000));
 }
@@ -120,7 +37,6 @@ router.get('/overview', authenticateToken, async (req, res) => {
     // Time window alignment with admin (default last 30 days)
     const period = Math.max(parseInt(req.query.period || '30', 10), 1);
     const hasWindow = Number.isFinite(period) && period > 0;
-    const windowSql = hasWindow ? ` AND (synced_at >= NOW() - INTERVAL '${period} days')` : '';
     const userResult = await query('SELECT id FROM "User" WHERE LOWER(email) = LOWER($1)', [ib.email]);
     if (!userResult.rows.length) {
       return res.json({ success: true, data: { stats: { totalAccounts: 0, totalBalance: 0, totalEquity: 0, accountStatus: ib.status }, accounts: [], commissionInfo: { standard: `$${Number(ib.usd_per_lot || 0).toFixed(2)} per lot`, commissionType: 'Commission per lot' }, groups: [] } });
@@ -163,81 +79,41 @@ router.get('/overview', authenticateToken, async (req, res) => {
        FROM ib_group_assignments WHERE ib_request_id = $1`,
       [ib.id]
     );
-    // Aggregates per account and per group (filter to approved groups + real accounts only)
-    const perAccGroupRes = await query(
-      `SELECT account_id, group_id, COALESCE(SUM(volume_lots),0) AS lots, COALESCE(SUM(ib_commission),0) AS commission
-       FROM ib_trade_history 
-       WHERE ib_request_id = $1 
-         AND close_price IS NOT NULL AND close_price != 0 AND profit != 0 AND profit IS NOT NULL${windowSql}
-       GROUP BY account_id, group_id`,
-      [ib.id]
-    );
-
-    // Build helper sets/maps for filtering
+    // Commission on these accounts' closed trades in the window, priced by the commission engine
     const realAccountIds = new Set(accounts.map(a => String(a.accountId)));
-    const normalize = (gid) => {
-      if (!gid) return '';
-      const s = String(gid).toLowerCase().trim();
-      const parts = s.split(/[\\/]/);
-      return parts[parts.length - 1] || s;
-    };
-
-    // Build assignment map BEFORE applying aggregates
-    const assignmentMap = assignments.rows.reduce((m, r) => {
-      const k = normalize(r.group_id);
-      if (!k) return m;
-      m[k] = {
-        usdPerLot: Number(r.usd_per_lot || 0),
-        spreadPct: Number(r.spread_share_percentage || 0)
-      };
-      return m;
-    }, {});
-
-    // Aggregate rows for real accounts with approved groups only
-    const groupAgg = {}; // keyed by normalized group id
-    const perAccountMap = {}; // account -> fixed sum (approved groups only)
-    const lotsByAccount = {}; // account -> lots sum (approved groups only)
-    for (const row of perAccGroupRes.rows) {
-      const accId = String(row.account_id);
-      if (!realAccountIds.has(accId)) continue;
-      
-      // Skip demo groups
-      const groupIdLower = String(row.group_id || '').toLowerCase();
-      if (groupIdLower.includes('demo')) continue;
-      
-      const normGroup = normalize(row.group_id);
-      const hasAssignment = !!assignmentMap[normGroup];
-
-      // Only process if group has assignment (approved group)
-      if (!hasAssignment) continue;
-
-      // Sum by group for the Groups section
-      if (!groupAgg[normGroup]) groupAgg[normGroup] = { lots: 0, commission: 0 };
-      groupAgg[normGroup].lots += Number(row.lots || 0);
-      groupAgg[normGroup].commission += Number(row.commission || 0);
-
-      // Sum per account (only approved groups)
-      perAccountMap[accId] = (perAccountMap[accId] || 0) + Number(row.commission || 0);
-      lotsByAccount[accId] = (lotsByAccount[accId] || 0) + Number(row.lots || 0);
+    const rateBook = await loadRateBook(ib.id);
+    const windowSummary = await summarizeCommission(ib.id, {
+      userIds: [userId],
+      referredOnly: false,
+      fromDate: hasWindow ? new Date(Date.now() - period * 24 * 60 * 60 * 1000).toISOString() : null,
+      book: rateBook
+    });
+    const accountStats = new Map(
+      windowSummary.byAccount.filter(row => realAccountIds.has(row.accountId)).map(row => [row.accountId, row])
+    );
+    // Totals per assigned group (keyed by the assignment's lowercased group id)
+    const groupAgg = {};
+    for (const row of windowSummary.byGroup) {
+      const rule = resolveRate(rateBook, row.groupId);
+      const key = String(rule?.groupId || '').toLowerCase();
+      if (!key) continue;
+      if (!groupAgg[key]) groupAgg[key] = { lots: 0, commission: 0, spread: 0 };
+      groupAgg[key].lots += row.totalLots;
+      groupAgg[key].commission += row.fixed;
+      groupAgg[key].spread += row.spread;
     }
 
-    // assignmentMap already defined above
-
     accounts = accounts.map(a => {
-      const key = normalize(a.groupId);
-      const assignment = assignmentMap[key] || null;
-      const lots = Number(lotsByAccount[a.accountId] || 0);
-      const fixed = Number(perAccountMap[a.accountId] || 0);
-      const spreadAmt = assignment ? lots * (assignment.spreadPct / 100) : 0;
-      const total = assignment ? fixed + spreadAmt : 0;
+      const rule = resolveRate(rateBook, a.groupId);
+      const stats = accountStats.get(String(a.accountId));
       return {
         ...a,
-        ibCommission: fixed,
-        spreadCommissionAmount: assignment ? spreadAmt : 0,
-        commissionTotal: total,
-        usdPerLot: assignment?.usdPerLot || 0,
-        spreadSharePercentage: assignment?.spreadPct || 0,
-        isEligibleForCommission: !!assignment
+        ibCommission: stats?.fixed || 0,
+        spreadCommissionAmount: stats?.spread || 0,
+        commissionTotal: stats?.total || 0,
+        usdPerLot: rule?.usdPerLot || 0,
+        spreadSharePercentage: rule?.spreadPct || 0,
+        isEligibleForCommission: !!rule
       };
     });
     // Normalize to two user-visible types: Standard and Pro
@@ -270,9 +146,7 @@ router.get('/overview', authenticateToken, async (req, res) => {
       }
       byType[label].totalLots += Number(groupAgg[key]?.lots || 0);
       byType[label].totalCommission += Number(groupAgg[key]?.commission || 0);
-      // Spread commission is based on lots and spread share %
-      const spread = Number(groupAgg[key]?.lots || 0) * (byType[label].spreadSharePercentage / 100);
-      byType[label].spreadCommission += spread;
+      byType[label].spreadCommission += Number(groupAgg[key]?.spread || 0);
     }
 
     // Group balances by mapping accounts to Standard/Pro and summing balances
@@ -297,62 +171,16 @@ router.get('/overview', authenticateToken, async (req, res) => {
       Pro: proEntry ? { usdPerLot: proEntry.usdPerLot, spreadShare: proEntry.spreadSharePercentage } : null
     };
 
-    // Build approved-groups summary for overview cards
-    let summary = { totalTrades: 0, totalLots: 0, totalProfit: 0, fixedCommission: 0, spreadCommission: 0, totalCommission: 0 };
-    try {
-      // Restrict to real account ids only
-      const allowedAccountIds = Array.from(realAccountIds);
-      const grpRes = await query(
-        `SELECT group_id, COUNT(*)::int AS trades, COALESCE(SUM(volume_lots),0) AS lots, COALESCE(SUM(profit),0) AS profit, COALESCE(SUM(ib_commission),0) AS fixed
-         FROM ib_trade_history 
-         WHERE ib_request_id = $1 
-           AND close_price IS NOT NULL AND close_price != 0 AND profit != 0 AND profit IS NOT NULL${windowSql}
-           ${allowedAccountIds.length ? 'AND account_id = ANY($2)' : ''}
-         GROUP BY group_id`,
-        allowedAccountIds.length ? [ib.id, allowedAccountIds] : [ib.id]
-      );
-      // Build assignment map
-      const makeKeys = (gid) => {
-        if (!gid) return [];
-        const s = String(gid).trim().toLowerCase();
-        const fwd = s.replace(/\\\\/g, '/');
-        const bwd = s.replace(/\//g, '\\');
-        const parts = s.split(/[\\\\/]/);
-        const last = parts[parts.length - 1] || s;
-        const idx = parts.findIndex(p => p === 'bbook');
-        const keys = new Set([s, fwd, bwd, last]);
-        if (idx >= 0 && idx + 1 < parts.length) keys.add(parts[idx + 1]);
-        return Array.from(keys);
-      };
-      const assignmentMap = assignments.rows.reduce((m, r) => {
-        const pct = Number(r.spread_share_percentage || 0);
-        for (const k of makeKeys(r.group_id)) m[k] = { spreadPct: pct };
-        return m;
-      }, {});
-
-      for (const row of grpRes.rows) {
-        // Skip demo groups
-        const groupIdLower = String(row.group_id || '').toLowerCase();
-        if (groupIdLower.includes('demo')) continue;
-        
-        const candidates = makeKeys(row.group_id);
-        const k = candidates.find((x) => assignmentMap[x]);
-        if (!k) continue; // Only approved groups
-        const lots = Number(row.lots || 0);
-        const fixed = Number(row.fixed || 0);
-        const profit = Number(row.profit || 0);
-        const trades = Number(row.trades || 0);
-        
-        const spread = lots * (assignmentMap[k].spreadPct / 100);
-        
-        summary.totalTrades += trades;
-        summary.totalLots += lots;
-        summary.totalProfit += profit;
-        summary.fixedCommission += fixed;
-        summary.spreadCommission += spread;
-      }
-      summary.totalCommission = summary.fixedCommission + summary.spreadCommission;
-    } catch {}
+    // Summary for overview cards
+    const summary = { totalTrades: 0, totalLots: 0, totalProfit: 0, fixedCommission: 0, spreadCommission: 0, totalCommission: 0 };
+    for (const row of accountStats.values()) {
+      summary.totalTrades += row.totalTrades;
+      summary.totalLots += row.totalLots;
+      summary.totalProfit += row.totalProfit;
+      summary.fixedCommission += row.fixed;
+      summary.spreadCommission += row.spread;
+    }
+    summary.totalCommission = summary.fixedCommission + summary.spreadCommission;
 
     // IB information - get phone from ib_requests table
     let phone = null;
@@ -408,97 +236,14 @@ router.get('/commission-analytics', authenticateToken, async (req, res) => {
     const periodStart = new Date(now.getTime() - period * 24 * 60 * 60 * 1000);
     const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
 
-    // Get approved group assignments for spread calculation
-    const assignments = await query(
-      `SELECT group_id, group_name, structure_name, usd_per_lot, spread_share_percentage
-       FROM ib_group_assignments WHERE ib_request_id = $1`,
-      [ibId]
-    );
-
-    // Normalize group IDs for matching
-    const normalize = (gid) => {
-      if (!gid) return '';
-      const s = String(gid).toLowerCase().trim();
-      const parts = s.split(/[\\/]/);
-      return parts[parts.length - 1] || s;
-    };
-
-    // Build assignment map for spread calculation
-    const assignmentMap = new Map();
-    for (const row of assignments.rows) {
-      const keys = [
-        String(row.group_id || '').toLowerCase(),
-        String(row.group_name || '').toLowerCase(),
-        normalize(row.group_id)
-      ].filter(k => k);
-      for (const k of keys) {
-        assignmentMap.set(k, {
-          spreadSharePercentage: Number(row.spread_share_percentage || 0),
-          usdPerLot: Number(row.usd_per_lot || 0)
-        });
-      }
-    }
-
-    // Helper: Get IB's own user_id to exclude
-    const getIBUserId = async (ibId) => {
-      try {
-        const ibRes = await query('SELECT email FROM ib_requests WHERE id = $1', [ibId]);
-        if (ibRes.rows.length === 0) return null;
-        const userRes = await query('SELECT id FROM "User" WHERE email = $1', [ibRes.rows[0].email]);
-        return userRes.rows.length > 0 ? String(userRes.rows[0].id) : null;
-      } catch {
-        return null;
-      }
-    };
-
-    // Helper: Get list of referred user_ids (from ib_referrals and ib_requests)
-    const getReferredUserIds = async (ibId) => {
-      const userIds = new Set();
-      try {
-        // Get user_ids from ib_referrals
-        const refRes = await query(
-          'SELECT user_id FROM ib_referrals WHERE ib_request_id = $1 AND user_id IS NOT NULL',
-          [ibId]
-        );
-        refRes.rows.forEach(row => {
-          if (row.user_id) userIds.add(String(row.user_id));
-        });
-
-        // Get user_ids from ib_requests where referred_by = ibId
-        const ibRefRes = await query(
-          `SELECT u.id as user_id 
-           FROM ib_requests ir
-           JOIN "User" u ON u.email = ir.email
-           WHERE ir.referred_by = $1 AND u.id IS NOT NULL`,
-          [ibId]
-        );
-        ibRefRes.rows.forEach(row => {
-          if (row.user_id) userIds.add(String(row.user_id));
-        });
-      } catch (error) {
-        console.error('Error getting referred user IDs:', error);
-      }
-      return Array.from(userIds);
-    };
-
-    // Get IB's own user_id to exclude
-    const ibUserId = await getIBUserId(ibId);
-    // Get referred user_ids to include
-    const referredUserIds = await getReferredUserIds(ibId);
-
-    // Build WHERE clause to exclude IB's own trades and only include referred users' trades
-    let userFilter = '';
-    const baseParams = [ibId, periodStart.toISOString()];
-    if (ibUserId) {
-      baseParams.push(ibUserId);
-      userFilter = `AND user_id != $${baseParams.length}`;
-    }
-    if (referredUserIds.length > 0) {
-      baseParams.push(referredUserIds);
-      const userInClause = `AND user_id = ANY($${baseParams.length}::text[])`;
-      userFilter = userFilter ? `${userFilter} ${userInClause}` : userInClause;
-    } else {
-      // No referred users, return empty result
+    // Referred users' trades only (never the IB's own), priced by the commission engine
+    const [rateBook, referred, ibUserId] = await Promise.all([
+      loadRateBook(ibId),
+      getReferredUserIds(ibId),
+      getIBUserId(ibId)
+    ]);
+    const referredUserIds = referred.filter(userId => userId !== ibUserId);
+    if (referredUserIds.length === 0) {
       return res.json({
         success: true,
         data: {
@@ -517,61 +262,51 @@ router.get('/commission-analytics', authenticateToken, async (req, res) => {
         }
       });
     }
+    const baseParams = [ibId, periodStart.toISOString(), referredUserIds];
+    const userFilter = 'AND user_id = ANY($3::text[])';
 
-    // Fetch total count for pagination
-    // Only show DEALS OUT: closed positions where profit exists (profit != 0)
-    // Only from referred users, excluding IB's own trades
+    // Fetch total count for pagination (closed trades from referred users)
     const countQuery = `
       SELECT COUNT(*)::int AS total
       FROM ib_trade_history
       WHERE ib_request_id = $1
         AND close_price IS NOT NULL 
-        AND close_price != 0
-        AND profit IS NOT NULL
-        AND profit != 0
-        AND synced_at >= $2
+        AND close_price > 0
+        AND ${TRADE_CLOSE_TIME_SQL} >= $2
         ${userFilter}
     `;
     const countResult = await query(countQuery, baseParams);
     const totalCount = countResult.rows[0]?.total || 0;
 
-    // Fetch ALL trades for this IB from ib_trade_history
-    // Only DEALS OUT: closed positions where profit exists (profit != 0)
-    // Only from referred users, excluding IB's own trades
+    // Fetch ALL closed trades from referred users for this IB from ib_trade_history
     const allTradesQuery = `
       SELECT 
         id, order_id, account_id, symbol, order_type, volume_lots, 
-        open_price, close_price, profit, ib_commission, group_id,
+        open_price, close_price, profit, ib_commission, ib_spread_commission, group_id, rate_version_id, commission_locked_at,
+        open_time, close_time, ${TRADE_CLOSE_TIME_SQL} AS trade_time,
         created_at, synced_at, updated_at
       FROM ib_trade_history
       WHERE ib_request_id = $1
         AND close_price IS NOT NULL 
-        AND close_price != 0
-        AND profit IS NOT NULL
-        AND profit != 0
-        AND synced_at >= $2
+        AND close_price > 0
+        AND ${TRADE_CLOSE_TIME_SQL} >= $2
         ${userFilter}
-      ORDER BY synced_at DESC
+      ORDER BY trade_time DESC
     `;
 
     const allTradesResult = await query(allTradesQuery, baseParams);
     const allTrades = allTradesResult.rows;
 
-    // Calculate spread commission for each trade
+    // Price each trade (fixed + spread share)
     const enrichedTrades = allTrades.map(trade => {
-      const groupId = trade.group_id || '';
-      const normGroup = normalize(groupId);
-      const assignment = assignmentMap.get(normGroup) || assignmentMap.get(String(groupId).toLowerCase()) || { spreadSharePercentage: 0 };
-      const spreadCommission = Number(trade.volume_lots || 0) * (assignment.spreadSharePercentage / 100);
-      const totalCommission = Number(trade.ib_commission || 0) + spreadCommission;
-
+      const priced = priceTrade(rateBook, trade);
       return {
         ...trade,
-        spreadCommission,
-        totalCommission,
+        spreadCommission: priced.spread,
+        totalCommission: priced.total,
         profit: Number(trade.profit || 0),
-        volumeLots: Number(trade.volume_lots || 0),
-        ibCommission: Number(trade.ib_commission || 0)
+        volumeLots: priced.lots,
+        ibCommission: priced.fixed
       };
     });
 
@@ -584,7 +319,7 @@ router.get('/commission-analytics', authenticateToken, async (req, res) => {
     const totalTrades = enrichedTrades.length;
 
     // This month's commission
-    const thisMonthTrades = enrichedTrades.filter(t => new Date(t.synced_at) >= startOfMonth);
+    const thisMonthTrades = enrichedTrades.filter(t => new Date(t.trade_time) >= startOfMonth);
     const thisMonth = thisMonthTrades.reduce((sum, t) => sum + t.totalCommission, 0);
 
     // Average daily commission
@@ -635,7 +370,7 @@ router.get('/commission-analytics', authenticateToken, async (req, res) => {
     const monthlyTrendMap = new Map();
     const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
     enrichedTrades.forEach(trade => {
-      const date = new Date(trade.synced_at);
+      const date = new Date(trade.trade_time);
       const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
       const monthLabel = months[date.getMonth()];
       if (!monthlyTrendMap.has(monthKey)) {
@@ -663,40 +398,35 @@ router.get('/commission-analytics', authenticateToken, async (req, res) => {
       value
     }));
 
-    // Paginated recent ledger (only DEALS OUT from ib_trade_history)
-    // Only show closed positions where profit exists (profit != 0)
+    // Paginated recent ledger (closed trades from referred users)
     // Use database-level pagination for better performance
     const ledgerQuery = `
       SELECT 
         id, order_id, account_id, symbol, order_type, volume_lots, 
-        open_price, close_price, profit, ib_commission, group_id,
+        open_price, close_price, profit, ib_commission, ib_spread_commission, group_id, rate_version_id, commission_locked_at,
+        open_time, close_time, ${TRADE_CLOSE_TIME_SQL} AS trade_time,
         created_at, synced_at, updated_at
       FROM ib_trade_history
       WHERE ib_request_id = $1
         AND close_price IS NOT NULL 
-        AND close_price != 0
-        AND profit IS NOT NULL
-        AND profit != 0
-        AND synced_at >= $2
-      ORDER BY synced_at DESC
-      LIMIT $3 OFFSET $4
+        AND close_price > 0
+        AND ${TRADE_CLOSE_TIME_SQL} >= $2
+        ${userFilter}
+      ORDER BY trade_time DESC
+      LIMIT $4 OFFSET $5
     `;
 
-    const ledgerResult = await query(ledgerQuery, [ibId, periodStart.toISOString(), limit, offset]);
+    const ledgerResult = await query(ledgerQuery, [...baseParams, limit, offset]);
     const ledgerTrades = ledgerResult.rows;
 
-    // Enrich paginated ledger trades with spread commission
+    // Price the paginated ledger trades
     const recentLedger = ledgerTrades.map(trade => {
-      const groupId = trade.group_id || '';
-      const normGroup = normalize(groupId);
-      const assignment = assignmentMap.get(normGroup) || assignmentMap.get(String(groupId).toLowerCase()) || { spreadSharePercentage: 0 };
-      const spreadCommission = Number(trade.volume_lots || 0) * (assignment.spreadSharePercentage / 100);
-      const totalCommission = Number(trade.ib_commission || 0) + spreadCommission;
-
+      const priced = priceTrade(rateBook, trade);
       return {
         id: trade.id,
         orderId: trade.order_id,
-        date: trade.synced_at || trade.updated_at || trade.created_at,
+        date: trade.trade_time,
+        openTime: trade.open_time,
         accountId: trade.account_id,
         symbol: trade.symbol,
         orderType: trade.order_type,
@@ -704,10 +434,11 @@ router.get('/commission-analytics', authenticateToken, async (req, res) => {
         openPrice: Number(trade.open_price || 0),
         closePrice: Number(trade.close_price || 0),
         profit: Number(trade.profit || 0),
-        commission: Number(trade.ib_commission || 0),
-        spreadCommission,
-        totalCommission,
-        groupId: trade.group_id || 'N/A'
+        commission: priced.fixed,
+        spreadCommission: priced.spread,
+        totalCommission: priced.total,
+        groupId: trade.group_id || 'N/A',
+        ineligibleReason: priced.eligibility?.reason ?? null
       };
     });
 
@@ -783,216 +514,70 @@ router.get('/commission', authenticateToken, async (req, res) => {
     const ib = req.user;
     const ibId = ib.id;
 
-    // Helper: Get IB's own user_id to exclude
-    const getIBUserId = async (ibId) => {
-      try {
-        const ibRes = await query('SELECT email FROM ib_requests WHERE id = $1', [ibId]);
-        if (ibRes.rows.length === 0) return null;
-        const userRes = await query('SELECT id FROM "User" WHERE email = $1', [ibRes.rows[0].email]);
-        return userRes.rows.length > 0 ? String(userRes.rows[0].id) : null;
-      } catch {
-        return null;
-      }
+    // Referred users only, never the IB's own trades
+    const [referred, ibUserId, rateBook] = await Promise.all([
+      getReferredUserIds(ibId),
+      getIBUserId(ibId),
+      loadRateBook(ibId)
+    ]);
+    const referredUserIds = referred.filter(userId => userId !== ibUserId);
+
+    // Totals, payouts and the withdrawable balance come from the commission ledger
+    const [summary, adjustments, overrideBreakdown, cpaPayouts, revenueSharePeriods] = await Promise.all([
+      IBWithdrawal.getSummary(ibId),
+      CommissionAdjustment.listForIB(ibId),
+      CommissionLedger.getOverrideBreakdown(ibId),
+      CpaPlan.listPayouts({ ibRequestId: ibId, limit: 100 }),
+      RevenueSharePeriod.listForIB(ibId, { limit: 12 })
+    ]);
+    const total = summary.totalEarned;
+    const fixed = summary.fixedEarned;
+    const spreadShare = summary.spreadEarned;
+    // Master IB overrides earned on sub-IBs' clients, kept apart from fixed and spread
+    const overrides = { total: summary.overrideEarned, bySubIb: overrideBreakdown };
+    // One-off CPA payouts for qualified referred clients
+    const cpa = {
+      total: summary.cpaEarned,
+      payouts: cpaPayouts.payouts.map(p => ({
+        id: p.id,
+        userId: p.user_id,
+        clientEmail: p.client_email,
+        plan: p.plan_name,
+        amount: Number(p.amount),
+        qualifiedAt: p.qualified_at
+      }))
     };
-
-    // Helper: Get list of referred user_ids (from ib_referrals and ib_requests)
-    const getReferredUserIds = async (ibId) => {
-      const userIds = new Set();
-      try {
-        // Get user_ids from ib_referrals
-        const refRes = await query(
-          'SELECT user_id FROM ib_referrals WHERE ib_request_id = $1 AND user_id IS NOT NULL',
-          [ibId]
-        );
-        refRes.rows.forEach(row => {
-          if (row.user_id) userIds.add(String(row.user_id));
-        });
-
-        // Get user_ids from ib_requests where referred_by = ibId
-        const ibRefRes = await query(
-          `SELECT u.id as user_id 
-           FROM ib_requests ir
-           JOIN "User" u ON u.email = ir.email
-           WHERE ir.referred_by = $1 AND u.id IS NOT NULL`,
-          [ibId]
-        );
-        ibRefRes.rows.forEach(row => {
-          if (row.user_id) userIds.add(String(row.user_id));
-        });
-      } catch (error) {
-        console.error('Error getting referred user IDs:', error);
-      }
-      return Array.from(userIds);
+    // Monthly revenue share (latest 12 months; the full history is at /commission/revenue-share)
+    const revenueShare = { total: summary.revenueShareEarned, months: revenueSharePeriods.periods };
+    const ledger = {
+      adjustments: summary.adjustments,
+      clawbacks: summary.clawbacks,
+      balance: summary.balance,
+      available: summary.available
     };
 
-    // Get IB's own user_id to exclude
-    const ibUserId = await getIBUserId(ibId);
-    // Get referred user_ids to include
-    const referredUserIds = await getReferredUserIds(ibId);
-
     if (referredUserIds.length === 0) {
-      return res.json({ success: true, data: { total: 0, fixed: 0, spreadShare: 0, pending: 0, paid: 0, history: [] } });
-    }
-
-    // Try to get from ib_commission table first (if less than 4 hours old)
-    let total = 0;
-    let fixed = 0;
-    let spreadShare = 0;
-    let useCached = false;
-
-    if (ibUserId) {
-      try {
-        const cachedCommission = await IBCommission.getByIBAndUser(ibId, ibUserId);
-        if (cachedCommission && cachedCommission.last_updated) {
-          const lastUpdated = new Date(cachedCommission.last_updated);
-          const now = new Date();
-          const hoursDiff = (now - lastUpdated) / (1000 * 60 * 60);
-          
-          if (hoursDiff < 4) {
-            total = Number(cachedCommission.total_commission || 0);
-            useCached = true;
-            console.log(`[User Commission] Using cached commission from ib_commission table: ${total}`);
-          }
-        }
-      } catch (error) {
-        console.warn('[User Commission] Could not fetch from ib_commission table:', error.message);
-      }
-    }
-
-    // Get commission groups map
-    const groupsResult = await query(
-      `SELECT group_id, usd_per_lot, spread_share_percentage
-       FROM ib_group_assignments WHERE ib_request_id = $1`,
-      [ibId]
-    );
-
-    // Build commission groups map
-    const commissionGroupsMap = new Map();
-    for (const r of groupsResult.rows) {
-      const k = normalizeGroupId(r.group_id);
-      if (k) {
-        commissionGroupsMap.set(k, {
-          spreadPct: Number(r.spread_share_percentage || 0),
-          usdPerLot: Number(r.usd_per_lot || 0)
-        });
-      }
-    }
-
-    // If not using cached, calculate from trade history
-    if (!useCached && commissionGroupsMap.size > 0) {
-      // Build WHERE clause to exclude IB's own trades and only include referred users' trades
-      let userFilter = '';
-      const params = [ibId];
-      if (ibUserId) {
-        params.push(ibUserId);
-        userFilter = `AND user_id != $${params.length}`;
-      }
-      params.push(referredUserIds);
-      const userInClause = `AND user_id = ANY($${params.length}::text[])`;
-
-      // Fetch trades - only from referred users, excluding IB's own trades (only closed trades with profit != 0)
-      const tradesRes = await query(
-        `SELECT group_id, volume_lots
-         FROM ib_trade_history
-         WHERE ib_request_id = $1 
-           AND close_price IS NOT NULL 
-           AND close_price != 0 
-           AND profit != 0
-           ${userFilter}
-           ${userInClause}`,
-        params
-      );
-
-      // Calculate commission using helper function
-      const commissionResult = calculateCommissionFromTrades(tradesRes.rows, commissionGroupsMap);
-      total = commissionResult.total;
-      fixed = commissionResult.fixed;
-      spreadShare = commissionResult.spread;
-
-      // Save to ib_commission table
-      if (ibUserId) {
-        try {
-          await IBCommission.upsertCommission(ibId, ibUserId, {
-            totalCommission: total,
-            totalTrades: commissionResult.totalTrades,
-            totalLots: commissionResult.totalLots
-          });
-        } catch (error) {
-          console.warn('[User Commission] Could not save to ib_commission table:', error.message);
-        }
-      }
-    } else if (useCached) {
-      // If using cached, we still need to calculate fixed and spread for display
-      // We'll fetch a sample of trades to calculate the ratio
-      let userFilter = '';
-      const params = [ibId];
-      if (ibUserId) {
-        params.push(ibUserId);
-        userFilter = `AND user_id != $${params.length}`;
-      }
-      params.push(referredUserIds);
-      const userInClause = `AND user_id = ANY($${params.length}::text[])`;
-
-      const tradesRes = await query(
-        `SELECT group_id, volume_lots
-         FROM ib_trade_history
-         WHERE ib_request_id = $1 
-           AND close_price IS NOT NULL 
-           AND close_price != 0 
-           AND profit != 0
-           ${userFilter}
-           ${userInClause}
-         LIMIT 1000`,
-        params
-      );
-
-      const commissionResult = calculateCommissionFromTrades(tradesRes.rows, commissionGroupsMap);
-      if (commissionResult.total > 0) {
-        const ratio = total / commissionResult.total;
-        fixed = commissionResult.fixed * ratio;
-        spreadShare = commissionResult.spread * ratio;
-      }
-    }
-
-    // Fetch full trade history for display (only closed trades with profit != 0)
-    let userFilter = '';
-    const params = [ibId];
-    if (ibUserId) {
-      params.push(ibUserId);
-      userFilter = `AND user_id != $${params.length}`;
+      return res.json({ success: true, data: { total, fixed, spreadShare, pending: summary.pending, paid: summary.totalPaid, overrides, cpa, revenueShare, ledger, adjustments, history: [] } });
     }
-    params.push(referredUserIds);
-    const userInClause = `AND user_id = ANY($${params.length}::text[])`;
 
+    // Fetch recent closed trades for display
     const historyRes = await query(
-      `SELECT account_id, order_id, symbol, group_id, volume_lots, profit, synced_at, updated_at
+      `SELECT account_id, order_id, symbol, group_id, volume_lots, profit, ib_commission, ib_spread_commission, rate_version_id,
+              commission_locked_at, open_time, close_time, synced_at, open_price, close_price,
+              ${TRADE_CLOSE_TIME_SQL} AS trade_time
        FROM ib_trade_history
        WHERE ib_request_id = $1 
          AND close_price IS NOT NULL 
-         AND close_price != 0 
-         AND profit != 0
-         ${userFilter}
-         ${userInClause}
-       ORDER BY synced_at DESC, updated_at DESC
+         AND close_price > 0 
+         AND user_id = ANY($2::text[])
+       ORDER BY trade_time DESC, order_id DESC
        LIMIT 200`,
-      params
+      [ibId, referredUserIds]
     );
 
     // Build history with proper commission calculation
     const history = historyRes.rows.map((r, idx) => {
-      const normalized = normalizeGroupId(r.group_id);
-      const rule = findMatchingRule(normalized, commissionGroupsMap);
-      
-      let fixedCommission = 0;
-      let spreadCommission = 0;
-      
-      if (rule) {
-        const lots = Number(r.volume_lots || 0);
-        fixedCommission = lots * Number(rule.usdPerLot || 0);
-        spreadCommission = lots * (Number(rule.spreadPct || 0) / 100);
-      }
-      
-      const totalIb = fixedCommission + spreadCommission;
+      const priced = priceTrade(rateBook, r);
       
       const detectTypeName = (nameOrId) => {
         const s = (nameOrId || '').toString().toLowerCase();
@@ -1007,22 +592,123 @@ router.get('/commission', authenticateToken, async (req, res) => {
         symbol: r.symbol || '-',
         lots: Number(r.volume_lots || 0),
         profit: Number(r.profit || 0),
-        commission: fixedCommission,
-        spreadCommission: spreadCommission,
-        ibCommission: totalIb,
+        commission: priced.fixed,
+        spreadCommission: priced.spread,
+        ibCommission: priced.total,
         group: groupDisplay,
-        closeTime: r.updated_at || r.synced_at,
-        status: 'Accrued'
+        openTime: r.open_time,
+        closeTime: r.trade_time,
+        status: priced.eligibility && !priced.eligibility.eligible ? 'Ineligible' : 'Accrued',
+        ineligibleReason: priced.eligibility?.reason ?? null
       };
     });
 
-    res.json({ success: true, data: { total, fixed, spreadShare, pending: 0, paid: 0, history } });
+    res.json({ success: true, data: { total, fixed, spreadShare, pending: summary.pending, paid: summary.totalPaid, overrides, cpa, revenueShare, ledger, adjustments, history } });
   } catch (e) {
     console.error('Commission summary error:', e);
     res.status(500).json({ success: false, message: 'Unable to fetch commission summary' });
   }
 });
 
+// GET /api/user/commission/ledger -> every accrual, reversal, adjustment, payout and clawback
+router.get('/commission/ledger', authenticateToken, async (req, res) => {
+  try {
+    const ibId = req.user.id;
+    const entryType = req.query.entryType ? String(req.query.entryType).toLowerCase() : null;
+    if (entryType && !LEDGER_ENTRY_TYPE_VALUES.includes(entryType)) {
+      return res.status(400).json({ success: false, message: `entryType must be one of ${LEDGER_ENTRY_TYPE_VALUES.join(', ')}` });
+    }
+    const page = Math.max(Number.parseInt(req.query.page ?? '1', 10) || 1, 1);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit ?? '50', 10) || 50, 1), 500);
+    const filters = { fromDate: req.query.fromDate || null, toDate: req.query.toDate || null };
+    const [balance, { entries, total }] = await Promise.all([
+      CommissionLedger.getBalance(ibId, filters),
+      CommissionLedger.list(ibId, { ...filters, entryType, limit, offset: (page - 1) * limit })
+    ]);
+    res.json({
+      success: true,
+      data: {
+        balance,
+        entries,
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+      }
+    });
+  } catch (e) {
+    console.error('Commission ledger error:', e);
+    res.status(500).json({ success: false, message: 'Unable to fetch commission ledger' });
+  }
+});
+
+// GET /api/user/commission/revenue-share -> monthly revenue share calculations, newest first
+router.get('/commission/revenue-share', authenticateToken, async (req, res) => {
+  try {
+    const ibId = req.user.id;
+    const page = Math.max(Number.parseInt(req.query.page ?? '1', 10) || 1, 1);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit ?? '24', 10) || 24, 1), 120);
+    const { periods, total } = await RevenueSharePeriod.listForIB(ibId, { limit, offset: (page - 1) * limit });
+    res.json({
+      success: true,
+      data: {
+        formula: REVENUE_SHARE_FORMULA,
+        periods,
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+      }
+    });
+  } catch (e) {
+    console.error('Revenue share error:', e);
+    res.status(500).json({ success: false, message: 'Unable to fetch revenue share' });
+  }
+});
+
+// GET /api/user/commission/statements -> statements of closed commission periods, newest first
+router.get('/commission/statements', authenticateToken, async (req, res) => {
+  try {
+    const ibId = req.user.id;
+    const page = Math.max(Number.parseInt(req.query.page ?? '1', 10) || 1, 1);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit ?? '24', 10) || 24, 1), 120);
+    const { statements, total } = await CommissionStatement.listForIB(ibId, { limit, offset: (page - 1) * limit });
+    res.json({
+      success: true,
+      data: {
+        statements,
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+      }
+    });
+  } catch (e) {
+    console.error('Commission statements error:', e);
+    res.status(500).json({ success: false, message: 'Unable to fetch commission statements' });
+  }
+});
+
+// GET /api/user/commission/statements/:periodId?format=csv|html|json -> one statement (download)
+router.get('/commission/statements/:periodId', authenticateToken, async (req, res) => {
+  try {
+    const ibId = req.user.id;
+    const periodId = Number.parseInt(String(req.params.periodId), 10);
+    const format = String(req.query.format || 'html').toLowerCase();
+    if (!Number.isFinite(periodId)) {
+      return res.status(400).json({ success: false, message: 'Invalid period id' });
+    }
+    if (!STATEMENT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, message: `format must be one of ${STATEMENT_FORMATS.join(', ')}` });
+    }
+    const statement = await CommissionStatement.findForIB(periodId, ibId);
+    if (!statement) {
+      return res.status(404).json({ success: false, message: 'Statement not found' });
+    }
+    if (format === 'json') {
+      return res.json({ success: true, data: { statement } });
+    }
+    const file = renderStatement(statement, format);
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `${format === 'csv' ? 'attachment' : 'inline'}; filename="${file.filename}"`);
+    res.send(file.body);
+  } catch (e) {
+    console.error('Commission statement error:', e);
+    res.status(500).json({ success: false, message: 'Unable to fetch commission statement' });
+  }
+});
+
 // GET /api/user/trades -> paginated trade history from DB with spread pct enriched
 // Only shows trades from referred users, excluding IB's own trades
 router.get('/trades', authenticateToken, async (req, res) => {
@@ -1031,52 +717,9 @@ router.get('/trades', authenticateToken, async (req, res) => {
     const ibId = ib.id;
     const { accountId = null, page = 1, pageSize = 50 } = req.query;
 
-    // Helper: Get IB's own user_id to exclude
-    const getIBUserId = async (ibId) => {
-      try {
-        const ibRes = await query('SELECT email FROM ib_requests WHERE id = $1', [ibId]);
-        if (ibRes.rows.length === 0) return null;
-        const userRes = await query('SELECT id FROM "User" WHERE email = $1', [ibRes.rows[0].email]);
-        return userRes.rows.length > 0 ? String(userRes.rows[0].id) : null;
-      } catch {
-        return null;
-      }
-    };
-
-    // Helper: Get list of referred user_ids (from ib_referrals and ib_requests)
-    const getReferredUserIds = async (ibId) => {
-      const userIds = new Set();
-      try {
-        // Get user_ids from ib_referrals
-        const refRes = await query(
-          'SELECT user_id FROM ib_referrals WHERE ib_request_id = $1 AND user_id IS NOT NULL',
-          [ibId]
-        );
-        refRes.rows.forEach(row => {
-          if (row.user_id) userIds.add(String(row.user_id));
-        });
-
-        // Get user_ids from ib_requests where referred_by = ibId
-        const ibRefRes = await query(
-          `SELECT u.id as user_id 
-           FROM ib_requests ir
-           JOIN "User" u ON u.email = ir.email
-           WHERE ir.referred_by = $1 AND u.id IS NOT NULL`,
-          [ibId]
-        );
-        ibRefRes.rows.forEach(row => {
-          if (row.user_id) userIds.add(String(row.user_id));
-        });
-      } catch (error) {
-        console.error('Error getting referred user IDs:', error);
-      }
-      return Array.from(userIds);
-    };
-
-    // Get IB's own user_id to exclude
-    const ibUserId = await getIBUserId(ibId);
-    // Get referred user_ids to include
-    const referredUserIds = await getReferredUserIds(ibId);
+    // Referred users only, never the IB's own trades
+    const [referred, ibUserId] = await Promise.all([getReferredUserIds(ibId), getIBUserId(ibId)]);
+    const referredUserIds = referred.filter(userId => userId !== ibUserId);
 
     if (referredUserIds.length === 0) {
       return res.json({ success: true, data: { trades: [], total: 0, page: Number(page), pageSize: Number(pageSize) } });
@@ -1092,15 +735,7 @@ router.get('/trades', authenticateToken, async (req, res) => {
       return res.json({ success: true, data: cached.payload });
     }
 
-    // Build WHERE clause to exclude IB's own trades and only include referred users' trades
-    let userFilter = '';
-    const params = [ibId];
-    if (ibUserId) {
-      params.push(ibUserId);
-      userFilter = `AND user_id != $${params.length}`;
-    }
-    params.push(referredUserIds);
-    const userInClause = `AND user_id = ANY($${params.length}::text[])`;
+    const params = [ibId, referredUserIds];
 
     let accountFilter = '';
     if (accountId) {
@@ -1114,10 +749,8 @@ router.get('/trades', authenticateToken, async (req, res) => {
       FROM ib_trade_history 
       WHERE ib_request_id = $1 
         AND close_price IS NOT NULL 
-        AND close_price != 0 
-        AND profit != 0
-        ${userFilter}
-        ${userInClause}
+        AND close_price > 0 
+        AND user_id = ANY($2::text[])
         ${accountFilter}
     `;
     const countRes = await query(countQuery, params);
@@ -1130,89 +763,47 @@ router.get('/trades', authenticateToken, async (req, res) => {
       FROM ib_trade_history
       WHERE ib_request_id = $1 
         AND close_price IS NOT NULL 
-        AND close_price != 0 
-        AND profit != 0
-        ${userFilter}
-        ${userInClause}
+        AND close_price > 0 
+        AND user_id = ANY($2::text[])
         ${accountFilter}
-      ORDER BY synced_at DESC
+      ORDER BY ${TRADE_CLOSE_TIME_SQL} DESC, order_id DESC
       LIMIT $${params.length - 1} OFFSET $${params.length}
     `;
     const listRes = await query(listQuery, params);
-    
-    const trades = listRes.rows.map((row) => ({
-      account_id: row.account_id,
-      mt5_deal_id: row.order_id,
-      order_id: row.order_id,
-      symbol: row.symbol,
-      volume_lots: Number(row.volume_lots || 0),
-      lots: Number(row.volume_lots || 0),
-      profit: Number(row.profit || 0),
-      commission: 0,
-      ib_commission: Number(row.ib_commission || 0),
-      group_id: row.group_id || null,
-      close_time: row.updated_at || row.synced_at || null,
-      synced_at: row.synced_at,
-      updated_at: row.updated_at
-    }));
+    const rateBook = await loadRateBook(ibId);
+
+    const trades = listRes.rows.map((row) => {
+      const priced = priceTrade(rateBook, row);
+      return {
+        account_id: row.account_id,
+        mt5_deal_id: row.order_id,
+        order_id: row.order_id,
+        symbol: row.symbol,
+        volume_lots: Number(row.volume_lots || 0),
+        lots: Number(row.volume_lots || 0),
+        profit: Number(row.profit || 0),
+        commission: Number(row.mt5_commission || 0),
+        swap: Number(row.swap || 0),
+        ib_commission: priced.fixed,
+        fixed_commission: priced.fixed,
+        spread_commission: priced.spread,
+        spread_pct: priced.rule?.spreadPct || 0,
+        ineligible_reason: priced.eligibility?.reason ?? null,
+        group_id: row.group_id || null,
+        open_time: row.open_time || null,
+        close_time: row.close_time || row.synced_at || null,
+        synced_at: row.synced_at,
+        updated_at: row.updated_at
+      };
+    });
 
-    let result = {
+    const result = {
       trades,
       total,
       page: Math.floor(Number(offset) / (Number(limit) || 1)) + 1,
       pageSize: Number(limit)
     };
 
-    // Enrich with commission calculation using approved group assignments
-    try {
-      const assignments = await query(
-        `SELECT group_id, usd_per_lot, spread_share_percentage
-         FROM ib_group_assignments WHERE ib_request_id = $1`,
-        [ibId]
-      );
-
-      // Build commission groups map
-      const commissionGroupsMap = new Map();
-      for (const r of assignments.rows) {
-        const k = normalizeGroupId(r.group_id);
-        if (k) {
-          commissionGroupsMap.set(k, {
-            spreadPct: Number(r.spread_share_percentage || 0),
-            usdPerLot: Number(r.usd_per_lot || 0)
-          });
-        }
-      }
-
-      // Calculate commission for each trade using the same logic as admin
-      result.trades = result.trades.map(t => {
-        const normalized = normalizeGroupId(t.group_id);
-        const rule = findMatchingRule(normalized, commissionGroupsMap);
-        
-        let fixedCommission = 0;
-        let spreadCommission = 0;
-        let spreadPct = 0;
-        
-        if (rule) {
-          const lots = Number(t.volume_lots || t.lots || 0);
-          const usdPerLot = Number(rule.usdPerLot || 0);
-          spreadPct = Number(rule.spreadPct || 0);
-          
-          fixedCommission = lots * usdPerLot;
-          spreadCommission = lots * (spreadPct / 100);
-        }
-        
-        return {
-          ...t,
-          ib_commission: fixedCommission,
-          fixed_commission: fixedCommission,
-          spread_commission: spreadCommission,
-          spread_pct: spreadPct
-        };
-      });
-    } catch (error) {
-      console.error('Error enriching trades with commission:', error);
-    }
-
     // cache 30s
     analyticsCache.set(cacheKey, { expires: Date.now() + 30_000, payload: result });
     res.json({ success: true, data: result });
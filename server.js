@@ -17,8 +17,28 @@ import { GroupCommissionStructures } from './models/GroupCommissionStructures.js
 import { IBGroupAssignment } from './models/IBGroupAssignment.js';
 import { IBTradeHistory } from './models/IBTradeHistory.js';
 import { IBWithdrawal } from './models/IBWithdrawal.js';
+import { CommissionLedger } from './models/CommissionLedger.js';
+import { CommissionAdjustment } from './models/CommissionAdjustment.js';
+import { CpaPlan } from './models/CpaPlan.js';
+import { RevenueSharePeriod } from './models/RevenueSharePeriod.js';
 import { IBReferral } from './models/IBReferral.js';
 import { IBCommission } from './models/IBCommission.js';
+import { MT5SyncCursor } from './models/MT5SyncCursor.js';
+import { TradeSyncRun } from './models/TradeSyncRun.js';
+import { TradeOrderConflict } from './models/TradeOrderConflict.js';
+import { TradeReconciliation } from './models/TradeReconciliation.js';
+import { CommissionPeriod } from './models/CommissionPeriod.js';
+import { CommissionStatement } from './models/CommissionStatement.js';
+import { MT5Position } from './models/MT5Position.js';
+import { MT5OpenPosition } from './models/MT5OpenPosition.js';
+import { ClientFunding } from './models/ClientFunding.js';
+import { MT5WebhookDelivery } from './models/MT5WebhookDelivery.js';
+import { BackgroundJob } from './models/BackgroundJob.js';
+import { JobSchedule } from './models/JobSchedule.js';
+import { registerBackgroundJobs } from './services/backgroundJobs.js';
+import { startScheduler, stopScheduler } from './services/jobScheduler.js';
+import { installLogRedaction } from './services/logRedaction.js';
+import { getCircuitBreakerState } from './services/mt5CircuitBreaker.js';
 // import { IBLevelUpHistory } from './models/IBLevelUpHistory.js'; // File removed
 
 // Import routes
@@ -45,9 +65,15 @@ import userPaymentsRoutes from './routes/userPayments.js';
 import userDashboardRoutes from './routes/userDashboard.js';
 import userRewardsRoutes from './routes/userRewards.js';
 import adminRewardsRoutes from './routes/adminRewards.js';
+import adminJobsRoutes from './routes/adminJobs.js';
+import adminCommissionPeriodsRoutes from './routes/adminCommissionPeriods.js';
+import adminCommissionsRoutes from './routes/adminCommissions.js';
+import adminCpaPlansRoutes from './routes/adminCpaPlans.js';
+import mt5IntegrationsRoutes from './routes/mt5Integrations.js';
 
 
 dotenv.config();
+installLogRedaction();
 
 const app = express();
 const PORT = process.env.PORT || 5001;
@@ -120,7 +146,13 @@ if (isProd) {
 app.use(cookieParser());
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Signed webhooks are verified against the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/integrations/')) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Initialize database tables
@@ -133,10 +165,26 @@ async function initializeDatabase() {
     await MT5Groups.createTable();
     await GroupCommissionStructures.createTable();
     await IBGroupAssignment.createTable();
+    await TradeOrderConflict.createTable();
     await IBTradeHistory.createTable();
+    await CommissionPeriod.createTable();
+    await MT5Position.createTable();
+    await MT5OpenPosition.createTable();
+    await ClientFunding.createTable();
     await IBWithdrawal.createTable();
+    await CommissionLedger.createTable();
+    await CommissionAdjustment.createTable();
+    await CommissionStatement.createTable();
+    await CpaPlan.createTable();
+    await RevenueSharePeriod.createTable();
     await IBReferral.createTable();
     await IBCommission.createTable();
+    await MT5SyncCursor.createTable();
+    await TradeSyncRun.createTable();
+    await TradeReconciliation.createTable();
+    await MT5WebhookDelivery.createTable();
+    await BackgroundJob.createTable();
+    await JobSchedule.createTable();
     // await IBLevelUpHistory.createTable(); // File removed
     await IBAdmin.seedDefaultAdmin();
     console.log('Database tables initialized successfully');
@@ -164,6 +212,11 @@ app.use('/api/admin', adminReferralsRoutes);
 app.use('/api/public/referrals', publicReferralsRoutes);
 app.use('/api/admin/dashboard', adminDashboardRoutes);
 app.use('/api/admin/rewards', adminRewardsRoutes);
+app.use('/api/admin/jobs', adminJobsRoutes);
+app.use('/api/admin/commission-periods', adminCommissionPeriodsRoutes);
+app.use('/api/admin/commissions', adminCommissionsRoutes);
+app.use('/api/admin/cpa-plans', adminCpaPlansRoutes);
+app.use('/api/integrations/mt5', mt5IntegrationsRoutes);
 // Mount user-facing routes
 app.use('/api/user/clients', userClientsRoutes);
 app.use('/api/user/symbols', userSymbolsRoutes);
@@ -175,10 +228,13 @@ app.use('/api/user/rewards', userRewardsRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
+  const circuitBreakers = getCircuitBreakerState();
+  const degraded = Object.values(circuitBreakers).some(breaker => breaker.state !== 'closed');
   res.json({
-    status: 'OK',
-    message: 'IB Portal Server is running',
-    timestamp: new Date().toISOString()
+    status: degraded ? 'DEGRADED' : 'OK',
+    message: degraded ? 'IB Portal Server is running; MT5 calls are paused for some services' : 'IB Portal Server is running',
+    timestamp: new Date().toISOString(),
+    mt5: { circuitBreakers }
   });
 });
 
@@ -203,104 +259,12 @@ app.use('*', (req, res) => {
 // Create HTTP server (no Socket.IO)
 const server = createServer(app);
 
-// Background job to auto-sync trades every 15 minutes
-async function autoSyncTrades() {
-  try {
-    console.log('[Auto-Sync] Starting trade sync for all approved IB users...');
-    const { query } = await import('./config/database.js');
-
-    const result = await query("SELECT id, email, usd_per_lot, spread_percentage_per_lot FROM ib_requests WHERE LOWER(TRIM(status)) = 'approved'");
-    const ibUsers = result.rows;
-
-    for (const ib of ibUsers) {
-      try {
-        const userResult = await query('SELECT id FROM "User" WHERE email = $1', [ib.email]);
-        if (userResult.rows.length === 0) continue;
-
-        const userId = userResult.rows[0].id;
-
-        const assignmentsRes = await query(
-          'SELECT group_id, structure_name, usd_per_lot, spread_share_percentage FROM ib_group_assignments WHERE ib_request_id = $1',
-          [ib.id]
-        );
-        const commissionMap = assignmentsRes.rows.reduce((map, row) => {
-          if (!row.group_id) return map;
-          map[row.group_id.toLowerCase()] = {
-            usdPerLot: Number(row.usd_per_lot || 0),
-            spreadPercentage: Number(row.spread_share_percentage || 0)
-          };
-          return map;
-        }, {});
-
-        if (!Object.keys(commissionMap).length) {
-          commissionMap['*'] = {
-            usdPerLot: Number(ib.usd_per_lot || 0),
-            spreadPercentage: Number(ib.spread_percentage_per_lot || 0)
-          };
-        }
-
-        const accountsResult = await query('SELECT "accountId" FROM "MT5Account" WHERE "userId" = $1', [userId]);
-
-        const syncAccountsFor = async (accountRows, ownerUserId, ownerGroupId = null) => {
-          for (const account of accountRows) {
-            const accountId = account.accountId;
-            const to = new Date().toISOString();
-            const from = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
-
-            try {
-              const apiUrl = `http://18.130.5.209:5003/api/client/tradehistory/trades?accountId=${accountId}&page=1&pageSize=1000&fromDate=${from}&toDate=${to}`;
-              const response = await fetch(apiUrl, { headers: { accept: '*/*' } });
-
-              if (response.ok) {
-                const data = await response.json();
-                const trades = data.Items || [];
-                let groupId = ownerGroupId;
-                try {
-                  const profRes = await fetch(`http://18.130.5.209:5003/api/Users/${accountId}/getClientProfile`, { headers: { accept: '*/*' } });
-                  if (profRes.ok) {
-                    const prof = await profRes.json();
-                    groupId = (prof?.Data || prof?.data)?.Group || groupId;
-                  }
-                } catch {}
-
-                await IBTradeHistory.upsertTrades(trades, { accountId, userId: ownerUserId, ibRequestId: ib.id, commissionMap, groupId });
-                await IBTradeHistory.calculateIBCommissions(accountId, ib.id);
-              }
-            } catch (error) {
-              console.error(`[Auto-Sync] Error syncing account ${accountId}:`, error.message);
-            }
-          }
-        };
-
-        // Sync IB's own accounts
-        await syncAccountsFor(accountsResult.rows, userId, null);
-
-        // Sync referred traders' accounts
-        const refUsersRes = await query('SELECT user_id FROM ib_referrals WHERE ib_request_id = $1 AND user_id IS NOT NULL', [ib.id]);
-        for (const ref of refUsersRes.rows) {
-          try {
-            const accRes = await query('SELECT "accountId" FROM "MT5Account" WHERE "userId" = $1', [ref.user_id]);
-            await syncAccountsFor(accRes.rows, ref.user_id, null);
-          } catch (error) {
-            console.error(`[Auto-Sync] Error syncing referred user ${ref.user_id}:`, error.message);
-          }
-        }
-      } catch (error) {
-        console.error(`[Auto-Sync] Error processing IB ${ib.id}:`, error.message);
-      }
-    }
-
-    console.log('[Auto-Sync] Trade sync completed');
-  } catch (error) {
-    console.error('[Auto-Sync] Error in auto-sync job:', error);
-  }
-}
-
 // Bootstrapping to ensure DB is ready before accepting requests
 async function start() {
   try {
     // Initialize database tables BEFORE starting the server to avoid race conditions
     await initializeDatabase();
+    await registerBackgroundJobs();
 
     server.listen(PORT, () => {
       console.log(`IB Portal Server is running on port ${PORT}`);
@@ -308,12 +272,8 @@ async function start() {
       console.log(`Environment: ${process.env.NODE_ENV}`);
       console.log(`JWT secret configured: ${process.env.JWT_SECRET ? 'yes' : (process.env.NODE_ENV !== 'production' ? 'dev-fallback' : 'no')}`);
       
-      // Start auto-sync job (every 5 minutes)
-      console.log('[Auto-Sync] Scheduling auto-sync job every 5 minutes');
-      setInterval(autoSyncTrades, 5 * 60 * 1000); // 5 minutes
-      
-      // Run initial sync after 1 minute
-      setTimeout(autoSyncTrades, 60 * 1000);
+      // Start background job worker (trade sync, IB upgrade checks, ...)
+      startScheduler();
     });
   } catch (err) {
     console.error('Failed to initialize server:', err);
@@ -327,6 +287,7 @@ start();
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  await stopScheduler();
   server.close(async () => {
     await pool.end();
     console.log('Process terminated');
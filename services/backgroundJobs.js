@@ -0,0 +1,214 @@
+import { query } from '../config/database.js';
+import { JobSchedule } from '../models/JobSchedule.js';
+import { BackgroundJob } from '../models/BackgroundJob.js';
+import { registerJobHandler } from './jobScheduler.js';
+import { syncIB, backfillTrades, recordSyncRun } from './tradeSync.js';
+import { checkAllIBsForUpgrade } from './ibAutoUpgrade.js';
+import { runReconciliation } from './tradeReconciliation.js';
+import { snapshotAllIBs } from './positionSnapshots.js';
+import { syncAllFunding } from './fundingSync.js';
+import { evaluateAllCpa } from './cpaCommission.js';
+import { runAllRevenueShare } from './revenueShare.js';
+import { repriceShortTradeAccounts } from './commissionEngine.js';
+
+/**
+ * Job types and default schedules for the portal's background work
+ */
+export const JOB_TYPES = Object.freeze({
+  TRADE_SYNC_ALL: 'trade-sync:all',
+  TRADE_SYNC_IB: 'trade-sync:ib',
+  TRADE_BACKFILL: 'trade-backfill',
+  IB_UPGRADE_CHECK_ALL: 'ib-upgrade:check-all',
+  TRADE_RECONCILE: 'trade-reconcile',
+  POSITION_SNAPSHOT_ALL: 'position-snapshot:all',
+  FUNDING_SYNC_ALL: 'funding-sync:all',
+  CPA_EVALUATE_ALL: 'cpa-evaluate:all',
+  REVENUE_SHARE_ALL: 'revenue-share:all',
+  SHORT_TRADE_REPRICE: 'short-trade-reprice'
+});
+
+export const ibSyncDedupeKey = (ibRequestId) => `trade-sync:ib:${ibRequestId}`;
+
+// Sync run trigger for a job: admin "run now" and admin-queued jobs are 'admin', schedules are 'auto'
+const triggerForJob = (job, payload = {}) => {
+  if (payload.trigger) return payload.trigger;
+  return String(job?.triggered_by || '').startsWith('admin') ? 'admin' : 'auto';
+};
+
+// Summarize per-account sync results for the job result column
+function summarizeAccounts(accounts = []) {
+  return {
+    accounts: accounts.length,
+    fetched: accounts.reduce((sum, a) => sum + Number(a.fetched || 0), 0),
+    saved: accounts.reduce((sum, a) => sum + Number(a.saved || 0), 0),
+    failed: accounts.filter(a => a.error).map(a => ({ accountId: a.accountId, error: a.error }))
+  };
+}
+
+export async function registerBackgroundJobs() {
+  // Fan out one job per approved IB so IBs are locked and retried independently
+  registerJobHandler(JOB_TYPES.TRADE_SYNC_ALL, async (payload, job) => {
+    const result = await query("SELECT id FROM ib_requests WHERE LOWER(TRIM(status)) = 'approved' ORDER BY id");
+    const trigger = triggerForJob(job, payload);
+    let enqueued = 0;
+    for (const row of result.rows) {
+      const child = await BackgroundJob.enqueue(JOB_TYPES.TRADE_SYNC_IB, { ibRequestId: row.id, trigger }, {
+        dedupeKey: ibSyncDedupeKey(row.id),
+        triggeredBy: job?.triggered_by || 'trade-sync:all'
+      });
+      if (child) enqueued++;
+    }
+    return { ibs: result.rows.length, enqueued };
+  });
+
+  registerJobHandler(JOB_TYPES.TRADE_SYNC_IB, async (payload, job) => {
+    const { ibRequestId } = payload;
+    const { runId, accounts } = await recordSyncRun(
+      { trigger: triggerForJob(job, payload), triggeredBy: job?.triggered_by, scope: 'ib', ibRequestId, jobId: job?.id },
+      (id) => syncIB(ibRequestId, { runId: id })
+    );
+    const summary = summarizeAccounts(accounts);
+    if (accounts.length && summary.failed.length === accounts.length) {
+      throw new Error(`All ${accounts.length} accounts failed for IB ${ibRequestId}: ${summary.failed[0].error}`);
+    }
+    return { ibRequestId, runId, ...summary };
+  });
+
+  registerJobHandler(JOB_TYPES.TRADE_BACKFILL, async (payload, job) => {
+    const { trigger, ...options } = payload;
+    const scope = options.accountId ? 'account' : options.ibRequestId ? 'ib' : 'all';
+    const result = await recordSyncRun(
+      {
+        trigger: trigger || 'admin',
+        triggeredBy: job?.triggered_by,
+        scope,
+        ibRequestId: options.ibRequestId || null,
+        accountId: options.accountId || null,
+        jobId: job?.id,
+        fromDate: options.fromDate,
+        toDate: options.toDate || null
+      },
+      (runId) => backfillTrades({ ...options, runId })
+    );
+    return { runId: result.runId, scope: result.scope, fromDate: result.fromDate, toDate: result.toDate, ...summarizeAccounts(result.accounts) };
+  });
+
+  registerJobHandler(JOB_TYPES.IB_UPGRADE_CHECK_ALL, async () => {
+    const result = await checkAllIBsForUpgrade();
+    if (!result.success) {
+      throw new Error(result.error || result.message || 'IB upgrade check failed');
+    }
+    return { totalChecked: result.totalChecked, upgraded: result.upgraded };
+  });
+
+  // Scheduled runs check the last `lookbackDays` for every approved IB
+  registerJobHandler(JOB_TYPES.TRADE_RECONCILE, async (payload, job) => {
+    const { accountId = null, ibRequestId = null, lookbackDays = null } = payload;
+    const fromDate = payload.fromDate || new Date(Date.now() - Number(lookbackDays || 2) * 24 * 60 * 60 * 1000).toISOString();
+    const report = await runReconciliation({
+      accountId,
+      ibRequestId,
+      fromDate,
+      toDate: payload.toDate || null,
+      triggeredBy: job?.triggered_by,
+      jobId: job?.id
+    });
+    return {
+      reconciliationId: report.id,
+      status: report.status,
+      accounts: report.accounts_total,
+      accountsWithDiscrepancies: report.accounts_with_discrepancies,
+      missing: report.missing,
+      extra: report.extra,
+      mismatched: report.mismatched
+    };
+  });
+
+  registerJobHandler(JOB_TYPES.POSITION_SNAPSHOT_ALL, async () => snapshotAllIBs());
+
+  registerJobHandler(JOB_TYPES.FUNDING_SYNC_ALL, async () => syncAllFunding());
+
+  registerJobHandler(JOB_TYPES.CPA_EVALUATE_ALL, async () => evaluateAllCpa());
+
+  registerJobHandler(JOB_TYPES.REVENUE_SHARE_ALL, async () => runAllRevenueShare());
+
+  // Judge last month's short-trade share (payload.month 'YYYY-MM' picks another month)
+  registerJobHandler(JOB_TYPES.SHORT_TRADE_REPRICE, async (payload) => {
+    const now = new Date();
+    const from = payload.month
+      ? new Date(`${payload.month}-01T00:00:00Z`)
+      : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+    const to = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + 1, 1));
+    return repriceShortTradeAccounts({ from, to });
+  });
+
+  await JobSchedule.ensure({
+    name: 'trade-sync',
+    jobType: JOB_TYPES.TRADE_SYNC_ALL,
+    description: 'Incremental MT5 trade sync for every approved IB (catch-up for deals missed by the push webhook)',
+    // With the push webhook enabled polling only has to catch up on missed deliveries
+    intervalSeconds: Number(process.env.TRADE_SYNC_INTERVAL_SECONDS || (process.env.MT5_WEBHOOK_SECRET ? 3600 : 300)),
+    firstRunDelaySeconds: 60
+  });
+
+  await JobSchedule.ensure({
+    name: 'ib-upgrade-check',
+    jobType: JOB_TYPES.IB_UPGRADE_CHECK_ALL,
+    description: 'Upgrade IB commission structures that meet the next level criteria',
+    intervalSeconds: Number(process.env.IB_UPGRADE_INTERVAL_SECONDS || 24 * 60 * 60),
+    firstRunDelaySeconds: 300
+  });
+
+  await JobSchedule.ensure({
+    name: 'trade-reconcile',
+    jobType: JOB_TYPES.TRADE_RECONCILE,
+    description: 'Compare recent MT5 deals with ib_trade_history for every approved IB',
+    intervalSeconds: Number(process.env.TRADE_RECONCILE_INTERVAL_SECONDS || 24 * 60 * 60),
+    payload: { lookbackDays: Number(process.env.TRADE_RECONCILE_LOOKBACK_DAYS || 2) },
+    maxAttempts: 1,
+    firstRunDelaySeconds: 900
+  });
+
+  await JobSchedule.ensure({
+    name: 'position-snapshot',
+    jobType: JOB_TYPES.POSITION_SNAPSHOT_ALL,
+    description: 'Snapshot open positions on every approved IB\'s referred accounts',
+    intervalSeconds: Number(process.env.POSITION_SNAPSHOT_INTERVAL_SECONDS || 300),
+    // A missed snapshot is superseded by the next one
+    maxAttempts: 1,
+    firstRunDelaySeconds: 120
+  });
+
+  await JobSchedule.ensure({
+    name: 'funding-sync',
+    jobType: JOB_TYPES.FUNDING_SYNC_ALL,
+    description: 'Ingest deposits and withdrawals on every approved IB\'s referred accounts',
+    intervalSeconds: Number(process.env.FUNDING_SYNC_INTERVAL_SECONDS || 60 * 60),
+    firstRunDelaySeconds: 180
+  });
+
+  await JobSchedule.ensure({
+    name: 'cpa-evaluate',
+    jobType: JOB_TYPES.CPA_EVALUATE_ALL,
+    description: 'Pay CPA commissions for referred clients that meet their IB\'s CPA plan',
+    intervalSeconds: Number(process.env.CPA_EVALUATE_INTERVAL_SECONDS || 60 * 60),
+    // Runs after funding-sync so first deposits are in
+    firstRunDelaySeconds: 420
+  });
+
+  await JobSchedule.ensure({
+    name: 'revenue-share',
+    jobType: JOB_TYPES.REVENUE_SHARE_ALL,
+    description: 'Refresh monthly revenue share and settle months that are due',
+    intervalSeconds: Number(process.env.REVENUE_SHARE_INTERVAL_SECONDS || 6 * 60 * 60),
+    firstRunDelaySeconds: 600
+  });
+
+  await JobSchedule.ensure({
+    name: 'short-trade-reprice',
+    jobType: JOB_TYPES.SHORT_TRADE_REPRICE,
+    description: 'Apply the short-trade share rule to last month\'s trades once the month has ended',
+    intervalSeconds: Number(process.env.SHORT_TRADE_REPRICE_INTERVAL_SECONDS || 24 * 60 * 60),
+    firstRunDelaySeconds: 1200
+  });
+}
@@ -0,0 +1,935 @@
+import { query } from '../config/database.js';
+import { CommissionPeriod } from '../models/CommissionPeriod.js';
+import { GroupCommissionStructures, MAX_UPLINE_LEVELS } from '../models/GroupCommissionStructures.js';
+import { CommissionLedger } from '../models/CommissionLedger.js';
+import { makeGroupKeys } from './tradeSync.js';
+
+/**
+ * The portal's single commission engine. Every screen that shows IB commission (admin profile,
+ * IB dashboard, commission analytics, quick reports, withdrawal balance) and the sync that stores
+ * ib_trade_history.ib_commission price trades through here.
+ *
+ * Rates come from ib_group_assignment_history: the version in force at the trade's close time.
+ * A trade's MT5 group is matched to a version by, in order:
+ *   group      - exact group id (case-insensitive)
+ *   groupName  - the assignment's display name
+ *   groupKey   - a shared short key (last path segment, segment after "bbook", slash variants)
+ *   fallback   - no group matched: the IB's highest rate in force at close time
+ *   ibDefault  - the IB has no assignments: ib_requests.usd_per_lot / spread_percentage_per_lot
+ * Fixed commission is lots x USD per lot. Spread commission is the broker's spread revenue on the
+ * deal x spread share % / 100, where spread revenue = lots x spread (pips) x pip value per lot (USD).
+ * The spread is the group's markup (mt5_groups.spread_markup_points) when set, otherwise the
+ * symbol's fixed spread (0 = floating, unknown). The pip value is an admin-set
+ * symbols_with_categories.pip_value (is_override), else contract size x pip size converted from the
+ * quote currency: USD-quoted symbols as is, USD-based ones at the deal's close price. Any other
+ * symbol has no spread revenue (spread source null) until an admin sets its pip value.
+ * Structure rules (overrides, upline rules, payout cap, revenue share %, eligibility) are versioned
+ * in group_commission_structure_rule_history; a deal uses the version in force at its close time.
+ * The matched structure's overrides then apply: a symbol
+ * override wins over a category override (symbols_with_categories.category); an excluded override
+ * pays nothing, otherwise its usdPerLot / spreadSharePercentage replace the structure's.
+ * Master IB overrides: the structure's upline_rules pay the trading client's IB's uplines
+ * (ib_requests.referred_by, level 1 = direct upline) per lot and/or as a share of the sub-IB's
+ * commission. max_payout_per_lot caps the sub-IB's commission plus all overrides per lot; the
+ * sub-IB is paid first and the uplines share what is left, nearest level first.
+ * Revenue share: a structure's revenue_share_percentage pays the IB a share of the broker's net
+ * revenue from its clients (client losses minus gains, less the IB's per-lot and spread commission),
+ * netted per calendar month with losses carried forward (services/revenueShare.js).
+ * Eligibility: a structure's rules (minimum hold time, minimum price move in points, maximum share
+ * of an account's deals in a month held under N seconds) make failing deals earn nothing at all
+ * (no commission, overrides or revenue share); the reason is stored in
+ * ib_trade_history.commission_ineligible_reason. A rule that cannot be evaluated (no open time,
+ * no symbol spec) passes.
+ * Trades in a closed commission period keep their locked amounts.
+ * Only closed trades count: close_price > 0.
+ *
+ * What an IB is owed lives in the append-only ledger (models/CommissionLedger.js): accrueCommission
+ * posts the difference between each trade's price and what the ledger already holds for it.
+ */
+
+const CLOSE_TIME_SQL = 'COALESCE(t.close_time, t.synced_at)';
+const SPREAD_SPEC_TTL_MS = Number(process.env.COMMISSION_SPREAD_SPEC_CACHE_SECONDS || 300) * 1000;
+let spreadSpecCache = null;
+const round = (n, digits = 8) => Math.round(Number(n || 0) * 10 ** digits) / 10 ** digits;
+
+const versionInForce = (version, at) => {
+  if (!at) return version.valid_to === null;
+  const time = new Date(at).getTime();
+  return (!version.valid_from || time >= new Date(version.valid_from).getTime())
+    && (!version.valid_to || time < new Date(version.valid_to).getTime());
+};
+
+const toRule = (version, matchedBy) => ({
+  versionId: version.id ?? null,
+  groupId: version.group_id ?? null,
+  groupName: version.group_name ?? null,
+  structureId: version.structure_id ?? null,
+  structureName: version.structure_name ?? null,
+  usdPerLot: Number(version.usd_per_lot || 0),
+  spreadPct: Number(version.spread_share_percentage || 0),
+  validFrom: version.valid_from ?? null,
+  validTo: version.valid_to ?? null,
+  matchedBy
+});
+
+/**
+ * Symbol specs and group spread markups, shared by every IB's rate book (cached briefly)
+ */
+export async function loadSpreadSpecs({ refresh = false } = {}) {
+  if (!refresh && spreadSpecCache && Date.now() - spreadSpecCache.loadedAt < SPREAD_SPEC_TTL_MS) {
+    return spreadSpecCache;
+  }
+  const symbols = new Map();
+  const markups = new Map();
+  try {
+    const symbolsRes = await query(
+      'SELECT symbol, category, digits, contract_size, pip_value, is_override, spread FROM symbols_with_categories'
+    );
+    for (const row of symbolsRes.rows) {
+      symbols.set(String(row.symbol).toUpperCase(), {
+        symbol: row.symbol,
+        digits: Number(row.digits ?? 5),
+        contractSize: Number(row.contract_size || 100000),
+        // The symbol sync writes a placeholder pip value; only an admin-set one is a real USD amount
+        pipValue: row.is_override && row.pip_value !== null ? Number(row.pip_value) : null,
+        // Synced as 0 for floating-spread symbols
+        spreadPoints: row.spread !== null && Number(row.spread) > 0 ? Number(row.spread) : null,
+        category: row.category || null
+      });
+    }
+  } catch (error) {
+    console.warn('[Commission] Could not load symbol specs:', error.message);
+  }
+  try {
+    const groupsRes = await query('SELECT group_id, spread_markup_points FROM mt5_groups WHERE spread_markup_points IS NOT NULL');
+    for (const row of groupsRes.rows) markups.set(String(row.group_id).toLowerCase(), Number(row.spread_markup_points));
+  } catch (error) {
+    console.warn('[Commission] Could not load group spread markups:', error.message);
+  }
+  spreadSpecCache = { loadedAt: Date.now(), symbols, markups };
+  return spreadSpecCache;
+}
+
+async function loadStructureRules(structureIds) {
+  try {
+    return await GroupCommissionStructures.getPricingRulesByIds(structureIds);
+  } catch (error) {
+    console.warn('[Commission] Could not load structure overrides:', error.message);
+    return new Map();
+  }
+}
+
+/**
+ * The IB's approved uplines: [{ ibRequestId, level }], level 1 = the IB's referrer
+ */
+export async function loadUplines(ibRequestId, depth = MAX_UPLINE_LEVELS) {
+  const result = await query(
+    `WITH RECURSIVE chain AS (
+       SELECT ir.referred_by AS ib_request_id, 1 AS level
+       FROM ib_requests ir
+       WHERE ir.id = $1 AND ir.referred_by IS NOT NULL
+       UNION ALL
+       SELECT ir.referred_by, c.level + 1
+       FROM chain c
+       JOIN ib_requests ir ON ir.id = c.ib_request_id
+       WHERE ir.referred_by IS NOT NULL AND c.level < $2
+     )
+     SELECT c.ib_request_id, c.level
+     FROM chain c
+     JOIN ib_requests u ON u.id = c.ib_request_id
+     WHERE LOWER(TRIM(u.status)) = 'approved' AND c.ib_request_id <> $1
+     ORDER BY c.level`,
+    [ibRequestId, depth]
+  );
+  // A referral loop would list an IB twice; it is paid at its nearest level only
+  const seen = new Set();
+  return result.rows
+    .map(row => ({ ibRequestId: Number(row.ib_request_id), level: Number(row.level) }))
+    .filter(upline => !seen.has(upline.ibRequestId) && seen.add(upline.ibRequestId));
+}
+
+/**
+ * Per account and UTC month: closed deals and deals held under `seconds`, for each threshold.
+ * Returns Map(`${seconds}:${accountId}:${YYYY-MM}` -> { trades, short }).
+ */
+async function loadShortTradeStats(ibRequestId, thresholds) {
+  const stats = new Map();
+  for (const seconds of thresholds) {
+    const result = await query(
+      `SELECT t.account_id,
+              to_char(${CLOSE_TIME_SQL} AT TIME ZONE 'UTC', 'YYYY-MM') AS month,
+              COUNT(*)::int AS trades,
+              COUNT(*) FILTER (
+                WHERE t.open_time IS NOT NULL AND t.close_time IS NOT NULL
+                  AND EXTRACT(EPOCH FROM (t.close_time - t.open_time)) < $2
+              )::int AS short
+       FROM ib_trade_history t
+       WHERE t.ib_request_id = $1 AND t.close_price IS NOT NULL AND t.close_price > 0
+       GROUP BY 1, 2`,
+      [ibRequestId, seconds]
+    );
+    result.rows.forEach(row => stats.set(`${seconds}:${row.account_id}:${row.month}`, { trades: row.trades, short: row.short }));
+  }
+  return stats;
+}
+
+/**
+ * Everything needed to price an IB's trades: all rate versions, structure overrides, upline and
+ * eligibility rules, the IB's uplines, short-trade stats, its default rates and spread specs
+ */
+export async function loadRateBook(ibRequestId) {
+  const [versionsRes, ibRes, spreadSpecs] = await Promise.all([
+    query(
+      `SELECT id, group_id, group_name, structure_id, structure_name, usd_per_lot, spread_share_percentage,
+              valid_from, valid_to
+       FROM ib_group_assignment_history
+       WHERE ib_request_id = $1
+       ORDER BY valid_from NULLS FIRST, id`,
+      [ibRequestId]
+    ),
+    query('SELECT usd_per_lot, spread_percentage_per_lot FROM ib_requests WHERE id = $1', [ibRequestId]),
+    loadSpreadSpecs()
+  ]);
+  const versions = versionsRes.rows.map(v => ({ ...v, keys: makeGroupKeys(v.group_id) }));
+  const byId = new Map(versions.map(v => [Number(v.id), v]));
+  const structureRules = await loadStructureRules(versions.map(v => v.structure_id));
+  const ruleVersions = Array.from(structureRules.values()).flat();
+  const hasUplineRules = ruleVersions.some(r => r.uplineRules.length > 0);
+  const uplines = hasUplineRules ? await loadUplines(ibRequestId) : [];
+  const shortThresholds = new Set(ruleVersions
+    .map(r => r.eligibility?.shortTradeSeconds)
+    .filter(seconds => seconds !== null && seconds !== undefined));
+  const shortTradeStats = shortThresholds.size ? await loadShortTradeStats(ibRequestId, shortThresholds) : new Map();
+  const ib = ibRes.rows[0] || null;
+  return {
+    ibRequestId,
+    versions,
+    byId,
+    structureRules,
+    uplines,
+    shortTradeStats,
+    symbols: spreadSpecs.symbols,
+    markups: spreadSpecs.markups,
+    ibDefault: ib
+      ? { usdPerLot: Number(ib.usd_per_lot || 0), spreadPct: Number(ib.spread_percentage_per_lot || 0) }
+      : null
+  };
+}
+
+/**
+ * Rate for a trade in the given MT5 group closed at `at` (null = rates in force now).
+ * Returns a rule ({ versionId, structureName, usdPerLot, spreadPct, matchedBy, ... }) or null.
+ */
+export function resolveRate(book, groupId, at = null) {
+  const inForce = book.versions.filter(v => versionInForce(v, at));
+  if (book.versions.length === 0) {
+    return book.ibDefault && (book.ibDefault.usdPerLot || book.ibDefault.spreadPct)
+      ? toRule({ usd_per_lot: book.ibDefault.usdPerLot, spread_share_percentage: book.ibDefault.spreadPct }, 'ibDefault')
+      : null;
+  }
+  if (inForce.length === 0) return null;
+
+  const group = String(groupId || '').trim().toLowerCase();
+  if (group) {
+    const exact = inForce.find(v => String(v.group_id || '').toLowerCase() === group);
+    if (exact) return toRule(exact, 'group');
+    const named = inForce.find(v => v.group_name && String(v.group_name).toLowerCase() === group);
+    if (named) return toRule(named, 'groupName');
+    const tradeKeys = new Set(makeGroupKeys(group));
+    const keyed = inForce.find(v => v.keys.some(k => tradeKeys.has(k)));
+    if (keyed) return toRule(keyed, 'groupKey');
+  }
+
+  const highest = inForce.reduce((best, v) =>
+    !best || Number(v.usd_per_lot || 0) > Number(best.usd_per_lot || 0)
+      || (Number(v.usd_per_lot || 0) === Number(best.usd_per_lot || 0) && Number(v.id) > Number(best.id))
+      ? v : best, null);
+  return highest && Number(highest.usd_per_lot || 0) > 0 ? toRule(highest, 'fallback') : null;
+}
+
+const tradeCloseTime = (trade) => trade.close_time || trade.synced_at || null;
+
+// Account-type suffixes: EURUSD.m, EURUSDm, EURUSD-ECN
+const symbolCandidates = (symbol) => {
+  const name = String(symbol).toUpperCase();
+  return [name, name.split(/[.\-_]/)[0], name.replace(/[A-Z]$/, '')];
+};
+
+const findSymbolSpec = (symbols, symbol) => {
+  if (!symbols || !symbol) return null;
+  for (const name of symbolCandidates(symbol)) {
+    if (symbols.has(name)) return symbols.get(name);
+  }
+  return null;
+};
+
+/**
+ * A structure's pricing rules (overrides, upline rules, payout cap, revenue share %, eligibility)
+ * in force at `at` (null = in force now), or null
+ */
+export function structureRulesAt(book, structureId, at = null) {
+  const versions = structureId ? book.structureRules?.get(Number(structureId)) : null;
+  return versions?.find(v => versionInForce(v, at)) || null;
+}
+
+/**
+ * The structure override (from `rules`, see structureRulesAt) matching a trade's symbol, else its
+ * symbol category, else null
+ */
+export function findOverride(book, rules, symbol) {
+  const overrides = rules?.overrides;
+  if (!overrides?.length || !symbol) return null;
+  const names = symbolCandidates(symbol);
+  const bySymbol = overrides.filter(o => o.matchType === 'symbol');
+  for (const name of names) {
+    const hit = bySymbol.find(o => String(o.match).toUpperCase() === name);
+    if (hit) return hit;
+  }
+  const category = findSymbolSpec(book.symbols, symbol)?.category;
+  if (!category) return null;
+  return overrides.find(o => o.matchType === 'category' && String(o.match).toLowerCase() === String(category).toLowerCase()) || null;
+}
+
+const applyOverride = (rule, override) => {
+  if (!rule || !override) return rule;
+  return {
+    ...rule,
+    usdPerLot: override.excluded ? 0 : (override.usdPerLot ?? rule.usdPerLot),
+    spreadPct: override.excluded ? 0 : (override.spreadSharePercentage ?? rule.spreadPct),
+    override: { ...override, baseUsdPerLot: rule.usdPerLot, baseSpreadPct: rule.spreadPct }
+  };
+};
+
+/**
+ * USD value of one pip per lot: the admin-set pip value, else contract size x pip size in the
+ * quote currency converted to USD (quote USD as is, base USD at the deal's close price). Returns
+ * { pipValue, pipValueSource } or null when the symbol's pip value cannot be known.
+ */
+function pipValueUsd(spec, trade, pointsPerPip) {
+  if (spec.pipValue !== null) return { pipValue: spec.pipValue, pipValueSource: 'symbol' };
+  // Six-letter currency pair, optionally followed by a lower-case or punctuated suffix (EURUSD.m, GBPJPYpro)
+  const currencies = String(spec.symbol || trade.symbol || '').match(/^([A-Z]{3})([A-Z]{3})(?![A-Z])/);
+  if (!currencies) return null;
+  const [, base, quote] = currencies;
+  const quoteValue = spec.contractSize * pointsPerPip * 10 ** -spec.digits;
+  if (quote === 'USD') return { pipValue: quoteValue, pipValueSource: 'contract' };
+  const closePrice = Number(trade.close_price);
+  if (base === 'USD' && closePrice > 0) return { pipValue: quoteValue / closePrice, pipValueSource: 'contract' };
+  return null;
+}
+
+/**
+ * Broker spread revenue on a deal in USD: lots x spread in pips x pip value per lot.
+ * Returns { revenue, spreadPoints, source, digits, pointsPerPip, pipValue, pipValueSource }
+ * (revenue 0 with source null when the symbol has no spec, a floating spread or no known pip value).
+ */
+export function spreadRevenue(book, trade) {
+  const none = { revenue: 0, spreadPoints: null, source: null, digits: null, pointsPerPip: null, pipValue: null, pipValueSource: null };
+  const lots = Number(trade.volume_lots || 0);
+  const spec = findSymbolSpec(book.symbols, trade.symbol);
+  const markup = book.markups?.get(String(trade.group_id || '').toLowerCase());
+  if (!spec || lots <= 0 || (markup === undefined && spec.spreadPoints === null)) return none;
+  const spreadPoints = markup ?? spec.spreadPoints;
+  // 5- and 3-digit quotes have a fractional pip: 10 points per pip
+  const pointsPerPip = spec.digits === 5 || spec.digits === 3 ? 10 : 1;
+  const pip = pipValueUsd(spec, trade, pointsPerPip);
+  if (!pip) return none;
+  return {
+    revenue: lots * (spreadPoints / pointsPerPip) * pip.pipValue,
+    spreadPoints,
+    source: markup !== undefined ? 'groupMarkup' : 'symbol',
+    digits: spec.digits,
+    pointsPerPip,
+    pipValue: pip.pipValue,
+    pipValueSource: pip.pipValueSource
+  };
+}
+
+/**
+ * Master IB overrides on a priced trade: [{ ibRequestId, level, amount, usdPerLot, percentage, capped }]
+ */
+export function priceUplineOverrides(book, priced) {
+  const rules = priced.structureRules;
+  if (!rules?.uplineRules?.length || !book.uplines?.length || priced.lots <= 0) return [];
+  let remaining = rules.maxPayoutPerLot !== null && rules.maxPayoutPerLot !== undefined
+    ? Math.max(rules.maxPayoutPerLot * priced.lots - priced.total, 0)
+    : Infinity;
+  const result = [];
+  for (const upline of book.uplines) {
+    const rule = rules.uplineRules.find(r => Number(r.level) === upline.level);
+    if (!rule) continue;
+    const wanted = priced.lots * Number(rule.usdPerLot || 0) + priced.total * Number(rule.percentage || 0) / 100;
+    const amount = Math.min(wanted, remaining);
+    remaining -= amount;
+    if (amount > 0) {
+      result.push({
+        ibRequestId: upline.ibRequestId,
+        level: upline.level,
+        amount,
+        usdPerLot: rule.usdPerLot ?? null,
+        percentage: rule.percentage ?? null,
+        capped: amount < wanted
+      });
+    }
+  }
+  return result;
+}
+
+/**
+ * Check a deal against its structure's eligibility rules. Returns null when the structure has none,
+ * else { eligible, reason, holdSeconds, priceMovePoints, shortTradePercentage }; reason is
+ * 'min_hold_time', 'min_price_move' or 'short_trade_share' (the first rule that fails).
+ * The short-trade share is only judged once the deal's UTC month has ended (before `now`), so deals
+ * don't flip in and out of eligibility while that month is still syncing.
+ */
+export function checkEligibility(book, trade, structureRules, now = new Date()) {
+  const rules = structureRules?.eligibility;
+  if (!rules) return null;
+  const result = { eligible: true, reason: null, holdSeconds: null, priceMovePoints: null, shortTradePercentage: null };
+  if (trade.open_time && trade.close_time) {
+    result.holdSeconds = (new Date(trade.close_time).getTime() - new Date(trade.open_time).getTime()) / 1000;
+  }
+  const spec = findSymbolSpec(book.symbols, trade.symbol);
+  const openPrice = Number(trade.open_price);
+  const closePrice = Number(trade.close_price);
+  if (spec && openPrice > 0 && closePrice > 0) {
+    result.priceMovePoints = round(Math.abs(closePrice - openPrice) * 10 ** spec.digits, 4);
+  }
+  let monthEnded = false;
+  if (rules.shortTradeSeconds !== null) {
+    const closedAt = tradeCloseTime(trade);
+    const monthKey = closedAt ? new Date(closedAt).toISOString().slice(0, 7) : null;
+    monthEnded = monthKey !== null && monthKey < new Date(now).toISOString().slice(0, 7);
+    const stats = monthKey ? book.shortTradeStats?.get(`${rules.shortTradeSeconds}:${trade.account_id}:${monthKey}`) : null;
+    if (stats?.trades > 0) result.shortTradePercentage = round(stats.short / stats.trades * 100, 2);
+  }
+
+  if (rules.minHoldSeconds !== null && result.holdSeconds !== null && result.holdSeconds < rules.minHoldSeconds) {
+    result.reason = 'min_hold_time';
+  } else if (rules.minPriceMovePoints !== null && result.priceMovePoints !== null && result.priceMovePoints < rules.minPriceMovePoints) {
+    result.reason = 'min_price_move';
+  } else if (monthEnded && rules.maxShortTradePercentage !== null && result.shortTradePercentage !== null
+    && result.shortTradePercentage > rules.maxShortTradePercentage) {
+    result.reason = 'short_trade_share';
+  }
+  result.eligible = result.reason === null;
+  return result;
+}
+
+/**
+ * Price one ib_trade_history row. Locked trades keep their stored fixed and spread commission (and
+ * the version they were priced with); everything else is priced from the rate book as of `now`.
+ */
+export function priceTrade(book, trade, { now = new Date() } = {}) {
+  const lots = Number(trade.volume_lots || 0);
+  const locked = Boolean(trade.commission_locked_at);
+  let rule = null;
+  if (locked && trade.rate_version_id && book.byId.has(Number(trade.rate_version_id))) {
+    rule = toRule(book.byId.get(Number(trade.rate_version_id)), 'locked');
+  } else {
+    rule = resolveRate(book, trade.group_id, tradeCloseTime(trade));
+  }
+  const structureRules = structureRulesAt(book, rule?.structureId, tradeCloseTime(trade));
+  rule = applyOverride(rule, findOverride(book, structureRules, trade.symbol));
+  if (rule) rule = { ...rule, structureRulesVersionId: structureRules?.versionId ?? null };
+  // Locked deals keep what they were paid at close
+  const eligibility = locked ? null : checkEligibility(book, trade, structureRules, now);
+  const ineligible = eligibility ? !eligibility.eligible : false;
+
+  const revenue = spreadRevenue(book, trade);
+  const lockedSpread = locked && trade.ib_spread_commission !== null && trade.ib_spread_commission !== undefined;
+  const fixed = locked ? Number(trade.ib_commission || 0) : (rule && !ineligible ? lots * rule.usdPerLot : 0);
+  const spread = lockedSpread
+    ? Number(trade.ib_spread_commission)
+    : (rule && !ineligible ? revenue.revenue * (rule.spreadPct / 100) : 0);
+  const priced = {
+    lots, fixed, spread, spreadRevenue: revenue.revenue, spreadSpec: revenue, total: fixed + spread, rule, locked, eligibility, structureRules
+  };
+  priced.uplineOverrides = ineligible ? [] : priceUplineOverrides(book, priced);
+  priced.revenueShare = ineligible ? null : priceRevenueShare(book, trade, priced);
+  return priced;
+}
+
+/**
+ * A deal's contribution to the IB's monthly revenue share, or null when its structure pays none.
+ * Broker net revenue = -(client profit + swap) - the IB's per-lot and spread commission on the deal;
+ * share = net revenue x revenue_share_percentage / 100 (negative on a client win). Excluded
+ * symbols/categories earn no revenue share either.
+ */
+export function priceRevenueShare(book, trade, priced) {
+  const rules = priced.structureRules;
+  const pct = priced.rule?.override?.excluded ? 0 : Number(rules?.revenueSharePct || 0);
+  if (!pct || priced.lots <= 0) return null;
+  const clientResult = Number(trade.profit || 0) + Number(trade.swap || 0);
+  const netRevenue = -clientResult - priced.total;
+  return { pct, clientResult, costs: priced.total, netRevenue, share: netRevenue * pct / 100 };
+}
+
+/**
+ * The IB's own user id (its trades never earn it commission)
+ */
+export async function getIBUserId(ibRequestId) {
+  const result = await query(
+    'SELECT u.id FROM "User" u JOIN ib_requests ir ON LOWER(u.email) = LOWER(ir.email) WHERE ir.id = $1 LIMIT 1',
+    [ibRequestId]
+  );
+  return result.rows[0]?.id ? String(result.rows[0].id) : null;
+}
+
+/**
+ * Users referred to the IB: CRM referrals (ib_referrals) and sub-IB applicants (ib_requests.referred_by)
+ */
+export async function getReferredUserIds(ibRequestId) {
+  const userIds = new Set();
+  const refRes = await query('SELECT user_id FROM ib_referrals WHERE ib_request_id = $1 AND user_id IS NOT NULL', [ibRequestId]);
+  refRes.rows.forEach(row => userIds.add(String(row.user_id)));
+  const ibRefRes = await query(
+    `SELECT u.id AS user_id
+     FROM ib_requests ir
+     JOIN "User" u ON LOWER(u.email) = LOWER(ir.email)
+     WHERE ir.referred_by = $1 AND u.id IS NOT NULL`,
+    [ibRequestId]
+  );
+  ibRefRes.rows.forEach(row => userIds.add(String(row.user_id)));
+  return Array.from(userIds);
+}
+
+const emptyBucket = () => ({
+  fixed: 0, spread: 0, total: 0, spreadRevenue: 0, totalLots: 0, totalTrades: 0, ineligibleTrades: 0, totalProfit: 0
+});
+
+function addToBucket(bucket, trade, priced) {
+  bucket.fixed += priced.fixed;
+  bucket.spread += priced.spread;
+  bucket.total += priced.total;
+  bucket.spreadRevenue += priced.spreadRevenue;
+  bucket.totalLots += priced.lots;
+  bucket.totalTrades += 1;
+  if (priced.eligibility && !priced.eligibility.eligible) bucket.ineligibleTrades += 1;
+  bucket.totalProfit += Number(trade.profit || 0);
+}
+
+const finishBucket = (bucket) => ({
+  ...bucket,
+  fixed: round(bucket.fixed, 6),
+  spread: round(bucket.spread, 6),
+  total: round(bucket.total, 6),
+  spreadRevenue: round(bucket.spreadRevenue, 6),
+  totalLots: round(bucket.totalLots),
+  totalProfit: round(bucket.totalProfit, 2)
+});
+
+/**
+ * Commission earned by an IB, with breakdowns by user, account, group, symbol and close day (UTC).
+ * By default only referred users' trades count (never the IB's own); pass userIds or accountId
+ * to narrow it, or referredOnly: false to include every trade attributed to the IB.
+ * fromDate/toDate filter on close time.
+ */
+export async function summarizeCommission(ibRequestId, { userIds = null, accountId = null, fromDate = null, toDate = null, referredOnly = true, book = null } = {}) {
+  const rateBook = book || await loadRateBook(ibRequestId);
+  const params = [ibRequestId];
+  let where = 't.ib_request_id = $1 AND t.close_price IS NOT NULL AND t.close_price > 0';
+
+  let scopeUsers = userIds ? userIds.map(String) : null;
+  if (referredOnly) {
+    const [referred, ibUserId] = await Promise.all([getReferredUserIds(ibRequestId), getIBUserId(ibRequestId)]);
+    const allowed = new Set(referred.filter(id => id !== ibUserId));
+    scopeUsers = (scopeUsers || Array.from(allowed)).filter(id => allowed.has(id));
+  }
+  if (scopeUsers) {
+    params.push(scopeUsers);
+    where += ` AND t.user_id = ANY($${params.length}::text[])`;
+  }
+  if (accountId) {
+    params.push(String(accountId));
+    where += ` AND t.account_id = $${params.length}`;
+  }
+  if (fromDate) {
+    params.push(fromDate);
+    where += ` AND ${CLOSE_TIME_SQL} >= $${params.length}`;
+  }
+  if (toDate) {
+    params.push(toDate);
+    where += ` AND ${CLOSE_TIME_SQL} <= $${params.length}`;
+  }
+
+  const totals = emptyBucket();
+  const byUser = new Map();
+  const byAccount = new Map();
+  const byGroup = new Map();
+  const bySymbol = new Map();
+  const byDay = new Map();
+  const bucket = (map, key) => {
+    if (!map.has(key)) map.set(key, emptyBucket());
+    return map.get(key);
+  };
+
+  if (!scopeUsers || scopeUsers.length > 0) {
+    const tradesRes = await query(
+      `SELECT t.id, t.user_id, t.account_id, t.group_id, t.symbol, t.volume_lots, t.profit, t.ib_commission,
+              t.ib_spread_commission, t.rate_version_id, t.commission_locked_at, t.open_time, t.close_time, t.synced_at,
+              t.open_price, t.close_price
+       FROM ib_trade_history t
+       WHERE ${where}`,
+      params
+    );
+    for (const trade of tradesRes.rows) {
+      const priced = priceTrade(rateBook, trade);
+      if (priced.lots <= 0) continue;
+      addToBucket(totals, trade, priced);
+      addToBucket(bucket(byUser, String(trade.user_id)), trade, priced);
+      addToBucket(bucket(byAccount, String(trade.account_id)), trade, priced);
+      const groupBucket = bucket(byGroup, trade.group_id || '');
+      groupBucket.structureName = priced.rule?.structureName || null;
+      // The group's own rates, not a symbol override's
+      groupBucket.usdPerLot = priced.rule?.override ? priced.rule.override.baseUsdPerLot : (priced.rule?.usdPerLot || 0);
+      groupBucket.spreadPct = priced.rule?.override ? priced.rule.override.baseSpreadPct : (priced.rule?.spreadPct || 0);
+      addToBucket(groupBucket, trade, priced);
+      addToBucket(bucket(bySymbol, trade.symbol || ''), trade, priced);
+      const closedAt = tradeCloseTime(trade);
+      addToBucket(bucket(byDay, closedAt ? new Date(closedAt).toISOString().slice(0, 10) : ''), trade, priced);
+    }
+  }
+
+  const list = (map, key) => Array.from(map.entries()).map(([k, v]) => ({ [key]: k || null, ...finishBucket(v) }));
+  return {
+    ...finishBucket(totals),
+    byUser: list(byUser, 'userId'),
+    byAccount: list(byAccount, 'accountId'),
+    byGroup: list(byGroup, 'groupId'),
+    bySymbol: list(bySymbol, 'symbol'),
+    byDay: list(byDay, 'day').sort((a, b) => String(a.day).localeCompare(String(b.day)))
+  };
+}
+
+/**
+ * Store fixed commission, spread revenue, spread commission, the pricing rate version and the
+ * ineligibility reason on an account's unlocked closed trades, then lock late trades that fall in closed periods.
+ * `book` reuses an already loaded rate book. Returns the number of trades repriced.
+ */
+export async function repriceAccount(accountId, ibRequestId, { book = null } = {}) {
+  book = book || await loadRateBook(ibRequestId);
+  const tradesRes = await query(
+    `SELECT t.id, t.account_id, t.group_id, t.symbol, t.volume_lots, t.ib_commission, t.ib_spread_commission,
+            t.spread_revenue, t.rate_version_id, t.commission_locked_at, t.commission_ineligible_reason, t.open_time,
+            t.close_time, t.synced_at, t.open_price, t.close_price
+     FROM ib_trade_history t
+     WHERE t.account_id = $1 AND t.ib_request_id = $2
+       AND t.close_price IS NOT NULL AND t.close_price > 0
+       AND t.commission_locked_at IS NULL`,
+    [String(accountId), ibRequestId]
+  );
+
+  const ids = [];
+  const commissions = [];
+  const revenues = [];
+  const spreadCommissions = [];
+  const versionIds = [];
+  const reasons = [];
+  const same = (a, b) => (a === null || a === undefined ? null : round(a, 6)) === (b === null || b === undefined ? null : round(b, 6));
+  for (const trade of tradesRes.rows) {
+    const priced = priceTrade(book, trade);
+    const versionId = priced.rule?.versionId ?? null;
+    const revenue = priced.spreadSpec.source ? priced.spreadRevenue : null;
+    const reason = priced.eligibility?.reason ?? null;
+    if (same(priced.fixed, trade.ib_commission) && same(priced.spread, trade.ib_spread_commission)
+      && same(revenue, trade.spread_revenue) && versionId === (trade.rate_version_id ?? null)
+      && reason === (trade.commission_ineligible_reason ?? null)) continue;
+    ids.push(trade.id);
+    commissions.push(priced.fixed);
+    revenues.push(revenue);
+    spreadCommissions.push(priced.spread);
+    versionIds.push(versionId);
+    reasons.push(reason);
+  }
+
+  if (ids.length) {
+    await query(
+      `UPDATE ib_trade_history AS t
+       SET ib_commission = p.commission, spread_revenue = p.revenue, ib_spread_commission = p.spread_commission,
+           rate_version_id = p.version_id, commission_ineligible_reason = p.ineligible_reason,
+           updated_at = CURRENT_TIMESTAMP
+       FROM unnest($1::text[], $2::numeric[], $3::numeric[], $4::numeric[], $5::int[], $6::text[])
+         AS p(id, commission, revenue, spread_commission, version_id, ineligible_reason)
+       WHERE t.id = p.id AND t.commission_locked_at IS NULL`,
+      [ids, commissions, revenues, spreadCommissions, versionIds, reasons]
+    );
+  }
+  await CommissionPeriod.lockLateTrades(accountId);
+  await accrueCommission(ibRequestId, { accountId, book });
+  return ids.length;
+}
+
+/**
+ * Reprice every account that closed unlocked trades in [from, to) under an IB with short-trade
+ * rules. The short-trade share is only judged once a month has ended, and an account that stopped
+ * trading syncs no new deals to reprice it, so this runs after month end and before a commission
+ * period locks its trades. Returns { accounts, repriced, failed }.
+ */
+export async function repriceShortTradeAccounts({ from, to }) {
+  const result = await query(
+    `SELECT DISTINCT t.ib_request_id, t.account_id
+     FROM ib_trade_history t
+     WHERE t.ib_request_id IS NOT NULL AND t.commission_locked_at IS NULL
+       AND ${CLOSE_TIME_SQL} >= $1 AND ${CLOSE_TIME_SQL} < $2
+       AND EXISTS (
+         SELECT 1 FROM ib_group_assignment_history h
+         JOIN group_commission_structure_rule_history r ON r.structure_id = h.structure_id
+         WHERE h.ib_request_id = t.ib_request_id AND r.short_trade_seconds IS NOT NULL
+       )
+     ORDER BY t.ib_request_id, t.account_id`,
+    [new Date(from).toISOString(), new Date(to).toISOString()]
+  );
+
+  const summary = { accounts: result.rows.length, repriced: 0, failed: [] };
+  const books = new Map();
+  for (const row of result.rows) {
+    try {
+      if (!books.has(row.ib_request_id)) books.set(row.ib_request_id, await loadRateBook(row.ib_request_id));
+      summary.repriced += await repriceAccount(row.account_id, row.ib_request_id, { book: books.get(row.ib_request_id) });
+    } catch (error) {
+      console.error(`[Commission] Short-trade repricing failed for account ${row.account_id} (IB ${row.ib_request_id}):`, error.message);
+      summary.failed.push({ accountId: row.account_id, ibRequestId: row.ib_request_id, error: error.message });
+    }
+  }
+  return summary;
+}
+
+/**
+ * Bring the ledger in line with the engine for an IB's closed trades (one account, or all).
+ * A trade earns its price for the IB when its user is referred to the IB and is not the IB
+ * itself (else 0), and its master IB overrides for the IB's uplines. Each (trade, IB, source)
+ * is diffed against the ledger: a changed net is reversed and the new amount accrued; amounts a
+ * trade left behind under another IB (reattribution) are reversed too. Locked trades keep the
+ * overrides already posted for them.
+ * Returns { accrued, reversed } entry counts.
+ */
+export async function accrueCommission(ibRequestId, { accountId = null, book = null } = {}) {
+  const rateBook = book || await loadRateBook(ibRequestId);
+  const params = [ibRequestId];
+  let where = 't.ib_request_id = $1 AND t.close_price IS NOT NULL AND t.close_price > 0';
+  if (accountId) {
+    params.push(String(accountId));
+    where += ` AND t.account_id = $${params.length}`;
+  }
+  const [tradesRes, referred, ibUserId] = await Promise.all([
+    query(
+      `SELECT t.id, t.user_id, t.account_id, t.group_id, t.symbol, t.volume_lots, t.ib_commission,
+              t.ib_spread_commission, t.rate_version_id, t.commission_locked_at, t.open_time, t.close_time, t.synced_at,
+              t.open_price, t.close_price
+       FROM ib_trade_history t
+       WHERE ${where}`,
+      params
+    ),
+    getReferredUserIds(ibRequestId),
+    getIBUserId(ibRequestId)
+  ]);
+  const allowed = new Set(referred.filter(id => id !== ibUserId));
+  const nets = await CommissionLedger.getTradeNets(tradesRes.rows.map(t => t.id));
+
+  const entries = [];
+  let accrued = 0;
+  let reversed = 0;
+  const same = (a, b) => round(a.amount, 6) === round(b.amount, 6) && round(a.fixed, 6) === round(b.fixed, 6);
+  for (const trade of tradesRes.rows) {
+    const priced = priceTrade(rateBook, trade);
+    const eligible = allowed.has(String(trade.user_id)) && priced.lots > 0;
+    const net = nets.get(String(trade.id)) || { lastSeq: 0, byKey: new Map() };
+
+    // What the ledger should hold for this trade, by `${ib}:${source}`
+    const targets = new Map();
+    if (eligible && round(priced.total, 6) > 0) {
+      targets.set(`${ibRequestId}:trade`, {
+        ibRequestId,
+        source: 'trade',
+        amount: round(priced.total, 6),
+        fixed: round(priced.fixed, 6),
+        spread: round(priced.spread, 6),
+        rateVersionId: priced.rule?.versionId ?? null,
+        description: `${trade.symbol || 'Trade'} ${round(priced.lots, 4)} lots`
+      });
+    }
+    const heldOverrides = Array.from(net.byKey.values()).filter(h => h.source === 'override' && round(h.amount, 6) !== 0);
+    if (priced.locked && heldOverrides.length) {
+      heldOverrides.forEach(h => targets.set(`${h.ibRequestId}:override`, h));
+    } else if (eligible) {
+      for (const o of priced.uplineOverrides) {
+        targets.set(`${o.ibRequestId}:override`, {
+          ibRequestId: o.ibRequestId,
+          source: 'override',
+          amount: round(o.amount, 6),
+          fixed: 0,
+          spread: 0,
+          sourceIbRequestId: ibRequestId,
+          overrideLevel: o.level,
+          description: `Level ${o.level} override on IB ${ibRequestId}: ${trade.symbol || 'trade'} ${round(priced.lots, 4)} lots`
+        });
+      }
+    }
+
+    let seq = net.lastSeq;
+    const base = { tradeId: trade.id, accountId: trade.account_id, userId: trade.user_id, effectiveAt: tradeCloseTime(trade) };
+    for (const [key, held] of net.byKey) {
+      const target = targets.get(key);
+      if (target && same(held, target)) continue;
+      if (round(held.amount, 6) === 0 && round(held.fixed, 6) === 0) continue;
+      entries.push({
+        ...base,
+        ibRequestId: held.ibRequestId,
+        entryType: 'reversal',
+        source: held.source,
+        amount: -held.amount,
+        fixedAmount: -held.fixed,
+        spreadAmount: -held.spread,
+        sourceIbRequestId: held.sourceIbRequestId ?? null,
+        overrideLevel: held.overrideLevel ?? null,
+        tradeSeq: ++seq,
+        description: Number(held.ibRequestId) === Number(ibRequestId) || held.source === 'override'
+          ? 'Repriced'
+          : `Trade reattributed to IB ${ibRequestId}`
+      });
+      reversed += 1;
+    }
+    for (const [key, target] of targets) {
+      const held = net.byKey.get(key);
+      if (held && same(held, target)) continue;
+      entries.push({
+        ...base,
+        ...target,
+        entryType: 'accrual',
+        fixedAmount: target.fixed,
+        spreadAmount: target.spread,
+        tradeSeq: ++seq
+      });
+      accrued += 1;
+    }
+  }
+
+  const written = await CommissionLedger.postTradeEntries(entries);
+  if (written < entries.length) {
+    console.warn(`[Commission] Ledger accrual for IB ${ibRequestId}: ${entries.length - written} entr(ies) already posted by a concurrent run`);
+  }
+  return { accrued, reversed };
+}
+
+/**
+ * How a trade's commission was produced: the trade, the matched assignment version and structure,
+ * the rate, and the arithmetic. Returns null for an unknown trade id.
+ */
+export async function explainTrade(tradeId) {
+  const tradeRes = await query('SELECT * FROM ib_trade_history WHERE id = $1', [String(tradeId)]);
+  const trade = tradeRes.rows[0];
+  if (!trade) return null;
+
+  const trace = {
+    trade: {
+      id: trade.id,
+      orderId: trade.order_id,
+      dealId: trade.deal_id || null,
+      server: trade.server,
+      accountId: trade.account_id,
+      userId: trade.user_id,
+      ibRequestId: trade.ib_request_id,
+      symbol: trade.symbol,
+      groupId: trade.group_id,
+      volumeLots: Number(trade.volume_lots || 0),
+      profit: Number(trade.profit || 0),
+      closeTime: tradeCloseTime(trade),
+      storedCommission: Number(trade.ib_commission || 0),
+      storedSpreadRevenue: trade.spread_revenue !== null ? Number(trade.spread_revenue) : null,
+      storedSpreadCommission: trade.ib_spread_commission !== null ? Number(trade.ib_spread_commission) : null,
+      storedRateVersionId: trade.rate_version_id ?? null,
+      lockedAt: trade.commission_locked_at || null,
+      commissionPeriodId: trade.commission_period_id ?? null,
+      storedIneligibleReason: trade.commission_ineligible_reason || null
+    },
+    eligible: Number(trade.close_price || 0) > 0 && Boolean(trade.ib_request_id),
+    rule: null,
+    assignment: null,
+    structure: null,
+    calculation: null,
+    notes: []
+  };
+  if (!trade.ib_request_id) {
+    trace.notes.push('Trade is not attributed to an IB');
+    return trace;
+  }
+  if (!(Number(trade.close_price || 0) > 0)) {
+    trace.notes.push('Trade has no close price and is not counted as closed');
+  }
+
+  const book = await loadRateBook(trade.ib_request_id);
+  const priced = priceTrade(book, trade);
+  trace.rule = priced.rule;
+  trace.calculation = {
+    lots: priced.lots,
+    usdPerLot: priced.rule?.usdPerLot ?? 0,
+    spreadPct: priced.rule?.spreadPct ?? 0,
+    override: priced.rule?.override || null,
+    spreadPoints: priced.spreadSpec.spreadPoints,
+    spreadSource: priced.spreadSpec.source,
+    digits: priced.spreadSpec.digits,
+    pointsPerPip: priced.spreadSpec.pointsPerPip,
+    pipValue: priced.spreadSpec.pipValue,
+    pipValueSource: priced.spreadSpec.pipValueSource,
+    spreadRevenue: round(priced.spreadRevenue, 6),
+    fixed: round(priced.fixed, 6),
+    spread: round(priced.spread, 6),
+    total: round(priced.total, 6),
+    uplineOverrides: priced.uplineOverrides.map(o => ({ ...o, amount: round(o.amount, 6) })),
+    revenueShare: priced.revenueShare
+      ? { ...priced.revenueShare, netRevenue: round(priced.revenueShare.netRevenue, 6), share: round(priced.revenueShare.share, 6) }
+      : null,
+    eligibility: priced.eligibility,
+    formula: priced.locked
+      ? 'fixed and spread = locked amounts'
+      : 'fixed = lots x usdPerLot; spreadRevenue = lots x (spreadPoints / pointsPerPip) x pipValue; spread = spreadRevenue x spreadPct / 100'
+  };
+
+  if (priced.rule?.versionId) {
+    const version = book.byId.get(Number(priced.rule.versionId));
+    trace.assignment = {
+      versionId: version.id,
+      groupId: version.group_id,
+      groupName: version.group_name,
+      validFrom: version.valid_from,
+      validTo: version.valid_to
+    };
+    if (version.structure_id) {
+      const structureRes = await query('SELECT * FROM group_commission_structures WHERE id = $1', [version.structure_id]);
+      trace.structure = structureRes.rows[0] || { id: version.structure_id, structure_name: version.structure_name };
+    } else if (version.structure_name) {
+      trace.structure = { id: null, structure_name: version.structure_name };
+    }
+  }
+
+  if (!priced.rule) trace.notes.push('No assignment, fallback rate or IB default rate applies; commission is 0');
+  if (priced.rule?.override?.excluded) {
+    trace.notes.push(`The structure excludes ${priced.rule.override.matchType} ${priced.rule.override.match}; no commission is paid`);
+  } else if (priced.rule?.override) {
+    trace.notes.push(`The structure's ${priced.rule.override.matchType} override for ${priced.rule.override.match} sets the rate`);
+  }
+  if (priced.eligibility && !priced.eligibility.eligible) {
+    const reasons = {
+      min_hold_time: `was held ${round(priced.eligibility.holdSeconds, 0)}s, under the structure's minimum holding time`,
+      min_price_move: `moved ${priced.eligibility.priceMovePoints} points, under the structure's minimum price move`,
+      short_trade_share: `is on an account where ${priced.eligibility.shortTradePercentage}% of the month's deals were short trades, over the structure's limit`
+    };
+    trace.notes.push(`The deal ${reasons[priced.eligibility.reason]}; it earns no commission, overrides or revenue share`);
+  }
+  if (priced.uplineOverrides.some(o => o.capped)) {
+    trace.notes.push('Master IB overrides were reduced to keep the payout per lot within the structure cap');
+  }
+  if (priced.revenueShare) {
+    trace.notes.push(`Counts toward the IB's ${priced.revenueShare.pct}% monthly revenue share; the month's total is paid after losses carried forward`);
+  }
+  if (!priced.spreadSpec.source) {
+    trace.notes.push(`No fixed spread or USD pip value for symbol ${trade.symbol} (set its pip value to price it); spread revenue and spread commission are 0`);
+  }
+  if (priced.locked) trace.notes.push('Trade is in a closed commission period; its fixed commission is locked');
+  if (!priced.locked && (round(priced.fixed, 6) !== round(trade.ib_commission, 6)
+    || round(priced.spread, 6) !== round(trade.ib_spread_commission, 6))) {
+    trace.notes.push('Stored commission differs from the current rates; it is updated on the next sync of the account');
+  }
+  return trace;
+}
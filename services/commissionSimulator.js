@@ -0,0 +1,284 @@
+import { query } from '../config/database.js';
+import { CommissionLedger } from '../models/CommissionLedger.js';
+import { loadRateBook, priceTrade, getReferredUserIds, getIBUserId } from './commissionEngine.js';
+
+/**
+ * What-if pricing: replay an IB's closed trades in a window through the commission engine with
+ * proposed rates and compare the result with what the ledger actually holds for those trades.
+ * Nothing is written.
+ *
+ * A proposed change sets usdPerLot and/or spreadSharePercentage for
+ *   { scope: 'group', groupId }             - every assignment to that MT5 group
+ *   { scope: 'structure', structureId }     - every assignment using that commission structure
+ *   { scope: 'ib', ibRequestId[, groupId] } - one IB's assignments (and its default rates)
+ * The most specific change wins (ib + group, ib, structure, group). Structure symbol overrides,
+ * eligibility rules and master IB override rules still apply on top. Trades in closed periods are
+ * replayed as if unlocked, so the comparison shows what the proposed rates would have paid.
+ * Trade commission and master IB overrides are compared; CPA, revenue share and adjustments are not.
+ */
+
+export const SIMULATION_SCOPES = Object.freeze(['group', 'structure', 'ib']);
+const MAX_WINDOW_DAYS = Number(process.env.COMMISSION_SIMULATION_MAX_DAYS || 366);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round = (n, digits = 6) => Math.round(Number(n || 0) * 10 ** digits) / 10 ** digits;
+
+const rateValue = (raw, field, max) => {
+  if (raw === undefined || raw === null || raw === '') return null;
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < 0 || (max !== undefined && n > max)) {
+    throw new Error(`${field} must be a non-negative number${max !== undefined ? ` up to ${max}` : ''}`);
+  }
+  return n;
+};
+
+/**
+ * Validate a simulation request ({ fromDate, toDate, changes, ibRequestIds? }). Throws on bad input.
+ */
+export function normalizeSimulation(input) {
+  const fromDate = new Date(input?.fromDate);
+  const toDate = new Date(input?.toDate);
+  if (!input?.fromDate || !input?.toDate || Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
+    throw new Error('fromDate and toDate must be valid dates');
+  }
+  if (fromDate > toDate) throw new Error('fromDate must not be after toDate');
+  if (toDate.getTime() - fromDate.getTime() > MAX_WINDOW_DAYS * DAY_MS) {
+    throw new Error(`The window can span at most ${MAX_WINDOW_DAYS} days`);
+  }
+
+  if (!Array.isArray(input.changes) || input.changes.length === 0) {
+    throw new Error('changes must be a non-empty array');
+  }
+  const changes = input.changes.map((raw, i) => {
+    const scope = String(raw?.scope || '').toLowerCase();
+    if (!SIMULATION_SCOPES.includes(scope)) {
+      throw new Error(`changes[${i}].scope must be one of ${SIMULATION_SCOPES.join(', ')}`);
+    }
+    const change = {
+      scope,
+      groupId: raw.groupId ? String(raw.groupId).trim() : null,
+      structureId: null,
+      ibRequestId: null,
+      usdPerLot: rateValue(raw.usdPerLot, `changes[${i}].usdPerLot`),
+      spreadSharePercentage: rateValue(raw.spreadSharePercentage, `changes[${i}].spreadSharePercentage`, 100)
+    };
+    if (change.usdPerLot === null && change.spreadSharePercentage === null) {
+      throw new Error(`changes[${i}] must set usdPerLot or spreadSharePercentage`);
+    }
+    if (scope === 'group' && !change.groupId) throw new Error(`changes[${i}].groupId is required`);
+    if (scope === 'structure') {
+      change.structureId = Number.parseInt(raw.structureId, 10);
+      if (!Number.isFinite(change.structureId)) throw new Error(`changes[${i}].structureId is required`);
+    }
+    if (scope === 'ib') {
+      change.ibRequestId = Number.parseInt(raw.ibRequestId, 10);
+      if (!Number.isFinite(change.ibRequestId)) throw new Error(`changes[${i}].ibRequestId is required`);
+    }
+    return change;
+  });
+
+  let ibRequestIds = null;
+  if (input.ibRequestIds !== undefined && input.ibRequestIds !== null) {
+    if (!Array.isArray(input.ibRequestIds)) throw new Error('ibRequestIds must be an array');
+    ibRequestIds = input.ibRequestIds.map(id => Number.parseInt(id, 10));
+    if (ibRequestIds.some(id => !Number.isFinite(id))) throw new Error('ibRequestIds must be numbers');
+  }
+  return { fromDate: fromDate.toISOString(), toDate: toDate.toISOString(), changes, ibRequestIds };
+}
+
+const sameGroup = (a, b) => Boolean(a && b) && String(a).toLowerCase() === String(b).toLowerCase();
+
+/**
+ * The change that applies to one of an IB's assignment versions, or null
+ */
+function changeFor(changes, ibRequestId, version) {
+  const ib = changes.filter(c => c.scope === 'ib' && c.ibRequestId === Number(ibRequestId));
+  return ib.find(c => c.groupId && sameGroup(c.groupId, version.group_id))
+    || ib.find(c => !c.groupId)
+    || changes.find(c => c.scope === 'structure' && version.structure_id && c.structureId === Number(version.structure_id))
+    || changes.find(c => c.scope === 'group' && sameGroup(c.groupId, version.group_id))
+    || null;
+}
+
+/**
+ * A copy of a rate book with the proposed rates applied to its assignment versions and IB defaults
+ */
+export function applyProposal(book, changes) {
+  const versions = book.versions.map(version => {
+    const change = changeFor(changes, book.ibRequestId, version);
+    if (!change) return version;
+    return {
+      ...version,
+      usd_per_lot: change.usdPerLot ?? version.usd_per_lot,
+      spread_share_percentage: change.spreadSharePercentage ?? version.spread_share_percentage
+    };
+  });
+  const ibChange = changes.find(c => c.scope === 'ib' && c.ibRequestId === Number(book.ibRequestId) && !c.groupId);
+  const ibDefault = ibChange && book.ibDefault
+    ? {
+      usdPerLot: ibChange.usdPerLot ?? book.ibDefault.usdPerLot,
+      spreadPct: ibChange.spreadSharePercentage ?? book.ibDefault.spreadPct
+    }
+    : book.ibDefault;
+  return { ...book, versions, byId: new Map(versions.map(v => [Number(v.id), v])), ibDefault };
+}
+
+const emptyAmounts = () => ({ trade: 0, overrides: 0, total: 0 });
+const addAmount = (amounts, source, amount) => {
+  if (source === 'trade') amounts.trade += amount;
+  else if (source === 'override') amounts.overrides += amount;
+  else return;
+  amounts.total += amount;
+};
+const finishAmounts = (amounts) => ({
+  trade: round(amounts.trade),
+  overrides: round(amounts.overrides),
+  total: round(amounts.total)
+});
+
+/**
+ * IBs with closed trades in the window: the requested ones, else those the changes touch
+ */
+async function listSimulatedIBs({ fromDate, toDate, changes, ibRequestIds }) {
+  const params = [fromDate, toDate];
+  let scope;
+  if (ibRequestIds) {
+    params.push(ibRequestIds);
+    scope = `t.ib_request_id = ANY($${params.length}::int[])`;
+  } else {
+    params.push(
+      changes.filter(c => c.scope === 'ib').map(c => c.ibRequestId),
+      changes.filter(c => c.scope === 'structure').map(c => c.structureId),
+      changes.filter(c => c.scope === 'group').map(c => c.groupId.toLowerCase())
+    );
+    scope = `(t.ib_request_id = ANY($3::int[]) OR EXISTS (
+               SELECT 1 FROM ib_group_assignment_history h
+               WHERE h.ib_request_id = t.ib_request_id
+                 AND (h.structure_id = ANY($4::int[]) OR LOWER(h.group_id) = ANY($5::text[]))
+             ))`;
+  }
+  const result = await query(
+    `SELECT DISTINCT t.ib_request_id
+     FROM ib_trade_history t
+     WHERE t.ib_request_id IS NOT NULL AND t.close_price IS NOT NULL AND t.close_price > 0
+       AND COALESCE(t.close_time, t.synced_at) >= $1 AND COALESCE(t.close_time, t.synced_at) <= $2
+       AND ${scope}
+     ORDER BY t.ib_request_id`,
+    params
+  );
+  return result.rows.map(row => Number(row.ib_request_id));
+}
+
+/**
+ * Replay one IB's trades in the window. Adds actual and proposed amounts to `results`
+ * (Map(receiving IB -> row)): the IB's trade commission and its uplines' overrides.
+ */
+async function simulateIB(ibRequestId, { fromDate, toDate, changes }, results) {
+  const book = await loadRateBook(ibRequestId);
+  const proposedBook = applyProposal(book, changes);
+  const [tradesRes, referred, ibUserId] = await Promise.all([
+    query(
+      `SELECT t.id, t.user_id, t.account_id, t.group_id, t.symbol, t.volume_lots, t.profit, t.ib_commission,
+              t.ib_spread_commission, t.rate_version_id, t.commission_locked_at, t.open_time, t.close_time, t.synced_at,
+              t.open_price, t.close_price
+       FROM ib_trade_history t
+       WHERE t.ib_request_id = $1 AND t.close_price IS NOT NULL AND t.close_price > 0
+         AND COALESCE(t.close_time, t.synced_at) >= $2 AND COALESCE(t.close_time, t.synced_at) <= $3`,
+      [ibRequestId, fromDate, toDate]
+    ),
+    getReferredUserIds(ibRequestId),
+    getIBUserId(ibRequestId)
+  ]);
+  const allowed = new Set(referred.filter(id => id !== ibUserId));
+  const nets = await CommissionLedger.getTradeNets(tradesRes.rows.map(t => t.id));
+
+  const row = (id) => {
+    if (!results.has(id)) {
+      results.set(id, { ibRequestId: id, trades: 0, lots: 0, changedTrades: 0, actual: emptyAmounts(), proposed: emptyAmounts() });
+    }
+    return results.get(id);
+  };
+  const own = row(Number(ibRequestId));
+  for (const trade of tradesRes.rows) {
+    const priced = priceTrade(proposedBook, { ...trade, commission_locked_at: null });
+    const eligible = allowed.has(String(trade.user_id)) && priced.lots > 0;
+    const net = nets.get(String(trade.id));
+    let actualTrade = 0;
+    for (const held of net ? net.byKey.values() : []) {
+      addAmount(row(held.ibRequestId).actual, held.source, held.amount);
+      if (held.ibRequestId === Number(ibRequestId) && held.source === 'trade') actualTrade = held.amount;
+    }
+    if (eligible) {
+      own.trades += 1;
+      own.lots += priced.lots;
+      if (round(priced.total) > 0) addAmount(own.proposed, 'trade', round(priced.total));
+      priced.uplineOverrides.forEach(o => addAmount(row(o.ibRequestId).proposed, 'override', round(o.amount)));
+    }
+    if (round(eligible ? Math.max(priced.total, 0) : 0) !== round(actualTrade)) own.changedTrades += 1;
+  }
+}
+
+/**
+ * Run a what-if simulation (see normalizeSimulation for the input). Returns
+ * { window, changes, ibs: [{ ibRequestId, name, email, trades, lots, changedTrades, actual, proposed,
+ * difference }], totals, failedIBs }; amounts are { trade, overrides, total }.
+ */
+export async function simulateRates(input) {
+  const simulation = normalizeSimulation(input);
+  const results = new Map();
+  const failedIBs = [];
+  for (const ibRequestId of await listSimulatedIBs(simulation)) {
+    try {
+      await simulateIB(ibRequestId, simulation, results);
+    } catch (error) {
+      console.error(`[CommissionSimulator] Simulation failed for IB ${ibRequestId}:`, error.message);
+      failedIBs.push({ ibRequestId, error: error.message });
+    }
+  }
+
+  const ids = Array.from(results.keys());
+  const namesRes = ids.length
+    ? await query('SELECT id, full_name, email FROM ib_requests WHERE id = ANY($1::int[])', [ids])
+    : { rows: [] };
+  const names = new Map(namesRes.rows.map(r => [Number(r.id), r]));
+
+  const totals = { trades: 0, lots: 0, changedTrades: 0, actual: emptyAmounts(), proposed: emptyAmounts() };
+  const ibs = Array.from(results.values()).map(r => {
+    totals.trades += r.trades;
+    totals.lots += r.lots;
+    totals.changedTrades += r.changedTrades;
+    for (const source of ['trade', 'overrides']) {
+      totals.actual[source] += r.actual[source];
+      totals.proposed[source] += r.proposed[source];
+    }
+    totals.actual.total += r.actual.total;
+    totals.proposed.total += r.proposed.total;
+    return {
+      ...r,
+      name: names.get(r.ibRequestId)?.full_name || null,
+      email: names.get(r.ibRequestId)?.email || null,
+      lots: round(r.lots, 4)
+    };
+  });
+  const finish = (r) => {
+    const actual = finishAmounts(r.actual);
+    const proposed = finishAmounts(r.proposed);
+    return {
+      ...r,
+      actual,
+      proposed,
+      difference: {
+        trade: round(proposed.trade - actual.trade),
+        overrides: round(proposed.overrides - actual.overrides),
+        total: round(proposed.total - actual.total)
+      }
+    };
+  };
+
+  return {
+    window: { fromDate: simulation.fromDate, toDate: simulation.toDate },
+    changes: simulation.changes,
+    ibs: ibs.map(finish).sort((a, b) => Math.abs(b.difference.total) - Math.abs(a.difference.total) || a.ibRequestId - b.ibRequestId),
+    totals: finish({ ...totals, ibs: ibs.length, lots: round(totals.lots, 4) }),
+    failedIBs
+  };
+}
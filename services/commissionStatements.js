@@ -0,0 +1,161 @@
+import { query } from '../config/database.js';
+import { CommissionPeriod } from '../models/CommissionPeriod.js';
+import { CommissionStatement } from '../models/CommissionStatement.js';
+import { accrueCommission, repriceShortTradeAccounts } from './commissionEngine.js';
+
+export const STATEMENT_FORMATS = Object.freeze(['json', 'csv', 'html']);
+
+/**
+ * Write the missing statements of a closed period. Trades locked by the close are accrued first so
+ * the ledger holds their locked amounts. Returns { generated, failedIBs }.
+ */
+export async function generateStatements(period, { generatedBy = null } = {}) {
+  const lockedRes = await query(
+    'SELECT DISTINCT ib_request_id FROM ib_trade_history WHERE commission_period_id = $1 AND ib_request_id IS NOT NULL',
+    [period.id]
+  );
+  const failedIBs = [];
+  for (const row of lockedRes.rows) {
+    try {
+      await accrueCommission(row.ib_request_id);
+    } catch (error) {
+      console.error(`[CommissionStatement] Accrual before statement failed for IB ${row.ib_request_id}:`, error.message);
+      failedIBs.push({ ibRequestId: row.ib_request_id, error: error.message });
+    }
+  }
+
+  let generated = 0;
+  for (const ibRequestId of await CommissionStatement.listMissingIBs(period)) {
+    if (failedIBs.some(f => Number(f.ibRequestId) === ibRequestId)) continue;
+    try {
+      if (await CommissionStatement.snapshot(period, ibRequestId, { generatedBy })) generated += 1;
+    } catch (error) {
+      console.error(`[CommissionStatement] Statement failed for IB ${ibRequestId}:`, error.message);
+      failedIBs.push({ ibRequestId, error: error.message });
+    }
+  }
+  console.log(`[CommissionStatement] ${period.name}: ${generated} statement(s) generated, ${failedIBs.length} failed`);
+  return { generated, failedIBs };
+}
+
+/**
+ * Close a period (locking its trades) and generate its statements. Accounts under short-trade rules
+ * are repriced before the lock, so the month's short-trade share is applied to what gets locked.
+ * Returns null if the period is missing or already closed.
+ */
+export async function closePeriod(id, { closedBy = null } = {}) {
+  const period = await CommissionPeriod.close(id, {
+    closedBy,
+    beforeLock: (p) => repriceShortTradeAccounts({ from: p.period_start, to: p.period_end })
+  });
+  if (!period) return null;
+  const statements = await generateStatements(period, { generatedBy: closedBy });
+  return { period, statements };
+}
+
+const money = (n) => Number(n || 0).toFixed(2);
+const day = (d) => new Date(d).toISOString().slice(0, 10);
+// period_end is exclusive; statements show the last day inside the period
+const lastDay = (d) => day(new Date(new Date(d).getTime() - 1));
+
+const summaryRows = (s) => [
+  ['Opening balance', money(s.opening_balance)],
+  ['Fixed commission', money(s.fixed_commission)],
+  ['Spread commission', money(s.spread_commission)],
+  ['Trade commission', money(s.trade_commission)],
+  ['Master IB overrides', money(s.overrides)],
+  ['CPA', money(s.cpa)],
+  ['Revenue share', money(s.revenue_share)],
+  ['Adjustments', money(s.adjustments)],
+  ['Clawbacks', money(s.clawbacks)],
+  ['Payouts', money(s.payouts)],
+  ['Closing balance', money(s.closing_balance)]
+];
+const breakdowns = (s) => [
+  ['Account', s.by_account || []],
+  ['Group', s.by_group || []],
+  ['Symbol', s.by_symbol || []]
+];
+const breakdownRow = (r) => [r.key, r.trades, Number(r.lots || 0).toFixed(2), money(r.fixed), money(r.spread), money(r.total), money(r.profit)];
+const BREAKDOWN_HEADERS = ['Trades', 'Lots', 'Fixed', 'Spread', 'Commission', 'Client P/L'];
+
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Names and symbols must not be read as spreadsheet formulas
+  if (/^[=+\-@]/.test(text) && !Number.isFinite(Number(text))) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function statementToCsv(s) {
+  const lines = [
+    ['Commission statement', s.period_name],
+    ['IB', s.ib_name || '', s.ib_email || ''],
+    ['Period', day(s.period_start), lastDay(s.period_end)],
+    ['Generated', new Date(s.generated_at).toISOString()],
+    [],
+    ...summaryRows(s)
+  ];
+  for (const [label, rows] of breakdowns(s)) {
+    lines.push([], [label, ...BREAKDOWN_HEADERS], ...rows.map(breakdownRow));
+  }
+  return lines.map(line => line.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+const html = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+export function statementToHtml(s) {
+  const table = (label, rows) => `
+  <h2>By ${html(label.toLowerCase())}</h2>
+  <table>
+    <thead><tr><th>${html(label)}</th>${BREAKDOWN_HEADERS.map(h => `<th class="num">${h}</th>`).join('')}</tr></thead>
+    <tbody>${rows.length
+      ? rows.map(r => `<tr>${breakdownRow(r).map((v, i) => `<td${i ? ' class="num"' : ''}>${html(v)}</td>`).join('')}</tr>`).join('')
+      : `<tr><td colspan="${BREAKDOWN_HEADERS.length + 1}">No trades</td></tr>`}</tbody>
+  </table>`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Commission statement ${html(s.period_name)}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; color: #222; margin: 32px; }
+    h1 { font-size: 20px; margin-bottom: 4px; }
+    h2 { font-size: 15px; margin-top: 28px; }
+    p.meta { color: #555; margin: 2px 0; }
+    table { border-collapse: collapse; width: 100%; margin-top: 8px; }
+    th, td { border-bottom: 1px solid #ddd; padding: 6px 8px; text-align: left; font-size: 13px; }
+    .num { text-align: right; }
+    table.summary { width: 360px; }
+    table.summary tr:last-child td { font-weight: bold; border-top: 2px solid #222; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>Commission statement ${html(s.period_name)}</h1>
+  <p class="meta">${html(s.ib_name || '')} ${s.ib_email ? `&lt;${html(s.ib_email)}&gt;` : ''}</p>
+  <p class="meta">Period ${html(day(s.period_start))} to ${html(lastDay(s.period_end))} (UTC)</p>
+  <p class="meta">Generated ${html(new Date(s.generated_at).toISOString())}</p>
+  <h2>Summary</h2>
+  <table class="summary">
+    <tbody>${summaryRows(s).map(([label, value]) => `<tr><td>${html(label)}</td><td class="num">${html(value)}</td></tr>`).join('')}</tbody>
+  </table>${breakdowns(s).map(([label, rows]) => table(label, rows)).join('')}
+</body>
+</html>
+`;
+}
+
+/**
+ * A statement as a download: { contentType, filename, body }
+ */
+export function renderStatement(statement, format) {
+  const filename = `commission-statement-${String(statement.period_name || statement.period_id).replace(/[^\w.-]+/g, '_')}-ib${statement.ib_request_id}`;
+  if (format === 'csv') {
+    return { contentType: 'text/csv; charset=utf-8', filename: `${filename}.csv`, body: statementToCsv(statement) };
+  }
+  return { contentType: 'text/html; charset=utf-8', filename: `${filename}.html`, body: statementToHtml(statement) };
+}
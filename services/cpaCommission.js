@@ -0,0 +1,204 @@
+import { query, withTransaction } from '../config/database.js';
+import { CpaPlan } from '../models/CpaPlan.js';
+import { CommissionLedger } from '../models/CommissionLedger.js';
+import { TRADE_CLOSE_TIME_SQL } from '../models/IBTradeHistory.js';
+import { getReferredUserIds, getIBUserId } from './commissionEngine.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * What each client has done so far: first deposit, referral time, lots traded and real accounts.
+ * Returns Map(user id -> facts).
+ */
+async function loadClientFacts(ibRequestId, userIds) {
+  const facts = new Map(userIds.map(id => [String(id), {
+    userId: String(id),
+    referredAt: null,
+    firstDepositAmount: null,
+    firstDepositAt: null,
+    realAccounts: 0,
+    trades: []
+  }]));
+  if (!userIds.length) return facts;
+  const ids = userIds.map(String);
+
+  const [referralsRes, depositsRes, tradesRes] = await Promise.all([
+    query(
+      `SELECT user_id, MIN(created_at) AS referred_at FROM ib_referrals
+       WHERE ib_request_id = $1 AND user_id = ANY($2::text[])
+       GROUP BY user_id`,
+      [ibRequestId, ids]
+    ),
+    query(
+      `SELECT DISTINCT ON (user_id) user_id, amount, operation_time
+       FROM client_funding_operations
+       WHERE type = 'deposit' AND user_id = ANY($1::text[])
+       ORDER BY user_id, operation_time ASC`,
+      [ids]
+    ),
+    query(
+      `SELECT user_id, volume_lots, ${TRADE_CLOSE_TIME_SQL} AS closed_at
+       FROM ib_trade_history
+       WHERE ib_request_id = $1 AND user_id = ANY($2::text[]) AND close_price IS NOT NULL AND close_price > 0`,
+      [ibRequestId, ids]
+    )
+  ]);
+  referralsRes.rows.forEach(row => { facts.get(String(row.user_id)).referredAt = row.referred_at; });
+  depositsRes.rows.forEach(row => {
+    const fact = facts.get(String(row.user_id));
+    fact.firstDepositAmount = Number(row.amount);
+    fact.firstDepositAt = row.operation_time;
+  });
+  tradesRes.rows.forEach(row => {
+    facts.get(String(row.user_id))?.trades.push({ lots: Number(row.volume_lots || 0), closedAt: row.closed_at });
+  });
+
+  try {
+    const accountsRes = await query(
+      `SELECT "userId" AS user_id, COUNT(*)::int AS real_accounts
+       FROM "MT5Account"
+       WHERE "userId" = ANY($1::text[])
+         AND LOWER("accountType") IN ('live','real')
+         AND ("package" IS NULL OR LOWER("package") NOT LIKE '%demo%')
+       GROUP BY "userId"`,
+      [ids]
+    );
+    accountsRes.rows.forEach(row => {
+      const fact = facts.get(String(row.user_id));
+      if (fact) fact.realAccounts = Number(row.real_accounts || 0);
+    });
+  } catch (error) {
+    console.warn('[CPA] Could not load MT5 account types:', error.message);
+  }
+  return facts;
+}
+
+/**
+ * Check one client against a plan. Returns { qualified, checks: [{ rule, required, actual, passed }] }.
+ * The lots window starts when the client was referred (or, failing that, at their first deposit
+ * or first closed trade).
+ */
+export function checkQualification(plan, fact) {
+  const checks = [];
+  if (plan.min_first_deposit !== null && plan.min_first_deposit !== undefined) {
+    const required = Number(plan.min_first_deposit);
+    checks.push({
+      rule: 'minFirstDeposit',
+      required,
+      actual: fact.firstDepositAmount,
+      firstDepositAt: fact.firstDepositAt,
+      passed: fact.firstDepositAmount !== null && fact.firstDepositAmount >= required
+    });
+  }
+  if (plan.min_lots !== null && plan.min_lots !== undefined) {
+    const required = Number(plan.min_lots);
+    const firstTradeAt = fact.trades.reduce((min, t) => (!min || new Date(t.closedAt) < new Date(min) ? t.closedAt : min), null);
+    const windowStart = fact.referredAt || fact.firstDepositAt || firstTradeAt;
+    const windowEnd = plan.lots_within_days && windowStart
+      ? new Date(new Date(windowStart).getTime() + Number(plan.lots_within_days) * DAY_MS)
+      : null;
+    const lots = fact.trades
+      .filter(t => !windowEnd || (new Date(t.closedAt) >= new Date(windowStart) && new Date(t.closedAt) < windowEnd))
+      .reduce((sum, t) => sum + t.lots, 0);
+    checks.push({
+      rule: 'minLots',
+      required,
+      withinDays: plan.lots_within_days ?? null,
+      windowStart,
+      windowEnd,
+      actual: Math.round(lots * 100) / 100,
+      passed: lots >= required
+    });
+  }
+  if (plan.require_real_account) {
+    checks.push({ rule: 'requireRealAccount', required: true, actual: fact.realAccounts, passed: fact.realAccounts > 0 });
+  }
+  return { qualified: checks.length > 0 && checks.every(c => c.passed), checks };
+}
+
+/**
+ * Where each referred client of an IB stands against its CPA plan (nothing is paid)
+ */
+export async function previewCpa(ibRequestId) {
+  const plan = await CpaPlan.getForIB(ibRequestId);
+  if (!plan) return { ibRequestId, plan: null, clients: [] };
+  const [referred, ibUserId] = await Promise.all([getReferredUserIds(ibRequestId), getIBUserId(ibRequestId)]);
+  const userIds = referred.filter(id => id !== ibUserId);
+  const [facts, paid] = await Promise.all([loadClientFacts(ibRequestId, userIds), CpaPlan.getPaidUserIds(userIds)]);
+  const clients = userIds.map(userId => ({
+    userId,
+    paid: paid.has(String(userId)),
+    ...checkQualification(plan, facts.get(String(userId)))
+  }));
+  return { ibRequestId, plan, clients };
+}
+
+/**
+ * Pay the IB's plan amount for every referred client that now qualifies and was never paid.
+ * Returns { ibRequestId, planId, checked, paid, amount }.
+ */
+export async function evaluateIBCpa(ibRequestId) {
+  const { plan, clients } = await previewCpa(ibRequestId);
+  if (!plan) return { ibRequestId, planId: null, checked: 0, paid: 0, amount: 0 };
+
+  let paid = 0;
+  let amount = 0;
+  for (const client of clients) {
+    if (client.paid || !client.qualified) continue;
+    // The payout row and its ledger credit commit together: a failed post leaves the client unpaid
+    const payout = await withTransaction(async (db) => {
+      const row = await CpaPlan.recordPayout({
+        ibRequestId,
+        userId: client.userId,
+        plan,
+        evidence: { planName: plan.name, checks: client.checks }
+      }, { client: db });
+      // Another IB or a concurrent run already paid for this client
+      if (!row) return null;
+      const entry = await CommissionLedger.post({
+        ibRequestId,
+        entryType: 'accrual',
+        source: 'cpa',
+        amount: Number(row.amount),
+        userId: client.userId,
+        cpaPayoutId: row.id,
+        description: `CPA ${plan.name}: client ${client.userId} qualified`,
+        createdBy: 'cpa-evaluate'
+      }, { client: db });
+      await CpaPlan.setLedgerEntry(row.id, entry.id, { client: db });
+      return row;
+    });
+    if (!payout) continue;
+    paid += 1;
+    amount += Number(payout.amount);
+  }
+  if (paid > 0) console.log(`[CPA] IB ${ibRequestId}: paid ${paid} client(s), $${amount}`);
+  return { ibRequestId, planId: plan.id, checked: clients.length, paid, amount };
+}
+
+/**
+ * Evaluate every approved IB that is on a CPA plan
+ */
+export async function evaluateAllCpa() {
+  const result = await query(
+    `SELECT a.ib_request_id FROM ib_cpa_plans a
+     JOIN ib_requests ir ON ir.id = a.ib_request_id
+     WHERE LOWER(TRIM(ir.status)) = 'approved'
+     ORDER BY a.ib_request_id`
+  );
+  const ibs = [];
+  for (const row of result.rows) {
+    try {
+      ibs.push(await evaluateIBCpa(row.ib_request_id));
+    } catch (error) {
+      console.error(`[CPA] Error evaluating IB ${row.ib_request_id}:`, error.message);
+      ibs.push({ ibRequestId: row.ib_request_id, error: error.message, paid: 0, amount: 0 });
+    }
+  }
+  return {
+    ibs: ibs.length,
+    paid: ibs.reduce((sum, ib) => sum + ib.paid, 0),
+    amount: ibs.reduce((sum, ib) => sum + ib.amount, 0),
+    failedIBs: ibs.filter(ib => ib.error).map(ib => ({ ibRequestId: ib.ibRequestId, error: ib.error }))
+  };
+}
@@ -0,0 +1,75 @@
+import { query } from '../config/database.js';
+import { ClientFunding } from '../models/ClientFunding.js';
+import { fetchBalanceOperations } from './mt5Gateway.js';
+import { listIBAccounts } from './tradeSync.js';
+import { mapWithConcurrency } from './workerPool.js';
+
+const INITIAL_LOOKBACK_DAYS = Number(process.env.FUNDING_SYNC_INITIAL_DAYS || 365);
+// Re-read a little before the watermark; inserts are idempotent
+const OVERLAP_MS = 24 * 60 * 60 * 1000;
+const FUNDING_CONCURRENCY = Number(process.env.FUNDING_SYNC_CONCURRENCY || process.env.TRADE_SYNC_CONCURRENCY || 4);
+
+/**
+ * Ingest new balance operations for one account
+ */
+export async function syncAccountFunding({ accountId, userId = null, ibRequestId = null, fromDate = null, toDate = null }) {
+  const account = { accountId, userId, ibRequestId };
+  try {
+    const cursor = await ClientFunding.getCursor(accountId);
+    const from = fromDate
+      ? new Date(fromDate)
+      : cursor?.last_operation_time
+        ? new Date(new Date(cursor.last_operation_time).getTime() - OVERLAP_MS)
+        : new Date(Date.now() - INITIAL_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    const to = toDate ? new Date(toDate) : new Date();
+
+    const operations = await fetchBalanceOperations({ accountId, fromDate: from.toISOString(), toDate: to.toISOString() });
+    const inserted = await ClientFunding.recordOperations(account, operations);
+    return { accountId: String(accountId), fetched: operations.length, inserted };
+  } catch (error) {
+    console.error(`[Funding] Sync failed for account ${accountId}:`, error.message);
+    await ClientFunding.recordFailure(account, error.message)
+      .catch(e => console.error(`[Funding] Could not record failure for account ${accountId}:`, e.message));
+    return { accountId: String(accountId), error: error.message };
+  }
+}
+
+/**
+ * Ingest balance operations for every referred account of an IB
+ */
+export async function syncIBFunding(ibRequestId, { fromDate = null, toDate = null } = {}) {
+  const { ib, accounts } = await listIBAccounts(ibRequestId);
+  const referred = accounts.filter(a => !a.own);
+  const results = await mapWithConcurrency(referred, FUNDING_CONCURRENCY, (account) =>
+    syncAccountFunding({ accountId: account.accountId, userId: account.userId, ibRequestId: ib.id, fromDate, toDate })
+  );
+  return {
+    ibRequestId: ib.id,
+    accounts: results.length,
+    inserted: results.reduce((sum, r) => sum + Number(r.inserted || 0), 0),
+    failed: results.filter(r => r.error).map(r => ({ accountId: r.accountId, error: r.error }))
+  };
+}
+
+/**
+ * Ingest balance operations for every approved IB's network
+ */
+export async function syncAllFunding() {
+  const result = await query("SELECT id FROM ib_requests WHERE LOWER(TRIM(status)) = 'approved' ORDER BY id");
+  const ibs = [];
+  for (const row of result.rows) {
+    try {
+      ibs.push(await syncIBFunding(row.id));
+    } catch (error) {
+      console.error(`[Funding] Error processing IB ${row.id}:`, error.message);
+      ibs.push({ ibRequestId: row.id, error: error.message, accounts: 0, inserted: 0, failed: [] });
+    }
+  }
+  return {
+    ibs: ibs.length,
+    accounts: ibs.reduce((sum, ib) => sum + ib.accounts, 0),
+    inserted: ibs.reduce((sum, ib) => sum + ib.inserted, 0),
+    failedAccounts: ibs.reduce((sum, ib) => sum + ib.failed.length, 0),
+    failedIBs: ibs.filter(ib => ib.error).map(ib => ({ ibRequestId: ib.ibRequestId, error: ib.error }))
+  };
+}
@@ -2,6 +2,7 @@ import { query } from '../config/database.js';
 // import { IBLevelUpHistory } from '../models/IBLevelUpHistory.js'; // File removed
 import { GroupCommissionStructures } from '../models/GroupCommissionStructures.js';
 import { IBGroupAssignment } from '../models/IBGroupAssignment.js';
+import { TRADE_CLOSE_TIME_SQL } from '../models/IBTradeHistory.js';
 
 /**
  * Calculate total trading volume for an IB (in USD)
@@ -45,7 +46,7 @@ export async function calculateIBActiveClients(ibRequestId) {
         SELECT COUNT(DISTINCT account_id) as active_clients
         FROM ib_trade_history
         WHERE ib_request_id = $1
-          AND created_at >= $2
+          AND ${TRADE_CLOSE_TIME_SQL} >= $2
       `,
       [ibRequestId, thirtyDaysAgo.toISOString()]
     );
@@ -135,7 +136,8 @@ export async function checkAndUpgradeIB(ibRequestId) {
           eligibleStructure.id,
           eligibleStructure.structure_name,
           eligibleStructure.usd_per_lot,
-          eligibleStructure.spread_share_percentage
+          eligibleStructure.spread_share_percentage,
+          { changedBy: 'system:auto-upgrade', reason: 'auto-upgrade' }
         );
 
         upgrades.push({
@@ -0,0 +1,186 @@
+import { hostname } from 'os';
+import { BackgroundJob } from '../models/BackgroundJob.js';
+import { JobSchedule } from '../models/JobSchedule.js';
+
+/**
+ * Postgres-backed scheduler and worker loop.
+ * Each tick: fire due schedules, recover jobs from crashed workers, then drain the queue.
+ * Every instance can run the loop; row locks keep schedules and jobs from running twice.
+ */
+
+const handlers = new Map();
+const WORKER_ID = `${hostname()}:${process.pid}`;
+
+let timer = null;
+let ticking = false;
+let stopping = false;
+
+function getSchedulerConfig() {
+  return {
+    pollIntervalMs: Number(process.env.JOB_POLL_INTERVAL_MS || 5000),
+    lockTimeoutMs: Number(process.env.JOB_LOCK_TIMEOUT_MS || 30 * 60 * 1000),
+    // How often a running job renews its lock; well inside lockTimeoutMs
+    heartbeatMs: Number(process.env.JOB_HEARTBEAT_MS || 60 * 1000),
+    backoffBaseMs: Number(process.env.JOB_RETRY_BACKOFF_MS || 30000),
+    maxJobsPerTick: Number(process.env.JOB_MAX_PER_TICK || 50)
+  };
+}
+
+export function getWorkerId() {
+  return WORKER_ID;
+}
+
+/**
+ * Register the function that runs jobs of a type. The handler receives (payload, job)
+ * and its return value is stored as the job result.
+ */
+export function registerJobHandler(jobType, handler) {
+  handlers.set(jobType, handler);
+}
+
+export function getRegisteredJobTypes() {
+  return Array.from(handlers.keys());
+}
+
+export async function enqueueJob(jobType, payload = {}, options = {}) {
+  if (!handlers.has(jobType)) {
+    throw new Error(`Unknown job type: ${jobType}`);
+  }
+  return BackgroundJob.enqueue(jobType, payload, options);
+}
+
+/**
+ * Enqueue a schedule's job now, outside its interval (admin "run now")
+ */
+export async function triggerSchedule(name, { triggeredBy = 'admin' } = {}) {
+  const schedule = await JobSchedule.findByName(name);
+  if (!schedule) return null;
+  const job = await enqueueJob(schedule.job_type, schedule.payload, {
+    dedupeKey: `schedule:${schedule.name}`,
+    maxAttempts: schedule.max_attempts,
+    scheduleName: schedule.name,
+    triggeredBy
+  });
+  return { schedule, job };
+}
+
+async function dispatchDueSchedules() {
+  for (;;) {
+    const schedule = await JobSchedule.claimDue();
+    if (!schedule) return;
+    const job = await BackgroundJob.enqueue(schedule.job_type, schedule.payload, {
+      dedupeKey: `schedule:${schedule.name}`,
+      maxAttempts: schedule.max_attempts,
+      scheduleName: schedule.name,
+      triggeredBy: 'schedule'
+    });
+    if (!job) {
+      console.log(`[Scheduler] Schedule ${schedule.name} still has an active job, skipping this interval`);
+    }
+  }
+}
+
+/**
+ * Renew the job's lock every heartbeatMs while its handler runs. Returns a stop function.
+ */
+function startHeartbeat(job) {
+  const { heartbeatMs } = getSchedulerConfig();
+  const interval = setInterval(async () => {
+    try {
+      const held = await BackgroundJob.renewLock(job.id, WORKER_ID);
+      if (!held) {
+        console.warn(`[Scheduler] Job ${job.id} (${job.job_type}) lost its lock; another worker may rerun it`);
+        clearInterval(interval);
+      }
+    } catch (error) {
+      console.error(`[Scheduler] Heartbeat for job ${job.id} failed:`, error?.message || error);
+    }
+  }, heartbeatMs);
+  interval.unref?.();
+  return () => clearInterval(interval);
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.job_type);
+  const startedAt = Date.now();
+  const { backoffBaseMs } = getSchedulerConfig();
+  if (!handler) {
+    await BackgroundJob.markFailed(job.id, WORKER_ID, `No handler registered for job type ${job.job_type}`, { backoffBaseMs });
+    return;
+  }
+
+  const stopHeartbeat = startHeartbeat(job);
+  try {
+    console.log(`[Scheduler] Running job ${job.id} (${job.job_type}) attempt ${job.attempts}/${job.max_attempts}`);
+    const result = await handler(job.payload || {}, job);
+    stopHeartbeat();
+    const updated = await BackgroundJob.markSucceeded(job.id, WORKER_ID, result ?? null);
+    if (!updated) {
+      console.warn(`[Scheduler] Job ${job.id} (${job.job_type}) finished after losing its lock; result discarded`);
+      return;
+    }
+    console.log(`[Scheduler] Job ${job.id} (${job.job_type}) succeeded in ${Date.now() - startedAt}ms`);
+  } catch (error) {
+    stopHeartbeat();
+    const updated = await BackgroundJob.markFailed(job.id, WORKER_ID, error?.message || String(error), { backoffBaseMs });
+    if (!updated) {
+      console.warn(`[Scheduler] Job ${job.id} (${job.job_type}) failed after losing its lock; failure not recorded:`, error?.message || error);
+    } else if (updated.status === 'dead') {
+      console.error(`[Scheduler] Job ${job.id} (${job.job_type}) moved to dead-letter after ${updated.attempts} attempts:`, error?.message || error);
+    } else {
+      console.warn(`[Scheduler] Job ${job.id} (${job.job_type}) failed, retry at ${updated.run_at}:`, error?.message || error);
+    }
+  }
+}
+
+/**
+ * One scheduler pass. Exposed so scripts and tests can drive the loop deterministically.
+ */
+export async function tick() {
+  if (ticking) return;
+  ticking = true;
+  const config = getSchedulerConfig();
+  try {
+    await dispatchDueSchedules();
+
+    const recovered = await BackgroundJob.recoverStale(config.lockTimeoutMs);
+    if (recovered > 0) {
+      console.warn(`[Scheduler] Recovered ${recovered} stale job(s)`);
+    }
+
+    for (let i = 0; i < config.maxJobsPerTick && !stopping; i++) {
+      const job = await BackgroundJob.claimNext(WORKER_ID, getRegisteredJobTypes());
+      if (!job) break;
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('[Scheduler] Tick failed:', error);
+  } finally {
+    ticking = false;
+  }
+}
+
+export function startScheduler() {
+  if (timer) return;
+  if (String(process.env.JOB_WORKER_ENABLED || 'true').toLowerCase() === 'false') {
+    console.log('[Scheduler] Worker disabled (JOB_WORKER_ENABLED=false)');
+    return;
+  }
+  stopping = false;
+  const { pollIntervalMs } = getSchedulerConfig();
+  console.log(`[Scheduler] Worker ${WORKER_ID} polling every ${pollIntervalMs}ms`);
+  timer = setInterval(tick, pollIntervalMs);
+  tick();
+}
+
+export async function stopScheduler() {
+  stopping = true;
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  // Let the job in progress finish before the pool is closed
+  while (ticking) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
@@ -0,0 +1,93 @@
+import { format } from 'util';
+
+/**
+ * Redaction of MT5 credentials and access tokens from log output.
+ * Password/token fields (in objects and in formatted text), Bearer headers and JWTs are masked
+ * by key or pattern. Access tokens issued by the token cache are also registered as known secrets
+ * and masked wherever they appear; that set only takes long values and is capped.
+ */
+
+const MASK = '[REDACTED]';
+// Shorter values could be ordinary words or numbers in a log line
+const MIN_SECRET_LENGTH = 16;
+const MAX_KNOWN_SECRETS = 1000;
+const knownSecrets = new Set();
+let installed = false;
+
+const SENSITIVE_KEY = /^(?:password|passwd|pwd|access_?token|refresh_?token|token|authorization|secret)$/i;
+
+const PATTERNS = [
+  /(Bearer\s+)[A-Za-z0-9\-._~+/]+=*/gi,
+  // "Password": "...", password=..., 'accessToken': '...'
+  /(["']?(?:password|passwd|pwd|access_?token|refresh_?token|token)["']?\s*[:=]\s*)("[^"]*"|'[^']*'|[^\s,;}&]+)/gi,
+  // JWTs
+  /()eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g
+];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Remember a secret value (e.g. an access token) so it is masked in any later log line.
+ * Values under MIN_SECRET_LENGTH are ignored; past MAX_KNOWN_SECRETS the oldest is dropped.
+ */
+export function registerSecret(value) {
+  const secret = value === undefined || value === null ? '' : String(value);
+  if (secret.length < MIN_SECRET_LENGTH) return;
+  knownSecrets.delete(secret);
+  knownSecrets.add(secret);
+  if (knownSecrets.size > MAX_KNOWN_SECRETS) {
+    knownSecrets.delete(knownSecrets.values().next().value);
+  }
+}
+
+export function forgetSecret(value) {
+  if (value !== undefined && value !== null) knownSecrets.delete(String(value));
+}
+
+const isPlainObject = (value) => {
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+/**
+ * Copy of a value with every password/token field masked, at any depth.
+ * Only plain objects and arrays are copied; anything else is left to the text patterns.
+ */
+export function redactFields(value, seen = new WeakSet()) {
+  if (!value || typeof value !== 'object' || seen.has(value)) return value;
+  if (!Array.isArray(value) && !isPlainObject(value)) return value;
+  seen.add(value);
+  if (Array.isArray(value)) return value.map(item => redactFields(item, seen));
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+    key,
+    SENSITIVE_KEY.test(key) && field !== null && field !== undefined && field !== '' ? MASK : redactFields(field, seen)
+  ]));
+}
+
+export function redact(text) {
+  if (text === undefined || text === null) return text;
+  let out = String(text);
+  for (const secret of knownSecrets) {
+    if (out.includes(secret)) out = out.replace(new RegExp(escapeRegExp(secret), 'g'), MASK);
+  }
+  for (const pattern of PATTERNS) {
+    out = out.replace(pattern, (match, prefix = '') => `${prefix}${MASK}`);
+  }
+  return out;
+}
+
+/**
+ * Route console output through redact(). Arguments are formatted the way console does,
+ * so log lines look the same apart from the masked values.
+ */
+export function installLogRedaction() {
+  if (installed) return;
+  installed = true;
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => {
+      if (args.length === 0) return original();
+      original(redact(format(...args.map(arg => redactFields(arg)))));
+    };
+  }
+}
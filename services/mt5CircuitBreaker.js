@@ -0,0 +1,132 @@
+/**
+ * Circuit breakers for the MT5 services, one per configured service (trading, client, manager, groups).
+ * Outcomes of the last MT5_BREAKER_WINDOW_SECONDS are kept; once at least MT5_BREAKER_MIN_REQUESTS
+ * calls were made and the failure share reaches MT5_BREAKER_ERROR_RATE the breaker opens and calls
+ * fail fast for MT5_BREAKER_COOLDOWN_SECONDS. After the cooldown one trial call is let through
+ * (half-open): success closes the breaker, failure opens it again.
+ * Only timeouts, network errors, 429 and 5xx count as failures.
+ */
+
+const breakers = new Map();
+
+function getBreakerConfig() {
+  return {
+    windowMs: Number(process.env.MT5_BREAKER_WINDOW_SECONDS || 60) * 1000,
+    minRequests: Number(process.env.MT5_BREAKER_MIN_REQUESTS || 10),
+    errorRate: Number(process.env.MT5_BREAKER_ERROR_RATE || 0.5),
+    cooldownMs: Number(process.env.MT5_BREAKER_COOLDOWN_SECONDS || 30) * 1000
+  };
+}
+
+function getBreaker(service) {
+  if (!breakers.has(service)) {
+    breakers.set(service, {
+      state: 'closed',
+      outcomes: [],
+      openedAt: null,
+      openUntil: null,
+      trialInFlight: false,
+      lastError: null,
+      timesOpened: 0
+    });
+  }
+  return breakers.get(service);
+}
+
+function prune(breaker, now, windowMs) {
+  while (breaker.outcomes.length && breaker.outcomes[0].at < now - windowMs) breaker.outcomes.shift();
+}
+
+function open(service, breaker, now, cooldownMs) {
+  breaker.state = 'open';
+  breaker.openedAt = now;
+  breaker.openUntil = now + cooldownMs;
+  breaker.trialInFlight = false;
+  breaker.timesOpened++;
+  console.warn(`[MT5 Breaker] ${service} circuit opened for ${Math.round(cooldownMs / 1000)}s: ${breaker.lastError || 'error rate exceeded'}`);
+}
+
+/**
+ * Throw when calls to the service are paused; otherwise let the call through
+ * (marking it as the half-open trial when the cooldown has just ended)
+ */
+export function assertCircuitClosed(service) {
+  const breaker = getBreaker(service);
+  if (breaker.state === 'closed') return;
+
+  const now = Date.now();
+  if (breaker.state === 'open' && now >= breaker.openUntil) {
+    breaker.state = 'half-open';
+  }
+  if (breaker.state === 'half-open' && !breaker.trialInFlight) {
+    breaker.trialInFlight = true;
+    return;
+  }
+
+  const retryInSeconds = Math.max(1, Math.ceil(((breaker.openUntil || now) - now) / 1000));
+  const error = new Error(`MT5 ${service} API circuit is open, retry in ${retryInSeconds}s`);
+  error.code = 'ECIRCUITOPEN';
+  error.retryAfterSeconds = retryInSeconds;
+  throw error;
+}
+
+export function recordSuccess(service) {
+  const breaker = getBreaker(service);
+  const { windowMs } = getBreakerConfig();
+  const now = Date.now();
+  if (breaker.state === 'half-open') {
+    console.log(`[MT5 Breaker] ${service} circuit closed after successful trial call`);
+    breaker.state = 'closed';
+    breaker.outcomes = [];
+    breaker.openedAt = null;
+    breaker.openUntil = null;
+    breaker.trialInFlight = false;
+  }
+  breaker.outcomes.push({ at: now, ok: true });
+  prune(breaker, now, windowMs);
+}
+
+export function recordFailure(service, error) {
+  const breaker = getBreaker(service);
+  const { windowMs, minRequests, errorRate, cooldownMs } = getBreakerConfig();
+  const now = Date.now();
+  breaker.lastError = error?.message || String(error);
+
+  if (breaker.state === 'half-open') {
+    open(service, breaker, now, cooldownMs);
+    return;
+  }
+  breaker.outcomes.push({ at: now, ok: false });
+  prune(breaker, now, windowMs);
+
+  if (breaker.state === 'closed' && breaker.outcomes.length >= minRequests) {
+    const failures = breaker.outcomes.filter(o => !o.ok).length;
+    if (failures / breaker.outcomes.length >= errorRate) {
+      open(service, breaker, now, cooldownMs);
+    }
+  }
+}
+
+/**
+ * Breaker state per service for the health endpoint
+ */
+export function getCircuitBreakerState() {
+  const { windowMs } = getBreakerConfig();
+  const now = Date.now();
+  const state = {};
+  for (const [service, breaker] of breakers) {
+    prune(breaker, now, windowMs);
+    const failures = breaker.outcomes.filter(o => !o.ok).length;
+    state[service] = {
+      state: breaker.state === 'open' && now >= breaker.openUntil ? 'half-open' : breaker.state,
+      requests: breaker.outcomes.length,
+      failures,
+      errorRate: breaker.outcomes.length ? Math.round((failures / breaker.outcomes.length) * 100) / 100 : 0,
+      openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+      openUntil: breaker.openUntil ? new Date(breaker.openUntil).toISOString() : null,
+      timesOpened: breaker.timesOpened,
+      lastError: breaker.lastError
+    };
+  }
+  return state;
+}
@@ -0,0 +1,628 @@
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { redact } from './logRedaction.js';
+import { assertCircuitClosed, recordSuccess, recordFailure } from './mt5CircuitBreaker.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * MT5 gateway client
+ * Owns base URLs, auth headers, timeouts, retries and response normalization
+ * for every call the portal makes to the broker's MT5 APIs.
+ *
+ * Set MT5_GATEWAY_MODE=mock to serve recorded JSON fixtures from
+ * fixtures/mt5 (or MT5_FIXTURES_DIR) instead of calling the broker.
+ */
+
+// Base URL of each MT5 service; only configuration supplies them
+const BASE_URL_ENV = {
+  trading: 'MT5_TRADING_API_URL',  // server-to-server trade history + client profiles
+  client: 'MT5_CLIENT_API_URL',    // authenticated client API (login, trades-closed)
+  manager: 'MT5_MANAGER_API_URL',  // symbols, categories, balances
+  groups: 'MT5_GROUPS_API_URL'     // MT5 groups
+};
+
+export function getGatewayConfig() {
+  return {
+    mode: String(process.env.MT5_GATEWAY_MODE || 'live').toLowerCase().trim(),
+    // Label of the MT5 server behind this gateway; deal numbers are only unique per server
+    serverName: String(process.env.MT5_SERVER_NAME || 'default').trim() || 'default',
+    baseUrls: Object.fromEntries(Object.entries(BASE_URL_ENV).map(([service, env]) => [service, process.env[env] || null])),
+    timeoutMs: Number(process.env.MT5_API_TIMEOUT_MS || 15000),
+    retries: Number(process.env.MT5_API_RETRIES ?? 2),
+    retryDelayMs: Number(process.env.MT5_API_RETRY_DELAY_MS || 500),
+    retryMaxDelayMs: Number(process.env.MT5_API_RETRY_MAX_DELAY_MS || 10000),
+    fixturesDir: process.env.MT5_FIXTURES_DIR || join(__dirname, '..', 'fixtures', 'mt5')
+  };
+}
+
+export function isMockMode() {
+  return getGatewayConfig().mode === 'mock';
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+// Exponential backoff with jitter; a 429's Retry-After wins when it asks for longer
+function retryDelay(config, attempt, retryAfterSeconds) {
+  const backoff = Math.min(config.retryMaxDelayMs, config.retryDelayMs * 2 ** (attempt - 1));
+  const jittered = backoff / 2 + Math.random() * (backoff / 2);
+  const retryAfterMs = Number.isFinite(retryAfterSeconds) ? retryAfterSeconds * 1000 : 0;
+  return Math.min(config.retryMaxDelayMs, Math.max(jittered, retryAfterMs));
+}
+
+function buildUrl(baseUrl, path, params = null) {
+  const url = /^https?:\/\//i.test(path) ? new URL(path) : new URL(path, baseUrl);
+  if (params) {
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null && value !== '') {
+        url.searchParams.set(key, String(value));
+      }
+    }
+  }
+  return url.toString();
+}
+
+/**
+ * Perform a JSON request against one of the configured MT5 services.
+ * Retries network errors, timeouts, 429 and 5xx responses with exponential backoff; 4xx errors are
+ * thrown immediately. Every attempt goes through the service's circuit breaker, so calls fail fast
+ * with code ECIRCUITOPEN while the service is failing.
+ * Thrown errors carry `status` (HTTP status) or `code` (network error code) when known.
+ */
+async function request(service, path, { method = 'GET', params = null, body, accessToken = null, timeoutMs, retries } = {}) {
+  const config = getGatewayConfig();
+  if (!(service in config.baseUrls)) {
+    throw new Error(`Unknown MT5 service: ${service}`);
+  }
+  const baseUrl = config.baseUrls[service];
+  // Absolute paths (e.g. an overridden groups endpoint) need no base URL
+  if (!baseUrl && !/^https?:\/\//i.test(path)) {
+    throw new Error(`MT5 ${service} API is not configured (set ${BASE_URL_ENV[service]})`);
+  }
+
+  const url = buildUrl(baseUrl, path, params);
+  const timeout = Number(timeoutMs ?? config.timeoutMs);
+  const attempts = 1 + Math.max(0, Number(retries ?? config.retries));
+
+  const headers = { accept: '*/*' };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  if (accessToken) headers.Authorization = `Bearer ${accessToken}`;
+
+  let lastError = null;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    assertCircuitClosed(service);
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    let retryAfterSeconds = null;
+    try {
+      const response = await fetch(url, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+      const text = await response.text().catch(() => '');
+
+      if (!response.ok) {
+        // Response bodies can echo credentials (login) or tokens
+        const error = new Error(`MT5 API returned ${response.status}: ${redact(text.substring(0, 200))}`);
+        error.status = response.status;
+        if (!isRetryableStatus(response.status)) {
+          // The service answered; a client error says nothing about its health
+          recordSuccess(service);
+          throw error;
+        }
+        retryAfterSeconds = Number(response.headers.get('retry-after'));
+        lastError = error;
+      } else {
+        recordSuccess(service);
+        if (!text) return null;
+        try {
+          return JSON.parse(text);
+        } catch {
+          throw new Error(`Invalid JSON response from MT5 API (${service} ${path})`);
+        }
+      }
+    } catch (error) {
+      if (error.status && !isRetryableStatus(error.status)) throw error;
+      if (error.message?.startsWith('Invalid JSON')) throw error;
+      if (error.name === 'AbortError') {
+        lastError = new Error(`MT5 API request timed out after ${timeout}ms (${service} ${path})`);
+        lastError.code = 'ETIMEDOUT';
+      } else if (!error.status) {
+        lastError = new Error(`MT5 API request failed (${service} ${path}): ${error.cause?.message || error.message}`);
+        lastError.code = error.cause?.code || error.code;
+      } else {
+        lastError = error;
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+
+    recordFailure(service, lastError);
+    if (attempt < attempts) {
+      const delay = retryDelay(config, attempt, retryAfterSeconds);
+      console.warn(`[MT5 Gateway] ${service} ${path} attempt ${attempt}/${attempts} failed, retrying in ${Math.round(delay)}ms: ${lastError.message}`);
+      await sleep(delay);
+    }
+  }
+
+  throw lastError;
+}
+
+// ---------------------------------------------------------------------------
+// Fixtures (mock mode)
+// ---------------------------------------------------------------------------
+
+async function readFixture(...segments) {
+  const filePath = join(getGatewayConfig().fixturesDir, ...segments);
+  try {
+    return JSON.parse(await readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Invalid MT5 fixture ${filePath}: ${error.message}`);
+  }
+}
+
+// Per-account fixture first, then the shared default
+async function readAccountFixture(folder, accountId) {
+  return (await readFixture(folder, `${accountId}.json`)) ?? (await readFixture(folder, 'default.json'));
+}
+
+/**
+ * Parse an MT5 timestamp: ISO/date string, or epoch seconds/milliseconds (number or digit string)
+ */
+export function parseMt5Time(raw) {
+  if (raw === null || raw === undefined || raw === '') return null;
+  const numeric = typeof raw === 'number' ? raw : (/^\d+$/.test(String(raw).trim()) ? Number(raw) : null);
+  if (numeric !== null) {
+    if (!numeric) return null;
+    const ms = numeric > 1e12 ? numeric : numeric * 1000;
+    return new Date(ms);
+  }
+  const date = new Date(raw);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+export function getDealCloseTime(deal) {
+  return parseMt5Time(
+    deal?.CloseTime ?? deal?.ClosedTime ?? deal?.TimeClose ?? deal?.CloseTimeMsc ??
+    deal?.Time ?? deal?.TimeMsc ?? deal?.DealTime ?? null
+  );
+}
+
+export function getDealOpenTime(deal) {
+  return parseMt5Time(deal?.OpenTime ?? deal?.TimeOpen ?? deal?.OpenTimeMsc ?? deal?.PositionOpenTime ?? null);
+}
+
+/**
+ * Time used for sync windows and cursors: when the deal closed, else when it opened
+ */
+export function getDealTime(deal) {
+  return getDealCloseTime(deal) || getDealOpenTime(deal);
+}
+
+const DEAL_ENTRIES = { 0: 'in', 1: 'out', 2: 'inout', 3: 'out_by' };
+
+// Deal side as reported by MT5: 'buy', 'sell', 'other' for non-trading deals (balance, credit...), null when absent
+function parseDealDirection(deal) {
+  const raw = deal?.OrderType ?? deal?.Type ?? deal?.Action ?? deal?.DealType ?? deal?.Side ?? null;
+  if (raw === null || raw === undefined || raw === '') return null;
+  if (typeof raw === 'number' || /^\d+$/.test(String(raw).trim())) {
+    const code = Number(raw);
+    return code === 0 ? 'buy' : code === 1 ? 'sell' : 'other';
+  }
+  const value = String(raw).toLowerCase().replace(/^deal_type_/, '').trim();
+  if (value === 'buy' || value.startsWith('buy ')) return 'buy';
+  if (value === 'sell' || value.startsWith('sell ')) return 'sell';
+  return 'other';
+}
+
+// Deal entry: 'in' opens, 'out'/'out_by' close, 'inout' closes and reverses; null when absent
+function parseDealEntry(deal) {
+  const raw = deal?.Entry ?? deal?.EntryType ?? deal?.DealEntry ?? null;
+  if (raw === null || raw === undefined || raw === '') return null;
+  if (typeof raw === 'number' || /^\d+$/.test(String(raw).trim())) {
+    return DEAL_ENTRIES[Number(raw)] || null;
+  }
+  const value = String(raw).toLowerCase().replace(/^deal_entry_/, '').replace(/[\s_-]/g, '');
+  if (value === 'in') return 'in';
+  if (value === 'out' || value === 'close') return 'out';
+  if (value === 'inout' || value === 'reverse') return 'inout';
+  if (value === 'outby' || value === 'closeby') return 'out_by';
+  return null;
+}
+
+const optionalId = (raw) => (raw === null || raw === undefined || raw === '' || Number(raw) === 0 ? null : String(raw));
+
+/**
+ * Normalize a deal from either trade history API into one shape.
+ * Direction and entry are taken from MT5 as-is and are null when the API does not send them.
+ */
+export function normalizeDeal(deal) {
+  let volumeLots = 0;
+  if (deal?.VolumeLots !== undefined && deal?.VolumeLots !== null) {
+    // trades-closed API reports VolumeLots in hundredths of a lot
+    volumeLots = Number(deal.VolumeLots || 0) / 100;
+  } else {
+    const volume = Number(deal?.Volume || 0);
+    volumeLots = volume < 0.1 ? volume * 1000 : volume;
+  }
+  const orderId = optionalId(deal?.OrderId ?? deal?.Order ?? null);
+  const dealId = optionalId(deal?.DealId ?? deal?.Deal ?? deal?.Ticket ?? null);
+
+  return {
+    dealId: dealId || orderId,
+    orderId: orderId || dealId,
+    positionId: optionalId(deal?.PositionId ?? deal?.PositionID ?? deal?.Position ?? deal?.PositionTicket ?? null),
+    symbol: String(deal?.Symbol || '').trim(),
+    direction: parseDealDirection(deal),
+    entry: parseDealEntry(deal),
+    volumeLots,
+    price: Number(deal?.Price ?? deal?.ClosePrice ?? 0),
+    openPrice: Number(deal?.OpenPrice || 0),
+    closePrice: Number(deal?.ClosePrice || deal?.Price || 0),
+    profit: Number(deal?.Profit || 0),
+    commission: Number(deal?.Commission || 0),
+    swap: Number(deal?.Swap ?? deal?.Storage ?? 0),
+    takeProfit: Number(deal?.TakeProfit || 0),
+    stopLoss: Number(deal?.StopLoss || 0),
+    openTime: getDealOpenTime(deal),
+    closeTime: getDealCloseTime(deal),
+    time: getDealTime(deal)
+  };
+}
+
+function paginateFixtureDeals(deals, { fromDate, toDate, page = 1, pageSize = 1000 }) {
+  const from = fromDate ? new Date(fromDate) : null;
+  const to = toDate ? new Date(toDate) : null;
+  const filtered = deals.filter((deal) => {
+    const time = getDealTime(deal);
+    if (!time) return true;
+    if (from && time < from) return false;
+    if (to && time > to) return false;
+    return true;
+  });
+
+  const size = Math.max(1, Number(pageSize) || 1000);
+  const current = Math.max(1, Number(page) || 1);
+  const totalPages = Math.max(1, Math.ceil(filtered.length / size));
+  return {
+    Items: filtered.slice((current - 1) * size, current * size),
+    Page: current,
+    PageSize: size,
+    TotalCount: filtered.length,
+    TotalPages: totalPages,
+    HasNextPage: current < totalPages,
+    HasPreviousPage: current > 1
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Normalization
+// ---------------------------------------------------------------------------
+
+/**
+ * Normalize a paged trade history response into { items, page, pageSize, totalCount, totalPages, hasNextPage }
+ */
+export function normalizeTradePage(data, { page = 1, pageSize = 1000 } = {}) {
+  const items = Array.isArray(data)
+    ? data
+    : (data?.Items || data?.items || data?.Data || data?.data || []);
+  const totalCount = Number(data?.TotalCount ?? data?.totalCount ?? items.length);
+  const size = Number(data?.PageSize ?? data?.pageSize ?? pageSize);
+  const current = Number(data?.Page ?? data?.page ?? page);
+  const totalPages = Number(data?.TotalPages ?? data?.totalPages ?? Math.max(1, Math.ceil(totalCount / (size || 1))));
+  const hasNextPage = typeof (data?.HasNextPage ?? data?.hasNextPage) === 'boolean'
+    ? Boolean(data?.HasNextPage ?? data?.hasNextPage)
+    : current < totalPages;
+
+  return {
+    items: Array.isArray(items) ? items : [],
+    page: current,
+    pageSize: size,
+    totalCount,
+    totalPages,
+    hasNextPage
+  };
+}
+
+/**
+ * Normalize a getClientProfile response. The raw `Data` payload is kept for callers that need other fields.
+ */
+export function normalizeClientProfile(data) {
+  const payload = data?.Data || data?.data || null;
+  if (!payload) return null;
+
+  const group = payload.Group || payload.group || null;
+  const accountType = payload.AccountType ?? payload.accountType ?? payload.AccountTypeText ?? payload.accountTypeText ?? null;
+  const isDemo =
+    (accountType && String(accountType).toLowerCase().includes('demo')) ||
+    (group && String(group).toLowerCase().includes('demo'));
+
+  return {
+    group,
+    accountType,
+    isDemo: Boolean(isDemo),
+    balance: Number(payload.Balance ?? payload.balance ?? 0),
+    equity: Number(payload.Equity ?? payload.equity ?? 0),
+    profit: Number(payload.Profit ?? payload.profit ?? 0),
+    raw: payload
+  };
+}
+
+/**
+ * Normalize a getClientBalance response ({ Data: { Balance, Equity, Profit, Margin, MarginFree } }, or the
+ * bare object). The raw payload is kept as `raw`.
+ */
+export function normalizeClientBalance(data) {
+  const payload = data?.Data || data?.data || data || null;
+  if (!payload || typeof payload !== 'object') return null;
+  return {
+    balance: Number(payload.Balance ?? payload.balance ?? 0),
+    equity: Number(payload.Equity ?? payload.equity ?? 0),
+    profit: Number(payload.Profit ?? payload.profit ?? payload.Floating ?? payload.floating ?? 0),
+    margin: Number(payload.Margin ?? payload.margin ?? 0),
+    marginFree: Number(payload.MarginFree ?? payload.marginFree ?? 0),
+    raw: payload
+  };
+}
+
+/**
+ * Normalize an open position. Floating P/L is the position's unrealized profit as reported by MT5.
+ */
+export function normalizeOpenPosition(position) {
+  let volumeLots = 0;
+  if (position?.VolumeLots !== undefined && position?.VolumeLots !== null) {
+    // Same hundredths-of-a-lot convention as the trade history APIs
+    volumeLots = Number(position.VolumeLots || 0) / 100;
+  } else {
+    // Manager API volumes are in 1/10000 lot
+    const volume = Number(position?.Volume || 0);
+    volumeLots = Number.isInteger(volume) && volume >= 100 ? volume / 10000 : volume;
+  }
+  return {
+    positionId: optionalId(position?.PositionId ?? position?.Position ?? position?.Ticket ?? null),
+    symbol: String(position?.Symbol || '').trim(),
+    direction: parseDealDirection(position),
+    volumeLots,
+    openPrice: Number(position?.PriceOpen ?? position?.OpenPrice ?? 0),
+    currentPrice: Number(position?.PriceCurrent ?? position?.CurrentPrice ?? 0),
+    floatingProfit: Number(position?.Profit || 0),
+    swap: Number(position?.Storage ?? position?.Swap ?? 0),
+    openTime: parseMt5Time(position?.TimeCreate ?? position?.OpenTime ?? position?.TimeOpen ?? null)
+  };
+}
+
+const BALANCE_DEAL_TYPE = 2;
+
+/**
+ * Normalize a balance deal: type is 'deposit' or 'withdrawal' by the sign of the amount, null for
+ * deals that are not balance operations. amount is always positive.
+ */
+export function normalizeBalanceOperation(operation) {
+  const raw = operation?.Action ?? operation?.Type ?? operation?.DealType ?? operation?.OperationType ?? null;
+  const code = typeof raw === 'number' || /^\d+$/.test(String(raw ?? '').trim()) ? Number(raw) : null;
+  const label = code === null ? String(raw || '').toLowerCase().replace(/^deal_/, '').trim() : '';
+  const isBalance = code === BALANCE_DEAL_TYPE || ['balance', 'deposit', 'withdrawal', 'withdraw'].includes(label);
+
+  const signed = Number(operation?.Profit ?? operation?.Amount ?? 0);
+  let type = null;
+  if (isBalance && signed !== 0) {
+    type = label === 'withdrawal' || label === 'withdraw' || signed < 0 ? 'withdrawal' : 'deposit';
+  }
+  return {
+    operationId: optionalId(operation?.DealId ?? operation?.Deal ?? operation?.Ticket ?? operation?.Id ?? null),
+    type,
+    amount: Math.abs(signed),
+    comment: operation?.Comment ? String(operation.Comment) : null,
+    time: getDealTime(operation)
+  };
+}
+
+function extractAccessToken(loginData) {
+  return (
+    loginData?.accessToken ||
+    loginData?.AccessToken ||
+    loginData?.token ||
+    loginData?.Token ||
+    loginData?.access_token ||
+    loginData?.data?.accessToken ||
+    loginData?.data?.AccessToken ||
+    loginData?.data?.token ||
+    loginData?.data?.Token ||
+    loginData?.data?.access_token ||
+    loginData?.result?.accessToken ||
+    loginData?.result?.AccessToken ||
+    loginData?.result?.token ||
+    loginData?.result?.Token ||
+    null
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Log in to the client API for an MT5 account and return its access token
+ */
+export async function loginClient({ accountId, password, deviceId, deviceType = 'server' }) {
+  if (isMockMode()) {
+    const fixture = await readFixture('login.json');
+    return extractAccessToken(fixture) || `mock-token-${accountId}`;
+  }
+
+  const loginData = await request('client', '/api/client/ClientAuth/login', {
+    method: 'POST',
+    body: {
+      AccountId: parseInt(String(accountId), 10),
+      Password: password,
+      DeviceId: deviceId || `server_${accountId}`,
+      DeviceType: deviceType
+    },
+    retries: 0
+  });
+
+  const accessToken = extractAccessToken(loginData);
+  if (!accessToken) {
+    throw new Error(`Access token not found in login response (keys: ${Object.keys(loginData || {}).join(', ')})`);
+  }
+  return accessToken;
+}
+
+/**
+ * One page of deal history from the server-to-server trade history API
+ */
+export async function fetchTradeHistory({ accountId, fromDate, toDate, page = 1, pageSize = 1000 }) {
+  if (isMockMode()) {
+    const fixture = await readAccountFixture('trades', accountId);
+    const deals = normalizeTradePage(fixture).items;
+    return normalizeTradePage(paginateFixtureDeals(deals, { fromDate, toDate, page, pageSize }));
+  }
+
+  const data = await request('trading', '/api/client/tradehistory/trades', {
+    params: { accountId, page, pageSize, fromDate, toDate }
+  });
+  return normalizeTradePage(data, { page, pageSize });
+}
+
+/**
+ * One page of closed trades from the authenticated client API
+ */
+export async function fetchClosedTrades({ accountId, fromDate, toDate, page = 1, pageSize = 1000, accessToken }) {
+  if (isMockMode()) {
+    const fixture = await readAccountFixture('trades', accountId);
+    const deals = normalizeTradePage(fixture).items;
+    return normalizeTradePage(paginateFixtureDeals(deals, { fromDate, toDate, page, pageSize }));
+  }
+
+  const data = await request('client', '/api/client/tradehistory/trades-closed', {
+    params: { accountId, fromDate, toDate, page, pageSize },
+    accessToken
+  });
+  return normalizeTradePage(data, { page, pageSize });
+}
+
+/**
+ * Positions currently open on an account, normalized with normalizeOpenPosition.
+ * The endpoint path can be overridden with MT5_OPEN_POSITIONS_PATH ("{accountId}" is substituted).
+ */
+export async function fetchOpenPositions(accountId) {
+  const data = isMockMode()
+    ? await readAccountFixture('positions', accountId)
+    : await request('trading', String(process.env.MT5_OPEN_POSITIONS_PATH || '/api/Users/{accountId}/positions')
+      .replace('{accountId}', encodeURIComponent(accountId)));
+
+  return normalizeTradePage(data).items.map(normalizeOpenPosition).filter(p => p.positionId && p.symbol);
+}
+
+/**
+ * Balance operations (deposits and withdrawals) of an account in [fromDate, toDate], normalized with
+ * normalizeBalanceOperation. Credit, bonus and other non-balance deals are left out.
+ * Pages through the API like the deal history (MT5_BALANCE_PAGE_SIZE, MT5_BALANCE_MAX_PAGES).
+ * The endpoint path can be overridden with MT5_BALANCE_OPERATIONS_PATH.
+ */
+export async function fetchBalanceOperations({ accountId, fromDate, toDate }) {
+  const pageSize = Number(process.env.MT5_BALANCE_PAGE_SIZE || 1000);
+  const maxPages = Number(process.env.MT5_BALANCE_MAX_PAGES || 500);
+  const fixtureItems = isMockMode()
+    ? normalizeTradePage(await readAccountFixture('balance', accountId)).items
+    : null;
+
+  const items = [];
+  let page = 1;
+  for (; page <= maxPages; page++) {
+    const data = fixtureItems
+      ? paginateFixtureDeals(fixtureItems, { fromDate, toDate, page, pageSize })
+      : await request('trading', process.env.MT5_BALANCE_OPERATIONS_PATH || '/api/client/tradehistory/balance-operations', {
+        params: { accountId, fromDate, toDate, page, pageSize }
+      });
+    const result = normalizeTradePage(data, { page, pageSize });
+    items.push(...result.items);
+    if (!result.hasNextPage || result.items.length === 0) break;
+  }
+  if (page > maxPages) {
+    console.warn(`[MT5 Gateway] Account ${accountId}: stopped balance operations after ${maxPages} pages`);
+  }
+  return items.map(normalizeBalanceOperation).filter(op => op.operationId && op.type && op.amount > 0);
+}
+
+/**
+ * Client profile (group, account type, balances). Returns null when the account is unknown.
+ * `service` selects which host answers: 'trading' (default), 'client' (needs accessToken) or 'manager'.
+ */
+export async function fetchClientProfile(accountId, { accessToken = null, service = 'trading', timeoutMs, retries } = {}) {
+  if (isMockMode()) {
+    return normalizeClientProfile(await readAccountFixture('profiles', accountId));
+  }
+
+  try {
+    const data = await request(service, `/api/Users/${encodeURIComponent(accountId)}/getClientProfile`, { accessToken, timeoutMs, retries });
+    return normalizeClientProfile(data);
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Balance, equity, floating profit and margin of an account (getClientBalance), normalized with
+ * normalizeClientBalance. Returns null when the account is unknown.
+ * `service` selects which host answers: 'manager' (default) or 'trading'.
+ */
+export async function fetchClientBalance(accountId, { service = 'manager', timeoutMs, retries } = {}) {
+  if (isMockMode()) {
+    return normalizeClientBalance(await readAccountFixture('client-balances', accountId));
+  }
+
+  try {
+    const data = await request(service, `/api/Users/${encodeURIComponent(accountId)}/getClientBalance`, { timeoutMs, retries });
+    return normalizeClientBalance(data);
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * All MT5 groups as an array. `path` may override the groups endpoint (relative or absolute URL).
+ */
+export async function fetchGroups(path = '/api/Groups') {
+  const data = isMockMode()
+    ? await readFixture('groups.json')
+    : await request('groups', path, { timeoutMs: 30000 });
+
+  if (Array.isArray(data)) return data;
+  const items = data?.Items || data?.items || data?.Data || data?.data;
+  if (Array.isArray(items)) return items;
+  throw new Error(`Expected array of groups but got ${typeof data}`);
+}
+
+/**
+ * All symbols as an array
+ */
+export async function fetchSymbols() {
+  const data = isMockMode()
+    ? await readFixture('symbols.json')
+    : await request('manager', '/api/Symbols');
+
+  if (Array.isArray(data)) return data;
+  return data?.data || data?.Data || [];
+}
+
+/**
+ * Symbols grouped by category: { [category]: Symbol[] }
+ */
+export async function fetchSymbolCategories() {
+  const data = isMockMode()
+    ? await readFixture('symbol-categories.json')
+    : await request('manager', '/api/Symbols/categories');
+
+  return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+}
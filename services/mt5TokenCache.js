@@ -0,0 +1,107 @@
+import { loginClient } from './mt5Gateway.js';
+import { getAccountPassword } from './secretProvider.js';
+import { registerSecret, forgetSecret } from './logRedaction.js';
+
+/**
+ * Client API access tokens, one login per account per token lifetime.
+ * Expiry comes from the token's JWT `exp` claim, or MT5_TOKEN_TTL_SECONDS when the token is opaque.
+ * Tokens are refreshed MT5_TOKEN_REFRESH_MARGIN_SECONDS before they expire, and concurrent callers
+ * for the same account share one login.
+ */
+
+const tokens = new Map();
+const pendingLogins = new Map();
+
+const key = (accountId) => String(accountId);
+
+function getTokenCacheConfig() {
+  return {
+    ttlSeconds: Number(process.env.MT5_TOKEN_TTL_SECONDS || 3600),
+    refreshMarginSeconds: Number(process.env.MT5_TOKEN_REFRESH_MARGIN_SECONDS || 60)
+  };
+}
+
+// Expiry (ms) from a JWT's exp claim, or null for opaque tokens
+function jwtExpiry(token) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    return Number.isFinite(Number(payload?.exp)) ? Number(payload.exp) * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+async function login(accountId) {
+  const password = await getAccountPassword(accountId);
+  const token = await loginClient({
+    accountId,
+    password,
+    // Stable device id so repeated logins do not register a new device each time
+    deviceId: `server_${accountId}`,
+    deviceType: 'server'
+  });
+  const previous = tokens.get(key(accountId));
+  if (previous) forgetSecret(previous.token);
+  registerSecret(token);
+  const { ttlSeconds } = getTokenCacheConfig();
+  const expiresAt = jwtExpiry(token) || Date.now() + ttlSeconds * 1000;
+  tokens.set(key(accountId), { token, expiresAt, obtainedAt: Date.now() });
+  console.log(`[MT5 Tokens] Logged in account ${accountId}, token valid until ${new Date(expiresAt).toISOString()}`);
+  return token;
+}
+
+/**
+ * Access token for an account: the cached one while it is valid, otherwise a fresh login
+ */
+export async function getAccessToken(accountId, { forceRefresh = false } = {}) {
+  const id = key(accountId);
+  const cached = tokens.get(id);
+  const { refreshMarginSeconds } = getTokenCacheConfig();
+  if (!forceRefresh && cached && cached.expiresAt - refreshMarginSeconds * 1000 > Date.now()) {
+    return cached.token;
+  }
+
+  if (pendingLogins.has(id)) return pendingLogins.get(id);
+  const pending = login(accountId).finally(() => pendingLogins.delete(id));
+  pendingLogins.set(id, pending);
+  return pending;
+}
+
+/**
+ * Drop an account's token, e.g. after the client API answered 401
+ */
+export function invalidateAccessToken(accountId) {
+  const id = key(accountId);
+  const cached = tokens.get(id);
+  if (cached) forgetSecret(cached.token);
+  tokens.delete(id);
+}
+
+/**
+ * Run `work(token)`; when the API rejects the cached token (401) log in again and retry once
+ */
+export async function withAccessToken(accountId, work) {
+  const token = await getAccessToken(accountId);
+  try {
+    return await work(token);
+  } catch (error) {
+    if (error?.status !== 401) throw error;
+    console.warn(`[MT5 Tokens] Token for account ${accountId} was rejected, logging in again`);
+    invalidateAccessToken(accountId);
+    return work(await getAccessToken(accountId, { forceRefresh: true }));
+  }
+}
+
+/**
+ * Cache state for diagnostics (never includes the tokens)
+ */
+export function getTokenCacheStats() {
+  const now = Date.now();
+  return {
+    accounts: tokens.size,
+    valid: Array.from(tokens.values()).filter(t => t.expiresAt > now).length,
+    pendingLogins: pendingLogins.size
+  };
+}
@@ -0,0 +1,62 @@
+import { query } from '../config/database.js';
+import { MT5OpenPosition } from '../models/MT5OpenPosition.js';
+import { fetchOpenPositions } from './mt5Gateway.js';
+import { listIBAccounts } from './tradeSync.js';
+import { mapWithConcurrency } from './workerPool.js';
+
+const SNAPSHOT_CONCURRENCY = Number(process.env.POSITION_SNAPSHOT_CONCURRENCY || process.env.TRADE_SYNC_CONCURRENCY || 4);
+
+/**
+ * Snapshot the open positions of one account. A failed fetch keeps the previous snapshot.
+ */
+export async function snapshotAccount({ accountId, userId = null, ibRequestId = null }) {
+  try {
+    const positions = await fetchOpenPositions(accountId);
+    return await MT5OpenPosition.replaceForAccount({ accountId, userId, ibRequestId }, positions);
+  } catch (error) {
+    console.error(`[Positions] Snapshot failed for account ${accountId}:`, error.message);
+    await MT5OpenPosition.recordFailure({ accountId, userId, ibRequestId }, error.message)
+      .catch(e => console.error(`[Positions] Could not record failure for account ${accountId}:`, e.message));
+    return { accountId: String(accountId), error: error.message };
+  }
+}
+
+/**
+ * Snapshot every referred account of an IB (the IB's own accounts are not part of its network)
+ */
+export async function snapshotIB(ibRequestId) {
+  const { ib, accounts } = await listIBAccounts(ibRequestId);
+  const referred = accounts.filter(a => !a.own);
+  const results = await mapWithConcurrency(referred, SNAPSHOT_CONCURRENCY, (account) =>
+    snapshotAccount({ accountId: account.accountId, userId: account.userId, ibRequestId: ib.id })
+  );
+  return {
+    ibRequestId: ib.id,
+    accounts: results.length,
+    positions: results.reduce((sum, r) => sum + Number(r.positions || 0), 0),
+    failed: results.filter(r => r.error).map(r => ({ accountId: r.accountId, error: r.error }))
+  };
+}
+
+/**
+ * Snapshot the networks of every approved IB
+ */
+export async function snapshotAllIBs() {
+  const result = await query("SELECT id FROM ib_requests WHERE LOWER(TRIM(status)) = 'approved' ORDER BY id");
+  const ibs = [];
+  for (const row of result.rows) {
+    try {
+      ibs.push(await snapshotIB(row.id));
+    } catch (error) {
+      console.error(`[Positions] Error processing IB ${row.id}:`, error.message);
+      ibs.push({ ibRequestId: row.id, error: error.message, accounts: 0, positions: 0, failed: [] });
+    }
+  }
+  return {
+    ibs: ibs.length,
+    accounts: ibs.reduce((sum, ib) => sum + ib.accounts, 0),
+    positions: ibs.reduce((sum, ib) => sum + ib.positions, 0),
+    failedAccounts: ibs.reduce((sum, ib) => sum + ib.failed.length, 0),
+    failedIBs: ibs.filter(ib => ib.error).map(ib => ({ ibRequestId: ib.ibRequestId, error: ib.error }))
+  };
+}
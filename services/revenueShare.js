@@ -0,0 +1,204 @@
+import { query } from '../config/database.js';
+import { RevenueSharePeriod } from '../models/RevenueSharePeriod.js';
+import { CommissionLedger } from '../models/CommissionLedger.js';
+import { loadRateBook, priceTrade, getReferredUserIds, getIBUserId } from './commissionEngine.js';
+
+/**
+ * Monthly revenue share. Each deal priced by a structure with revenue_share_percentage earns
+ * share = (-(client profit + swap) - the IB's per-lot/spread commission) x pct / 100 (see
+ * priceRevenueShare). Per calendar month (UTC):
+ *   total   = sum of the month's shares + carry in (the negative balance left by earlier months)
+ *   payable = max(total, 0), accrued to the ledger when the month settles
+ *   carry   = min(total, 0), carried into the next month
+ * A month settles REVENUE_SHARE_SETTLE_DAYS after it ends (so late deals are in); until then it
+ * is an open preview. Deals synced into a settled month do not change it.
+ */
+
+export const REVENUE_SHARE_FORMULA = 'share = (-(client profit + swap) - per-lot and spread commission) x revenue share % / 100; '
+  + 'payable = max(share + carry in, 0); carry out = min(share + carry in, 0)';
+
+const SETTLE_DAYS = Number(process.env.REVENUE_SHARE_SETTLE_DAYS || 3);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round = (n, digits = 6) => Math.round(Number(n || 0) * 10 ** digits) / 10 ** digits;
+
+const monthStart = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+};
+const addMonths = (date, n) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + n, 1));
+const monthKey = (date) => date.toISOString().slice(0, 10);
+const fromMonth = (month) => new Date(`${month}-01T00:00:00Z`);
+
+/**
+ * Totals and per-structure breakdown of a month's revenue-share deals ({ trade, priced } pairs)
+ */
+export function summarizeMonth(deals) {
+  const byStructure = new Map();
+  const calc = { trades: 0, lots: 0, clientResult: 0, costs: 0, netRevenue: 0, share: 0 };
+  for (const { priced } of deals) {
+    const rs = priced.revenueShare;
+    const key = String(priced.rule?.structureId ?? 'none');
+    if (!byStructure.has(key)) {
+      byStructure.set(key, {
+        structureId: priced.rule?.structureId ?? null,
+        structureName: priced.rule?.structureName ?? null,
+        groupId: priced.rule?.groupId ?? null,
+        pct: rs.pct,
+        trades: 0, lots: 0, clientResult: 0, costs: 0, netRevenue: 0, share: 0
+      });
+    }
+    for (const bucket of [calc, byStructure.get(key)]) {
+      bucket.trades += 1;
+      bucket.lots += priced.lots;
+      bucket.clientResult += rs.clientResult;
+      bucket.costs += rs.costs;
+      bucket.netRevenue += rs.netRevenue;
+      bucket.share += rs.share;
+    }
+  }
+  const finish = (b) => ({
+    ...b,
+    lots: round(b.lots, 4),
+    clientResult: round(b.clientResult),
+    costs: round(b.costs),
+    netRevenue: round(b.netRevenue),
+    share: round(b.share)
+  });
+  return { ...finish(calc), breakdown: Array.from(byStructure.values()).map(finish) };
+}
+
+/**
+ * Apply the carried-in negative balance to a month's share
+ */
+export function settleMonth(calc, carryIn) {
+  const total = round(calc.share + carryIn);
+  return { ...calc, carryIn: round(carryIn), payable: Math.max(total, 0), carryOut: Math.min(total, 0) };
+}
+
+async function postToLedger(period) {
+  try {
+    const entry = await CommissionLedger.post({
+      ibRequestId: period.ib_request_id,
+      entryType: 'accrual',
+      source: 'revenue_share',
+      amount: Number(period.payable),
+      revenueSharePeriodId: period.id,
+      description: `Revenue share ${period.month}`,
+      createdBy: 'revenue-share'
+    });
+    await RevenueSharePeriod.setLedgerEntry(period.id, entry.id);
+    return Number(period.payable);
+  } catch (error) {
+    if (error?.code !== '23505') throw error;
+    // Posted by a concurrent run (or an earlier one that died before linking it): link that entry
+    const existing = await CommissionLedger.findRevenueShareAccrual(period.id);
+    if (existing) await RevenueSharePeriod.setLedgerEntry(period.id, existing.id);
+    return 0;
+  }
+}
+
+/**
+ * Recalculate an IB's revenue share from the month after its last settled one up to now: settle
+ * months that are due and refresh the open ones. Returns { ibRequestId, settled, open, accrued }.
+ */
+export async function runRevenueShare(ibRequestId, { now = new Date(), book = null } = {}) {
+  const summary = { ibRequestId, settled: 0, open: 0, accrued: 0 };
+  for (const period of await RevenueSharePeriod.listUnposted(ibRequestId)) {
+    summary.accrued += await postToLedger(period);
+  }
+
+  const rateBook = book || await loadRateBook(ibRequestId);
+  const enabled = Array.from(rateBook.structureRules.values()).flat().some(r => r.revenueSharePct > 0);
+  if (!enabled) {
+    await RevenueSharePeriod.deleteOpen(ibRequestId);
+    return summary;
+  }
+
+  const lastFinal = await RevenueSharePeriod.getLastFinal(ibRequestId);
+  const from = lastFinal ? addMonths(fromMonth(lastFinal.month), 1) : null;
+  const params = [ibRequestId];
+  let where = 't.ib_request_id = $1 AND t.close_price IS NOT NULL AND t.close_price > 0';
+  if (from) {
+    params.push(from.toISOString());
+    where += ` AND COALESCE(t.close_time, t.synced_at) >= $${params.length}`;
+  }
+  const [tradesRes, referred, ibUserId] = await Promise.all([
+    query(
+      `SELECT t.id, t.user_id, t.account_id, t.group_id, t.symbol, t.volume_lots, t.profit, t.swap, t.ib_commission,
+              t.ib_spread_commission, t.rate_version_id, t.commission_locked_at, t.open_time, t.close_time, t.synced_at,
+              t.open_price, t.close_price
+       FROM ib_trade_history t
+       WHERE ${where}`,
+      params
+    ),
+    getReferredUserIds(ibRequestId),
+    getIBUserId(ibRequestId)
+  ]);
+  const allowed = new Set(referred.filter(id => id !== ibUserId));
+
+  const byMonth = new Map();
+  let firstMonth = null;
+  for (const trade of tradesRes.rows) {
+    if (!allowed.has(String(trade.user_id))) continue;
+    const priced = priceTrade(rateBook, trade);
+    if (!priced.revenueShare) continue;
+    const month = monthStart(trade.close_time || trade.synced_at);
+    if (!firstMonth || month < firstMonth) firstMonth = month;
+    const key = monthKey(month);
+    if (!byMonth.has(key)) byMonth.set(key, []);
+    byMonth.get(key).push({ trade, priced });
+  }
+
+  const start = from || firstMonth;
+  if (!start) return summary;
+  const current = monthStart(now);
+  let carry = lastFinal ? Number(lastFinal.carry_out || 0) : 0;
+  for (let month = start; month <= current; month = addMonths(month, 1)) {
+    const calc = settleMonth(summarizeMonth(byMonth.get(monthKey(month)) || []), carry);
+    const due = addMonths(month, 1).getTime() + SETTLE_DAYS * DAY_MS <= now.getTime();
+    const saved = await RevenueSharePeriod.save(ibRequestId, monthKey(month), calc, { status: due ? 'final' : 'open' });
+    if (due) {
+      // null: a concurrent run settled it first and owns the posting
+      if (saved) {
+        summary.settled += 1;
+        if (Number(saved.payable) > 0) summary.accrued += await postToLedger(saved);
+      }
+    } else {
+      summary.open += 1;
+    }
+    carry = calc.carryOut;
+  }
+  if (summary.settled > 0) {
+    console.log(`[RevenueShare] IB ${ibRequestId}: settled ${summary.settled} month(s), accrued $${round(summary.accrued, 2)}`);
+  }
+  return summary;
+}
+
+/**
+ * Run revenue share for every approved IB with a revenue-share structure in its rate history
+ */
+export async function runAllRevenueShare({ now = new Date() } = {}) {
+  const result = await query(
+    `SELECT DISTINCT h.ib_request_id
+     FROM ib_group_assignment_history h
+     JOIN group_commission_structure_rule_history r ON r.structure_id = h.structure_id
+     JOIN ib_requests ir ON ir.id = h.ib_request_id
+     WHERE r.revenue_share_percentage > 0 AND LOWER(TRIM(ir.status)) = 'approved'
+     ORDER BY h.ib_request_id`
+  );
+  const ibs = [];
+  for (const row of result.rows) {
+    try {
+      ibs.push(await runRevenueShare(row.ib_request_id, { now }));
+    } catch (error) {
+      console.error(`[RevenueShare] Error for IB ${row.ib_request_id}:`, error.message);
+      ibs.push({ ibRequestId: row.ib_request_id, error: error.message, settled: 0, accrued: 0 });
+    }
+  }
+  return {
+    ibs: ibs.length,
+    settled: ibs.reduce((sum, ib) => sum + ib.settled, 0),
+    accrued: round(ibs.reduce((sum, ib) => sum + ib.accrued, 0), 2),
+    failedIBs: ibs.filter(ib => ib.error).map(ib => ({ ibRequestId: ib.ibRequestId, error: ib.error }))
+  };
+}
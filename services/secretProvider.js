@@ -0,0 +1,127 @@
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+import { readFileSync } from 'fs';
+import { query } from '../config/database.js';
+
+/**
+ * Pluggable source of MT5 account passwords.
+ * MT5_SECRET_PROVIDER picks the provider:
+ *   column (default) - MT5Account.password; values written by encryptSecret() ("enc:v1:...") are
+ *                      decrypted with MT5_CREDENTIALS_KEY or the key in MT5_CREDENTIALS_KEYFILE
+ *                      (32 bytes, hex or base64). Plaintext values are still accepted unless
+ *                      MT5_ALLOW_PLAINTEXT_PASSWORDS=false.
+ *   env              - MT5_PASSWORD_<accountId> environment variables (local development)
+ * Other providers (a vault, a KMS) can be added with registerSecretProvider().
+ */
+
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const providers = new Map();
+let cachedKey = null;
+
+function parseKey(raw) {
+  const value = String(raw || '').trim();
+  if (!value) return null;
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error('MT5 credentials key must be 32 bytes (64 hex characters or base64)');
+  }
+  return key;
+}
+
+function getEncryptionKey() {
+  if (cachedKey) return cachedKey;
+  if (process.env.MT5_CREDENTIALS_KEY) {
+    cachedKey = parseKey(process.env.MT5_CREDENTIALS_KEY);
+  } else if (process.env.MT5_CREDENTIALS_KEYFILE) {
+    cachedKey = parseKey(readFileSync(process.env.MT5_CREDENTIALS_KEYFILE, 'utf8'));
+  }
+  if (!cachedKey) {
+    throw new Error('Encrypted MT5 password found but neither MT5_CREDENTIALS_KEY nor MT5_CREDENTIALS_KEYFILE is set');
+  }
+  return cachedKey;
+}
+
+export const isEncryptedSecret = (value) => typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+
+/**
+ * AES-256-GCM encrypt a secret into the "enc:v1:iv:tag:ciphertext" column format
+ */
+export function encryptSecret(plaintext) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return `${ENCRYPTED_PREFIX}${iv.toString('base64')}:${tag.toString('base64')}:${ciphertext.toString('base64')}`;
+}
+
+export function decryptSecret(value) {
+  const [iv, tag, ciphertext] = String(value).slice(ENCRYPTED_PREFIX.length).split(':');
+  if (!iv || !tag || !ciphertext) {
+    throw new Error('Malformed encrypted secret');
+  }
+  const decipher = createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+async function readPasswordColumn(accountId) {
+  let result;
+  try {
+    result = await query('SELECT password FROM "MT5Account" WHERE "accountId" = $1', [String(accountId)]);
+  } catch {
+    // Deployments with lowercase table/column names
+    result = await query('SELECT password FROM mt5_account WHERE account_id = $1', [String(accountId)]);
+  }
+  if (result.rows.length === 0) {
+    throw new Error(`MT5 account ${accountId} not found in database`);
+  }
+  return result.rows[0].password || null;
+}
+
+registerSecretProvider('column', {
+  async getAccountPassword(accountId) {
+    const stored = await readPasswordColumn(accountId);
+    if (!stored) return null;
+    if (isEncryptedSecret(stored)) return decryptSecret(stored);
+    if (String(process.env.MT5_ALLOW_PLAINTEXT_PASSWORDS || 'true').toLowerCase() === 'false') {
+      throw new Error(`MT5 account ${accountId} has an unencrypted password and MT5_ALLOW_PLAINTEXT_PASSWORDS=false`);
+    }
+    return stored;
+  }
+});
+
+registerSecretProvider('env', {
+  async getAccountPassword(accountId) {
+    return process.env[`MT5_PASSWORD_${accountId}`] || null;
+  }
+});
+
+/**
+ * Add or replace a provider: { getAccountPassword(accountId) => Promise<string|null> }
+ */
+export function registerSecretProvider(name, provider) {
+  if (typeof provider?.getAccountPassword !== 'function') {
+    throw new Error(`Secret provider ${name} must implement getAccountPassword(accountId)`);
+  }
+  providers.set(name, provider);
+}
+
+export function getSecretProvider() {
+  const name = String(process.env.MT5_SECRET_PROVIDER || 'column').toLowerCase().trim();
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown MT5 secret provider: ${name}. Available: ${Array.from(providers.keys()).join(', ')}`);
+  }
+  return { name, ...provider };
+}
+
+/**
+ * Password for an MT5 account. Logs mask it by field name (password, Password, ...), so the
+ * value itself is not kept for redaction.
+ */
+export async function getAccountPassword(accountId) {
+  const password = await getSecretProvider().getAccountPassword(accountId);
+  if (!password) {
+    throw new Error(`Password not found for MT5 account ${accountId}. Please ensure the account has a password set.`);
+  }
+  return password;
+}
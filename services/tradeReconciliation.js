@@ -0,0 +1,198 @@
+import { query } from '../config/database.js';
+import { IBTradeHistory, TRADE_CLOSE_TIME_SQL } from '../models/IBTradeHistory.js';
+import { TradeReconciliation } from '../models/TradeReconciliation.js';
+import { getGatewayConfig, normalizeDeal } from './mt5Gateway.js';
+import { fetchAllDeals, listIBAccounts, resolveAccountOwner } from './tradeSync.js';
+
+const LOT_TOLERANCE = 1e-6;
+const PROFIT_TOLERANCE = 0.01;
+
+const round = (n, digits = 8) => Math.round(Number(n || 0) * 10 ** digits) / 10 ** digits;
+const toIso = (date) => (date ? new Date(date).toISOString() : null);
+
+/**
+ * Compare one account's closed deals in MT5 (trade history API) with ib_trade_history
+ * for [fromDate, toDate]. Deals are matched by order id; the same rules as
+ * IBTradeHistory.upsertTrades decide which MT5 deals should have a portal row.
+ */
+export async function reconcileAccount({ accountId, fromDate, toDate, server = getGatewayConfig().serverName }) {
+  const { deals: raw, truncated } = await fetchAllDeals({ accountId, fromDate, toDate });
+  // With pages missing, every portal trade of the window could be reported as extra
+  if (truncated) {
+    throw new Error('MT5 returned more deals than TRADE_SYNC_MAX_PAGES allows; reconcile a shorter range');
+  }
+  const mt5 = new Map();
+  for (const trade of raw) {
+    const deal = normalizeDeal(trade);
+    if (IBTradeHistory.skipReason(deal)) continue;
+    mt5.set(deal.orderId, deal);
+  }
+
+  const localRes = await query(
+    `SELECT order_id, symbol, order_type, volume_lots, profit, entry, ${TRADE_CLOSE_TIME_SQL} AS trade_time
+     FROM ib_trade_history
+     WHERE account_id = $1 AND server = $2
+       AND ${TRADE_CLOSE_TIME_SQL} >= $3 AND ${TRADE_CLOSE_TIME_SQL} <= $4`,
+    [String(accountId), server, fromDate, toDate]
+  );
+  const portal = new Map(localRes.rows.map(row => [String(row.order_id), row]));
+
+  const missing = [];
+  const mismatched = [];
+  for (const [orderId, deal] of mt5) {
+    const row = portal.get(orderId);
+    if (!row) {
+      missing.push({
+        orderId,
+        dealId: deal.dealId,
+        symbol: deal.symbol,
+        direction: deal.direction,
+        volumeLots: deal.volumeLots,
+        profit: deal.profit,
+        closeTime: toIso(deal.closeTime || deal.time)
+      });
+      continue;
+    }
+
+    const fields = {};
+    if (String(row.symbol) !== deal.symbol) {
+      fields.symbol = { mt5: deal.symbol, portal: row.symbol };
+    }
+    if (deal.direction && row.order_type !== deal.direction) {
+      fields.direction = { mt5: deal.direction, portal: row.order_type };
+    }
+    // Reversal deals are stored with their closed part only
+    if (deal.entry !== 'inout' && Math.abs(Number(row.volume_lots || 0) - deal.volumeLots) > LOT_TOLERANCE) {
+      fields.volumeLots = { mt5: deal.volumeLots, portal: Number(row.volume_lots || 0) };
+    }
+    if (Math.abs(Number(row.profit || 0) - deal.profit) >= PROFIT_TOLERANCE) {
+      fields.profit = { mt5: deal.profit, portal: Number(row.profit || 0) };
+    }
+    if (Object.keys(fields).length) {
+      mismatched.push({ orderId, fields });
+    }
+  }
+
+  const extra = [];
+  for (const [orderId, row] of portal) {
+    if (mt5.has(orderId)) continue;
+    extra.push({
+      orderId,
+      symbol: row.symbol,
+      direction: row.order_type,
+      volumeLots: Number(row.volume_lots || 0),
+      profit: Number(row.profit || 0),
+      closeTime: toIso(row.trade_time)
+    });
+  }
+
+  const mt5Deals = Array.from(mt5.values());
+  return {
+    accountId: String(accountId),
+    fromDate,
+    toDate,
+    mt5: {
+      deals: mt5Deals.length,
+      lots: round(mt5Deals.reduce((sum, d) => sum + d.volumeLots, 0)),
+      profit: round(mt5Deals.reduce((sum, d) => sum + d.profit, 0), 2)
+    },
+    portal: {
+      deals: localRes.rows.length,
+      lots: round(localRes.rows.reduce((sum, r) => sum + Number(r.volume_lots || 0), 0)),
+      profit: round(localRes.rows.reduce((sum, r) => sum + Number(r.profit || 0), 0), 2)
+    },
+    missing,
+    extra,
+    mismatched
+  };
+}
+
+async function accountsForScope({ accountId, ibRequestId }) {
+  if (accountId) {
+    const owner = await resolveAccountOwner(accountId);
+    if (!owner) {
+      throw new Error(`MT5 account ${accountId} not found in database`);
+    }
+    return [{ accountId: String(accountId), userId: owner.userId, ibRequestId: ibRequestId || owner.ibRequestId }];
+  }
+  if (ibRequestId) {
+    const { ib, accounts } = await listIBAccounts(ibRequestId);
+    return accounts.map(a => ({ ...a, ibRequestId: ib.id }));
+  }
+  const ibs = await query("SELECT id FROM ib_requests WHERE LOWER(TRIM(status)) = 'approved' ORDER BY id");
+  const accounts = [];
+  for (const row of ibs.rows) {
+    try {
+      const { accounts: ibAccounts } = await listIBAccounts(row.id);
+      accounts.push(...ibAccounts.map(a => ({ ...a, ibRequestId: row.id })));
+    } catch (error) {
+      console.error(`[Reconcile] Could not list accounts for IB ${row.id}:`, error.message);
+    }
+  }
+  return accounts;
+}
+
+/**
+ * Reconcile an account, an IB's accounts, or every approved IB, and store the report.
+ * Returns the stored report with its account rows.
+ */
+export async function runReconciliation({ accountId = null, ibRequestId = null, fromDate, toDate = null, triggeredBy = null, jobId = null }) {
+  if (!fromDate || Number.isNaN(new Date(fromDate).getTime())) {
+    throw new Error('A valid fromDate is required for reconciliation');
+  }
+  if (toDate && Number.isNaN(new Date(toDate).getTime())) {
+    throw new Error('Invalid toDate');
+  }
+  const range = {
+    fromDate: new Date(fromDate).toISOString(),
+    toDate: toDate ? new Date(toDate).toISOString() : new Date().toISOString()
+  };
+  const scope = accountId ? 'account' : ibRequestId ? 'ib' : 'all';
+
+  const report = await TradeReconciliation.start({ scope, ibRequestId, accountId, ...range, triggeredBy, jobId });
+  try {
+    const accounts = await accountsForScope({ accountId, ibRequestId });
+    for (const account of accounts) {
+      try {
+        const result = await reconcileAccount({ accountId: account.accountId, ...range });
+        await TradeReconciliation.recordAccount(report.id, { ...result, userId: account.userId, ibRequestId: account.ibRequestId });
+        const differences = result.missing.length + result.extra.length + result.mismatched.length;
+        if (differences) {
+          console.warn(`[Reconcile] Account ${account.accountId}: ${result.missing.length} missing, ${result.extra.length} extra, ${result.mismatched.length} mismatched`);
+        }
+      } catch (error) {
+        console.error(`[Reconcile] Account ${account.accountId} failed:`, error.message);
+        await TradeReconciliation.recordAccount(report.id, { accountId: account.accountId, userId: account.userId, ibRequestId: account.ibRequestId, error: error.message });
+      }
+    }
+    await TradeReconciliation.finish(report.id);
+  } catch (error) {
+    await TradeReconciliation.finish(report.id, { error: error.message })
+      .catch(e => console.error(`[Reconcile] Could not close report ${report.id}:`, e.message));
+    error.reconciliationId = report.id;
+    throw error;
+  }
+  return TradeReconciliation.findById(report.id);
+}
+
+/**
+ * Re-check one account of a report (after a resync) and refresh the report totals
+ */
+export async function recheckAccount(reconciliationId, accountId, { resyncRunId = null } = {}) {
+  const row = await TradeReconciliation.findAccount(reconciliationId, accountId);
+  if (!row) return null;
+  const range = { fromDate: new Date(row.from_date).toISOString(), toDate: new Date(row.to_date).toISOString() };
+  let result;
+  try {
+    result = await reconcileAccount({ accountId, ...range });
+  } catch (error) {
+    result = { accountId, error: error.message };
+  }
+  const updated = await TradeReconciliation.recordAccount(
+    reconciliationId,
+    { ...result, userId: row.user_id, ibRequestId: row.ib_request_id },
+    { resyncRunId }
+  );
+  await TradeReconciliation.finish(reconciliationId);
+  return updated;
+}
@@ -0,0 +1,396 @@
+import { query } from '../config/database.js';
+import { IBTradeHistory } from '../models/IBTradeHistory.js';
+import { MT5SyncCursor } from '../models/MT5SyncCursor.js';
+import { TradeSyncRun } from '../models/TradeSyncRun.js';
+import { fetchTradeHistory, fetchClientProfile, getDealTime } from './mt5Gateway.js';
+import { mapWithConcurrency } from './workerPool.js';
+import { repriceAccount } from './commissionEngine.js';
+
+const PAGE_SIZE = Number(process.env.TRADE_SYNC_PAGE_SIZE || 1000);
+const MAX_PAGES = Number(process.env.TRADE_SYNC_MAX_PAGES || 500);
+const INITIAL_LOOKBACK_DAYS = Number(process.env.TRADE_SYNC_INITIAL_DAYS || 90);
+// Accounts synced in parallel per IB
+const SYNC_CONCURRENCY = Number(process.env.TRADE_SYNC_CONCURRENCY || 4);
+// How long an account's MT5 group is reused before getClientProfile is called again
+const GROUP_CACHE_MS = Number(process.env.TRADE_SYNC_GROUP_CACHE_SECONDS || 900) * 1000;
+
+const accountGroups = new Map();
+
+async function resolveAccountGroup(accountId) {
+  const cached = accountGroups.get(String(accountId));
+  if (cached && cached.expiresAt > Date.now()) return cached.groupId;
+  try {
+    const profile = await fetchClientProfile(accountId);
+    const groupId = profile?.group || null;
+    accountGroups.set(String(accountId), { groupId, expiresAt: Date.now() + GROUP_CACHE_MS });
+    return groupId;
+  } catch {
+    // Unknown group prices with the IB's fallback rate; try the profile again next time
+    return cached?.groupId || null;
+  }
+}
+
+/**
+ * Lookup keys for an MT5 group path (full path, both slash styles, last segment, segment after 'bbook')
+ */
+export function makeGroupKeys(gid) {
+  if (!gid) return [];
+  const low = String(gid).trim().toLowerCase();
+  const fwd = low.replace(/\\\\/g, '/');
+  const bwd = low.replace(/\//g, '\\');
+  const parts = low.split(/[\\\\/]/);
+  const last = parts[parts.length - 1] || low;
+  let afterBbook = null;
+  for (let i = 0; i < parts.length; i++) {
+    if (parts[i] === 'bbook' && i + 1 < parts.length) { afterBbook = parts[i + 1]; break; }
+  }
+  const keys = new Set([low, fwd, bwd, last]);
+  if (afterBbook) keys.add(afterBbook);
+  return Array.from(keys);
+}
+
+/**
+ * Commission map used by IBTradeHistory.upsertTrades: group key -> { usdPerLot, spreadPercentage }.
+ * Falls back to the IB's default rates under '*' when no group assignments exist.
+ */
+export async function buildCommissionMap(ibRequestId) {
+  if (!ibRequestId) return {};
+
+  const assignmentsRes = await query(
+    'SELECT group_id, usd_per_lot, spread_share_percentage FROM ib_group_assignments WHERE ib_request_id = $1',
+    [ibRequestId]
+  );
+
+  const map = assignmentsRes.rows.reduce((acc, row) => {
+    if (!row.group_id) return acc;
+    const payload = {
+      usdPerLot: Number(row.usd_per_lot || 0),
+      spreadPercentage: Number(row.spread_share_percentage || 0)
+    };
+    for (const k of makeGroupKeys(row.group_id)) acc[k] = payload;
+    return acc;
+  }, {});
+
+  if (!Object.keys(map).length) {
+    const ibRes = await query('SELECT usd_per_lot, spread_percentage_per_lot FROM ib_requests WHERE id = $1', [ibRequestId]);
+    if (ibRes.rows.length > 0) {
+      map['*'] = {
+        usdPerLot: Number(ibRes.rows[0].usd_per_lot || 0),
+        spreadPercentage: Number(ibRes.rows[0].spread_percentage_per_lot || 0)
+      };
+    }
+  }
+
+  return map;
+}
+
+const getDealId = (deal) => String(deal?.DealId ?? deal?.OrderId ?? '');
+
+/**
+ * Page through the trade history API until the last page for the given window.
+ * `truncated` is true when MAX_PAGES ran out before the last page: deals are then missing
+ * from the window, and the API gives no ordering that says which ones.
+ */
+export async function fetchAllDeals({ accountId, fromDate, toDate }) {
+  const deals = [];
+  let truncated = true;
+  for (let page = 1; page <= MAX_PAGES; page++) {
+    const result = await fetchTradeHistory({ accountId, fromDate, toDate, page, pageSize: PAGE_SIZE });
+    deals.push(...result.items);
+    if (!result.hasNextPage || result.items.length === 0) {
+      truncated = false;
+      break;
+    }
+  }
+  if (truncated) {
+    console.warn(`[Trade Sync] Account ${accountId}: stopped after ${MAX_PAGES} pages (TRADE_SYNC_MAX_PAGES), the window has more deals`);
+  }
+  return { deals, truncated };
+}
+
+/**
+ * Sync one MT5 account.
+ * Without fromDate the run is incremental: it starts at the account's cursor and only
+ * ingests deals newer than the last synced (time, deal id). With fromDate it replays the
+ * whole window (backfill); upserts are idempotent and the cursor never moves backwards.
+ * With runId the outcome (including failures) is recorded in the sync run history.
+ */
+export async function syncAccount({ runId = null, ...options }) {
+  const startedAt = new Date().toISOString();
+  try {
+    const result = await syncAccountDeals(options);
+    if (runId) {
+      await TradeSyncRun.recordAccount(runId, { ...result, userId: options.userId, ibRequestId: options.ibRequestId, startedAt });
+    }
+    return result;
+  } catch (error) {
+    if (runId) {
+      await TradeSyncRun.recordAccount(runId, {
+        accountId: options.accountId,
+        userId: options.userId,
+        ibRequestId: options.ibRequestId,
+        error: error.message,
+        startedAt
+      }).catch(e => console.error(`[Trade Sync] Could not record failure for account ${options.accountId}:`, e.message));
+    }
+    throw error;
+  }
+}
+
+/**
+ * Store raw MT5 deals for an account and price them: the path shared by polling and the push webhook.
+ * The account's MT5 group is looked up (and cached) when not given. Returns the upsertTrades result.
+ */
+export async function ingestDeals({ accountId, userId, ibRequestId = null, deals, commissionMap = null, groupId = null }) {
+  if (!deals.length) return [];
+
+  const resolvedGroupId = groupId || await resolveAccountGroup(accountId);
+
+  const map = commissionMap || await buildCommissionMap(ibRequestId);
+  const saved = await IBTradeHistory.upsertTrades(deals, { accountId, userId, ibRequestId, commissionMap: map, groupId: resolvedGroupId });
+
+  if (ibRequestId) {
+    await repriceAccount(accountId, ibRequestId);
+  }
+  return saved;
+}
+
+async function syncAccountDeals({ accountId, userId, ibRequestId = null, commissionMap = null, groupId = null, fromDate = null, toDate = null }) {
+  const cursor = await MT5SyncCursor.get(accountId);
+  const isBackfill = Boolean(fromDate);
+
+  let from = fromDate;
+  if (!from) {
+    from = cursor?.last_deal_time
+      ? new Date(cursor.last_deal_time).toISOString()
+      : new Date(Date.now() - INITIAL_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  }
+  const to = toDate || new Date().toISOString();
+
+  const { deals: fetched, truncated } = await fetchAllDeals({ accountId, fromDate: from, toDate: to });
+
+  // Drop deals the cursor already covers (incremental runs only)
+  const deals = isBackfill || !cursor?.last_deal_time
+    ? fetched
+    : fetched.filter((deal) => {
+        const time = getDealTime(deal);
+        return !time || MT5SyncCursor.isNewer(time, getDealId(deal), cursor.last_deal_time, cursor.last_deal_id);
+      });
+
+  const saved = await ingestDeals({ accountId, userId, ibRequestId, deals, commissionMap, groupId });
+
+  // Deals that failed to save stop the watermark just before them, so the next run retries them
+  const failedIds = new Set((saved.errors || []).map(e => e.orderId));
+  let failedTime = null;
+  let failedId = null;
+  let holdCursor = false;
+  for (const deal of deals) {
+    if (!failedIds.has(String(deal?.OrderId || deal?.DealId || 'unknown'))) continue;
+    const time = getDealTime(deal);
+    if (!time) { holdCursor = true; break; }
+    if (!failedTime || MT5SyncCursor.isNewer(failedTime, failedId, time, getDealId(deal))) {
+      failedTime = time;
+      failedId = getDealId(deal);
+    }
+  }
+  if (failedIds.size && !failedTime) holdCursor = true;
+  // Unfetched pages may hold deals older than the newest one seen, so the cursor stays put
+  if (truncated) holdCursor = true;
+
+  // Advance the watermark to the newest deal seen in this window, up to the first failure
+  let newestTime = null;
+  let newestId = null;
+  for (const deal of holdCursor ? [] : fetched) {
+    const time = getDealTime(deal);
+    if (!time) continue;
+    if (failedTime && !MT5SyncCursor.isNewer(failedTime, failedId, time, getDealId(deal))) continue;
+    if (MT5SyncCursor.isNewer(time, getDealId(deal), newestTime, newestId)) {
+      newestTime = time;
+      newestId = getDealId(deal);
+    }
+  }
+  if (failedIds.size) {
+    console.warn(`[Trade Sync] Account ${accountId}: ${failedIds.size} deal(s) failed to save, cursor held at ${newestTime || 'its previous position'}`);
+  }
+  if (truncated) {
+    console.warn(`[Trade Sync] Account ${accountId}: window truncated, cursor held at its previous position`);
+  }
+  await MT5SyncCursor.advance(accountId, { ibRequestId, lastDealTime: newestTime, lastDealId: newestId });
+
+  return {
+    accountId: String(accountId),
+    from,
+    to,
+    fetched: fetched.length,
+    processed: deals.length,
+    saved: saved.length,
+    truncated,
+    skipped: saved.skipped || {},
+    errors: saved.errors || []
+  };
+}
+
+/**
+ * MT5 accounts an IB earns on: its own accounts (own: true) and those of its referred users
+ */
+export async function listIBAccounts(ibRequestId) {
+  const ibRes = await query('SELECT id, email FROM ib_requests WHERE id = $1', [ibRequestId]);
+  if (ibRes.rows.length === 0) {
+    throw new Error(`IB request ${ibRequestId} not found`);
+  }
+  const ib = ibRes.rows[0];
+
+  const userResult = await query('SELECT id FROM "User" WHERE email = $1', [ib.email]);
+  if (userResult.rows.length === 0) {
+    return { ib, accounts: [] };
+  }
+  const ibUserId = userResult.rows[0].id;
+
+  const owners = [ibUserId];
+  const refUsersRes = await query('SELECT user_id FROM ib_referrals WHERE ib_request_id = $1 AND user_id IS NOT NULL', [ib.id]);
+  for (const ref of refUsersRes.rows) owners.push(ref.user_id);
+
+  const accounts = [];
+  for (const ownerUserId of owners) {
+    try {
+      const accRes = await query('SELECT "accountId" FROM "MT5Account" WHERE "userId" = $1', [ownerUserId]);
+      for (const row of accRes.rows) accounts.push({ accountId: row.accountId, userId: ownerUserId, own: ownerUserId === ibUserId });
+    } catch (error) {
+      console.error(`[Trade Sync] Error loading accounts for user ${ownerUserId}:`, error.message);
+    }
+  }
+  return { ib, accounts };
+}
+
+/**
+ * Sync every account that earns commission for an IB: the IB's own accounts and referred traders' accounts
+ */
+export async function syncIB(ibRequestId, { fromDate = null, toDate = null, runId = null } = {}) {
+  const { ib, accounts: ibAccounts } = await listIBAccounts(ibRequestId);
+  if (ibAccounts.length === 0) {
+    return { ibRequestId: ib.id, accounts: [] };
+  }
+  const commissionMap = await buildCommissionMap(ib.id);
+
+  // A slow or failing account only holds up its own worker
+  const accounts = await mapWithConcurrency(ibAccounts, SYNC_CONCURRENCY, async (account) => {
+    try {
+      return await syncAccount({
+        accountId: account.accountId,
+        userId: account.userId,
+        ibRequestId: ib.id,
+        commissionMap,
+        fromDate,
+        toDate,
+        runId
+      });
+    } catch (error) {
+      console.error(`[Trade Sync] Error syncing account ${account.accountId}:`, error.message);
+      return { accountId: String(account.accountId), error: error.message };
+    }
+  });
+
+  return { ibRequestId: ib.id, accounts };
+}
+
+/**
+ * Sync every approved IB
+ */
+export async function syncAllIBs({ fromDate = null, toDate = null, runId = null } = {}) {
+  const result = await query("SELECT id FROM ib_requests WHERE LOWER(TRIM(status)) = 'approved' ORDER BY id");
+  const ibs = [];
+  for (const row of result.rows) {
+    try {
+      ibs.push(await syncIB(row.id, { fromDate, toDate, runId }));
+    } catch (error) {
+      console.error(`[Trade Sync] Error processing IB ${row.id}:`, error.message);
+      ibs.push({ ibRequestId: row.id, error: error.message, accounts: [] });
+    }
+  }
+  return { ibs };
+}
+
+/**
+ * Find the owning user and IB for an account (own IB account or referred trader)
+ */
+export async function resolveAccountOwner(accountId) {
+  const accRes = await query('SELECT "userId" FROM "MT5Account" WHERE "accountId" = $1', [String(accountId)]);
+  if (accRes.rows.length === 0) return null;
+  const userId = accRes.rows[0].userId;
+
+  const refRes = await query('SELECT ib_request_id FROM ib_referrals WHERE user_id = $1 LIMIT 1', [userId]);
+  if (refRes.rows.length > 0) {
+    return { userId, ibRequestId: refRes.rows[0].ib_request_id };
+  }
+
+  const ibRes = await query(
+    `SELECT ir.id FROM ib_requests ir
+     JOIN "User" u ON LOWER(u.email) = LOWER(ir.email)
+     WHERE u.id = $1 AND LOWER(TRIM(ir.status)) = 'approved'
+     LIMIT 1`,
+    [userId]
+  );
+  return { userId, ibRequestId: ibRes.rows[0]?.id || null };
+}
+
+/**
+ * Replay a date range for one account, one IB, or all approved IBs
+ */
+export async function backfillTrades({ accountId = null, ibRequestId = null, all = false, fromDate, toDate = null, runId = null }) {
+  if (!fromDate || Number.isNaN(new Date(fromDate).getTime())) {
+    throw new Error('A valid fromDate is required for backfill');
+  }
+  if (toDate && Number.isNaN(new Date(toDate).getTime())) {
+    throw new Error('Invalid toDate');
+  }
+  const range = {
+    fromDate: new Date(fromDate).toISOString(),
+    toDate: toDate ? new Date(toDate).toISOString() : new Date().toISOString()
+  };
+
+  if (accountId) {
+    const owner = await resolveAccountOwner(accountId);
+    if (!owner) {
+      throw new Error(`MT5 account ${accountId} not found in database`);
+    }
+    const account = await syncAccount({
+      accountId,
+      userId: owner.userId,
+      ibRequestId: ibRequestId || owner.ibRequestId,
+      ...range,
+      runId
+    });
+    return { scope: 'account', ...range, accounts: [account] };
+  }
+
+  if (ibRequestId) {
+    const ib = await syncIB(ibRequestId, { ...range, runId });
+    return { scope: 'ib', ...range, accounts: ib.accounts };
+  }
+
+  if (all) {
+    const { ibs } = await syncAllIBs({ ...range, runId });
+    return { scope: 'all', ...range, accounts: ibs.flatMap(ib => ib.accounts) };
+  }
+
+  throw new Error('Specify accountId, ibRequestId or all');
+}
+
+/**
+ * Run sync work inside a trade_sync_runs record. `work` receives the run id to pass down
+ * to syncAccount/syncIB/backfillTrades; the run is closed with totals or the thrown error.
+ */
+export async function recordSyncRun({ trigger, triggeredBy = null, scope, ibRequestId = null, accountId = null, jobId = null, fromDate = null, toDate = null }, work) {
+  const run = await TradeSyncRun.start({ trigger, triggeredBy, scope, ibRequestId, accountId, jobId, fromDate, toDate });
+  try {
+    const result = await work(run.id);
+    const finished = await TradeSyncRun.finish(run.id);
+    console.log(`[Trade Sync] Run ${run.id} (${trigger}/${scope}) ${finished?.status}: ${finished?.saved} saved, ${finished?.skipped} skipped, ${finished?.accounts_failed}/${finished?.accounts_total} accounts failed`);
+    return { runId: run.id, ...result };
+  } catch (error) {
+    await TradeSyncRun.finish(run.id, { error: error.message })
+      .catch(e => console.error(`[Trade Sync] Could not close run ${run.id}:`, e.message));
+    error.runId = run.id;
+    throw error;
+  }
+}
@@ -0,0 +1,20 @@
+/**
+ * Run `worker(item, index)` over `items` with at most `concurrency` calls in flight.
+ * Results keep the order of `items`. A rejected worker rejects the whole run, so workers
+ * that should not stop the others must catch their own errors.
+ */
+export async function mapWithConcurrency(items, concurrency, worker) {
+  const list = Array.from(items);
+  const results = new Array(list.length);
+  const limit = Math.max(1, Math.min(Number(concurrency) || 1, list.length || 1));
+  let next = 0;
+
+  const runners = Array.from({ length: limit }, async () => {
+    while (next < list.length) {
+      const index = next++;
+      results[index] = await worker(list[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
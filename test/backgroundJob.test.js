@@ -0,0 +1,46 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { dbSkip, resetDatabase, closeDatabase } from './helpers/db.js';
+import { query } from '../config/database.js';
+import { BackgroundJob } from '../models/BackgroundJob.js';
+
+// Backdate a job's lock as if its worker had stopped sending heartbeats
+const ageLock = (id, ms) => query(
+  `UPDATE background_jobs SET locked_at = CURRENT_TIMESTAMP - ($2::numeric * INTERVAL '1 millisecond') WHERE id = $1`,
+  [id, ms]
+);
+
+describe('BackgroundJob lock ownership', { skip: dbSkip }, () => {
+  before(resetDatabase);
+  after(closeDatabase);
+
+  it('keeps a job whose lock is renewed and recovers one that stopped renewing', async () => {
+    await BackgroundJob.enqueue('test-job', {}, { dedupeKey: 'renewed' });
+    const job = await BackgroundJob.claimNext('worker-a', ['test-job']);
+    await ageLock(job.id, 60000);
+
+    assert.equal(await BackgroundJob.renewLock(job.id, 'worker-a'), true);
+    assert.equal(await BackgroundJob.recoverStale(30000), 0);
+
+    await ageLock(job.id, 60000);
+    assert.equal(await BackgroundJob.recoverStale(30000), 1);
+    assert.equal(await BackgroundJob.renewLock(job.id, 'worker-a'), false);
+  });
+
+  it('ignores mark* calls from a worker that lost the job to another', async () => {
+    await BackgroundJob.enqueue('test-job', {}, { dedupeKey: 'stolen' });
+    const job = await BackgroundJob.claimNext('worker-a', ['test-job']);
+    await ageLock(job.id, 60000);
+    await BackgroundJob.recoverStale(30000);
+    const reclaimed = await BackgroundJob.claimNext('worker-b', ['test-job']);
+    assert.equal(reclaimed.id, job.id);
+
+    assert.equal(await BackgroundJob.markSucceeded(job.id, 'worker-a', { stale: true }), null);
+    assert.equal(await BackgroundJob.markFailed(job.id, 'worker-a', 'stale failure'), null);
+    assert.equal((await BackgroundJob.findById(job.id)).locked_by, 'worker-b');
+
+    const done = await BackgroundJob.markSucceeded(job.id, 'worker-b', { ok: true });
+    assert.equal(done.status, 'succeeded');
+    assert.deepEqual(done.result, { ok: true });
+  });
+});
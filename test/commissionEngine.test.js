@@ -0,0 +1,208 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { dbSkip, resetDatabase, createIB, insertTrade, closeDatabase } from './helpers/db.js';
+import { query } from '../config/database.js';
+import { GroupCommissionStructures } from '../models/GroupCommissionStructures.js';
+import { IBGroupAssignment } from '../models/IBGroupAssignment.js';
+import { priceTrade, checkEligibility, priceUplineOverrides, accrueCommission } from '../services/commissionEngine.js';
+import { makeGroupKeys } from '../services/tradeSync.js';
+
+const GROUP = 'real\\std';
+const STRUCTURE_ID = 10;
+
+const assignment = (fields = {}) => ({
+  id: 1, group_id: GROUP, group_name: null, structure_id: STRUCTURE_ID, structure_name: 'Standard',
+  usd_per_lot: 5, spread_share_percentage: 0, valid_from: null, valid_to: null, ...fields
+});
+const structureRules = (fields = {}) => ({
+  versionId: 100, valid_from: null, valid_to: null, overrides: [], uplineRules: [], maxPayoutPerLot: null,
+  revenueSharePct: 0, eligibility: null, ...fields
+});
+const eligibility = (fields = {}) => ({
+  minHoldSeconds: null, minPriceMovePoints: null, shortTradeSeconds: null, maxShortTradePercentage: null, ...fields
+});
+// EURUSD: 5 digits, 2 pip fixed spread, USD quoted (10 USD per pip per lot)
+const SYMBOLS = new Map([
+  ['EURUSD', { symbol: 'EURUSD', digits: 5, contractSize: 100000, pipValue: null, spreadPoints: 20, category: 'Forex' }],
+  ['XAUUSD', { symbol: 'XAUUSD', digits: 2, contractSize: 100, pipValue: null, spreadPoints: null, category: 'Metals' }]
+]);
+
+// A rate book as loadRateBook builds it, without the database
+function makeBook({ versions = [assignment()], rules = [structureRules()], uplines = [], shortTradeStats = new Map() } = {}) {
+  const keyed = versions.map(v => ({ ...v, keys: makeGroupKeys(v.group_id) }));
+  return {
+    ibRequestId: 1,
+    versions: keyed,
+    byId: new Map(keyed.map(v => [Number(v.id), v])),
+    structureRules: new Map([[STRUCTURE_ID, rules]]),
+    uplines,
+    shortTradeStats,
+    symbols: SYMBOLS,
+    markups: new Map(),
+    ibDefault: null
+  };
+}
+
+const trade = (fields = {}) => ({
+  id: 't1', account_id: 'A1', group_id: GROUP, symbol: 'EURUSD', volume_lots: 1,
+  open_time: '2025-01-15T09:50:00Z', close_time: '2025-01-15T10:00:00Z', open_price: 1.1, close_price: 1.103,
+  commission_locked_at: null, ib_commission: 0, ib_spread_commission: null, rate_version_id: null, ...fields
+});
+
+describe('priceTrade', () => {
+  it('adds per-lot and spread commission from the matched group', () => {
+    const book = makeBook({ versions: [assignment({ spread_share_percentage: 50 })] });
+    const priced = priceTrade(book, trade({ volume_lots: 2 }));
+    assert.equal(priced.rule.matchedBy, 'group');
+    assert.equal(priced.fixed, 10);
+    // 2 lots x 2 pips x 10 USD = 40 spread revenue, half of it shared
+    assert.equal(priced.spreadRevenue, 40);
+    assert.equal(priced.spread, 20);
+    assert.equal(priced.total, 30);
+  });
+
+  it('uses the rate in force when the deal closed', () => {
+    const book = makeBook({
+      versions: [
+        assignment({ id: 1, usd_per_lot: 5, valid_to: '2025-02-01T00:00:00Z' }),
+        assignment({ id: 2, usd_per_lot: 8, valid_from: '2025-02-01T00:00:00Z' })
+      ]
+    });
+    const january = priceTrade(book, trade());
+    const february = priceTrade(book, trade({ open_time: '2025-02-03T09:50:00Z', close_time: '2025-02-03T10:00:00Z' }));
+    assert.deepEqual([january.rule.versionId, january.fixed], [1, 5]);
+    assert.deepEqual([february.rule.versionId, february.fixed], [2, 8]);
+  });
+
+  it('applies a symbol override before a category override', () => {
+    const book = makeBook({
+      rules: [structureRules({
+        overrides: [
+          { matchType: 'category', match: 'forex', usdPerLot: 7 },
+          { matchType: 'symbol', match: 'XAUUSD', excluded: true }
+        ]
+      })]
+    });
+    assert.equal(priceTrade(book, trade({ symbol: 'EURUSD.m' })).fixed, 7);
+    const gold = priceTrade(book, trade({ symbol: 'XAUUSD' }));
+    assert.equal(gold.total, 0);
+    assert.equal(gold.rule.override.excluded, true);
+  });
+
+  it('keeps what a locked deal was paid', () => {
+    const book = makeBook({ versions: [assignment({ usd_per_lot: 9 })] });
+    const priced = priceTrade(book, trade({
+      commission_locked_at: '2025-02-01T00:00:00Z', ib_commission: 3, ib_spread_commission: 1, rate_version_id: 1
+    }));
+    assert.equal(priced.rule.matchedBy, 'locked');
+    assert.deepEqual([priced.fixed, priced.spread, priced.total], [3, 1, 4]);
+  });
+
+  it('pays nothing, overrides included, on an ineligible deal', () => {
+    const book = makeBook({
+      rules: [structureRules({ eligibility: eligibility({ minHoldSeconds: 60 }), uplineRules: [{ level: 1, usdPerLot: 2 }] })],
+      uplines: [{ ibRequestId: 2, level: 1 }]
+    });
+    const priced = priceTrade(book, trade({ open_time: '2025-01-15T09:59:30Z' }));
+    assert.equal(priced.eligibility.reason, 'min_hold_time');
+    assert.equal(priced.total, 0);
+    assert.deepEqual(priced.uplineOverrides, []);
+  });
+});
+
+describe('checkEligibility', () => {
+  const book = makeBook();
+
+  it('returns null for a structure without rules', () => {
+    assert.equal(checkEligibility(book, trade(), structureRules()), null);
+  });
+
+  it('fails a deal whose price moved too little', () => {
+    const result = checkEligibility(book, trade({ close_price: 1.10005 }), structureRules({ eligibility: eligibility({ minPriceMovePoints: 10 }) }));
+    assert.equal(result.priceMovePoints, 5);
+    assert.equal(result.reason, 'min_price_move');
+    assert.equal(result.eligible, false);
+  });
+
+  it('passes a rule it cannot evaluate', () => {
+    const result = checkEligibility(book, trade({ open_time: null }), structureRules({ eligibility: eligibility({ minHoldSeconds: 60 }) }));
+    assert.equal(result.holdSeconds, null);
+    assert.equal(result.eligible, true);
+  });
+
+  it('judges the short-trade share only once the month has ended', () => {
+    const rules = structureRules({ eligibility: eligibility({ shortTradeSeconds: 120, maxShortTradePercentage: 50 }) });
+    const withStats = makeBook({ shortTradeStats: new Map([['120:A1:2025-01', { trades: 4, short: 3 }]]) });
+
+    const during = checkEligibility(withStats, trade(), rules, new Date('2025-01-20T00:00:00Z'));
+    assert.equal(during.shortTradePercentage, 75);
+    assert.equal(during.eligible, true);
+
+    const after = checkEligibility(withStats, trade(), rules, new Date('2025-02-01T00:00:00Z'));
+    assert.equal(after.reason, 'short_trade_share');
+  });
+});
+
+describe('priceUplineOverrides', () => {
+  const uplines = [{ ibRequestId: 2, level: 1 }, { ibRequestId: 3, level: 2 }];
+  const uplineRules = [{ level: 1, usdPerLot: 2 }, { level: 2, percentage: 10 }];
+
+  it('pays each upline level per lot or as a share of the sub-IB commission', () => {
+    const rules = structureRules({ uplineRules });
+    const overrides = priceUplineOverrides(makeBook({ uplines }), { lots: 1, total: 5, structureRules: rules });
+    assert.deepEqual(overrides.map(o => [o.ibRequestId, o.level, o.amount, o.capped]), [[2, 1, 2, false], [3, 2, 0.5, false]]);
+  });
+
+  it('shares what the payout cap leaves after the sub-IB, nearest level first', () => {
+    const rules = structureRules({ uplineRules, maxPayoutPerLot: 6 });
+    const overrides = priceUplineOverrides(makeBook({ uplines }), { lots: 1, total: 5, structureRules: rules });
+    assert.deepEqual(overrides.map(o => [o.ibRequestId, o.amount, o.capped]), [[2, 1, true]]);
+  });
+
+  it('pays nothing on a deal without lots', () => {
+    const rules = structureRules({ uplineRules });
+    assert.deepEqual(priceUplineOverrides(makeBook({ uplines }), { lots: 0, total: 0, structureRules: rules }), []);
+  });
+});
+
+describe('accrueCommission', { skip: dbSkip }, () => {
+  let ibRequestId;
+  before(async () => {
+    await resetDatabase();
+    ibRequestId = await createIB();
+    const structure = await GroupCommissionStructures.create(GROUP, { structureName: 'Standard', usdPerLot: 5, spreadSharePercentage: 0 });
+    await IBGroupAssignment.replaceAssignments(ibRequestId, [
+      { groupId: GROUP, structureId: structure.id, structureName: 'Standard', usdPerLot: 5, spreadSharePercentage: 0 }
+    ]);
+    await query(
+      `INSERT INTO ib_referrals (ib_request_id, user_id, email, referral_code) VALUES ($1, 'client-1', 'client@example.com', 'REF1')`,
+      [ibRequestId]
+    );
+    await insertTrade({ id: 'deal-1', accountId: 'C1', ibRequestId, userId: 'client-1', closeTime: '2025-01-15T10:00:00Z' });
+  });
+  after(closeDatabase);
+
+  const ledger = async () => (await query(
+    "SELECT entry_type, amount FROM ib_commission_ledger WHERE trade_id = 'deal-1' ORDER BY id"
+  )).rows.map(row => [row.entry_type, Number(row.amount)]);
+
+  it('accrues a new trade once', async () => {
+    assert.deepEqual(await accrueCommission(ibRequestId), { accrued: 1, reversed: 0 });
+    assert.deepEqual(await accrueCommission(ibRequestId), { accrued: 0, reversed: 0 });
+    assert.deepEqual(await ledger(), [['accrual', 5]]);
+  });
+
+  it('reverses and re-accrues a trade whose price changed', async () => {
+    await query("UPDATE ib_trade_history SET volume_lots = 2 WHERE id = 'deal-1'");
+    assert.deepEqual(await accrueCommission(ibRequestId), { accrued: 1, reversed: 1 });
+    assert.deepEqual(await ledger(), [['accrual', 5], ['reversal', -5], ['accrual', 10]]);
+  });
+
+  it('reverses a trade that no longer earns for the IB', async () => {
+    await query('DELETE FROM ib_referrals WHERE ib_request_id = $1', [ibRequestId]);
+    assert.deepEqual(await accrueCommission(ibRequestId), { accrued: 0, reversed: 1 });
+    const entries = await ledger();
+    assert.deepEqual(entries.at(-1), ['reversal', -10]);
+    assert.equal(entries.reduce((sum, [, amount]) => sum + amount, 0), 0);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { dbSkip, resetDatabase, createIB, insertTrade, closeDatabase } from './helpers/db.js';
+import { query } from '../config/database.js';
+import { GroupCommissionStructures } from '../models/GroupCommissionStructures.js';
+import { IBGroupAssignment } from '../models/IBGroupAssignment.js';
+import { CommissionPeriod } from '../models/CommissionPeriod.js';
+import { closePeriod } from '../services/commissionStatements.js';
+
+const GROUP = 'real\\std';
+
+describe('closing a commission period with short-trade rules', { skip: dbSkip }, () => {
+  let ibRequestId;
+  let period;
+  before(async () => {
+    await resetDatabase();
+    ibRequestId = await createIB();
+    const structure = await GroupCommissionStructures.create(GROUP, { structureName: 'Standard', usdPerLot: 5, spreadSharePercentage: 0 });
+    await GroupCommissionStructures.setEligibilityRules(structure.id, { shortTradeSeconds: 120, maxShortTradePercentage: 50 });
+    // In force since the start, like rules set before the month being closed
+    await query('DELETE FROM group_commission_structure_rule_history WHERE structure_id = $1 AND valid_from IS NULL', [structure.id]);
+    await query('UPDATE group_commission_structure_rule_history SET valid_from = NULL WHERE structure_id = $1', [structure.id]);
+    await IBGroupAssignment.replaceAssignments(ibRequestId, [
+      { groupId: GROUP, structureId: structure.id, structureName: 'Standard', usdPerLot: 5, spreadSharePercentage: 0 }
+    ]);
+
+    // Both accounts were paid while January was still open, then stopped trading
+    for (let i = 1; i <= 3; i++) {
+      await insertTrade({ id: `scalp-${i}`, accountId: 'A1', ibRequestId, ibCommission: 5, holdSeconds: 30, closeTime: `2025-01-1${i}T10:00:00Z` });
+      await insertTrade({ id: `swing-${i}`, accountId: 'A2', ibRequestId, ibCommission: 5, holdSeconds: 3600, closeTime: `2025-01-1${i}T10:00:00Z` });
+    }
+    period = await CommissionPeriod.create({ periodStart: '2025-01-01T00:00:00Z', periodEnd: '2025-02-01T00:00:00Z' });
+  });
+  after(closeDatabase);
+
+  it('judges the ended month before locking its trades', async () => {
+    const result = await closePeriod(period.id, { closedBy: 'test' });
+    assert.equal(result.period.status, 'closed');
+    assert.equal(result.period.trades_locked, 6);
+
+    const trades = await query(
+      'SELECT id, account_id, ib_commission, commission_ineligible_reason, commission_locked_at FROM ib_trade_history ORDER BY id'
+    );
+    for (const trade of trades.rows) {
+      assert.ok(trade.commission_locked_at, `${trade.id} is locked`);
+      if (trade.account_id === 'A1') {
+        assert.equal(Number(trade.ib_commission), 0);
+        assert.equal(trade.commission_ineligible_reason, 'short_trade_share');
+      } else {
+        assert.equal(Number(trade.ib_commission), 5);
+        assert.equal(trade.commission_ineligible_reason, null);
+      }
+    }
+  });
+});
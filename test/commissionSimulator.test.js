@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSimulation } from '../services/commissionSimulator.js';
+
+const input = (fields = {}) => ({
+  fromDate: '2025-01-01', toDate: '2025-01-31', changes: [{ scope: 'group', groupId: 'real\\std', usdPerLot: 6 }], ...fields
+});
+
+describe('normalizeSimulation', () => {
+  it('normalizes dates, scopes and ids', () => {
+    const result = normalizeSimulation(input({
+      changes: [
+        { scope: 'GROUP', groupId: ' real\\std ', usdPerLot: '6' },
+        { scope: 'structure', structureId: '4', spreadSharePercentage: 25 },
+        { scope: 'ib', ibRequestId: '7', groupId: 'real\\vip', usdPerLot: 0 }
+      ],
+      ibRequestIds: ['7', 8]
+    }));
+    assert.equal(result.fromDate, '2025-01-01T00:00:00.000Z');
+    assert.equal(result.toDate, '2025-01-31T00:00:00.000Z');
+    assert.deepEqual(result.ibRequestIds, [7, 8]);
+    assert.deepEqual(result.changes, [
+      { scope: 'group', groupId: 'real\\std', structureId: null, ibRequestId: null, usdPerLot: 6, spreadSharePercentage: null },
+      { scope: 'structure', groupId: null, structureId: 4, ibRequestId: null, usdPerLot: null, spreadSharePercentage: 25 },
+      { scope: 'ib', groupId: 'real\\vip', structureId: null, ibRequestId: 7, usdPerLot: 0, spreadSharePercentage: null }
+    ]);
+  });
+
+  it('leaves ibRequestIds null when not given', () => {
+    assert.equal(normalizeSimulation(input()).ibRequestIds, null);
+  });
+
+  it('rejects a missing, reversed or too long window', () => {
+    assert.throws(() => normalizeSimulation(input({ toDate: undefined })), /fromDate and toDate must be valid dates/);
+    assert.throws(() => normalizeSimulation(input({ fromDate: 'soon' })), /fromDate and toDate must be valid dates/);
+    assert.throws(() => normalizeSimulation(input({ fromDate: '2025-02-01' })), /fromDate must not be after toDate/);
+    assert.throws(() => normalizeSimulation(input({ fromDate: '2023-01-01' })), /at most 366 days/);
+  });
+
+  it('rejects changes without a scope target or a rate', () => {
+    assert.throws(() => normalizeSimulation(input({ changes: [] })), /changes must be a non-empty array/);
+    assert.throws(() => normalizeSimulation(input({ changes: [{ scope: 'account', usdPerLot: 1 }] })), /changes\[0\]\.scope must be one of group, structure, ib/);
+    assert.throws(() => normalizeSimulation(input({ changes: [{ scope: 'group', usdPerLot: 1 }] })), /changes\[0\]\.groupId is required/);
+    assert.throws(() => normalizeSimulation(input({ changes: [{ scope: 'structure', usdPerLot: 1 }] })), /changes\[0\]\.structureId is required/);
+    assert.throws(() => normalizeSimulation(input({ changes: [{ scope: 'ib', usdPerLot: 1 }] })), /changes\[0\]\.ibRequestId is required/);
+    assert.throws(() => normalizeSimulation(input({ changes: [{ scope: 'group', groupId: 'g' }] })), /must set usdPerLot or spreadSharePercentage/);
+  });
+
+  it('rejects negative rates and a spread share over 100%', () => {
+    assert.throws(() => normalizeSimulation(input({ changes: [{ scope: 'group', groupId: 'g', usdPerLot: -1 }] })), /usdPerLot must be a non-negative number/);
+    assert.throws(() => normalizeSimulation(input({ changes: [{ scope: 'group', groupId: 'g', spreadSharePercentage: 101 }] })), /up to 100/);
+  });
+
+  it('rejects non-numeric ibRequestIds', () => {
+    assert.throws(() => normalizeSimulation(input({ ibRequestIds: 'all' })), /ibRequestIds must be an array/);
+    assert.throws(() => normalizeSimulation(input({ ibRequestIds: ['x'] })), /ibRequestIds must be numbers/);
+  });
+});
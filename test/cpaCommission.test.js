@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkQualification } from '../services/cpaCommission.js';
+
+const plan = (fields = {}) => ({
+  min_first_deposit: null, min_lots: null, lots_within_days: null, require_real_account: false, ...fields
+});
+const fact = (fields = {}) => ({
+  userId: 'client-1', referredAt: '2025-01-01T00:00:00Z', firstDepositAmount: null, firstDepositAt: null,
+  realAccounts: 0, trades: [], ...fields
+});
+const checkOf = (result, rule) => result.checks.find(c => c.rule === rule);
+
+describe('checkQualification', () => {
+  it('qualifies a client who meets every rule of the plan', () => {
+    const result = checkQualification(
+      plan({ min_first_deposit: 100, min_lots: 1, require_real_account: true }),
+      fact({ firstDepositAmount: 250, firstDepositAt: '2025-01-02T00:00:00Z', realAccounts: 1, trades: [{ lots: 1.2, closedAt: '2025-01-05T00:00:00Z' }] })
+    );
+    assert.equal(result.qualified, true);
+    assert.deepEqual(result.checks.map(c => [c.rule, c.passed]), [['minFirstDeposit', true], ['minLots', true], ['requireRealAccount', true]]);
+  });
+
+  it('fails a client short of any one rule', () => {
+    const result = checkQualification(plan({ min_first_deposit: 100, require_real_account: true }), fact({ firstDepositAmount: 99, realAccounts: 1 }));
+    assert.equal(result.qualified, false);
+    assert.equal(checkOf(result, 'minFirstDeposit').passed, false);
+    assert.equal(checkOf(result, 'requireRealAccount').passed, true);
+  });
+
+  it('fails a client who never deposited', () => {
+    const result = checkQualification(plan({ min_first_deposit: 0 }), fact());
+    assert.equal(checkOf(result, 'minFirstDeposit').actual, null);
+    assert.equal(result.qualified, false);
+  });
+
+  it('counts only lots traded within the window after the referral', () => {
+    const trades = [
+      { lots: 0.6, closedAt: '2025-01-10T00:00:00Z' },
+      { lots: 0.6, closedAt: '2025-02-15T00:00:00Z' }
+    ];
+    const within = checkOf(checkQualification(plan({ min_lots: 1, lots_within_days: 30 }), fact({ trades })), 'minLots');
+    assert.equal(within.actual, 0.6);
+    assert.equal(within.windowEnd.toISOString(), '2025-01-31T00:00:00.000Z');
+    assert.equal(within.passed, false);
+
+    const anyTime = checkOf(checkQualification(plan({ min_lots: 1 }), fact({ trades })), 'minLots');
+    assert.equal(anyTime.actual, 1.2);
+    assert.equal(anyTime.passed, true);
+  });
+
+  it('starts the window at the first deposit, else the first trade, when the referral time is unknown', () => {
+    const trades = [
+      { lots: 1, closedAt: '2025-03-20T00:00:00Z' },
+      { lots: 1, closedAt: '2025-03-01T00:00:00Z' }
+    ];
+    const byDeposit = checkOf(checkQualification(
+      plan({ min_lots: 1, lots_within_days: 10 }),
+      fact({ referredAt: null, firstDepositAmount: 50, firstDepositAt: '2025-03-15T00:00:00Z', trades })
+    ), 'minLots');
+    assert.equal(byDeposit.windowStart, '2025-03-15T00:00:00Z');
+    assert.equal(byDeposit.actual, 1);
+
+    const byTrade = checkOf(checkQualification(plan({ min_lots: 1, lots_within_days: 10 }), fact({ referredAt: null, trades })), 'minLots');
+    assert.equal(byTrade.windowStart, '2025-03-01T00:00:00Z');
+    assert.equal(byTrade.actual, 1);
+  });
+
+  it('never qualifies anyone under a plan without rules', () => {
+    assert.deepEqual(checkQualification(plan(), fact()), { qualified: false, checks: [] });
+  });
+});
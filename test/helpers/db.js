@@ -0,0 +1,62 @@
+/**
+ * Database-backed tests run against TEST_DATABASE_URL and are skipped without it. That database is
+ * wiped (its public schema is dropped) by resetDatabase, so never point it at real data.
+ * Import this module before anything that loads config/database.js: it swaps DATABASE_URL first.
+ */
+export const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL || null;
+
+if (TEST_DATABASE_URL) {
+  process.env.DATABASE_URL = TEST_DATABASE_URL;
+  process.env.DATABASE_SSL = process.env.DATABASE_SSL || 'false';
+}
+
+// node:test `skip` option: false with a database, else the reason
+export const dbSkip = TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL is not set';
+
+/**
+ * Wipe the test database and create the app's tables, as server.js does at startup
+ */
+export async function resetDatabase() {
+  const { createSchema } = await import('./schema.js');
+  await createSchema();
+}
+
+/**
+ * Insert an approved IB and return its id
+ */
+export async function createIB({ email = `ib${Date.now()}${Math.floor(Math.random() * 1000)}@example.com` } = {}) {
+  const { query } = await import('../../config/database.js');
+  const result = await query(
+    `INSERT INTO ib_requests (full_name, email, password_hash, status)
+     VALUES ('Test IB', $1, 'x', 'approved') RETURNING id`,
+    [email]
+  );
+  return result.rows[0].id;
+}
+
+/**
+ * Insert a closed trade (defaults: 1 lot EURUSD held 10 minutes) and return the row
+ */
+export async function insertTrade({
+  id, accountId, ibRequestId, userId = null, groupId = 'real\\std', symbol = 'EURUSD', volumeLots = 1, ibCommission = 0,
+  openTime, closeTime, holdSeconds = 600, openPrice = 1.1, closePrice = 1.103, profit = 10
+}) {
+  const { query } = await import('../../config/database.js');
+  const close = new Date(closeTime);
+  const open = openTime ? new Date(openTime) : new Date(close.getTime() - holdSeconds * 1000);
+  const result = await query(
+    `INSERT INTO ib_trade_history (
+       id, order_id, account_id, ib_request_id, symbol, order_type, volume_lots, open_price, close_price,
+       profit, ib_commission, group_id, open_time, close_time, server, user_id
+     ) VALUES ($1, $1, $2, $3, $4, 'buy', $5, $6, $7, $8, $9, $10, $11, $12, 'default', $13)
+     RETURNING *`,
+    [String(id), String(accountId), ibRequestId, symbol, volumeLots, openPrice, closePrice, profit, ibCommission, groupId,
+      open.toISOString(), close.toISOString(), userId === null ? null : String(userId)]
+  );
+  return result.rows[0];
+}
+
+export async function closeDatabase() {
+  const { closePool } = await import('../../config/database.js');
+  await closePool();
+}
@@ -0,0 +1,50 @@
+import { query } from '../../config/database.js';
+import { IBRequest } from '../../models/IBRequest.js';
+import { IBAdmin } from '../../models/IBAdmin.js';
+import { Symbols } from '../../models/Symbols.js';
+import { SymbolsWithCategories } from '../../models/SymbolsWithCategories.js';
+import { MT5Groups } from '../../models/MT5Groups.js';
+import { GroupCommissionStructures } from '../../models/GroupCommissionStructures.js';
+import { IBGroupAssignment } from '../../models/IBGroupAssignment.js';
+import { TradeOrderConflict } from '../../models/TradeOrderConflict.js';
+import { IBTradeHistory } from '../../models/IBTradeHistory.js';
+import { CommissionPeriod } from '../../models/CommissionPeriod.js';
+import { MT5Position } from '../../models/MT5Position.js';
+import { MT5OpenPosition } from '../../models/MT5OpenPosition.js';
+import { ClientFunding } from '../../models/ClientFunding.js';
+import { IBWithdrawal } from '../../models/IBWithdrawal.js';
+import { CommissionLedger } from '../../models/CommissionLedger.js';
+import { CommissionAdjustment } from '../../models/CommissionAdjustment.js';
+import { CommissionStatement } from '../../models/CommissionStatement.js';
+import { CpaPlan } from '../../models/CpaPlan.js';
+import { RevenueSharePeriod } from '../../models/RevenueSharePeriod.js';
+import { IBReferral } from '../../models/IBReferral.js';
+import { IBCommission } from '../../models/IBCommission.js';
+import { MT5SyncCursor } from '../../models/MT5SyncCursor.js';
+import { TradeSyncRun } from '../../models/TradeSyncRun.js';
+import { TradeReconciliation } from '../../models/TradeReconciliation.js';
+import { MT5WebhookDelivery } from '../../models/MT5WebhookDelivery.js';
+import { BackgroundJob } from '../../models/BackgroundJob.js';
+import { JobSchedule } from '../../models/JobSchedule.js';
+
+// Same order as initializeDatabase in server.js
+const MODELS = [
+  IBRequest, IBAdmin, Symbols, SymbolsWithCategories, MT5Groups, GroupCommissionStructures, IBGroupAssignment, TradeOrderConflict,
+  IBTradeHistory, CommissionPeriod, MT5Position, MT5OpenPosition, ClientFunding, IBWithdrawal, CommissionLedger,
+  CommissionAdjustment, CommissionStatement, CpaPlan, RevenueSharePeriod, IBReferral, IBCommission, MT5SyncCursor,
+  TradeSyncRun, TradeReconciliation, MT5WebhookDelivery, BackgroundJob, JobSchedule
+];
+
+/**
+ * Drop everything in the public schema and create the app's tables
+ */
+export async function createSchema() {
+  await query('DROP SCHEMA IF EXISTS public CASCADE');
+  await query('CREATE SCHEMA public');
+  // Owned by the client CRM, not created by the portal: only the columns the portal reads
+  await query('CREATE TABLE "User" (id TEXT PRIMARY KEY, email TEXT UNIQUE NOT NULL)');
+  await query('CREATE TABLE "MT5Account" ("accountId" TEXT PRIMARY KEY, "userId" TEXT REFERENCES "User"(id), password TEXT)');
+  for (const model of MODELS) {
+    await model.createTable();
+  }
+}
@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerSecret, forgetSecret, redact, redactFields } from '../services/logRedaction.js';
+
+describe('registerSecret', () => {
+  it('masks a registered value anywhere and stops once it is forgotten', () => {
+    const token = 'tok_0123456789abcdef';
+    registerSecret(token);
+    assert.equal(redact(`login ok ${token} done`), 'login ok [REDACTED] done');
+    forgetSecret(token);
+    assert.equal(redact(`login ok ${token} done`), `login ok ${token} done`);
+  });
+
+  it('ignores short values that would mask ordinary text', () => {
+    registerSecret('1234');
+    registerSecret('hunter2');
+    assert.equal(redact('account 1234 hunter2'), 'account 1234 hunter2');
+  });
+
+  it('drops the oldest value once the cap is reached', () => {
+    const first = 'first-secret-000000';
+    registerSecret(first);
+    for (let i = 0; i < 1000; i++) registerSecret(`filler-secret-${String(i).padStart(6, '0')}`);
+    assert.equal(redact(first), first);
+    assert.equal(redact('filler-secret-000999'), '[REDACTED]');
+  });
+});
+
+describe('redaction by field', () => {
+  it('masks password and token fields at any depth without touching other fields', () => {
+    const input = { accountId: 5001, Password: 'pw', nested: [{ accessToken: 'abc', symbol: 'EURUSD' }] };
+    assert.deepEqual(redactFields(input), {
+      accountId: 5001,
+      Password: '[REDACTED]',
+      nested: [{ accessToken: '[REDACTED]', symbol: 'EURUSD' }]
+    });
+    assert.equal(input.Password, 'pw');
+  });
+
+  it('masks password fields in formatted text', () => {
+    assert.equal(redact('{"Login":5001,"Password":"pw"}'), '{"Login":5001,"Password":[REDACTED]}');
+    assert.equal(redact('password=pw&login=5001'), 'password=[REDACTED]&login=5001');
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { dbSkip, resetDatabase, createIB, insertTrade, closeDatabase } from './helpers/db.js';
+import { query } from '../config/database.js';
+import { GroupCommissionStructures } from '../models/GroupCommissionStructures.js';
+import { IBGroupAssignment } from '../models/IBGroupAssignment.js';
+import { RevenueSharePeriod } from '../models/RevenueSharePeriod.js';
+import { summarizeMonth, settleMonth, runRevenueShare } from '../services/revenueShare.js';
+
+const GROUP = 'real\\std';
+
+// A priced deal as priceTrade returns it, reduced to what summarizeMonth reads
+const deal = ({ structureId = 1, lots = 1, clientResult, costs = 0, pct = 50 }) => ({
+  trade: {},
+  priced: {
+    lots,
+    rule: { structureId, structureName: `S${structureId}`, groupId: GROUP },
+    revenueShare: { pct, clientResult, costs, netRevenue: -clientResult - costs, share: (-clientResult - costs) * pct / 100 }
+  }
+});
+
+describe('summarizeMonth', () => {
+  it('totals the month and breaks it down per structure', () => {
+    const calc = summarizeMonth([
+      deal({ clientResult: -100, costs: 10 }),
+      deal({ clientResult: 40, lots: 0.5 }),
+      deal({ structureId: 2, clientResult: -30, pct: 20 })
+    ]);
+    assert.equal(calc.trades, 3);
+    assert.equal(calc.lots, 2.5);
+    assert.equal(calc.clientResult, -90);
+    assert.equal(calc.costs, 10);
+    assert.equal(calc.netRevenue, 80);
+    assert.equal(calc.share, 31);
+    assert.deepEqual(calc.breakdown.map(b => [b.structureId, b.trades, b.share]), [[1, 2, 25], [2, 1, 6]]);
+  });
+
+  it('returns zeros for a month without deals', () => {
+    const calc = summarizeMonth([]);
+    assert.equal(calc.trades, 0);
+    assert.equal(calc.share, 0);
+    assert.deepEqual(calc.breakdown, []);
+  });
+});
+
+describe('settleMonth', () => {
+  it('carries a negative month forward and pays nothing', () => {
+    assert.deepEqual(settleMonth({ share: -50 }, 0), { share: -50, carryIn: 0, payable: 0, carryOut: -50 });
+  });
+
+  it('nets the carry against a positive month', () => {
+    assert.deepEqual(settleMonth({ share: 80 }, -50), { share: 80, carryIn: -50, payable: 30, carryOut: 0 });
+  });
+
+  it('keeps carrying while the carry outweighs the month', () => {
+    assert.deepEqual(settleMonth({ share: 20 }, -50), { share: 20, carryIn: -50, payable: 0, carryOut: -30 });
+  });
+});
+
+describe('runRevenueShare', { skip: dbSkip }, () => {
+  let ibRequestId;
+  before(async () => {
+    await resetDatabase();
+    ibRequestId = await createIB();
+    const structure = await GroupCommissionStructures.create(GROUP, {
+      structureName: 'Revenue share', usdPerLot: 0, spreadSharePercentage: 0, revenueSharePercentage: 50
+    });
+    await IBGroupAssignment.replaceAssignments(ibRequestId, [
+      { groupId: GROUP, structureId: structure.id, structureName: 'Revenue share', usdPerLot: 0, spreadSharePercentage: 0 }
+    ]);
+    await query(
+      `INSERT INTO ib_referrals (ib_request_id, user_id, email, referral_code) VALUES ($1, 'client-1', 'client@example.com', 'REF1')`,
+      [ibRequestId]
+    );
+    // January: the client wins 100 (share -50); February: the client loses 160 (share +80)
+    await insertTrade({ id: 'jan-1', accountId: 'C1', ibRequestId, userId: 'client-1', profit: 100, closeTime: '2025-01-15T10:00:00Z' });
+    await insertTrade({ id: 'feb-1', accountId: 'C1', ibRequestId, userId: 'client-1', profit: -160, closeTime: '2025-02-15T10:00:00Z' });
+  });
+  after(closeDatabase);
+
+  const ledgerEntries = async () => (await query(
+    "SELECT amount FROM ib_commission_ledger WHERE ib_request_id = $1 AND source = 'revenue_share'",
+    [ibRequestId]
+  )).rows.map(row => Number(row.amount));
+
+  it('settles a losing month, carries it, and previews the next one', async () => {
+    const summary = await runRevenueShare(ibRequestId, { now: new Date('2025-02-10T00:00:00Z') });
+    assert.deepEqual(summary, { ibRequestId, settled: 1, open: 1, accrued: 0 });
+
+    const { periods } = await RevenueSharePeriod.listForIB(ibRequestId);
+    const byMonth = Object.fromEntries(periods.map(p => [p.month, p]));
+    assert.equal(byMonth['2025-01'].status, 'final');
+    assert.equal(Number(byMonth['2025-01'].carry_out), -50);
+    assert.equal(byMonth['2025-02'].status, 'open');
+    assert.equal(Number(byMonth['2025-02'].payable), 30);
+    assert.deepEqual(await ledgerEntries(), []);
+  });
+
+  it('posts the month that ends positive once it settles', async () => {
+    const summary = await runRevenueShare(ibRequestId, { now: new Date('2025-03-10T00:00:00Z') });
+    assert.deepEqual(summary, { ibRequestId, settled: 1, open: 1, accrued: 30 });
+    assert.deepEqual(await ledgerEntries(), [30]);
+  });
+
+  it('leaves settled months and their postings alone on a rerun', async () => {
+    // A late deal synced into settled February
+    await insertTrade({ id: 'feb-2', accountId: 'C1', ibRequestId, userId: 'client-1', profit: -1000, closeTime: '2025-02-20T10:00:00Z' });
+
+    const summary = await runRevenueShare(ibRequestId, { now: new Date('2025-03-10T00:00:00Z') });
+    assert.deepEqual(summary, { ibRequestId, settled: 0, open: 1, accrued: 0 });
+    assert.deepEqual(await ledgerEntries(), [30]);
+    const last = await RevenueSharePeriod.getLastFinal(ibRequestId);
+    assert.equal(last.month, '2025-02');
+    assert.equal(Number(last.payable), 30);
+  });
+});
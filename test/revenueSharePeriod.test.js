@@ -0,0 +1,40 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { dbSkip, resetDatabase, createIB, closeDatabase } from './helpers/db.js';
+import { RevenueSharePeriod } from '../models/RevenueSharePeriod.js';
+
+const calc = (overrides = {}) => ({
+  trades: 3, lots: 1.5, clientResult: -200, costs: 20, netRevenue: 180, share: 36,
+  carryIn: 0, payable: 36, carryOut: 0, breakdown: [], ...overrides
+});
+
+describe('RevenueSharePeriod.save', { skip: dbSkip }, () => {
+  let ibRequestId;
+  before(async () => {
+    await resetDatabase();
+    ibRequestId = await createIB();
+  });
+  after(closeDatabase);
+
+  it('stores an open month and overwrites it on the next run', async () => {
+    const first = await RevenueSharePeriod.save(ibRequestId, '2026-01-01', calc());
+    assert.equal(first.status, 'open');
+    assert.equal(first.month, '2026-01');
+    assert.equal(first.finalized_at, null);
+
+    const second = await RevenueSharePeriod.save(ibRequestId, '2026-01-01', calc({ share: 40, payable: 40 }));
+    assert.equal(second.id, first.id);
+    assert.equal(Number(second.payable), 40);
+  });
+
+  it('settles a month and never changes it afterwards', async () => {
+    const settled = await RevenueSharePeriod.save(ibRequestId, '2026-01-01', calc(), { status: 'final' });
+    assert.equal(settled.status, 'final');
+    assert.ok(settled.finalized_at instanceof Date);
+
+    assert.equal(await RevenueSharePeriod.save(ibRequestId, '2026-01-01', calc({ payable: 99 })), null);
+    assert.equal(await RevenueSharePeriod.save(ibRequestId, '2026-01-01', calc({ payable: 99 }), { status: 'final' }), null);
+    const last = await RevenueSharePeriod.getLastFinal(ibRequestId);
+    assert.equal(Number(last.payable), 36);
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { dbSkip, resetDatabase, closeDatabase } from './helpers/db.js';
+
+// Serve fixtures/mt5/trades/default.json (three deals, 3-6 Nov 2025) one deal per page, two pages at most
+process.env.MT5_GATEWAY_MODE = 'mock';
+process.env.TRADE_SYNC_PAGE_SIZE = '1';
+process.env.TRADE_SYNC_MAX_PAGES = '2';
+const { fetchAllDeals, syncAccount } = await import('../services/tradeSync.js');
+const { MT5SyncCursor } = await import('../models/MT5SyncCursor.js');
+
+describe('fetchAllDeals', () => {
+  it('flags a window cut short by the page limit', async () => {
+    const { deals, truncated } = await fetchAllDeals({ accountId: '5001', fromDate: '2025-11-01T00:00:00Z', toDate: '2025-11-30T00:00:00Z' });
+    assert.equal(deals.length, 2);
+    assert.equal(truncated, true);
+  });
+
+  it('does not flag a window that ends on the last allowed page', async () => {
+    const { deals, truncated } = await fetchAllDeals({ accountId: '5001', fromDate: '2025-11-01T00:00:00Z', toDate: '2025-11-05T00:00:00Z' });
+    assert.equal(deals.length, 2);
+    assert.equal(truncated, false);
+  });
+});
+
+describe('syncAccount cursor', { skip: dbSkip }, () => {
+  before(resetDatabase);
+  after(closeDatabase);
+
+  it('holds the cursor when the window was truncated', async () => {
+    await MT5SyncCursor.advance('5001', { lastDealTime: '2025-11-01T00:00:00Z', lastDealId: '1' });
+
+    const result = await syncAccount({ accountId: '5001', groupId: 'real\\std', toDate: '2025-11-30T00:00:00Z' });
+    assert.equal(result.truncated, true);
+    assert.equal(result.saved, 2);
+    const cursor = await MT5SyncCursor.get('5001');
+    assert.equal(new Date(cursor.last_deal_time).toISOString(), '2025-11-01T00:00:00.000Z');
+
+    // A window that fits advances it as usual
+    const next = await syncAccount({ accountId: '5001', groupId: 'real\\std', toDate: '2025-11-05T00:00:00Z' });
+    assert.equal(next.truncated, false);
+    const advanced = await MT5SyncCursor.get('5001');
+    assert.equal(new Date(advanced.last_deal_time).toISOString(), '2025-11-04T11:30:00.000Z');
+  });
+});